@@ -0,0 +1,7 @@
+// Generated from src/indirect_heating_adaptive.shelly.js by tools/bundle.js, edit the sources instead.
+function uptime(){return Shelly.getComponentStatus('sys').uptime;}function unixtime(){let time=Shelly.getComponentStatus('sys').unixtime;return typeof time==="number"?time:null;}function localTime(){let sys=Shelly.getComponentStatus('sys');if(typeof sys.unixtime!=="number"||typeof sys.time!=="string"||sys.time.indexOf(":")===-1){return null;}let parts=sys.time.split(":");let hour=Number(parts[0]);let minute=Number(parts[1]);let offset=hour*60+minute-Math.floor(sys.unixtime/60)%1440;if(offset>840){offset-=1440;}else if(offset<-720){offset+=1440;}let day=Math.floor((sys.unixtime+offset*60)/86400);return{day:day,weekday:(day+4)%7,hour:hour,minute:minute};}function dayNumber(date){let parts=typeof date==="string"?date.split("-"):[];if(parts.length!==3){return null;}let year=Number(parts[0]);let month=Number(parts[1]);let day=Number(parts[2]);if(!(year>=1970&&month>=1&&month<=12&&day>=1)||Math.floor(year+month+day)!==year+month+day){return null;}let leapYear=year%4===0&&(year%100!==0||year%400===0);if(day>(month===2?(leapYear?29:28):30+(month+Math.floor(month/8))%2)){return null;}if(month<=2){year-=1;month+=12;}let daysBeforeYear=365*year+Math.floor(year/4)-Math.floor(year/100)+Math.floor(year/400);return daysBeforeYear+Math.floor((153*(month-3)+2)/5)+day-719469;}function parseClockTime(text){let parts=typeof text==="string"?text.split(":"):[];if(parts.length!==2||parts[0].length<1||parts[0].length>2||parts[1].length!==2){return null;}let hour=Number(parts[0]);let minute=Number(parts[1]);if(!(hour>=0&&hour<=23&&minute>=0&&minute<=59)||Math.floor(hour)!==hour||Math.floor(minute)!==minute){return null;}return hour*60+minute;}const LOG_LEVELS=["error","warn","info","debug"];let logBuffer=[];function logEvent(level,event,message,values){let enabled=CONFIG.debuggingOn?"debug":CONFIG.logLevel;if(LOG_LEVELS.indexOf(level)<=LOG_LEVELS.indexOf(enabled)){print(message);}if(level==="debug"||!(CONFIG.logBufferSize>0)){return;}let entry={time:unixtime(),uptime:Math.floor(uptime()),level:level,event:event,message:message};if(values!==undefined){entry.values=values;}logBuffer.push(entry);if(logBuffer.length>CONFIG.logBufferSize){logBuffer.splice(0,logBuffer.length-CONFIG.logBufferSize);}}function debugLog(message){logEvent("debug","debug",message);}function reportError(message,event,values){scriptStatus.lastError=message;logEvent("error",event||"error",message,values);}const MAX_CALLS_IN_FLIGHT=5;let callQueue=[];let callsInFlight=0;function queueCall(method,params,callback){callQueue.push({method:method,params:params,callback:callback});sendQueuedCalls();}function sendQueuedCalls(){while(callsInFlight<MAX_CALLS_IN_FLIGHT&&callQueue.length>0){sendCall(callQueue.shift());}}function sendCall(call){callsInFlight++;Shelly.call(call.method,call.params,function(result,error_code,error_message){callsInFlight--;if(call.callback){call.callback(result,error_code,error_message);}sendQueuedCalls();});}const KVS_MAX_VALUE_SIZE=253;function kvsValueSize(value){let text=JSON.stringify(value);let size=text.length;for(let i=0;i<text.length;i++){let code=text.charCodeAt(i);if(code>=0x80){size+=code>=0x800?2:1;}}return size;}function saveState(key,what,value){queueCall(
+"KVS.Set",{key:key,value:JSON.stringify(value)},function(result,error_code,error_message){if(error_code!==0){reportError("Error saving the "+what+": "+error_message);}});}function loadState(key,what,restore,callback){queueCall(
+"KVS.Get",{key:key},function(result,error_code,error_message){if(error_code===0&&result.value!==null){try{restore(JSON.parse(result.value));}catch(e){reportError("Ignoring the unreadable "+what+" in KVS: "+e);}}callback();});}function runInSequence(steps,callback){let next=function(i){if(i===steps.length){callback();return;}steps[i](function(){next(i+1);});};next(0);}function decodeQueryPart(text){try{return decodeURIComponent(text);}catch(e){return text;}}function parseQuery(query){let params={};if(!query){return params;}query.split("&").forEach(function(pair){let parts=pair.split("=");if(parts[0]!==""){params[decodeQueryPart(parts[0])]=parts.length>1?decodeQueryPart(parts[1]):"";}});return params;}const KVS_CONFIG_KEY="indirect_heating_adaptive_config";const STATUS_EVENT="indirect_heating_status";const COMMAND_EVENT="indirect_heating_command";const KVS_STATE_KEY="indirect_heating_adaptive";const AUTOMATIC_RULES=["limit","schedule","backup","difference"];const TANK_READINGS={tank:"hotWaterTemperature",top:"tankTopTemperature",bottom:"tankBottomTemperature"};const BIN_WIDTH=2;const BINS=15;const SAMPLE_TIME=300;const MIN_SAMPLE_TIME=120;const WEIGHT=0.3;const STEP=0.5;const DEFAULT_CONFIG={loops:[],minRise:1,minRunTime:900,hysteresisMin:3,hysteresisMax:20,stopDifferenceMin:1,stopDifferenceMax:15,logLevel:"info",};const CONFIG_SCHEMA={minRise:{min:0,max:50},minRunTime:{min:0,max:86400},hysteresisMin:{min:0.5,max:50},hysteresisMax:{min:0.5,max:50},stopDifferenceMin:{min:0,max:50},stopDifferenceMax:{min:0,max:50},};let CONFIG=Object.assign({},DEFAULT_CONFIG);let scriptStatus={lastError:""};let loops={};let severalLoops=false;function newLoop(name){let rates=[];for(let i=0;i<BINS;i++){rates.push(null);}return{name:name,loaded:false,hysteresis:null,stopDifference:null,rates:rates,sample:null,running:false,runningSince:null};}function loopPrefix(loop){return severalLoops?loop.name+": ":"";}function stateKey(switchID){return switchID===0?KVS_STATE_KEY:KVS_STATE_KEY+"_"+switchID;}function saveLoop(switchID){let loop=loops[switchID];saveState(stateKey(switchID),"learned pump thresholds",{name:loop.name,hysteresis:loop.hysteresis,stopDifference:loop.stopDifference,rates:loop.rates});}function loadLoop(switchID){let loop=loops[switchID];loadState(stateKey(switchID),"learned pump thresholds",function(saved){if(saved.name!==loop.name||typeof saved.hysteresis!=="number"||typeof saved.stopDifference!=="number"||
+!Array.isArray(saved.rates)||saved.rates.length!==BINS){return;}loop.hysteresis=saved.hysteresis;loop.stopDifference=saved.stopDifference;loop.rates=saved.rates;debugLog(loopPrefix(loop)+"Restored the learned start and stop differences "+saved.hysteresis+"/"+saved.stopDifference+"°C from KVS.");},function(){loop.loaded=true;});}function learnedThresholds(loop,config){let stop=loop.stopDifference===null?config.waterPumpStopDifference:loop.stopDifference;stop=Math.max(CONFIG.stopDifferenceMin,Math.min(stop,CONFIG.stopDifferenceMax,CONFIG.hysteresisMax-STEP));let start=loop.hysteresis===null?config.waterPumpHysteresis:loop.hysteresis;start=Math.min(CONFIG.hysteresisMax,Math.max(start,CONFIG.hysteresisMin,stop+STEP));return{hysteresis:start,stopDifference:stop};}function updateLearnedThresholds(loop,config,hysteresis,stopDifference,reason){let before=learnedThresholds(loop,config);loop.hysteresis=hysteresis;loop.stopDifference=stopDifference;let learned=learnedThresholds(loop,config);loop.hysteresis=learned.hysteresis;loop.stopDifference=learned.stopDifference;if(learned.hysteresis===before.hysteresis&&learned.stopDifference===before.stopDifference){return false;}logEvent("info","adaptive",loopPrefix(loop)+"Learned a start difference of "+learned.hysteresis+"°C and a stop difference of "+
+learned.stopDifference+"°C, "+reason+".",{loop:loop.name,hysteresis:learned.hysteresis,stopDifference:learned.stopDifference});return true;}function measureWarming(loop,tankTemperature,sourceTemperature,config,stopping){let now=uptime();let sample=loop.sample;let difference=sourceTemperature-tankTemperature;if(sample===null){loop.sample=stopping?null:{startedAt:now,tank:tankTemperature,difference:difference};return false;}let elapsed=now-sample.startedAt;if(elapsed<(stopping?MIN_SAMPLE_TIME:SAMPLE_TIME)){loop.sample=stopping?null:sample;return false;}loop.sample=stopping?null:{startedAt:now,tank:tankTemperature,difference:difference};let average=(sample.difference+difference)/2;let bin=Math.max(0,Math.min(BINS-1,Math.floor(average/BIN_WIDTH)));let rise=(tankTemperature-sample.tank)/elapsed*3600;let rates=loop.rates;rates[bin]=Math.round((rates[bin]===null?rise:rates[bin]+WEIGHT*(rise-rates[bin]))*100)/100;debugLog(loopPrefix(loop)+"The tank warmed "+Math.round(rise*100)/100+"°C/h at a temperature difference of "+
+Math.round(average*10)/10+"°C, "+rates[bin]+"°C/h learned for "+bin*BIN_WIDTH+"-"+(bin+1)*BIN_WIDTH+"°C.");let learned=learnedThresholds(loop,config);if(average>=learned.stopDifference+BIN_WIDTH){return false;}let worth=rates[bin]>=CONFIG.minRise;return updateLearnedThresholds(loop,config,learned.hysteresis,learned.stopDifference+(worth?-STEP:STEP),"the tank warms "+rates[bin]+"°C/h close to the stop difference");}function learnStartDifference(loop,runTime,config){let learned=learnedThresholds(loop,config);let short=runTime<CONFIG.minRunTime;updateLearnedThresholds(loop,config,learned.hysteresis+(short?STEP:-STEP),learned.stopDifference,"the pump ran "+runTime+" s");}function followLoop(status,loopStatus){let loop=loops[loopStatus.switchID];if(loop===undefined||loop.name!==loopStatus.name){loop=newLoop(loopStatus.name);loops[loopStatus.switchID]=loop;loadLoop(loopStatus.switchID);}if(!loop.loaded){return;}let running=loopStatus.pumpRunning;let wasRunning=loop.running;loop.running=running;if(running&&!wasRunning){loop.runningSince=uptime();}let runningSince=loop.runningSince;if(!running){loop.runningSince=null;}if(CONFIG.loops.length>0&&CONFIG.loops.indexOf(loop.name)===-1){loop.sample=null;if(loopStatus.learned!==null){sendCommand({action:"learned",loop:loop.name});}return;}let config={waterPumpHysteresis:loopStatus.waterPumpHysteresis,waterPumpStopDifference:loopStatus.waterPumpStopDifference};let tankTemperature=status[TANK_READINGS[status.stopReference]];let sourceTemperature=loopStatus.heatingSourceTemperature;let stopping=wasRunning&&!running&&loopStatus.rule==="difference";let changed=false;if(stopping&&runningSince!==null){learnStartDifference(loop,uptime()-runningSince,config);changed=true;}if(wasRunning&&AUTOMATIC_RULES.indexOf(loopStatus.rule)!==-1&&typeof tankTemperature==="number"&&typeof sourceTemperature==="number"){changed=measureWarming(loop,tankTemperature,sourceTemperature,config,stopping)||changed;}else{loop.sample=null;}if(changed){saveLoop(loopStatus.switchID);}let learned=learnedThresholds(loop,config);if(loopStatus.learned===null||loopStatus.learned.hysteresis!==learned.hysteresis||loopStatus.learned.stopDifference!==learned.stopDifference){sendCommand({action:"learned",loop:loop.name,hysteresis:learned.hysteresis,stopDifference:learned.stopDifference});}}function sendCommand(command){command.source="from the adaptive learning";Shelly.emitEvent(COMMAND_EVENT,command);}function handleStatusEvent(event){if(!event.info||event.info.event!==STATUS_EVENT||typeof event.info.data!=="object"||event.info.data===null){return;}let status=event.info.data;severalLoops=status.loops.length>1;status.loops.forEach(function(loopStatus){followLoop(status,loopStatus);});}function validateConfig(loadedConfig){if(typeof loadedConfig!=="object"||loadedConfig===null||Array.isArray(loadedConfig)){return["The configuration must be a JSON object."];}let errors=[];Object.keys(loadedConfig).forEach(function(key){let value=loadedConfig[key];let rule=CONFIG_SCHEMA[key];if(rule){if(typeof value!=="number"||value<rule.min||value>rule.max){errors.push(key+" must be a number from "+rule.min+" to "+rule.max+".");}}else if(key==="loops"){if(!Array.isArray(value)||value.some(function(name){return typeof name!=="string";})){errors.push("loops must be a list of loop names.");}}else if(key==="logLevel"){if(LOG_LEVELS.indexOf(value)===-1){errors.push("logLevel must be one of "+LOG_LEVELS.join(", ")+".");}}else{errors.push(key+": unknown setting.");}});if(errors.length>0){return errors;}let merged=Object.assign({},DEFAULT_CONFIG,loadedConfig);if(merged.hysteresisMin>merged.hysteresisMax){errors.push("hysteresisMin ("+merged.hysteresisMin+") must not be higher than hysteresisMax ("+merged.hysteresisMax+").");}if(merged.stopDifferenceMin>merged.stopDifferenceMax){errors.push("stopDifferenceMin ("+merged.stopDifferenceMin+") must not be higher than stopDifferenceMax ("+merged.stopDifferenceMax+").");}if(merged.stopDifferenceMin+STEP>merged.hysteresisMax){errors.push("stopDifferenceMin ("+merged.stopDifferenceMin+") must be at least "+STEP+"°C lower than hysteresisMax ("+merged.hysteresisMax+").");}return errors;}function loadConfig(callback){let loadedConfig={};loadState(KVS_CONFIG_KEY,"configuration",function(saved){loadedConfig=null;let errors=validateConfig(saved);if(errors.length>0){throw errors.join(" ");}loadedConfig=saved;},function(){if(loadedConfig!==null){CONFIG=Object.assign({},DEFAULT_CONFIG,loadedConfig);}if(callback){callback();}});}function getStatus(){let learned={};Object.keys(loops).forEach(function(switchID){let loop=loops[switchID];let thresholds=loop.hysteresis===null?{hysteresis:null,stopDifference:null}:learnedThresholds(loop,{});learned[loop.name]={hysteresis:thresholds.hysteresis,stopDifference:thresholds.stopDifference,rates:loop.rates};});return{loops:learned,lastError:scriptStatus.lastError};}function handleHttpRequest(request,response){let params=parseQuery(request.query);let send=function(){response.code=200;response.headers=[["Content-Type","application/json"]];response.body=JSON.stringify(getStatus());response.send();};if(params.action==="reload"){loadConfig(send);}else if(params.action!==undefined){response.code=400;response.body=JSON.stringify({error:"Unknown action '"+params.action+"', use reload."});response.send();}else{send();}}function init(){loadConfig(function(){HTTPServer.registerEndpoint("status",handleHttpRequest);Shelly.addEventHandler(handleStatusEvent);});}init();
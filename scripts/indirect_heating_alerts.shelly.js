@@ -0,0 +1,4 @@
+// Generated from src/indirect_heating_alerts.shelly.js by tools/bundle.js, edit the sources instead.
+function uptime(){return Shelly.getComponentStatus('sys').uptime;}function unixtime(){let time=Shelly.getComponentStatus('sys').unixtime;return typeof time==="number"?time:null;}function localTime(){let sys=Shelly.getComponentStatus('sys');if(typeof sys.unixtime!=="number"||typeof sys.time!=="string"||sys.time.indexOf(":")===-1){return null;}let parts=sys.time.split(":");let hour=Number(parts[0]);let minute=Number(parts[1]);let offset=hour*60+minute-Math.floor(sys.unixtime/60)%1440;if(offset>840){offset-=1440;}else if(offset<-720){offset+=1440;}let day=Math.floor((sys.unixtime+offset*60)/86400);return{day:day,weekday:(day+4)%7,hour:hour,minute:minute};}function dayNumber(date){let parts=typeof date==="string"?date.split("-"):[];if(parts.length!==3){return null;}let year=Number(parts[0]);let month=Number(parts[1]);let day=Number(parts[2]);if(!(year>=1970&&month>=1&&month<=12&&day>=1)||Math.floor(year+month+day)!==year+month+day){return null;}let leapYear=year%4===0&&(year%100!==0||year%400===0);if(day>(month===2?(leapYear?29:28):30+(month+Math.floor(month/8))%2)){return null;}if(month<=2){year-=1;month+=12;}let daysBeforeYear=365*year+Math.floor(year/4)-Math.floor(year/100)+Math.floor(year/400);return daysBeforeYear+Math.floor((153*(month-3)+2)/5)+day-719469;}function parseClockTime(text){let parts=typeof text==="string"?text.split(":"):[];if(parts.length!==2||parts[0].length<1||parts[0].length>2||parts[1].length!==2){return null;}let hour=Number(parts[0]);let minute=Number(parts[1]);if(!(hour>=0&&hour<=23&&minute>=0&&minute<=59)||Math.floor(hour)!==hour||Math.floor(minute)!==minute){return null;}return hour*60+minute;}const LOG_LEVELS=["error","warn","info","debug"];let logBuffer=[];function logEvent(level,event,message,values){let enabled=CONFIG.debuggingOn?"debug":CONFIG.logLevel;if(LOG_LEVELS.indexOf(level)<=LOG_LEVELS.indexOf(enabled)){print(message);}if(level==="debug"||!(CONFIG.logBufferSize>0)){return;}let entry={time:unixtime(),uptime:Math.floor(uptime()),level:level,event:event,message:message};if(values!==undefined){entry.values=values;}logBuffer.push(entry);if(logBuffer.length>CONFIG.logBufferSize){logBuffer.splice(0,logBuffer.length-CONFIG.logBufferSize);}}function debugLog(message){logEvent("debug","debug",message);}function reportError(message,event,values){scriptStatus.lastError=message;logEvent("error",event||"error",message,values);}const MAX_CALLS_IN_FLIGHT=5;let callQueue=[];let callsInFlight=0;function queueCall(method,params,callback){callQueue.push({method:method,params:params,callback:callback});sendQueuedCalls();}function sendQueuedCalls(){while(callsInFlight<MAX_CALLS_IN_FLIGHT&&callQueue.length>0){sendCall(callQueue.shift());}}function sendCall(call){callsInFlight++;Shelly.call(call.method,call.params,function(result,error_code,error_message){callsInFlight--;if(call.callback){call.callback(result,error_code,error_message);}sendQueuedCalls();});}const KVS_MAX_VALUE_SIZE=253;function kvsValueSize(value){let text=JSON.stringify(value);let size=text.length;for(let i=0;i<text.length;i++){let code=text.charCodeAt(i);if(code>=0x80){size+=code>=0x800?2:1;}}return size;}function saveState(key,what,value){queueCall(
+"KVS.Set",{key:key,value:JSON.stringify(value)},function(result,error_code,error_message){if(error_code!==0){reportError("Error saving the "+what+": "+error_message);}});}function loadState(key,what,restore,callback){queueCall(
+"KVS.Get",{key:key},function(result,error_code,error_message){if(error_code===0&&result.value!==null){try{restore(JSON.parse(result.value));}catch(e){reportError("Ignoring the unreadable "+what+" in KVS: "+e);}}callback();});}function runInSequence(steps,callback){let next=function(i){if(i===steps.length){callback();return;}steps[i](function(){next(i+1);});};next(0);}const KVS_CONFIG_KEY="indirect_heating_alerts_config";const ALERT_EVENT="indirect_heating_alert";const REPEAT_CHECK_INTERVAL=60;const DEFAULT_CONFIG={url:"",format:"json",repeatInterval:43200,maxPerHour:10,logLevel:"info",};const CONFIG_SCHEMA={repeatInterval:{min:0,max:604800},maxPerHour:{min:0,max:100},};let CONFIG=Object.assign({},DEFAULT_CONFIG);let scriptStatus={lastError:""};let alerts={active:{},sent:[]};function validateConfig(loadedConfig){if(typeof loadedConfig!=="object"||loadedConfig===null||Array.isArray(loadedConfig)){return["The configuration must be a JSON object."];}let errors=[];Object.keys(loadedConfig).forEach(function(key){let value=loadedConfig[key];let rule=CONFIG_SCHEMA[key];if(rule){if(typeof value!=="number"||value<rule.min||value>rule.max||Math.floor(value)!==value){errors.push(key+" must be a whole number from "+rule.min+" to "+rule.max+".");}}else if(key==="url"){if(typeof value!=="string"||(value!==""&&value.indexOf("http://")!==0&&value.indexOf("https://")!==0)){errors.push("url must start with http:// or https://.");}}else if(key==="format"){if(value!=="json"&&value!=="text"){errors.push("format must be json or text.");}}else if(key==="logLevel"){if(LOG_LEVELS.indexOf(value)===-1){errors.push("logLevel must be one of "+LOG_LEVELS.join(", ")+".");}}else{errors.push(key+": unknown setting.");}});return errors;}function sendAlert(name,state,message){let now=uptime();alerts.sent=alerts.sent.filter(function(sentAt){return now-sentAt<3600;});if(CONFIG.maxPerHour>0&&alerts.sent.length>=CONFIG.maxPerHour){logEvent("warn","alert","Alert not sent, the limit of "+CONFIG.maxPerHour+" per hour is reached: "+message);return;}alerts.sent.push(now);let device=Shelly.getComponentConfig("sys").device.name;let params={url:CONFIG.url,timeout:10};if(CONFIG.format==="text"){params.body=(device?device+": ":"")+message;params.content_type="text/plain";}else{params.body=JSON.stringify({device:device,alert:name,state:state,message:message,time:unixtime()});params.content_type="application/json";}queueCall("HTTP.POST",params,function(result,error_code,error_message){if(error_code!==0||result.code>=300){reportError("Error sending the "+name+" alert: "+(error_code!==0?error_message:"HTTP "+result.code),"alert");}});}function handleAlertEvent(event){if(!event.info||event.info.event!==ALERT_EVENT||typeof event.info.data!=="object"||event.info.data===null){return;}let alert=event.info.data;if(alert.state==="raised"){alerts.active[alert.name]={message:alert.message,sentAt:uptime()};}else{delete alerts.active[alert.name];}sendAlert(alert.name,alert.state,alert.message);}function repeatAlerts(){let now=uptime();Object.keys(alerts.active).forEach(function(name){let alert=alerts.active[name];if(now-alert.sentAt>=CONFIG.repeatInterval){alert.sentAt=now;sendAlert(name,"repeated",alert.message);}});}function run(){if(CONFIG.url===""){logEvent("warn","config","No url in "+KVS_CONFIG_KEY+", no alerts are sent.");return;}Shelly.addEventHandler(handleAlertEvent);if(CONFIG.repeatInterval>0){Timer.set(REPEAT_CHECK_INTERVAL*1000,true,repeatAlerts);}debugLog("Sending the alerts to "+CONFIG.url+".");}function init(){loadState(KVS_CONFIG_KEY,"configuration",function(saved){let errors=validateConfig(saved);if(errors.length>0){throw errors.join(" ");}CONFIG=Object.assign({},DEFAULT_CONFIG,saved);},run);}init();
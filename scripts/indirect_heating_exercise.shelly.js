@@ -0,0 +1,5 @@
+// Generated from src/indirect_heating_exercise.shelly.js by tools/bundle.js, edit the sources instead.
+function uptime(){return Shelly.getComponentStatus('sys').uptime;}function unixtime(){let time=Shelly.getComponentStatus('sys').unixtime;return typeof time==="number"?time:null;}function localTime(){let sys=Shelly.getComponentStatus('sys');if(typeof sys.unixtime!=="number"||typeof sys.time!=="string"||sys.time.indexOf(":")===-1){return null;}let parts=sys.time.split(":");let hour=Number(parts[0]);let minute=Number(parts[1]);let offset=hour*60+minute-Math.floor(sys.unixtime/60)%1440;if(offset>840){offset-=1440;}else if(offset<-720){offset+=1440;}let day=Math.floor((sys.unixtime+offset*60)/86400);return{day:day,weekday:(day+4)%7,hour:hour,minute:minute};}function dayNumber(date){let parts=typeof date==="string"?date.split("-"):[];if(parts.length!==3){return null;}let year=Number(parts[0]);let month=Number(parts[1]);let day=Number(parts[2]);if(!(year>=1970&&month>=1&&month<=12&&day>=1)||Math.floor(year+month+day)!==year+month+day){return null;}let leapYear=year%4===0&&(year%100!==0||year%400===0);if(day>(month===2?(leapYear?29:28):30+(month+Math.floor(month/8))%2)){return null;}if(month<=2){year-=1;month+=12;}let daysBeforeYear=365*year+Math.floor(year/4)-Math.floor(year/100)+Math.floor(year/400);return daysBeforeYear+Math.floor((153*(month-3)+2)/5)+day-719469;}function parseClockTime(text){let parts=typeof text==="string"?text.split(":"):[];if(parts.length!==2||parts[0].length<1||parts[0].length>2||parts[1].length!==2){return null;}let hour=Number(parts[0]);let minute=Number(parts[1]);if(!(hour>=0&&hour<=23&&minute>=0&&minute<=59)||Math.floor(hour)!==hour||Math.floor(minute)!==minute){return null;}return hour*60+minute;}const LOG_LEVELS=["error","warn","info","debug"];let logBuffer=[];function logEvent(level,event,message,values){let enabled=CONFIG.debuggingOn?"debug":CONFIG.logLevel;if(LOG_LEVELS.indexOf(level)<=LOG_LEVELS.indexOf(enabled)){print(message);}if(level==="debug"||!(CONFIG.logBufferSize>0)){return;}let entry={time:unixtime(),uptime:Math.floor(uptime()),level:level,event:event,message:message};if(values!==undefined){entry.values=values;}logBuffer.push(entry);if(logBuffer.length>CONFIG.logBufferSize){logBuffer.splice(0,logBuffer.length-CONFIG.logBufferSize);}}function debugLog(message){logEvent("debug","debug",message);}function reportError(message,event,values){scriptStatus.lastError=message;logEvent("error",event||"error",message,values);}const MAX_CALLS_IN_FLIGHT=5;let callQueue=[];let callsInFlight=0;function queueCall(method,params,callback){callQueue.push({method:method,params:params,callback:callback});sendQueuedCalls();}function sendQueuedCalls(){while(callsInFlight<MAX_CALLS_IN_FLIGHT&&callQueue.length>0){sendCall(callQueue.shift());}}function sendCall(call){callsInFlight++;Shelly.call(call.method,call.params,function(result,error_code,error_message){callsInFlight--;if(call.callback){call.callback(result,error_code,error_message);}sendQueuedCalls();});}const KVS_MAX_VALUE_SIZE=253;function kvsValueSize(value){let text=JSON.stringify(value);let size=text.length;for(let i=0;i<text.length;i++){let code=text.charCodeAt(i);if(code>=0x80){size+=code>=0x800?2:1;}}return size;}function saveState(key,what,value){queueCall(
+"KVS.Set",{key:key,value:JSON.stringify(value)},function(result,error_code,error_message){if(error_code!==0){reportError("Error saving the "+what+": "+error_message);}});}function loadState(key,what,restore,callback){queueCall(
+"KVS.Get",{key:key},function(result,error_code,error_message){if(error_code===0&&result.value!==null){try{restore(JSON.parse(result.value));}catch(e){reportError("Ignoring the unreadable "+what+" in KVS: "+e);}}callback();});}function runInSequence(steps,callback){let next=function(i){if(i===steps.length){callback();return;}steps[i](function(){next(i+1);});};next(0);}const KVS_CONFIG_KEY="indirect_heating_exercise_config";const STATUS_EVENT="indirect_heating_status";const COMMAND_EVENT="indirect_heating_command";const KVS_STATE_KEY="indirect_heating_exercise";const CHECK_INTERVAL=60;const DEFAULT_CONFIG={intervalDays:7,duration:30,startHour:11,loops:[],logLevel:"info",};const CONFIG_SCHEMA={intervalDays:{min:1,max:365,integer:true},duration:{min:5,max:3600},startHour:{min:0,max:23,integer:true},};let CONFIG=Object.assign({},DEFAULT_CONFIG);let scriptStatus={lastError:""};let lastRuns={};let lastStatus=null;function validateConfig(loadedConfig){if(typeof loadedConfig!=="object"||loadedConfig===null||Array.isArray(loadedConfig)){return["The configuration must be a JSON object."];}let errors=[];Object.keys(loadedConfig).forEach(function(key){let value=loadedConfig[key];let rule=CONFIG_SCHEMA[key];if(rule){if(typeof value!=="number"||value<rule.min||value>rule.max||(rule.integer&&Math.floor(value)!==value)){errors.push(key+" must be a"+(rule.integer?" whole":"")+" number from "+rule.min+" to "+rule.max+".");}}else if(key==="loops"){if(!Array.isArray(value)||value.some(function(name){return typeof name!=="string";})){errors.push("loops must be a list of loop names.");}}else if(key==="logLevel"){if(LOG_LEVELS.indexOf(value)===-1){errors.push("logLevel must be one of "+LOG_LEVELS.join(", ")+".");}}else{errors.push(key+": unknown setting.");}});return errors;}function saveLastRuns(){saveState(KVS_STATE_KEY,"last runs",lastRuns);}function handleStatusEvent(event){if(!event.info||event.info.event!==STATUS_EVENT||typeof event.info.data!=="object"||event.info.data===null){return;}let now=unixtime();let previous=lastStatus;lastStatus=event.info.data;if(now===null){return;}let changed=false;lastStatus.loops.forEach(function(loop){let before=previous===null?[]:previous.loops.filter(function(other){return other.name===loop.name;});if(loop.pumpRunning){lastRuns[loop.name]=now;changed=changed||before.length===0;}else if(before.length>0&&before[0].pumpRunning){changed=true;}});if(changed){saveLastRuns();}}function exerciseDuePump(){let now=unixtime();let time=localTime();if(lastStatus===null||now===null||time===null||lastStatus.mode==="on"||lastStatus.mode==="off"){return;}let due=lastStatus.loops.filter(function(loop){if(CONFIG.loops.length>0&&CONFIG.loops.indexOf(loop.name)===-1){return false;}if(lastRuns[loop.name]===undefined){lastRuns[loop.name]=now;saveLastRuns();return false;}return now-lastRuns[loop.name]>=CONFIG.intervalDays*86400&&time.hour>=CONFIG.startHour&&!loop.pumpRunning&&
+loop.rule==="difference"&&lastStatus.hotWaterTemperature!==null&&lastStatus.hotWaterTemperature<loop.maxWaterTemp;});if(due.length===0){return;}let loop=due[0];let several=lastStatus.loops.length>1;logEvent("info","exercise","Exercising the pump"+(several?" "+loop.name:"")+" for "+CONFIG.duration+" s after "+CONFIG.intervalDays+" days without running.",{loop:loop.name});lastRuns[loop.name]=now;saveLastRuns();Shelly.emitEvent(COMMAND_EVENT,{action:"on",minutes:CONFIG.duration/60,loop:several?loop.name:null,source:"for an exercise run",});}function run(){Shelly.addEventHandler(handleStatusEvent);Timer.set(CHECK_INTERVAL*1000,true,exerciseDuePump);}function init(){runInSequence([function(callback){loadState(KVS_CONFIG_KEY,"configuration",function(saved){let errors=validateConfig(saved);if(errors.length>0){throw errors.join(" ");}CONFIG=Object.assign({},DEFAULT_CONFIG,saved);},callback);},function(callback){loadState(KVS_STATE_KEY,"last runs",function(saved){if(typeof saved!=="object"||saved===null||Array.isArray(saved)){throw "expected an object";}lastRuns=saved;},callback);}],run);}init();
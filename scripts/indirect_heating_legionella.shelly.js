@@ -0,0 +1,5 @@
+// Generated from src/indirect_heating_legionella.shelly.js by tools/bundle.js, edit the sources instead.
+function uptime(){return Shelly.getComponentStatus('sys').uptime;}function unixtime(){let time=Shelly.getComponentStatus('sys').unixtime;return typeof time==="number"?time:null;}function localTime(){let sys=Shelly.getComponentStatus('sys');if(typeof sys.unixtime!=="number"||typeof sys.time!=="string"||sys.time.indexOf(":")===-1){return null;}let parts=sys.time.split(":");let hour=Number(parts[0]);let minute=Number(parts[1]);let offset=hour*60+minute-Math.floor(sys.unixtime/60)%1440;if(offset>840){offset-=1440;}else if(offset<-720){offset+=1440;}let day=Math.floor((sys.unixtime+offset*60)/86400);return{day:day,weekday:(day+4)%7,hour:hour,minute:minute};}function dayNumber(date){let parts=typeof date==="string"?date.split("-"):[];if(parts.length!==3){return null;}let year=Number(parts[0]);let month=Number(parts[1]);let day=Number(parts[2]);if(!(year>=1970&&month>=1&&month<=12&&day>=1)||Math.floor(year+month+day)!==year+month+day){return null;}let leapYear=year%4===0&&(year%100!==0||year%400===0);if(day>(month===2?(leapYear?29:28):30+(month+Math.floor(month/8))%2)){return null;}if(month<=2){year-=1;month+=12;}let daysBeforeYear=365*year+Math.floor(year/4)-Math.floor(year/100)+Math.floor(year/400);return daysBeforeYear+Math.floor((153*(month-3)+2)/5)+day-719469;}function parseClockTime(text){let parts=typeof text==="string"?text.split(":"):[];if(parts.length!==2||parts[0].length<1||parts[0].length>2||parts[1].length!==2){return null;}let hour=Number(parts[0]);let minute=Number(parts[1]);if(!(hour>=0&&hour<=23&&minute>=0&&minute<=59)||Math.floor(hour)!==hour||Math.floor(minute)!==minute){return null;}return hour*60+minute;}const LOG_LEVELS=["error","warn","info","debug"];let logBuffer=[];function logEvent(level,event,message,values){let enabled=CONFIG.debuggingOn?"debug":CONFIG.logLevel;if(LOG_LEVELS.indexOf(level)<=LOG_LEVELS.indexOf(enabled)){print(message);}if(level==="debug"||!(CONFIG.logBufferSize>0)){return;}let entry={time:unixtime(),uptime:Math.floor(uptime()),level:level,event:event,message:message};if(values!==undefined){entry.values=values;}logBuffer.push(entry);if(logBuffer.length>CONFIG.logBufferSize){logBuffer.splice(0,logBuffer.length-CONFIG.logBufferSize);}}function debugLog(message){logEvent("debug","debug",message);}function reportError(message,event,values){scriptStatus.lastError=message;logEvent("error",event||"error",message,values);}const MAX_CALLS_IN_FLIGHT=5;let callQueue=[];let callsInFlight=0;function queueCall(method,params,callback){callQueue.push({method:method,params:params,callback:callback});sendQueuedCalls();}function sendQueuedCalls(){while(callsInFlight<MAX_CALLS_IN_FLIGHT&&callQueue.length>0){sendCall(callQueue.shift());}}function sendCall(call){callsInFlight++;Shelly.call(call.method,call.params,function(result,error_code,error_message){callsInFlight--;if(call.callback){call.callback(result,error_code,error_message);}sendQueuedCalls();});}const KVS_MAX_VALUE_SIZE=253;function kvsValueSize(value){let text=JSON.stringify(value);let size=text.length;for(let i=0;i<text.length;i++){let code=text.charCodeAt(i);if(code>=0x80){size+=code>=0x800?2:1;}}return size;}function saveState(key,what,value){queueCall(
+"KVS.Set",{key:key,value:JSON.stringify(value)},function(result,error_code,error_message){if(error_code!==0){reportError("Error saving the "+what+": "+error_message);}});}function loadState(key,what,restore,callback){queueCall(
+"KVS.Get",{key:key},function(result,error_code,error_message){if(error_code===0&&result.value!==null){try{restore(JSON.parse(result.value));}catch(e){reportError("Ignoring the unreadable "+what+" in KVS: "+e);}}callback();});}function runInSequence(steps,callback){let next=function(i){if(i===steps.length){callback();return;}steps[i](function(){next(i+1);});};next(0);}function decodeQueryPart(text){try{return decodeURIComponent(text);}catch(e){return text;}}function parseQuery(query){let params={};if(!query){return params;}query.split("&").forEach(function(pair){let parts=pair.split("=");if(parts[0]!==""){params[decodeQueryPart(parts[0])]=parts.length>1?decodeQueryPart(parts[1]):"";}});return params;}const KVS_CONFIG_KEY="indirect_heating_legionella_config";const STATUS_EVENT="indirect_heating_status";const COMMAND_EVENT="indirect_heating_command";const KVS_STATE_KEY="indirect_heating_legionella";const TOLERANCE=1;const DEFAULT_CONFIG={temperature:70,holdTime:1800,intervalDays:7,startHour:13,maxDuration:21600,logLevel:"info",};const CONFIG_SCHEMA={temperature:{min:55,max:95},holdTime:{min:60,max:86400},intervalDays:{min:1,max:90,integer:true},startHour:{min:0,max:23,integer:true},maxDuration:{min:600,max:86400},};let CONFIG=Object.assign({},DEFAULT_CONFIG);let scriptStatus={lastError:""};let legionella={lastDay:null,lastResult:null,active:false,startedAt:null,heldSince:null};function validateConfig(loadedConfig){if(typeof loadedConfig!=="object"||loadedConfig===null||Array.isArray(loadedConfig)){return["The configuration must be a JSON object."];}let errors=[];Object.keys(loadedConfig).forEach(function(key){let value=loadedConfig[key];let rule=CONFIG_SCHEMA[key];if(rule){if(typeof value!=="number"||value<rule.min||value>rule.max||(rule.integer&&Math.floor(value)!==value)){errors.push(key+" must be a"+(rule.integer?" whole":"")+" number from "+rule.min+" to "+rule.max+".");}}else if(key==="logLevel"){if(LOG_LEVELS.indexOf(value)===-1){errors.push("logLevel must be one of "+LOG_LEVELS.join(", ")+".");}}else{errors.push(key+": unknown setting.");}});let merged=Object.assign({},DEFAULT_CONFIG,loadedConfig);if(errors.length===0&&merged.holdTime>=merged.maxDuration){errors.push("holdTime ("+merged.holdTime+") must be shorter than maxDuration ("+merged.maxDuration+").");}return errors;}function sendHeatCommand(){let command={action:"heat",source:"for thermal disinfection"};if(legionella.active){command.temperature=CONFIG.temperature+TOLERANCE;command.minutes=Math.ceil((CONFIG.maxDuration-(uptime()-legionella.startedAt))/60);}Shelly.emitEvent(COMMAND_EVENT,command);}function finishCycle(success,message){legionella.active=false;legionella.startedAt=null;legionella.heldSince=null;legionella.lastResult=success?"success":"failed";if(success){logEvent("info","legionella",message);}else{reportError(message,"legionella");}saveState(KVS_STATE_KEY,"disinfection state",{lastDay:legionella.lastDay,lastResult:legionella.lastResult});sendHeatCommand();}function handleStatusEvent(event){if(!event.info||event.info.event!==STATUS_EVENT||typeof event.info.data!=="object"||event.info.data===null){return;}let status=event.info.data;let hotWaterTemperature=status.hotWaterTemperature;if(hotWaterTemperature===null){return;}let now=uptime();if(!legionella.active){let time=localTime();if(time===null||time.hour<CONFIG.startHour||
+(legionella.lastDay!==null&&time.day-legionella.lastDay<CONFIG.intervalDays)){return;}legionella.active=true;legionella.startedAt=now;legionella.heldSince=null;legionella.lastDay=time.day;logEvent("info","legionella","Starting thermal disinfection, heating the tank to "+CONFIG.temperature+"°C.");}if(hotWaterTemperature>=CONFIG.temperature){if(legionella.heldSince===null){legionella.heldSince=now;debugLog("Disinfection temperature reached, holding it for "+CONFIG.holdTime+" s.");}}else if(hotWaterTemperature<CONFIG.temperature-TOLERANCE){legionella.heldSince=null;}if(legionella.heldSince!==null&&now-legionella.heldSince>=CONFIG.holdTime){finishCycle(true,"Thermal disinfection completed, the tank held "+CONFIG.temperature+"°C for "+CONFIG.holdTime+" s.");}else if(now-legionella.startedAt>=CONFIG.maxDuration){finishCycle(false,"Thermal disinfection failed, the tank did not hold "+CONFIG.temperature+"°C within "+CONFIG.maxDuration+" s (now "+hotWaterTemperature+"°C).");}else if(status.heatTemperature!==CONFIG.temperature+TOLERANCE){sendHeatCommand();}}function handleHttpRequest(request,response){let params=parseQuery(request.query);if(params.action!==undefined){response.code=400;response.body=JSON.stringify({error:"Unknown action '"+params.action+"', there are none."});}else{response.code=200;response.headers=[["Content-Type","application/json"]];response.body=JSON.stringify({active:legionella.active,holding:legionella.heldSince!==null,lastDay:legionella.lastDay,lastResult:legionella.lastResult,lastError:scriptStatus.lastError,});}response.send();}function run(){Shelly.addEventHandler(handleStatusEvent);HTTPServer.registerEndpoint("status",handleHttpRequest);}function init(){runInSequence([function(callback){loadState(KVS_CONFIG_KEY,"configuration",function(saved){let errors=validateConfig(saved);if(errors.length>0){throw errors.join(" ");}CONFIG=Object.assign({},DEFAULT_CONFIG,saved);},callback);},function(callback){loadState(KVS_STATE_KEY,"disinfection state",function(saved){legionella.lastDay=saved.lastDay;legionella.lastResult=saved.lastResult;},callback);}],run);}init();
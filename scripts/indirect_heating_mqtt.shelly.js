@@ -0,0 +1,11 @@
+// Generated from src/indirect_heating_mqtt.shelly.js by tools/bundle.js, edit the sources instead.
+function uptime(){return Shelly.getComponentStatus('sys').uptime;}function unixtime(){let time=Shelly.getComponentStatus('sys').unixtime;return typeof time==="number"?time:null;}function localTime(){let sys=Shelly.getComponentStatus('sys');if(typeof sys.unixtime!=="number"||typeof sys.time!=="string"||sys.time.indexOf(":")===-1){return null;}let parts=sys.time.split(":");let hour=Number(parts[0]);let minute=Number(parts[1]);let offset=hour*60+minute-Math.floor(sys.unixtime/60)%1440;if(offset>840){offset-=1440;}else if(offset<-720){offset+=1440;}let day=Math.floor((sys.unixtime+offset*60)/86400);return{day:day,weekday:(day+4)%7,hour:hour,minute:minute};}function dayNumber(date){let parts=typeof date==="string"?date.split("-"):[];if(parts.length!==3){return null;}let year=Number(parts[0]);let month=Number(parts[1]);let day=Number(parts[2]);if(!(year>=1970&&month>=1&&month<=12&&day>=1)||Math.floor(year+month+day)!==year+month+day){return null;}let leapYear=year%4===0&&(year%100!==0||year%400===0);if(day>(month===2?(leapYear?29:28):30+(month+Math.floor(month/8))%2)){return null;}if(month<=2){year-=1;month+=12;}let daysBeforeYear=365*year+Math.floor(year/4)-Math.floor(year/100)+Math.floor(year/400);return daysBeforeYear+Math.floor((153*(month-3)+2)/5)+day-719469;}function parseClockTime(text){let parts=typeof text==="string"?text.split(":"):[];if(parts.length!==2||parts[0].length<1||parts[0].length>2||parts[1].length!==2){return null;}let hour=Number(parts[0]);let minute=Number(parts[1]);if(!(hour>=0&&hour<=23&&minute>=0&&minute<=59)||Math.floor(hour)!==hour||Math.floor(minute)!==minute){return null;}return hour*60+minute;}const LOG_LEVELS=["error","warn","info","debug"];let logBuffer=[];function logEvent(level,event,message,values){let enabled=CONFIG.debuggingOn?"debug":CONFIG.logLevel;if(LOG_LEVELS.indexOf(level)<=LOG_LEVELS.indexOf(enabled)){print(message);}if(level==="debug"||!(CONFIG.logBufferSize>0)){return;}let entry={time:unixtime(),uptime:Math.floor(uptime()),level:level,event:event,message:message};if(values!==undefined){entry.values=values;}logBuffer.push(entry);if(logBuffer.length>CONFIG.logBufferSize){logBuffer.splice(0,logBuffer.length-CONFIG.logBufferSize);}}function debugLog(message){logEvent("debug","debug",message);}function reportError(message,event,values){scriptStatus.lastError=message;logEvent("error",event||"error",message,values);}const MAX_CALLS_IN_FLIGHT=5;let callQueue=[];let callsInFlight=0;function queueCall(method,params,callback){callQueue.push({method:method,params:params,callback:callback});sendQueuedCalls();}function sendQueuedCalls(){while(callsInFlight<MAX_CALLS_IN_FLIGHT&&callQueue.length>0){sendCall(callQueue.shift());}}function sendCall(call){callsInFlight++;Shelly.call(call.method,call.params,function(result,error_code,error_message){callsInFlight--;if(call.callback){call.callback(result,error_code,error_message);}sendQueuedCalls();});}const KVS_MAX_VALUE_SIZE=253;function kvsValueSize(value){let text=JSON.stringify(value);let size=text.length;for(let i=0;i<text.length;i++){let code=text.charCodeAt(i);if(code>=0x80){size+=code>=0x800?2:1;}}return size;}function saveState(key,what,value){queueCall(
+"KVS.Set",{key:key,value:JSON.stringify(value)},function(result,error_code,error_message){if(error_code!==0){reportError("Error saving the "+what+": "+error_message);}});}function loadState(key,what,restore,callback){queueCall(
+"KVS.Get",{key:key},function(result,error_code,error_message){if(error_code===0&&result.value!==null){try{restore(JSON.parse(result.value));}catch(e){reportError("Ignoring the unreadable "+what+" in KVS: "+e);}}callback();});}function runInSequence(steps,callback){let next=function(i){if(i===steps.length){callback();return;}steps[i](function(){next(i+1);});};next(0);}const KVS_CONFIG_KEY="indirect_heating_mqtt_config";const STATUS_EVENT="indirect_heating_status";const COMMAND_EVENT="indirect_heating_command";const TOPIC_SUFFIX="indirect_heating";const STATE_FIELDS=[
+"hotWaterTemperature","heatingSourceTemperature","tankTopTemperature","tankBottomTemperature","pumpRunning","mode","modeRemaining","failSafeActive","pumpFault","frostProtection","lastDecision","lastError","loops",];const SELECT_MODES=["auto","on","off","boost"];const DEFAULT_CONFIG={topic:"",discoveryPrefix:"homeassistant",logLevel:"warn",};let CONFIG=Object.assign({},DEFAULT_CONFIG);let scriptStatus={lastError:""};let baseTopic=null;let lastStatus=null;let announced=null;function applyConfig(loadedConfig){if(typeof loadedConfig!=="object"||loadedConfig===null||Array.isArray(loadedConfig)){throw "the configuration must be a JSON object.";}let errors=[];Object.keys(loadedConfig).forEach(function(key){let value=loadedConfig[key];if(DEFAULT_CONFIG[key]===undefined){errors.push(key+": unknown setting.");}else if(typeof value!=="string"){errors.push(key+" must be a string.");}else if(key==="logLevel"&&LOG_LEVELS.indexOf(value)===-1){errors.push("logLevel must be one of "+LOG_LEVELS.join(", ")+".");}else if(value.indexOf("+")!==-1||value.indexOf("#")!==-1){errors.push(key+" must not contain the wildcards + or #.");}});if(errors.length>0){throw errors.join(" ");}CONFIG=Object.assign({},DEFAULT_CONFIG,loadedConfig);}function publishState(){if(lastStatus===null||!MQTT.isConnected()){return;}let state={};STATE_FIELDS.forEach(function(field){state[field]=lastStatus[field];});MQTT.publish(baseTopic+"/state",JSON.stringify(state),0,true);}function publishDiscovery(){if(lastStatus===null||CONFIG.discoveryPrefix===""||!MQTT.isConnected()){return;}let info=Shelly.getDeviceInfo();let prefix=Shelly.getComponentConfig("mqtt").topic_prefix;let device={identifiers:[info.id+"_"+TOPIC_SUFFIX],name:"Indirect heating tank pump",manufacturer:"Shelly",model:info.model};let temperature={device_class:"temperature",unit_of_measurement:"°C",state_class:"measurement"};let entities=[
+["sensor","tank_temperature",Object.assign({name:"Tank temperature",value_template:"{{ value_json.hotWaterTemperature }}"},temperature)],
+["sensor","source_temperature",Object.assign({name:"Heating source temperature",value_template:"{{ value_json.heatingSourceTemperature }}"},temperature)],
+["binary_sensor","pump",{name:"Pump",device_class:"running",value_template:"{{ 'ON' if value_json.pumpRunning else 'OFF' }}"}],
+["binary_sensor","fault",{name:"Fault",device_class:"problem",value_template:"{{ 'ON' if value_json.failSafeActive or value_json.pumpFault else 'OFF' }}"}],
+["select","mode",{name:"Mode",options:SELECT_MODES,command_topic:baseTopic+"/mode/set",value_template:"{{ value_json.mode }}"}],];if(lastStatus.tankTopTemperatureID!==null){entities.push(["sensor","tank_top_temperature",Object.assign({name:"Tank top temperature",value_template:"{{ value_json.tankTopTemperature }}"},temperature)]);}if(lastStatus.tankBottomTemperatureID!==null){entities.push(["sensor","tank_bottom_temperature",Object.assign({name:"Tank bottom temperature",value_template:"{{ value_json.tankBottomTemperature }}"},temperature)]);}if(lastStatus.loops.length>1){lastStatus.loops.forEach(function(loop,i){let field="value_json.loops["+i+"]";entities.push(["binary_sensor","pump_"+loop.switchID,{name:"Pump "+loop.name,device_class:"running",value_template:"{{ 'ON' if "+field+".pumpRunning else 'OFF' }}"}]);entities.push(["sensor","source_temperature_"+loop.switchID,Object.assign({name:"Heating source temperature "+loop.name,value_template:"{{ "+field+".heatingSourceTemperature }}"},temperature)]);});}entities.forEach(function(entity){let payload=Object.assign({unique_id:info.id+"_"+TOPIC_SUFFIX+"_"+entity[1],state_topic:baseTopic+"/state",availability_topic:prefix+"/online",payload_available:"true",payload_not_available:"false",device:device,},entity[2]);MQTT.publish(CONFIG.discoveryPrefix+"/"+entity[0]+"/"+info.id+"/"+entity[1]+"/config",JSON.stringify(payload),0,true);});}function handleStatusEvent(event){if(!event.info||event.info.event!==STATUS_EVENT||typeof event.info.data!=="object"||event.info.data===null){return;}lastStatus=event.info.data;let layout=JSON.stringify([
+lastStatus.loops.map(function(loop){return[loop.name,loop.switchID];}),lastStatus.tankTopTemperatureID!==null,lastStatus.tankBottomTemperatureID!==null,]);if(layout!==announced){announced=layout;publishDiscovery();}publishState();}function sendCommand(command){command.source="over MQTT";Shelly.emitEvent(COMMAND_EVENT,command);}function handleModeMessage(topic,message){if(message.charAt(0)!=="{"){sendCommand({action:message});return;}let command=null;try{command=JSON.parse(message);}catch(e){reportError("MQTT mode command is not valid JSON: "+e,"mqtt");return;}sendCommand({action:command.mode,minutes:command.minutes,until:command.until,loop:command.loop});}function handleConfigMessage(topic,message){let settings=null;try{settings=JSON.parse(message);}catch(e){reportError("MQTT config command is not valid JSON: "+e,"mqtt");return;}if(typeof settings!=="object"||settings===null||Array.isArray(settings)){reportError("MQTT config command must be a JSON object.","mqtt");return;}sendCommand({action:"config",settings:settings});}function run(){baseTopic=CONFIG.topic!==""?CONFIG.topic:Shelly.getComponentConfig("mqtt").topic_prefix+"/"+TOPIC_SUFFIX;MQTT.subscribe(baseTopic+"/mode/set",handleModeMessage);MQTT.subscribe(baseTopic+"/config/set",handleConfigMessage);MQTT.setConnectHandler(function(){publishDiscovery();publishState();});Shelly.addEventHandler(handleStatusEvent);debugLog("Bridging the pump script to "+baseTopic+".");}function init(){loadState(KVS_CONFIG_KEY,"configuration",applyConfig,run);}init();
@@ -0,0 +1,6 @@
+// Generated from src/indirect_heating_stats.shelly.js by tools/bundle.js, edit the sources instead.
+function uptime(){return Shelly.getComponentStatus('sys').uptime;}function unixtime(){let time=Shelly.getComponentStatus('sys').unixtime;return typeof time==="number"?time:null;}function localTime(){let sys=Shelly.getComponentStatus('sys');if(typeof sys.unixtime!=="number"||typeof sys.time!=="string"||sys.time.indexOf(":")===-1){return null;}let parts=sys.time.split(":");let hour=Number(parts[0]);let minute=Number(parts[1]);let offset=hour*60+minute-Math.floor(sys.unixtime/60)%1440;if(offset>840){offset-=1440;}else if(offset<-720){offset+=1440;}let day=Math.floor((sys.unixtime+offset*60)/86400);return{day:day,weekday:(day+4)%7,hour:hour,minute:minute};}function dayNumber(date){let parts=typeof date==="string"?date.split("-"):[];if(parts.length!==3){return null;}let year=Number(parts[0]);let month=Number(parts[1]);let day=Number(parts[2]);if(!(year>=1970&&month>=1&&month<=12&&day>=1)||Math.floor(year+month+day)!==year+month+day){return null;}let leapYear=year%4===0&&(year%100!==0||year%400===0);if(day>(month===2?(leapYear?29:28):30+(month+Math.floor(month/8))%2)){return null;}if(month<=2){year-=1;month+=12;}let daysBeforeYear=365*year+Math.floor(year/4)-Math.floor(year/100)+Math.floor(year/400);return daysBeforeYear+Math.floor((153*(month-3)+2)/5)+day-719469;}function parseClockTime(text){let parts=typeof text==="string"?text.split(":"):[];if(parts.length!==2||parts[0].length<1||parts[0].length>2||parts[1].length!==2){return null;}let hour=Number(parts[0]);let minute=Number(parts[1]);if(!(hour>=0&&hour<=23&&minute>=0&&minute<=59)||Math.floor(hour)!==hour||Math.floor(minute)!==minute){return null;}return hour*60+minute;}const LOG_LEVELS=["error","warn","info","debug"];let logBuffer=[];function logEvent(level,event,message,values){let enabled=CONFIG.debuggingOn?"debug":CONFIG.logLevel;if(LOG_LEVELS.indexOf(level)<=LOG_LEVELS.indexOf(enabled)){print(message);}if(level==="debug"||!(CONFIG.logBufferSize>0)){return;}let entry={time:unixtime(),uptime:Math.floor(uptime()),level:level,event:event,message:message};if(values!==undefined){entry.values=values;}logBuffer.push(entry);if(logBuffer.length>CONFIG.logBufferSize){logBuffer.splice(0,logBuffer.length-CONFIG.logBufferSize);}}function debugLog(message){logEvent("debug","debug",message);}function reportError(message,event,values){scriptStatus.lastError=message;logEvent("error",event||"error",message,values);}const MAX_CALLS_IN_FLIGHT=5;let callQueue=[];let callsInFlight=0;function queueCall(method,params,callback){callQueue.push({method:method,params:params,callback:callback});sendQueuedCalls();}function sendQueuedCalls(){while(callsInFlight<MAX_CALLS_IN_FLIGHT&&callQueue.length>0){sendCall(callQueue.shift());}}function sendCall(call){callsInFlight++;Shelly.call(call.method,call.params,function(result,error_code,error_message){callsInFlight--;if(call.callback){call.callback(result,error_code,error_message);}sendQueuedCalls();});}const KVS_MAX_VALUE_SIZE=253;function kvsValueSize(value){let text=JSON.stringify(value);let size=text.length;for(let i=0;i<text.length;i++){let code=text.charCodeAt(i);if(code>=0x80){size+=code>=0x800?2:1;}}return size;}function saveState(key,what,value){queueCall(
+"KVS.Set",{key:key,value:JSON.stringify(value)},function(result,error_code,error_message){if(error_code!==0){reportError("Error saving the "+what+": "+error_message);}});}function loadState(key,what,restore,callback){queueCall(
+"KVS.Get",{key:key},function(result,error_code,error_message){if(error_code===0&&result.value!==null){try{restore(JSON.parse(result.value));}catch(e){reportError("Ignoring the unreadable "+what+" in KVS: "+e);}}callback();});}function runInSequence(steps,callback){let next=function(i){if(i===steps.length){callback();return;}steps[i](function(){next(i+1);});};next(0);}function decodeQueryPart(text){try{return decodeURIComponent(text);}catch(e){return text;}}function parseQuery(query){let params={};if(!query){return params;}query.split("&").forEach(function(pair){let parts=pair.split("=");if(parts[0]!==""){params[decodeQueryPart(parts[0])]=parts.length>1?decodeQueryPart(parts[1]):"";}});return params;}const KVS_CONFIG_KEY="indirect_heating_stats_config";const STATUS_EVENT="indirect_heating_status";const KVS_STATS_KEY="indirect_heating_stats";const STATISTICS_RECORDS=["total","today","yesterday","thisWeek","lastWeek"];const UPDATE_INTERVAL=60;const DEFAULT_CONFIG={saveInterval:900,logLevel:"info",};let CONFIG=Object.assign({},DEFAULT_CONFIG);let scriptStatus={lastError:""};let statistics={updatedAt:null,savedAt:0};let lastStatus=null;let initialOutputs={};let energyReadings={};function validateConfig(loadedConfig){if(typeof loadedConfig!=="object"||loadedConfig===null||Array.isArray(loadedConfig)){return["The configuration must be a JSON object."];}let errors=[];Object.keys(loadedConfig).forEach(function(key){let value=loadedConfig[key];if(key==="saveInterval"){if(typeof value!=="number"||value<0||value>86400){errors.push("saveInterval must be a number from 0 to 86400.");}}else if(key==="logLevel"){if(LOG_LEVELS.indexOf(value)===-1){errors.push("logLevel must be one of "+LOG_LEVELS.join(", ")+".");}}else{errors.push(key+": unknown setting.");}});return errors;}function newStatisticsRecord(start){return{start:start,runtime:0,starts:0,aboveMax:0,energy:0};}function addStatistic(counter,amount){
+["total","today","thisWeek"].forEach(function(name){statistics[name][counter]+=amount;});}function rollStatistics(time){if(time===null){return;}let monday=time.day-(time.weekday+6)%7;
+[["today","yesterday",time.day,1],["thisWeek","lastWeek",monday,7]].forEach(function(period){let current=statistics[period[0]];if(current.start===null){current.start=period[2];}else if(current.start!==period[2]){statistics[period[1]]=current.start===period[2]-period[3]?current:newStatisticsRecord(period[2]-period[3]);statistics[period[0]]=newStatisticsRecord(period[2]);}});if(statistics.total.start===null){statistics.total.start=time.day;}}function updateStatistics(){let now=uptime();if(statistics.updatedAt!==null&&lastStatus!==null){let elapsed=now-statistics.updatedAt;lastStatus.loops.forEach(function(loop){if(loop.pumpRunning){addStatistic("runtime",elapsed);}});if(lastStatus.hotWaterTemperature!==null&&lastStatus.hotWaterTemperature>lastStatus.maxWaterTemp){addStatistic("aboveMax",elapsed);}}statistics.updatedAt=now;if(lastStatus!==null){lastStatus.loops.forEach(function(loop){let status=Shelly.getComponentStatus("switch",loop.switchID);if(status!==null&&status.aenergy&&typeof status.aenergy.total==="number"){let reading=energyReadings[loop.switchID];if(reading!==undefined){let consumed=status.aenergy.total-reading;addStatistic("energy",consumed>=0?consumed:status.aenergy.total);}energyReadings[loop.switchID]=status.aenergy.total;}});}rollStatistics(localTime());}function saveStatistics(){statistics.savedAt=uptime();saveState(KVS_STATS_KEY,"statistics",STATISTICS_RECORDS.map(function(name){let record=statistics[name];return[record.start,record.runtime,record.starts,record.aboveMax,Math.round(record.energy*10)/10];}));}function loadStatistics(callback){STATISTICS_RECORDS.forEach(function(name){statistics[name]=newStatisticsRecord(null);});loadState(KVS_STATS_KEY,"statistics",function(saved){if(!Array.isArray(saved)||saved.length!==STATISTICS_RECORDS.length){throw "expected "+STATISTICS_RECORDS.length+" records";}STATISTICS_RECORDS.forEach(function(name,i){let record=saved[i];statistics[name]={start:record[0],runtime:record[1],starts:record[2],aboveMax:record[3],energy:record[4]};});},callback);}function onUpdateTimer(){updateStatistics();if(CONFIG.saveInterval>0&&uptime()-statistics.savedAt>=CONFIG.saveInterval){saveStatistics();}}function handleStatusEvent(event){if(!event.info||event.info.event!==STATUS_EVENT||typeof event.info.data!=="object"||event.info.data===null){return;}updateStatistics();let previous=lastStatus;lastStatus=event.info.data;lastStatus.loops.forEach(function(loop){let wasRunning=initialOutputs[loop.switchID];if(previous!==null){let before=previous.loops.filter(function(other){return other.switchID===loop.switchID;});wasRunning=before.length>0?before[0].pumpRunning:undefined;}if(loop.pumpRunning&&wasRunning===false){addStatistic("starts",1);}});}function getStatistics(){let result={};STATISTICS_RECORDS.forEach(function(name){result[name]=Object.assign({},statistics[name],{energy:Math.round(statistics[name].energy*10)/10});});return result;}function handleHttpRequest(request,response){let params=parseQuery(request.query);if(params.action!==undefined){response.code=400;response.body=JSON.stringify({error:"Unknown action '"+params.action+"', there are none."});}else{updateStatistics();response.code=200;response.headers=[["Content-Type","application/json"]];response.body=JSON.stringify({statistics:getStatistics(),lastError:scriptStatus.lastError});}response.send();}function run(){updateStatistics();statistics.savedAt=uptime();Shelly.addEventHandler(handleStatusEvent);Timer.set(UPDATE_INTERVAL*1000,true,onUpdateTimer);HTTPServer.registerEndpoint("status",handleHttpRequest);}function init(){for(let id=0;id<4;id++){let status=Shelly.getComponentStatus("switch",id);if(status!==null){initialOutputs[id]=status.output;}}runInSequence([function(callback){loadState(KVS_CONFIG_KEY,"configuration",function(saved){let errors=validateConfig(saved);if(errors.length>0){throw errors.join(" ");}CONFIG=Object.assign({},DEFAULT_CONFIG,saved);},callback);},loadStatistics],run);}init();
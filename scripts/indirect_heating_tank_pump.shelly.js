@@ -1,174 +1,24 @@
-/**
- * @file Script for operating an electric pump for an indirect-heating tank
- * depending on the temperature difference of a heating water and water in the tank.
- * 
- * This script uses two digital thermomoters DS18B20 connected to Shelly Plus Add-on
- * and one Shelly Plus 1PM for operating the pump.
- * More at https://shelly-api-docs.shelly.cloud/gen2/Addons/ShellySensorAddon
- */
-
-/**
- * The key used to store and retrieve custom configuration from the Shelly Key-Value Store.
- * You can set your own values in the device web-interface: 
- *   Key: "indirect_heating_config",
- *   Value: { "scanInterval": 3, "maxWaterTemp": 30, "debuggingOn": true }"
- * 
- * See https://shelly-api-docs.shelly.cloud/gen2/ComponentsAndServices/KVS
- */
-const KVS_CONFIG_KEY = "indirect_heating_config";
-
-const DEFAULT_CONFIG = {
-  // The interval, in seconds, to check the temperatures and adjust the pump state.
-  scanInterval: 30,
-  // The ID of the thermometer for the water in the storage tank.
-  hotWaterTemperatureID: 100,
-  // The ID of the thermometer for the heating source (e.g., boiler, solar).
-  heatingSourceTemperatureID: 101,
-  // The water pump must not run if the temp is reached.
-  maxWaterTemp: 65,
-  // The water pump is waiting for this temperature difference.
-  waterPumpHysteresis: 7,
-  // Stop the pump when it's not efficient anymore.
-  waterPumpStopDifference: 5,
-  // Set to true to enable detailed logging.
-  debuggingOn: false,
-};
-
-// This will hold the active configuration, merged from defaults and KVS.
-let CONFIG = {};
-
-/**
- * @description Prints a message to the console only if debugging is enabled in the config.
- * @param {string} message The message to log.
- */
-function debugLog(message) {
-  if (CONFIG.debuggingOn) {
-    print(message);
-  }
-}
-/**
- * @returns {boolean} Whether the water pump switch is enabled.
- */
-function waterPumpRunning() {
-  return Shelly.getComponentStatus('Switch', 0).output;
-}
-
-/**
- * @description Starts the water pump if it is not already running.
- * It calls the Shelly RPC to turn the switch on.
- */
-function startWaterPump() {
-  Shelly.call(
-    "Switch.Set",
-    { id: 0, on: true },
-    function (result, error_code, error_message) {
-      if (error_code !== 0) {
-        debugLog("Error starting pump: " + error_message);
-        return;
-      }
-      debugLog("Water pump was started successfully.");
-    }
-  );
-}
-
-/**
- * @description Stops the water pump if it is currently running.
- * It calls the Shelly RPC to turn the switch off.
- */
-function stopWaterPump() {
-  Shelly.call(
-    "Switch.Set",
-    { id: 0, on: false },
-    function (result, error_code, error_message) {
-      if (error_code !== 0) {
-        debugLog("Error stopping pump: " + error_message);
-        return;
-      }
-      debugLog("Water pump was stopped successfully.");
-    }
-  );
-}
-
-/**
- * @description Core logic function that is executed periodically by the timer.
- * It fetches the latest temperatures from the sensors, evaluates the heating logic
- * based on the CONFIG settings, and calls startWaterPump() or stopWaterPump()
- * accordingly. It also handles potential errors during sensor reads.
- */
-function checkAndAdjust(config) {
-  try {
-    let hotWaterTemperature = Shelly.getComponentStatus('Temperature', config.hotWaterTemperatureID).tC;
-    let heatingSourceTemperature = Shelly.getComponentStatus('Temperature', config.heatingSourceTemperatureID).tC;
-
-    debugLog("Storage Tank Temp: " + hotWaterTemperature + "°C, Heating Source Temp: " + heatingSourceTemperature + "°C");
-
-    // Stop Condition 1: Maximum temperature reached.
-    if (hotWaterTemperature >= config.maxWaterTemp && waterPumpRunning()) {
-      debugLog("Storage tank at maximum temperature (" + hotWaterTemperature + "°C), stopping pump...");
-      stopWaterPump();
-    // Stop Condition 2: Inefficient temperature difference.
-    } else if (heatingSourceTemperature <= (hotWaterTemperature + config.waterPumpStopDifference) && waterPumpRunning()) {
-      debugLog("Temperature difference is too low, stopping pump for efficiency...");
-      stopWaterPump();
-    // Start Condition: Max water temp is not reached yet and heating source is sufficiently hotter than the tank
-    } else if (hotWaterTemperature < config.maxWaterTemp && heatingSourceTemperature >= (hotWaterTemperature + config.waterPumpHysteresis) && !waterPumpRunning()) {
-      debugLog("Heating source is hot enough, starting pump...");
-      startWaterPump();
-    }
-  } catch (err) {
-    debugLog("Error: " + err);
-  }
-}
-
-/**
- * @description This function contains the logic that runs after configuration is loaded.
- */
-function run() {
-  // Initialize in a known state.
-  stopWaterPump();
-  // Run a check immediately.
-  checkAndAdjust(CONFIG);
-  // Start the recurring timer.
-  Timer.set(CONFIG.scanInterval * 1000, true, function() { checkAndAdjust(CONFIG); });
-}
-
-/**
- * @description Initializes the script on startup.
- * It ensures the pump is stopped initially, runs a single check immediately,
- * and then sets up a recurring timer to periodically run the checkAndAdjust
- * function based on the scanInterval in CONFIG.
- */
-function init() {
-  // Try to load configuration from the Key-Value Store.
-  Shelly.call(
-    "KVS.Get",
-    { key: KVS_CONFIG_KEY },
-    function (result, error_code, error_message) {
-      let loadedConfig = {};
-      if (error_code === 0 && result.value !== null) {
-        // Successfully loaded config from KVS
-        try {
-          loadedConfig = JSON.parse(result.value);
-        } catch (e) {
-          // Error parsing, loadedConfig remains empty, defaults will be used.
-        }
-      }
-
-      // Merge the loaded configuration over the defaults.
-      // This allows users to only override the values they need to.
-      CONFIG = Object.assign({}, DEFAULT_CONFIG, loadedConfig);
-
-      // Now that CONFIG is set, we can safely log the outcome.
-      if (Object.keys(loadedConfig).length > 0) {
-        debugLog("Custom configuration loaded from KVS:" + JSON.stringify(loadedConfig));
-      } else {
-        debugLog("No custom configuration found in KVS. Using default settings.");
-      }
-
-      // Now that config is loaded, proceed with script initialization.
-      run();
-    }
-  );
-}
-
-init(); // Start the initialization process.
+// Generated from src/indirect_heating_tank_pump.shelly.js by tools/bundle.js, edit the sources instead.
+const KVS_CONFIG_KEY="indirect_heating_config";const MAX_CONFIG_PARTS=5;const HTTP_ENDPOINT="status";const STATUS_EVENT="indirect_heating_status";const ALERT_EVENT="indirect_heating_alert";const COMMAND_EVENT="indirect_heating_command";const DEFAULT_FORCE_MINUTES=60;const KVS_MODE_KEY="indirect_heating_mode";const KVS_PUMP_KEY="indirect_heating_pump";const BUTTON_MODES={single_push:"boost",double_push:"on",long_push:"off"};const MODES=["auto","on","off","holiday","boost"];const KVS_LOG_KEY="indirect_heating_log";const LOG_KVS_VALUES=3;const ADDON_MAX_SENSORS=5;const ALERTS=["sensor","pump","tank","runtime","frost"];const ALERT_TEMP_HYSTERESIS=2;const FROST_HYSTERESIS=2;const POWER_FAULT_SCANS=3;const WEEKDAYS=["sun","mon","tue","wed","thu","fri","sat"];const SCHEDULE_OVERRIDES=["maxWaterTemp","waterPumpHysteresis","waterPumpStopDifference"];const MAX_SCHEDULE_WINDOWS=10;const DEFAULT_LOOP_NAME="pump";const MAX_LOOPS=2;const LOOP_SETTINGS=[
+"heatingSourceTemperatureID","heatingSourceAggregation","maxWaterTemp","waterPumpHysteresis","waterPumpStopDifference","minPumpOnTime","minPumpOffTime","maxPumpStartsPerHour","sensorFaultPumpState","pumpMinPower","pumpMaxPower","pumpPowerDelay",];const MOVED_SETTINGS={"indirect_heating_mqtt.shelly.js":["mqttEnabled","mqttTopic","mqttDiscoveryPrefix"],"indirect_heating_alerts.shelly.js":["alertUrl","alertFormat","alertRepeatInterval","alertMaxPerHour"],"indirect_heating_stats.shelly.js":["statsSaveInterval"],"indirect_heating_adaptive.shelly.js":["adaptiveEnabled","adaptiveMinRise","adaptiveMinRunTime","adaptiveHysteresisMin","adaptiveHysteresisMax","adaptiveStopDifferenceMin","adaptiveStopDifferenceMax"],"indirect_heating_exercise.shelly.js":["exerciseIntervalDays","exerciseDuration","exerciseStartHour"],"indirect_heating_legionella.shelly.js":["legionellaEnabled","legionellaTemp","legionellaHoldTime","legionellaIntervalDays","legionellaStartHour","legionellaMaxDuration"],};const DEFAULT_CONFIG={scanInterval:60,eventTempDelta:0.5,hotWaterTemperatureID:100,hotWaterAggregation:"primary",heatingSourceTemperatureID:101,heatingSourceAggregation:"primary",tankTopTemperatureID:null,tankBottomTemperatureID:null,stopReference:"tank",startReference:"tank",maxWaterTemp:65,waterPumpHysteresis:7,waterPumpStopDifference:5,sensorMinTemp:-20,sensorMaxTemp:110,sensorMaxJump:15,sensorFrozenTime:0,sensorFaultThreshold:3,sensorFaultPumpState:"off",minPumpOnTime:120,minPumpOffTime:120,maxPumpStartsPerHour:6,manualSwitchMinutes:60,modeInputID:null,holidayMaxWaterTemp:45,boostTempIncrease:10,boostMaxDuration:14400,schedule:[],switchRetries:3,switchRetryDelay:5,pumpMinPower:0,pumpMaxPower:0,pumpPowerDelay:30,alertTankMargin:5,alertMaxRunTime:21600,frostProtectionTemp:null,frostProtectionPump:true,loops:[],configReloadInterval:300,logLevel:"info",logBufferSize:20,debuggingOn:false,};const CONFIG_SCHEMA={scanInterval:{type:"number",min:1,max:3600},eventTempDelta:{type:"number",min:0,max:10},hotWaterTemperatureID:{type:"number",min:100,max:199,integer:true,list:true},hotWaterAggregation:{type:"string",values:["primary","min","max","avg"]},heatingSourceTemperatureID:{type:"number",min:100,max:199,integer:true,list:true},heatingSourceAggregation:{type:"string",values:["primary","min","max","avg"]},tankTopTemperatureID:{type:"number",min:100,max:199,integer:true,nullable:true},tankBottomTemperatureID:{type:"number",min:100,max:199,integer:true,nullable:true},stopReference:{type:"string",values:["tank","top","bottom"]},startReference:{type:"string",values:["tank","top","bottom"]},maxWaterTemp:{type:"number",min:20,max:95},waterPumpHysteresis:{type:"number",min:0.5,max:50},waterPumpStopDifference:{type:"number",min:0,max:50},sensorMinTemp:{type:"number",min:-55,max:125},sensorMaxTemp:{type:"number",min:-55,max:125},sensorMaxJump:{type:"number",min:1,max:100},sensorFrozenTime:{type:"number",min:0,max:604800},sensorFaultThreshold:{type:"number",min:1,max:100,integer:true},sensorFaultPumpState:{type:"string",values:["off","on"]},minPumpOnTime:{type:"number",min:0,max:86400},minPumpOffTime:{type:"number",min:0,max:86400},maxPumpStartsPerHour:{type:"number",min:0,max:60,integer:true},manualSwitchMinutes:{type:"number",min:0,max:1440},modeInputID:{type:"number",min:0,max:199,integer:true,nullable:true},holidayMaxWaterTemp:{type:"number",min:20,max:95},boostTempIncrease:{type:"number",min:1,max:30},boostMaxDuration:{type:"number",min:600,max:86400},schedule:{type:"schedule"},switchRetries:{type:"number",min:0,max:10,integer:true},switchRetryDelay:{type:"number",min:1,max:600},pumpMinPower:{type:"number",min:0,max:4000},pumpMaxPower:{type:"number",min:0,max:4000},pumpPowerDelay:{type:"number",min:0,max:3600},alertTankMargin:{type:"number",min:1,max:50},alertMaxRunTime:{type:"number",min:0,max:604800},frostProtectionTemp:{type:"number",min:-20,max:20,nullable:true},frostProtectionPump:{type:"boolean"},loops:{type:"loops"},configReloadInterval:{type:"number",min:0,max:86400},logLevel:{type:"string",values:["error","warn","info","debug"]},logBufferSize:{type:"number",min:0,max:30,integer:true},debuggingOn:{type:"boolean"},};let CONFIG={};let scanTimer=null;let configLoadedAt=0;const SENSOR_ERROR_VALUE=-127;let sensorStates={};let loops=[];let operatingMode={mode:"auto",until:null,untilDay:null,loop:null,resume:null};let scheduleState={windows:[],blocked:false,overrides:{}};let alerts={};let scriptStatus={hotWaterTemperature:null,heatingSourceTemperature:null,tankTopTemperature:null,tankBottomTemperature:null,lastDecision:"",lastError:"",configErrors:[],};let heatRequest={temperature:null,until:null,highest:null};let frost={active:false,coldest:null};function uptime(){return Shelly.getComponentStatus('sys').uptime;}function unixtime(){let time=Shelly.getComponentStatus('sys').unixtime;return typeof time==="number"?time:null;}function localTime(){let sys=Shelly.getComponentStatus('sys');if(typeof sys.unixtime!=="number"||typeof sys.time!=="string"||sys.time.indexOf(":")===-1){return null;}let parts=sys.time.split(":");let hour=Number(parts[0]);let minute=Number(parts[1]);let offset=hour*60+minute-Math.floor(sys.unixtime/60)%1440;if(offset>840){offset-=1440;}else if(offset<-720){offset+=1440;}let day=Math.floor((sys.unixtime+offset*60)/86400);return{day:day,weekday:(day+4)%7,hour:hour,minute:minute};}function dayNumber(date){let parts=typeof date==="string"?date.split("-"):[];if(parts.length!==3){return null;}let year=Number(parts[0]);let month=Number(parts[1]);let day=Number(parts[2]);if(!(year>=1970&&month>=1&&month<=12&&day>=1)||Math.floor(year+month+day)!==year+month+day){return null;}let leapYear=year%4===0&&(year%100!==0||year%400===0);if(day>(month===2?(leapYear?29:28):30+(month+Math.floor(month/8))%2)){return null;}if(month<=2){year-=1;month+=12;}let daysBeforeYear=365*year+Math.floor(year/4)-Math.floor(year/100)+Math.floor(year/400);return daysBeforeYear+Math.floor((153*(month-3)+2)/5)+day-719469;}function parseClockTime(text){let parts=typeof text==="string"?text.split(":"):[];if(parts.length!==2||parts[0].length<1||parts[0].length>2||parts[1].length!==2){return null;}let hour=Number(parts[0]);let minute=Number(parts[1]);if(!(hour>=0&&hour<=23&&minute>=0&&minute<=59)||Math.floor(hour)!==hour||Math.floor(minute)!==minute){return null;}return hour*60+minute;}const LOG_LEVELS=["error","warn","info","debug"];let logBuffer=[];function logEvent(level,event,message,values){let enabled=CONFIG.debuggingOn?"debug":CONFIG.logLevel;if(LOG_LEVELS.indexOf(level)<=LOG_LEVELS.indexOf(enabled)){print(message);}if(level==="debug"||!(CONFIG.logBufferSize>0)){return;}let entry={time:unixtime(),uptime:Math.floor(uptime()),level:level,event:event,message:message};if(values!==undefined){entry.values=values;}logBuffer.push(entry);if(logBuffer.length>CONFIG.logBufferSize){logBuffer.splice(0,logBuffer.length-CONFIG.logBufferSize);}}function debugLog(message){logEvent("debug","debug",message);}function reportError(message,event,values){scriptStatus.lastError=message;logEvent("error",event||"error",message,values);}function reportDecision(loop,rule,decision){loop.rule=rule;loop.lastDecision=decision;scriptStatus.lastDecision=loops.length===1?decision:loops.map(function(other){return other.name+": "+other.lastDecision;}).join("; ");logEvent(loop.switched?"info":"debug","decision","Decision: "+loopPrefix(loop)+decision,{loop:loop.name,tank:scriptStatus.hotWaterTemperature,source:loop.sourceTemperature});loop.switched=false;}const MAX_CALLS_IN_FLIGHT=5;let callQueue=[];let callsInFlight=0;function queueCall(method,params,callback){callQueue.push({method:method,params:params,callback:callback});sendQueuedCalls();}function sendQueuedCalls(){while(callsInFlight<MAX_CALLS_IN_FLIGHT&&callQueue.length>0){sendCall(callQueue.shift());}}function sendCall(call){callsInFlight++;Shelly.call(call.method,call.params,function(result,error_code,error_message){callsInFlight--;if(call.callback){call.callback(result,error_code,error_message);}sendQueuedCalls();});}const KVS_MAX_VALUE_SIZE=253;function kvsValueSize(value){let text=JSON.stringify(value);let size=text.length;for(let i=0;i<text.length;i++){let code=text.charCodeAt(i);if(code>=0x80){size+=code>=0x800?2:1;}}return size;}function saveState(key,what,value){queueCall(
+"KVS.Set",{key:key,value:JSON.stringify(value)},function(result,error_code,error_message){if(error_code!==0){reportError("Error saving the "+what+": "+error_message);}});}function loadState(key,what,restore,callback){queueCall(
+"KVS.Get",{key:key},function(result,error_code,error_message){if(error_code===0&&result.value!==null){try{restore(JSON.parse(result.value));}catch(e){reportError("Ignoring the unreadable "+what+" in KVS: "+e);}}callback();});}function runInSequence(steps,callback){let next=function(i){if(i===steps.length){callback();return;}steps[i](function(){next(i+1);});};next(0);}function decodeQueryPart(text){try{return decodeURIComponent(text);}catch(e){return text;}}function parseQuery(query){let params={};if(!query){return params;}query.split("&").forEach(function(pair){let parts=pair.split("=");if(parts[0]!==""){params[decodeQueryPart(parts[0])]=parts.length>1?decodeQueryPart(parts[1]):"";}});return params;}function newLoop(name,switchID){return{name:name,switchID:switchID,backupFor:null,settings:{},pumpState:{on:null,changedAt:null,starts:[],pending:0},switchCommand:{on:null,attempts:0,timer:null},pumpFault:"",powerFaults:0,failSafeActive:false,startingUp:true,canHeat:false,sourceTemperature:null,rule:null,lastDecision:"",switched:false,learned:null,};}function buildLoops(config){let definitions=config.loops.length>0?config.loops:[{name:DEFAULT_LOOP_NAME,switchID:0}];let previous=loops;loops=definitions.map(function(definition){let loop=previous.filter(function(old){return old.switchID===definition.switchID;})[0];if(loop===undefined){loop=newLoop(definition.name,definition.switchID);}loop.name=definition.name;loop.backupFor=definition.backupFor===undefined?null:definition.backupFor;loop.settings={};LOOP_SETTINGS.forEach(function(key){if(definition[key]!==undefined){loop.settings[key]=definition[key];}});return loop;});previous.forEach(function(old){if(loops.indexOf(old)===-1&&waterPumpRunning(old)){logEvent("info","loops","Switch "+old.switchID+" is not used by any loop anymore, stopping its pump.");stopWaterPump(old);}});}function loopConfig(config,loop){return Object.keys(loop.settings).length>0?Object.assign({},config,loop.settings):config;}function loopPrefix(loop){return loops.length>1?loop.name+": ":"";}function waterPumpRunning(loop){let status=Shelly.getComponentStatus('Switch',loop.switchID);return status!==null&&status.output===true;}function recordPumpTransition(loop,on){let pumpState=loop.pumpState;if(pumpState.on===on){return;}if(pumpState.on===null){pumpState.on=on;return;}let now=uptime();pumpState.on=on;pumpState.changedAt=now;if(on){pumpState.starts=pumpState.starts.filter(function(startedAt){return now-startedAt<3600;});pumpState.starts.push(now);}savePumpState(loop);publishState();}function pumpStateKey(loop){return loop.switchID===0?KVS_PUMP_KEY:KVS_PUMP_KEY+"_"+loop.switchID;}function savePumpState(loop){let now=unixtime();if(now===null){return;}let offset=now-uptime();let pumpState=loop.pumpState;let starts=pumpState.starts.filter(function(startedAt){return uptime()-startedAt<3600;});saveState(pumpStateKey(loop),"pump state",{on:pumpState.on,changedAt:pumpState.changedAt===null?null:pumpState.changedAt+offset,starts:starts.length,firstStart:starts.length>0?starts[0]+offset:null,lastStart:starts.length>0?starts[starts.length-1]+offset:null,});}function storedStarts(saved){if(Array.isArray(saved.starts)){return saved.starts;}let starts=[];if(typeof saved.starts!=="number"||typeof saved.firstStart!=="number"||typeof saved.lastStart!=="number"){return starts;}for(let i=0;i<saved.starts;i++){starts.push(i===saved.starts-1?saved.lastStart:Math.round(saved.firstStart+(saved.lastStart-saved.firstStart)*i/(saved.starts-1)));}return starts;}function loadPumpState(callback){runInSequence(loops.map(function(loop){return function(done){loadState(pumpStateKey(loop),"pump state",function(saved){let now=unixtime();if(now===null){return;}let offset=now-uptime();let on=waterPumpRunning(loop);let pumpState=loop.pumpState;pumpState.on=on;pumpState.changedAt=saved.on===on&&typeof saved.changedAt==="number"?saved.changedAt-offset:null;pumpState.starts=storedStarts(saved)
+.filter(function(startedAt){return now-startedAt<3600;})
+.map(function(startedAt){return startedAt-offset;});debugLog(loopPrefix(loop)+"Restored the pump state from KVS, the pump is "+(on?"running":"off")+
+(pumpState.changedAt===null?"":" since "+(now-saved.changedAt)+" s")+" with "+pumpState.starts.length+" starts in the last hour.");},done);};}),callback);}function trackPumpState(loop){let on=waterPumpRunning(loop);let pumpState=loop.pumpState;if(pumpState.pending>0){return;}if(pumpState.on===null){pumpState.on=on;}else if(pumpState.on!==on){debugLog(loopPrefix(loop)+"Pump was switched "+(on?"on":"off")+" outside of the script.");loop.rule="manual";recordPumpTransition(loop,on);if(CONFIG.manualSwitchMinutes>0&&unixtime()!==null&&loop.pumpFault===""){let only=loops.length>1?loop.name:null;let resume=operatingMode.resume;if(operatingMode.mode==="holiday"||operatingMode.mode==="boost"){resume={mode:operatingMode.mode,until:operatingMode.until,untilDay:operatingMode.untilDay};}enterMode(on?"on":"off",unixtime()+Math.round(CONFIG.manualSwitchMinutes*60),null,only,
+(only===null?"Pump":"Pump "+only)+" forced "+(on?"on":"off")+" for "+CONFIG.manualSwitchMinutes+" minutes after it was switched by hand"+
+(resume===null?".":", "+resume.mode+" mode resumes afterwards."),resume);}}}function pumpSwitchBlocked(loop,on,config){let now=uptime();let pumpState=loop.pumpState;let elapsed=pumpState.changedAt===null?null:now-pumpState.changedAt;if(!on&&elapsed!==null&&elapsed<config.minPumpOnTime){return "minimum run time not reached ("+elapsed+"/"+config.minPumpOnTime+" s)";}if(on&&elapsed!==null&&elapsed<config.minPumpOffTime){return "minimum off time not reached ("+elapsed+"/"+config.minPumpOffTime+" s)";}if(on&&config.maxPumpStartsPerHour>0){pumpState.starts=pumpState.starts.filter(function(startedAt){return now-startedAt<3600;});if(pumpState.starts.length>=config.maxPumpStartsPerHour){return "limit of "+config.maxPumpStartsPerHour+" starts per hour reached";}}return "";}function startWaterPump(loop){switchPump(loop,true);}function stopWaterPump(loop){switchPump(loop,false);}function switchPump(loop,on){if(loop.switchCommand.on===on&&(loop.switchCommand.timer!==null||loop.pumpState.pending>0)){return;}if(loop.switchCommand.timer!==null){Timer.clear(loop.switchCommand.timer);}loop.switchCommand={on:on,attempts:0,timer:null};loop.switched=true;sendSwitchCommand(loop);}function sendSwitchCommand(loop){let on=loop.switchCommand.on;let action=on?"starting":"stopping";loop.switchCommand.attempts++;loop.pumpState.pending++;queueCall(
+"Switch.Set",{id:loop.switchID,on:on},function(result,error_code,error_message){loop.pumpState.pending--;let current=loop.switchCommand.on===on;let error="";if(error_code!==0){error=error_message;}else if(current&&waterPumpRunning(loop)!==on){error="the output is still "+(on?"off":"on");}if(error===""){recordPumpTransition(loop,on);if(current){loop.switchCommand={on:null,attempts:0,timer:null};}debugLog(loopPrefix(loop)+"Water pump was "+(on?"started":"stopped")+" successfully.");return;}reportError(loopPrefix(loop)+"Error "+action+" pump: "+error);if(!current){return;}if(loop.switchCommand.attempts<=CONFIG.switchRetries){let delay=CONFIG.switchRetryDelay*Math.pow(2,loop.switchCommand.attempts-1);debugLog("Retrying in "+delay+" s.");loop.switchCommand.timer=Timer.set(delay*1000,false,function(){loop.switchCommand.timer=null;sendSwitchCommand(loop);});}else{let attempts=loop.switchCommand.attempts;loop.switchCommand={on:null,attempts:0,timer:null};setPumpFault(loop,action+" failed "+attempts+" times: "+error);}});}function setPumpFault(loop,reason){if(loop.pumpFault!==""){return;}loop.pumpFault=reason;logEvent("error","pump_fault",loopPrefix(loop)+"Pump fault, "+reason+". The pump is held off until the fault is reset.",{loop:loop.name});raiseAlert(alertName("pump",loop),loopPrefix(loop)+"Pump fault, "+reason+".");}function resetPumpFault(source){loops.forEach(function(loop){if(loop.pumpFault===""){return;}loop.pumpFault="";loop.powerFaults=0;logEvent("info","pump_fault",loopPrefix(loop)+"Pump fault reset "+source+", resuming automatic control.",{loop:loop.name});clearAlert(alertName("pump",loop),loopPrefix(loop)+"The pump fault was reset.");});}function checkSwitchErrors(loop){let status=Shelly.getComponentStatus('Switch',loop.switchID);if(status===null){setPumpFault(loop,"there is no switch "+loop.switchID+" on this device");}else if(status.errors&&status.errors.length>0){setPumpFault(loop,"the switch reports "+status.errors.join(", "));}}function checkPumpPower(loop){let config=loopConfig(CONFIG,loop);let status=Shelly.getComponentStatus('Switch',loop.switchID);let settling=loop.pumpState.changedAt!==null&&uptime()-loop.pumpState.changedAt<config.pumpPowerDelay;if(status===null||!status.output||typeof status.apower!=="number"||settling||loop.pumpFault!==""){loop.powerFaults=0;return;}let problem="";if(config.pumpMinPower>0&&status.apower<config.pumpMinPower){problem="the pump draws only "+status.apower+" W, it may run dry or be disconnected";}else if(config.pumpMaxPower>0&&status.apower>config.pumpMaxPower){problem="the pump draws "+status.apower+" W, it may be blocked or seized";}if(problem===""){loop.powerFaults=0;return;}loop.powerFaults++;reportError(loopPrefix(loop)+"Power check failed, "+problem+" ("+loop.powerFaults+"/"+POWER_FAULT_SCANS+")","power",{loop:loop.name,power:status.apower});if(loop.powerFaults>=POWER_FAULT_SCANS){setPumpFault(loop,problem);}}function alertName(name,loop){return loops.length>1?name+":"+loop.name:name;}function activeAlerts(){return Object.keys(alerts).sort(function(a,b){return ALERTS.indexOf(a.split(":")[0])-ALERTS.indexOf(b.split(":")[0]);});}function logExcerptEntry(entry,room){let item=[entry.time,entry.level,entry.event];if(entry.level!=="error"&&entry.event!=="alert"){return item;}item.push(entry.message);if(entry.values!==undefined){item.push(entry.values);if(kvsValueSize(item)>room){item.pop();}}let message=entry.message;let excess=kvsValueSize(item)-room;while(excess>0&&message.length>0){message=message.slice(0,Math.max(0,message.length-excess-3));item[3]=message+"...";excess=kvsValueSize(item)-room;}return item;}function saveLog(reason){if(logBuffer.length===0){return;}let values=[{savedAt:unixtime(),reason:reason,parts:LOG_KVS_VALUES,entries:[]}];let entries=values[0].entries;let size=kvsValueSize(values[0]);for(let i=logBuffer.length-1;i>=0;i--){let item=logExcerptEntry(logBuffer[i],KVS_MAX_VALUE_SIZE-2);let itemSize=kvsValueSize(item)+(entries.length>0?1:0);if(size+itemSize>KVS_MAX_VALUE_SIZE){if(values.length===LOG_KVS_VALUES){break;}entries=[];values.push(entries);size=2;itemSize=kvsValueSize(item);}entries.push(item);size+=itemSize;}values[0].parts=values.length;values.forEach(function(value,i){saveState(i===0?KVS_LOG_KEY:KVS_LOG_KEY+"_"+i,"log",value);});}function raiseAlert(name,message){if(alerts[name]!==undefined){return;}logEvent("warn","alert","Alert "+name+": "+message,{name:name});alerts[name]=message;saveLog(name);Shelly.emitEvent(ALERT_EVENT,{name:name,state:"raised",message:message});}function clearAlert(name,message){if(alerts[name]===undefined){return;}delete alerts[name];logEvent("info","alert","Alert "+name+" recovered: "+message,{name:name});Shelly.emitEvent(ALERT_EVENT,{name:name,state:"recovered",message:message});}function highestTankTarget(config){let target=config.maxWaterTemp;config.loops.concat(config.schedule).forEach(function(settings){if(settings.maxWaterTemp!==undefined){target=Math.max(target,settings.maxWaterTemp);}});target+=config.boostTempIncrease;if(heatRequest.highest!==null){target=Math.max(target,heatRequest.highest);}return target;}function updateAlerts(){let tank=[scriptStatus.hotWaterTemperature,scriptStatus.tankTopTemperature,scriptStatus.tankBottomTemperature]
+.filter(function(value){return value!==null;});if(tank.length>0){let limit=highestTankTarget(CONFIG);let hottest=tank.reduce(function(a,b){return Math.max(a,b);});if(hottest>=limit+CONFIG.alertTankMargin){raiseAlert("tank","The tank is at "+hottest+"°C, "+CONFIG.alertTankMargin+"°C or more above the highest target of "+limit+"°C.");}else if(hottest<limit+CONFIG.alertTankMargin-ALERT_TEMP_HYSTERESIS){clearAlert("tank","The tank cooled down to "+hottest+"°C.");}}loops.forEach(function(loop){let running=waterPumpRunning(loop)&&loop.pumpState.on===true;let runTime=running&&loop.pumpState.changedAt!==null?uptime()-loop.pumpState.changedAt:0;if(CONFIG.alertMaxRunTime>0&&runTime>=CONFIG.alertMaxRunTime){raiseAlert(alertName("runtime",loop),loopPrefix(loop)+"The pump has been running for "+Math.round(runTime/60)+" minutes without a break.");}else if(!running){clearAlert(alertName("runtime",loop),loopPrefix(loop)+"The pump stopped.");}});}function readTemperature(id,config,scan){let state=sensorStates[id];if(!state){state={value:null,changedAt:null,pending:null,failures:0,lastFault:""};sensorStates[id]=state;}let fault="";let status=null;try{status=Shelly.getComponentStatus('Temperature',id);}catch(err){fault="read error: "+err;}let tC=status?status.tC:null;if(fault===""){if(status===null){fault="sensor not found";}else if(status.errors&&status.errors.length>0){fault="sensor reports "+status.errors.join(", ");}else if(typeof tC!=="number"||tC===SENSOR_ERROR_VALUE){fault="no valid reading ("+tC+")";}else if(tC<config.sensorMinTemp||tC>config.sensorMaxTemp){fault="reading "+tC+"°C is out of range";}else if(state.value!==null&&Math.abs(tC-state.value)>config.sensorMaxJump&&
+(state.pending===null||Math.abs(tC-state.pending)>config.sensorMaxJump)){if(scan){state.pending=tC;}fault="implausible jump from "+state.value+"°C to "+tC+"°C";}else if(config.sensorFrozenTime>0&&tC===state.value&&uptime()-state.changedAt>=config.sensorFrozenTime){fault="reading frozen at "+tC+"°C";}}if(fault!==""&&!scan){return null;}if(fault!==""){state.failures++;state.lastFault=fault;let message="Temperature sensor "+id+": "+fault+" ("+state.failures+" consecutive failures)";if(state.failures===1){reportError(message,"sensor",{sensor:id,value:tC});}else{scriptStatus.lastError=message;debugLog(message);}return null;}if(tC!==state.value){state.value=tC;state.changedAt=uptime();}state.pending=null;if(!scan){return tC;}if(state.failures>=config.sensorFaultThreshold){logEvent("info","sensor","Temperature sensor "+id+" recovered after "+state.failures+" failed reads, reading "+tC+"°C.",{sensor:id});}state.failures=0;return tC;}function sensorIDs(value){return Array.isArray(value)?value:[value];}function aggregateTemperatures(values,aggregation){let valid=values.filter(function(value){return value!==null;});if(valid.length===0){return null;}if(aggregation==="min"){return valid.reduce(function(a,b){return Math.min(a,b);});}if(aggregation==="max"){return valid.reduce(function(a,b){return Math.max(a,b);});}if(aggregation==="avg"){return Math.round(valid.reduce(function(a,b){return a+b;})/valid.length*10)/10;}return valid[0];}function sensorRoles(config){let roles=[
+{name:"tank",ids:sensorIDs(config.hotWaterTemperatureID),aggregation:config.hotWaterAggregation,required:true},{name:"source",ids:sensorIDs(config.heatingSourceTemperatureID),aggregation:config.heatingSourceAggregation,required:true},];
+[["top",config.tankTopTemperatureID],["bottom",config.tankBottomTemperatureID]].forEach(function(probe){if(probe[1]!==null){let required=config.stopReference===probe[0]||config.startReference===probe[0];roles.push({name:probe[0],ids:[probe[1]],aggregation:"primary",required:required});}});return roles;}function readSensorRoles(config,readings,scan){let roles=sensorRoles(config);let result={temperatures:{},failed:[]};roles.forEach(function(role){let values=role.ids.map(function(id){if(readings[id]===undefined){readings[id]=readTemperature(id,config,scan);}return readings[id];});let temperature=aggregateTemperatures(values,role.aggregation);result.temperatures[role.name]=temperature;if(temperature===null&&role.required){result.failed.push(role);}});return result;}function handleSensorFault(loop,config,failedRoles){let faulty=[];failedRoles.forEach(function(role){let pending=role.ids.filter(function(id){return sensorStates[id].failures<config.sensorFaultThreshold;});if(pending.length===0){role.ids.forEach(function(id){faulty.push(id+" ("+sensorStates[id].lastFault+")");});}});if(faulty.length===0){reportDecision(loop,"sensor","keep pump "+(waterPumpRunning(loop)?"running":"off")+", "+(loop.startingUp?"waiting for valid sensor readings after the start":"sensor read failed"));return;}if(!loop.failSafeActive){loop.failSafeActive=true;logEvent("warn","fail_safe",loopPrefix(loop)+"Sensor fault on "+faulty.join(", ")+", switching pump "+config.sensorFaultPumpState+" as fail-safe.",{loop:loop.name,sensors:faulty});raiseAlert(alertName("sensor",loop),loopPrefix(loop)+"Sensor fault on "+faulty.join(", ")+", the pump is held "+config.sensorFaultPumpState+".");}if(config.sensorFaultPumpState==="on"){if(!waterPumpRunning(loop)){startWaterPump(loop);}}else if(waterPumpRunning(loop)){stopWaterPump(loop);}reportDecision(loop,"sensor","pump "+config.sensorFaultPumpState+" as fail-safe, sensor fault on "+faulty.join(", "));}function activeScheduleWindows(schedule){let time=localTime();if(time===null){return null;}let now=time.hour*60+time.minute;let active=[];schedule.forEach(function(window,i){let from=parseClockTime(window.from);let to=parseClockTime(window.to);let weekday=time.weekday;let inside=false;if(from<to){inside=now>=from&&now<to;}else if(now>=from){inside=true;}else if(now<to){inside=true;weekday=(weekday+6)%7;}if(inside&&(window.days===undefined||window.days.indexOf(WEEKDAYS[weekday])!==-1)){active.push(i);}});return active;}function updateSchedule(config){let windows=activeScheduleWindows(config.schedule);let blocked=false;if(windows===null){windows=[];}else{let hasAllowWindows=config.schedule.some(function(window){return window.pump==="allow";});let allowed=windows.some(function(i){return config.schedule[i].pump==="allow";});blocked=windows.some(function(i){return config.schedule[i].pump==="block";})||(hasAllowWindows&&!allowed);}if(JSON.stringify(windows)!==JSON.stringify(scheduleState.windows)||blocked!==scheduleState.blocked){debugLog("Schedule windows active: "+(windows.length>0?windows.join(", "):"none")+", the pump is "+(blocked?"blocked":"allowed")+".");}let overrides={};windows.forEach(function(i){SCHEDULE_OVERRIDES.forEach(function(key){if(config.schedule[i][key]!==undefined&&overrides[key]===undefined){overrides[key]=config.schedule[i][key];}});});scheduleState={windows:windows,blocked:blocked,overrides:overrides};return Object.assign({},config,overrides);}function enterMode(mode,until,untilDay,loop,message,resume){operatingMode={mode:mode,until:until,untilDay:untilDay,loop:loop,resume:resume||null};logEvent("info","mode",message,{mode:mode,loop:loop});saveState(KVS_MODE_KEY,"operating mode",operatingMode);}function modeRemaining(mode){mode=mode||operatingMode;if(mode.until!==null){let now=unixtime();return now===null?null:Math.max(0,mode.until-now);}if(mode.untilDay!==null){let time=localTime();return time===null?null:Math.max(0,(mode.untilDay-time.day)*86400-time.hour*3600-time.minute*60);}return null;}function updateMode(stopTemperature,config){let mode=operatingMode.mode;if(mode==="auto"){return;}let boostTemp=config.maxWaterTemp+config.boostTempIncrease;let ended="";if(modeRemaining()===0){if(mode==="holiday"){ended="Holiday mode ended";}else if(mode==="boost"){ended="Boost did not reach "+boostTemp+"°C within "+config.boostMaxDuration+" s";}else if(operatingMode.resume!==null&&modeRemaining(operatingMode.resume)!==0){let resume=operatingMode.resume;enterMode(resume.mode,resume.until,resume.untilDay,null,"Forced pump state expired, resuming "+resume.mode+" mode.");return;}else{ended="Forced pump state expired";}}else if(mode==="boost"&&stopTemperature>=boostTemp){ended="Boost completed at "+stopTemperature+"°C";}if(ended!==""){enterMode("auto",null,null,null,ended+", resuming automatic control.");}}function activeLimits(config){let active=Object.assign({},config,scheduleState.overrides);let mode=operatingMode.resume!==null?operatingMode.resume.mode:operatingMode.mode;if(mode==="holiday"){active.maxWaterTemp=Math.min(active.maxWaterTemp,config.holidayMaxWaterTemp);}else if(mode==="boost"){active.maxWaterTemp+=config.boostTempIncrease;}if(heatRequest.until!==null&&uptime()>=heatRequest.until){logEvent("info","heat","Heating the tank to "+heatRequest.temperature+"°C ended after the time asked for.");heatRequest.temperature=null;heatRequest.until=null;}if(heatRequest.temperature!==null){active.maxWaterTemp=Math.max(active.maxWaterTemp,heatRequest.temperature);}return active;}function updateFrostProtection(temperatures,config){let coldest=temperatures.reduce(function(a,b){return Math.min(a,b);});frost.coldest=coldest;if(config.frostProtectionTemp!==null&&!frost.active&&coldest<config.frostProtectionTemp){frost.active=true;raiseAlert("frost","Frost risk, a reading dropped to "+coldest+"°C"+(config.frostProtectionPump?", running the pump.":"."));}else if(frost.active&&(config.frostProtectionTemp===null||coldest>=config.frostProtectionTemp+FROST_HYSTERESIS)){frost.active=false;clearAlert("frost","No frost risk anymore, the coldest reading is "+coldest+"°C.");}}function applyForcedMode(loop,stopTemperature,config){let running=waterPumpRunning(loop);let remaining=modeRemaining();if(operatingMode.mode==="off"){if(running){stopWaterPump(loop);}reportDecision(loop,"forced","pump forced off for another "+remaining+" s");}else if(stopTemperature>=config.maxWaterTemp){if(running){stopWaterPump(loop);}reportDecision(loop,"forced","pump forced on, but held off at maximum temperature");}else{if(!running){startWaterPump(loop);}reportDecision(loop,"forced","pump forced on for another "+remaining+" s");}}function learnedLimits(loop,config){if(loop.learned===null){return config;}return Object.assign({},config,{waterPumpHysteresis:loop.learned.hysteresis,waterPumpStopDifference:loop.learned.stopDifference});}function setLearnedThresholds(command){let loop=loops.filter(function(candidate){return candidate.name===command.loop;})[0];if(loop===undefined){return "Unknown loop '"+command.loop+"'.";}if(command.hysteresis===undefined&&command.stopDifference===undefined){loop.learned=null;return "";}let error=checkSetting("hysteresis",CONFIG_SCHEMA.waterPumpHysteresis,command.hysteresis);if(error===""){error=checkSetting("stopDifference",CONFIG_SCHEMA.waterPumpStopDifference,command.stopDifference);}if(error===""&&command.stopDifference>=command.hysteresis){error="stopDifference must be lower than hysteresis.";}if(error!==""){return error;}loop.learned={hysteresis:command.hysteresis,stopDifference:command.stopDifference};debugLog(loopPrefix(loop)+"Using the learned start and stop differences "+command.hysteresis+"/"+command.stopDifference+"°C.");return "";}function setHeatRequest(command,source){if(command.temperature===undefined||command.temperature===null){if(heatRequest.temperature!==null){logEvent("info","heat","Heating the tank to "+heatRequest.temperature+"°C ended "+source+".");}heatRequest.temperature=null;heatRequest.until=null;}else{let error=checkSetting("temperature",{type:"number",min:0,max:CONFIG.sensorMaxTemp-1},command.temperature);if(error===""){error=checkSetting("minutes",{type:"number",min:1,max:1440},command.minutes);}if(error!==""){return error;}heatRequest.temperature=command.temperature;heatRequest.until=uptime()+Math.round(command.minutes*60);heatRequest.highest=Math.max(heatRequest.highest===null?command.temperature:heatRequest.highest,command.temperature);logEvent("info","heat","Heating the tank to "+command.temperature+"°C for at most "+command.minutes+" minutes "+source+".");}checkAndAdjust(CONFIG);publishState();return "";}function checkAndAdjust(config,scan){try{let readings={};let results=loops.map(function(loop){checkSwitchErrors(loop);trackPumpState(loop);return loop.pumpFault!==""?null:readSensorRoles(loopConfig(config,loop),readings,scan===true);});let valid=results.filter(function(sensors){return sensors!==null&&sensors.failed.length===0;});if(valid.length>0){let temperatures=valid[0].temperatures;scriptStatus.hotWaterTemperature=temperatures.tank;scriptStatus.tankTopTemperature=temperatures.top===undefined?null:temperatures.top;scriptStatus.tankBottomTemperature=temperatures.bottom===undefined?null:temperatures.bottom;updateMode(temperatures[config.stopReference],updateSchedule(config));updateFrostProtection(valid.reduce(function(all,sensors){return all.concat(Object.keys(sensors.temperatures).map(function(role){return sensors.temperatures[role];}));},[]),config);}loops.forEach(function(loop,i){adjustLoop(loop,loopConfig(config,loop),results[i]);});scriptStatus.heatingSourceTemperature=loops[0].sourceTemperature;}catch(err){reportError("Error: "+err);}}function adjustLoop(loop,config,sensors){loop.canHeat=false;if(loop.pumpFault!==""){if(waterPumpRunning(loop)){stopWaterPump(loop);}reportDecision(loop,"fault","keep pump off, pump fault: "+loop.pumpFault);return;}if(sensors.failed.length>0){handleSensorFault(loop,config,sensors.failed);return;}let hotWaterTemperature=sensors.temperatures.tank;let heatingSourceTemperature=sensors.temperatures.source;let stopTemperature=sensors.temperatures[config.stopReference];let startTemperature=sensors.temperatures[config.startReference];if(loop.failSafeActive){loop.failSafeActive=false;logEvent("info","fail_safe",loopPrefix(loop)+"All sensors read plausible values again, resuming automatic control.",{loop:loop.name});clearAlert(alertName("sensor",loop),loopPrefix(loop)+"All sensors read plausible values again.");}if(loop.startingUp){loop.startingUp=false;logEvent("info","startup",loopPrefix(loop)+"Startup: found the pump "+(waterPumpRunning(loop)?"running":"off")+", the rules take over with valid readings.",{loop:loop.name});}loop.sourceTemperature=heatingSourceTemperature;debugLog(loopPrefix(loop)+"Storage Tank Temp: "+hotWaterTemperature+"°C, Heating Source Temp: "+heatingSourceTemperature+"°C"+
+(config.stopReference!=="tank"||config.startReference!=="tank"?", Stop/Start Reference: "+stopTemperature+"/"+startTemperature+"°C":""));let activeConfig=activeLimits(learnedLimits(loop,config));if(frost.active&&config.frostProtectionPump){if(!waterPumpRunning(loop)){startWaterPump(loop);}reportDecision(loop,"frost","pump on as frost protection, the coldest reading is "+frost.coldest+"°C");return;}if((operatingMode.mode==="on"||operatingMode.mode==="off")&&(operatingMode.loop===null||operatingMode.loop===loop.name)){applyForcedMode(loop,stopTemperature,activeConfig);return;}let running=waterPumpRunning(loop);let decision="keep pump "+(running?"running":"off");let rule="difference";let blocked="";if(running){loop.canHeat=stopTemperature<activeConfig.maxWaterTemp&&heatingSourceTemperature>stopTemperature+activeConfig.waterPumpStopDifference;}else{loop.canHeat=startTemperature<activeConfig.maxWaterTemp&&heatingSourceTemperature>=startTemperature+activeConfig.waterPumpHysteresis;}loop.canHeat=loop.canHeat&&!scheduleState.blocked;let preferred=loops.filter(function(other){return other.name===loop.backupFor;})[0];let givingWay=preferred!==undefined&&preferred.canHeat;if(stopTemperature>=activeConfig.maxWaterTemp&&running){debugLog(loopPrefix(loop)+"Storage tank at maximum temperature ("+stopTemperature+"°C), stopping pump...");stopWaterPump(loop);decision="stop pump, maximum temperature reached";rule="limit";}else if(scheduleState.blocked&&running){rule="schedule";blocked=pumpSwitchBlocked(loop,false,config);if(blocked!==""){decision="keep pump running despite the schedule, "+blocked;}else{debugLog(loopPrefix(loop)+"The schedule blocks the pump, stopping pump...");stopWaterPump(loop);decision="stop pump, blocked by the schedule";}}else if(givingWay&&running){rule="backup";blocked=pumpSwitchBlocked(loop,false,config);if(blocked!==""){decision="keep pump running despite "+preferred.name+" heating, "+blocked;}else{debugLog(loopPrefix(loop)+"Loop "+preferred.name+" can heat the tank, stopping pump...");stopWaterPump(loop);decision="stop pump, "+preferred.name+" can heat";}}else if(heatingSourceTemperature<=(stopTemperature+activeConfig.waterPumpStopDifference)&&running){blocked=pumpSwitchBlocked(loop,false,config);if(blocked!==""){decision="keep pump running despite low temperature difference, "+blocked;}else{debugLog(loopPrefix(loop)+"Temperature difference is too low, stopping pump for efficiency...");stopWaterPump(loop);decision="stop pump, temperature difference too low";}}else if(scheduleState.blocked){decision="keep pump off, blocked by the schedule";rule="schedule";}else if(givingWay){decision="keep pump off, "+preferred.name+" can heat";rule="backup";}else if(startTemperature<activeConfig.maxWaterTemp&&heatingSourceTemperature>=(startTemperature+activeConfig.waterPumpHysteresis)&&!running){blocked=pumpSwitchBlocked(loop,true,config);if(blocked!==""){decision="keep pump off despite hot heating source, "+blocked;}else{debugLog(loopPrefix(loop)+"Heating source is hot enough, starting pump...");startWaterPump(loop);decision="start pump, heating source is hot enough";}}reportDecision(loop,rule,decision);}function setMode(mode,params,source){let now=unixtime();let time=localTime();if(MODES.indexOf(mode)===-1){return "Unknown mode '"+mode+"', use "+MODES.join(", ")+".";}else if(mode==="auto"){if(operatingMode.mode!=="auto"){enterMode("auto",null,null,null,"Operating mode "+operatingMode.mode+" cancelled "+source+", resuming automatic control.");}}else if(now===null||time===null){return "The device clock is not synchronised yet.";}else if(mode==="on"||mode==="off"){if(!(params.minutes>0)){return "Parameter 'minutes' must be a positive number.";}let names=loops.map(function(loop){return loop.name;});let loop=params.loop===undefined||params.loop===null?null:params.loop;if(loop!==null&&names.indexOf(loop)===-1){return "Unknown loop '"+loop+"', use "+names.join(", ")+".";}enterMode(mode,now+Math.round(params.minutes*60),null,loop,(loop===null?"Pump":"Pump "+loop)+" forced "+mode+" for "+params.minutes+" minutes "+source+".");}else if(mode==="holiday"){let day=dayNumber(params.until);if(day===null){return "Parameter 'until' must be a date like 2024-08-31.";}if(day<=time.day){return "Parameter 'until' must be a future date.";}enterMode("holiday",null,day,null,"Holiday mode until "+params.until+" set "+source+".");}else{enterMode("boost",now+CONFIG.boostMaxDuration,null,null,"Boost to "+(CONFIG.maxWaterTemp+CONFIG.boostTempIncrease)+"°C started "+source+".");}checkAndAdjust(CONFIG);publishState();return "";}function handleInputEvent(event){if(CONFIG.modeInputID===null||event.component!=="input:"+CONFIG.modeInputID||!event.info){return;}let mode=BUTTON_MODES[event.info.event];if(mode===undefined){return;}if(mode==="boost"&&operatingMode.mode!=="auto"){mode="auto";}let error=setMode(mode,{minutes:DEFAULT_FORCE_MINUTES},"with the button");if(error!==""){reportError("Button press ignored: "+error,"mode");}}function handleStatusChange(event){if(!event.delta){return;}let reason="";let loop=loops.filter(function(candidate){return event.component==="switch:"+candidate.switchID;})[0];if(loop!==undefined){let pumpState=loop.pumpState;if(Array.isArray(event.delta.errors)&&event.delta.errors.length>0){reason="switch "+loop.switchID+" reports "+event.delta.errors.join(", ");}else if(typeof event.delta.output==="boolean"&&event.delta.output!==pumpState.on&&pumpState.pending===0){reason="pump "+(loops.length>1?loop.name+" ":"")+"switched "+(event.delta.output?"on":"off");}}else if(event.component.indexOf("temperature:")===0&&CONFIG.eventTempDelta>0&&typeof event.delta.tC==="number"){let state=sensorStates[event.id];let configured=loops.some(function(candidate){return sensorRoles(loopConfig(CONFIG,candidate)).some(function(role){return role.ids.indexOf(event.id)!==-1;});});if(configured&&state&&state.value!==null){let change=Math.round(Math.abs(event.delta.tC-state.value)*100)/100;if(change>=CONFIG.eventTempDelta&&change<=CONFIG.sensorMaxJump){reason="sensor "+event.id+" changed from "+state.value+"°C to "+event.delta.tC+"°C";}}}if(reason===""){return;}debugLog("Status change, "+reason+", evaluating the rules.");checkAndAdjust(CONFIG);publishState();}function getState(){let faults=loops.filter(function(loop){return loop.pumpFault!=="";});return{hotWaterTemperature:scriptStatus.hotWaterTemperature,heatingSourceTemperature:scriptStatus.heatingSourceTemperature,tankTopTemperature:scriptStatus.tankTopTemperature,tankBottomTemperature:scriptStatus.tankBottomTemperature,pumpRunning:loops.some(waterPumpRunning),mode:operatingMode.mode,modeRemaining:modeRemaining(),failSafeActive:loops.some(function(loop){return loop.failSafeActive;}),pumpFault:faults.map(function(loop){return loopPrefix(loop)+loop.pumpFault;}).join("; "),frostProtection:frost.active,lastDecision:scriptStatus.lastDecision,lastError:scriptStatus.lastError,heatTemperature:heatRequest.temperature,maxWaterTemp:CONFIG.maxWaterTemp,stopReference:CONFIG.stopReference,tankTopTemperatureID:CONFIG.tankTopTemperatureID,tankBottomTemperatureID:CONFIG.tankBottomTemperatureID,loops:loops.map(function(loop){let config=loopConfig(CONFIG,loop);return{name:loop.name,switchID:loop.switchID,pumpRunning:waterPumpRunning(loop),heatingSourceTemperature:loop.sourceTemperature,failSafeActive:loop.failSafeActive,pumpFault:loop.pumpFault,rule:loop.rule,lastDecision:loop.lastDecision,learned:loop.learned,maxWaterTemp:config.maxWaterTemp,waterPumpHysteresis:config.waterPumpHysteresis,waterPumpStopDifference:config.waterPumpStopDifference,};}),};}function getStatus(){return Object.assign(getState(),{modeLoop:operatingMode.loop,resumeMode:operatingMode.resume===null?null:operatingMode.resume.mode,schedule:{windows:scheduleState.windows,blocked:scheduleState.blocked},alerts:activeAlerts(),config:CONFIG,configErrors:scriptStatus.configErrors,});}function sendHttpResponse(response,error){response.code=error===""?200:400;response.headers=[["Content-Type","application/json"]];response.body=JSON.stringify(error===""?getStatus():{error:error});response.send();}function handleHttpRequest(request,response){let params=parseQuery(request.query);let error="";if(MODES.indexOf(params.action)!==-1){error=setMode(params.action,{minutes:Number(params.minutes),until:params.until,loop:params.loop},"over HTTP");}else if(params.action==="reset"){resetPumpFault("over HTTP");checkAndAdjust(CONFIG);publishState();}else if(params.action==="reload"){loadConfig(function(){sendHttpResponse(response,"");});return;}else if(params.action==="log"){response.code=200;response.headers=[["Content-Type","application/json"]];response.body=JSON.stringify({logLevel:CONFIG.debuggingOn?"debug":CONFIG.logLevel,entries:logBuffer});response.send();return;}else if(params.action!==undefined){error="Unknown action '"+params.action+"', use "+MODES.join(", ")+", reset, reload or log.";}sendHttpResponse(response,error);}function publishState(){Shelly.emitEvent(STATUS_EVENT,getState());}function handleCommand(event){if(!event.info||event.info.event!==COMMAND_EVENT||typeof event.info.data!=="object"||event.info.data===null){return;}let command=event.info.data;let source=typeof command.source==="string"?command.source:"from script "+event.id;let error="";if(MODES.indexOf(command.action)!==-1){error=setMode(command.action,{minutes:command.minutes===undefined?DEFAULT_FORCE_MINUTES:command.minutes,until:command.until,loop:command.loop,},source);}else if(command.action==="config"){if(typeof command.settings!=="object"||command.settings===null||Array.isArray(command.settings)){error="The settings must be an object.";}else{overrideConfig(command.settings,source);}}else if(command.action==="learned"){error=setLearnedThresholds(command);}else if(command.action==="heat"){error=setHeatRequest(command,source);}else{error="Unknown action '"+command.action+"', use "+MODES.join(", ")+", config, learned or heat.";}if(error!==""){reportError("Command "+source+" rejected: "+error,"command");publishState();}}function configPartKey(i){return i===0?KVS_CONFIG_KEY:KVS_CONFIG_KEY+"_"+i;}function readConfigParts(callback){let merged={};let errors=[];let next=function(i){if(i===MAX_CONFIG_PARTS){callback(merged,i,errors);return;}queueCall(
+"KVS.Get",{key:configPartKey(i)},function(result,error_code,error_message){if(error_code!==0||result.value===null){callback(merged,i,errors);return;}let part;try{part=JSON.parse(result.value);}catch(e){errors.push("The value of "+configPartKey(i)+" is not valid JSON: "+e);next(i+1);return;}if(typeof part!=="object"||part===null||Array.isArray(part)){if(i===0){merged=part;}else{errors.push("The value of "+configPartKey(i)+" must be a JSON object.");}}else if(typeof merged==="object"&&merged!==null&&!Array.isArray(merged)){Object.keys(part).forEach(function(key){merged[key]=Array.isArray(merged[key])&&Array.isArray(part[key])?merged[key].concat(part[key]):part[key];});}next(i+1);});};next(0);}function packConfig(config){let parts=[{}];Object.keys(config).forEach(function(key){let list=Array.isArray(config[key])&&config[key].length>0;
+(list?config[key]:[config[key]]).forEach(function(value,i){let part=parts[parts.length-1];let before=part[key];part[key]=list?(before||[]).concat([value]):value;if(kvsValueSize(part)<=KVS_MAX_VALUE_SIZE){return;}if(before===undefined){delete part[key];}else{part[key]=before;}part={};part[key]=list?[value]:value;if(kvsValueSize(part)>KVS_MAX_VALUE_SIZE){throw(list?key+"["+i+"]":key)+" does not fit into a KVS value of "+KVS_MAX_VALUE_SIZE+" bytes.";}parts.push(part);});});if(parts.length>MAX_CONFIG_PARTS){throw "The configuration does not fit into "+MAX_CONFIG_PARTS+" KVS values.";}return parts;}function overrideConfig(overrides,source){readConfigParts(function(stored,count){if(typeof stored!=="object"||stored===null||Array.isArray(stored)){stored={};}Object.keys(overrides).forEach(function(key){if(overrides[key]===null){delete stored[key];}else{stored[key]=overrides[key];}});let errors=validateConfig(stored);let parts=[];if(errors.length===0){try{parts=packConfig(stored);}catch(e){errors=[e];}}if(errors.length>0){logEvent("warn","config",["Configuration override "+source+" rejected:"].concat(errors).join("\n  "));scriptStatus.lastError="Invalid configuration override: "+errors.join(" ");publishState();return;}let failed="";let store=function(method,params){return function(callback){if(failed!==""){callback();return;}queueCall(method,params,function(result,error_code,error_message){if(error_code!==0&&method==="KVS.Set"){failed=error_message;}callback();});};};let steps=parts.map(function(part,i){return store("KVS.Set",{key:configPartKey(i),value:JSON.stringify(part)});});for(let i=parts.length;i<count;i++){steps.push(store("KVS.Delete",{key:configPartKey(i)}));}runInSequence(steps,function(){if(failed!==""){reportError("Error saving the configuration override: "+failed,"config");return;}logEvent("info","config","Configuration override "+source+" saved: "+JSON.stringify(overrides));loadConfig();});});}function movedTo(key){let scripts=Object.keys(MOVED_SETTINGS).filter(function(script){return MOVED_SETTINGS[script].indexOf(key)!==-1;});return scripts.length>0?scripts[0]:null;}function checkSetting(key,rule,value){if(rule.type==="schedule"){return checkSchedule(key,value);}if(rule.type==="loops"){return checkLoops(key,value);}if(value===null&&rule.nullable){return "";}if(Array.isArray(value)&&rule.list){if(value.length===0||value.length>ADDON_MAX_SENSORS){return key+": expected 1 to "+ADDON_MAX_SENSORS+" values, got "+value.length+".";}let itemRule=Object.assign({},rule,{list:false});for(let i=0;i<value.length;i++){let error=checkSetting(key,itemRule,value[i]);if(error!==""){return error;}if(value.indexOf(value[i])!==i){return key+": "+value[i]+" is listed twice.";}}return "";}if(typeof value!==rule.type){return key+": expected a "+rule.type+(rule.list?" or a list of them":"")+", got "+JSON.stringify(value)+".";}if(rule.type==="number"&&(!isFinite(value)||value<rule.min||value>rule.max)){return key+": "+value+" is outside of the range "+rule.min+" to "+rule.max+".";}if(rule.integer&&Math.floor(value)!==value){return key+": "+value+" must be a whole number.";}if(rule.values&&rule.values.indexOf(value)===-1){return key+": "+JSON.stringify(value)+" is not one of "+rule.values.join(", ")+".";}return "";}function checkSchedule(key,schedule){if(!Array.isArray(schedule)){return key+": expected a list of time windows, got "+JSON.stringify(schedule)+".";}if(schedule.length>MAX_SCHEDULE_WINDOWS){return key+": expected at most "+MAX_SCHEDULE_WINDOWS+" windows, got "+schedule.length+".";}for(let i=0;i<schedule.length;i++){let window=schedule[i];let name=key+"["+i+"]";if(typeof window!=="object"||window===null||Array.isArray(window)){return name+": expected an object, got "+JSON.stringify(window)+".";}let fields=Object.keys(window);for(let j=0;j<fields.length;j++){if(["days","from","to","pump"].indexOf(fields[j])===-1&&SCHEDULE_OVERRIDES.indexOf(fields[j])===-1){return name+"."+fields[j]+": unknown setting.";}}let from=parseClockTime(window.from);let to=parseClockTime(window.to);if(from===null||to===null){return name+": from and to must be times like \"22:00\".";}if(from===to){return name+": from and to must differ.";}if(window.days!==undefined&&(!Array.isArray(window.days)||window.days.length===0||
+window.days.some(function(day){return WEEKDAYS.indexOf(day)===-1;}))){return name+".days: expected a list of "+WEEKDAYS.join(", ")+", got "+JSON.stringify(window.days)+".";}if(window.pump!==undefined&&window.pump!=="allow"&&window.pump!=="block"){return name+".pump: "+JSON.stringify(window.pump)+" is not one of allow, block.";}let overrides=SCHEDULE_OVERRIDES.filter(function(setting){return window[setting]!==undefined;});if(window.pump===undefined&&overrides.length===0){return name+": sets neither pump nor any of "+SCHEDULE_OVERRIDES.join(", ")+".";}for(let j=0;j<overrides.length;j++){let error=checkSetting(name+"."+overrides[j],CONFIG_SCHEMA[overrides[j]],window[overrides[j]]);if(error!==""){return error;}}}return "";}function checkLoops(key,definitions){if(!Array.isArray(definitions)){return key+": expected a list of pump loops, got "+JSON.stringify(definitions)+".";}if(definitions.length>MAX_LOOPS){return key+": expected at most "+MAX_LOOPS+" loops, got "+definitions.length+".";}for(let i=0;i<definitions.length;i++){let definition=definitions[i];let name=key+"["+i+"]";if(typeof definition!=="object"||definition===null||Array.isArray(definition)){return name+": expected an object, got "+JSON.stringify(definition)+".";}let fields=Object.keys(definition);for(let j=0;j<fields.length;j++){if(["name","switchID","backupFor"].indexOf(fields[j])===-1&&LOOP_SETTINGS.indexOf(fields[j])===-1&&
+movedTo(fields[j])===null){return name+"."+fields[j]+": unknown setting.";}}let earlier=definitions.slice(0,i);if(typeof definition.name!=="string"||definition.name===""){return name+".name: expected a name, got "+JSON.stringify(definition.name)+".";}if(earlier.some(function(other){return other.name===definition.name;})){return name+".name: "+JSON.stringify(definition.name)+" is used by another loop.";}let error=checkSetting(name+".switchID",{type:"number",min:0,max:3,integer:true},definition.switchID);if(error!==""){return error;}if(earlier.some(function(other){return other.switchID===definition.switchID;})){return name+".switchID: "+definition.switchID+" is used by another loop.";}if(Shelly.getComponentStatus('Switch',definition.switchID)===null){return name+".switchID: there is no switch "+definition.switchID+" on this device.";}if(definition.backupFor!==undefined&&!earlier.some(function(other){return other.name===definition.backupFor;})){return name+".backupFor: "+JSON.stringify(definition.backupFor)+" is not the name of an earlier loop.";}let settings=LOOP_SETTINGS.filter(function(setting){return definition[setting]!==undefined;});for(let j=0;j<settings.length;j++){error=checkSetting(name+"."+settings[j],CONFIG_SCHEMA[settings[j]],definition[settings[j]]);if(error!==""){return error;}}}return "";}function validateConfig(loadedConfig){if(typeof loadedConfig!=="object"||loadedConfig===null||Array.isArray(loadedConfig)){return["The configuration must be a JSON object."];}let errors=[];Object.keys(loadedConfig).forEach(function(key){let rule=CONFIG_SCHEMA[key];let error=rule?checkSetting(key,rule,loadedConfig[key]):key+": unknown setting.";if(error!==""&&movedTo(key)===null){errors.push(error);}});if(errors.length>0){return errors;}let merged=Object.assign({},DEFAULT_CONFIG,loadedConfig);errors=checkRelations(merged);if(errors.length>0){return errors;}merged.loops.forEach(function(definition,i){let settings={};LOOP_SETTINGS.forEach(function(key){if(definition[key]!==undefined){settings[key]=definition[key];}});checkRelations(Object.assign({},merged,settings)).forEach(function(error){errors.push("loops["+i+"]: "+error);});});if(errors.length>0){return errors;}merged.schedule.forEach(function(window,i){let overrides={};SCHEDULE_OVERRIDES.forEach(function(key){if(window[key]!==undefined){overrides[key]=window[key];}});if(Object.keys(overrides).length>0){checkRelations(Object.assign({},merged,overrides)).forEach(function(error){errors.push("schedule["+i+"]: "+error);});}});return errors;}function checkRelations(merged){let errors=[];if(merged.waterPumpStopDifference>=merged.waterPumpHysteresis){errors.push("waterPumpStopDifference ("+merged.waterPumpStopDifference+") must be lower than waterPumpHysteresis ("+merged.waterPumpHysteresis+"), otherwise the pump stops right after starting.");}if(merged.sensorMinTemp>=merged.sensorMaxTemp){errors.push("sensorMinTemp ("+merged.sensorMinTemp+") must be lower than sensorMaxTemp ("+merged.sensorMaxTemp+").");}if(merged.maxWaterTemp>=merged.sensorMaxTemp){errors.push("maxWaterTemp ("+merged.maxWaterTemp+") must be lower than sensorMaxTemp ("+merged.sensorMaxTemp+").");}let sourceIDs=sensorIDs(merged.heatingSourceTemperatureID);
+[["hotWaterTemperatureID",sensorIDs(merged.hotWaterTemperatureID)],
+["tankTopTemperatureID",merged.tankTopTemperatureID===null?[]:[merged.tankTopTemperatureID]],
+["tankBottomTemperatureID",merged.tankBottomTemperatureID===null?[]:[merged.tankBottomTemperatureID]]].forEach(function(tank){let shared=tank[1].filter(function(id){return sourceIDs.indexOf(id)!==-1;});if(shared.length>0){errors.push(tank[0]+" and heatingSourceTemperatureID must be different sensors, both use "+shared.join(", ")+".");}});if(merged.tankTopTemperatureID!==null&&merged.tankTopTemperatureID===merged.tankBottomTemperatureID){errors.push("tankTopTemperatureID and tankBottomTemperatureID must be different sensors.");}
+[["top","tankTopTemperatureID"],["bottom","tankBottomTemperatureID"]].forEach(function(probe){if((merged.stopReference===probe[0]||merged.startReference===probe[0])&&merged[probe[1]]===null){errors.push("stopReference and startReference can only use \""+probe[0]+"\" when "+probe[1]+" is set.");}});if(merged.maxWaterTemp+merged.boostTempIncrease>=merged.sensorMaxTemp){errors.push("maxWaterTemp + boostTempIncrease ("+(merged.maxWaterTemp+merged.boostTempIncrease)+") must be lower than sensorMaxTemp ("+merged.sensorMaxTemp+").");}if(merged.pumpMinPower>0&&merged.pumpMaxPower>0&&merged.pumpMinPower>=merged.pumpMaxPower){errors.push("pumpMinPower ("+merged.pumpMinPower+") must be lower than pumpMaxPower ("+merged.pumpMaxPower+").");}return errors;}function applyConfig(loadedConfig){let previous=CONFIG;CONFIG=Object.assign({},DEFAULT_CONFIG,loadedConfig);let moved=Object.keys(loadedConfig).filter(function(key){return movedTo(key)!==null;});moved.forEach(function(key){delete CONFIG[key];});CONFIG.loops.forEach(function(definition,i){Object.keys(definition).forEach(function(key){if(movedTo(key)!==null){moved.push("loops["+i+"]."+key);}});});if(JSON.stringify(previous)===JSON.stringify(CONFIG)){return;}if(moved.length>0){logEvent("warn","config","Ignoring "+moved.map(function(key){return key+" (now in "+movedTo(key.split(".").pop())+")";}).join(", ")+", remove them from "+KVS_CONFIG_KEY+".");}if(Object.keys(loadedConfig).length>0){debugLog("Custom configuration loaded from KVS:"+JSON.stringify(loadedConfig));}else{debugLog("No custom configuration found in KVS. Using default settings.");}buildLoops(CONFIG);if(scanTimer!==null&&previous.scanInterval!==CONFIG.scanInterval){debugLog("Scan interval changed to "+CONFIG.scanInterval+" s, rescheduling the timer.");scheduleScan();}}function loadConfig(callback){readConfigParts(function(loadedConfig,count,errors){configLoadedAt=uptime();if(errors.length===0){errors=validateConfig(loadedConfig);}scriptStatus.configErrors=errors;if(errors.length>0){if(Object.keys(CONFIG).length===0){CONFIG=Object.assign({},DEFAULT_CONFIG);buildLoops(CONFIG);}logEvent("warn","config",["Configuration in KVS rejected, keeping the active settings:"].concat(errors).join("\n  "));scriptStatus.lastError="Invalid configuration: "+errors.join(" ");}else{applyConfig(loadedConfig);}if(callback){callback();}});}function loadMode(callback){loadState(KVS_MODE_KEY,"operating mode",function(saved){let until=typeof saved.until==="number"?saved.until:null;let untilDay=typeof saved.untilDay==="number"?saved.untilDay:null;if(saved.mode==="auto"||MODES.indexOf(saved.mode)===-1||(until===null&&untilDay===null)){return;}let resume=saved.resume;if(!resume||(resume.mode!=="holiday"&&resume.mode!=="boost")||(typeof resume.until!=="number"&&typeof resume.untilDay!=="number")){resume=null;}else{resume={mode:resume.mode,until:typeof resume.until==="number"?resume.until:null,untilDay:typeof resume.untilDay==="number"?resume.untilDay:null};}operatingMode={mode:saved.mode,until:until,untilDay:untilDay,loop:typeof saved.loop==="string"?saved.loop:null,resume:resume};logEvent("info","mode","Restored the operating mode "+saved.mode+" from KVS.",{mode:saved.mode});},callback);}function onScanTimer(){loops.forEach(checkPumpPower);checkAndAdjust(CONFIG,true);updateAlerts();if(CONFIG.configReloadInterval>0&&uptime()-configLoadedAt>=CONFIG.configReloadInterval){loadConfig();}publishState();}function scheduleScan(){if(scanTimer!==null){Timer.clear(scanTimer);}scanTimer=Timer.set(CONFIG.scanInterval*1000,true,onScanTimer);}function run(){checkAndAdjust(CONFIG,true);scheduleScan();HTTPServer.registerEndpoint(HTTP_ENDPOINT,handleHttpRequest);Shelly.addEventHandler(handleInputEvent);Shelly.addEventHandler(handleCommand);Shelly.addStatusHandler(handleStatusChange);publishState();}function init(){runInSequence([loadConfig,loadMode,loadPumpState],run);}init();
@@ -0,0 +1,480 @@
+/**
+ * @file Learns the start and stop differences of indirect_heating_tank_pump.shelly.js, its
+ * waterPumpHysteresis and waterPumpStopDifference, within configured ranges from how fast the tank
+ * warms at each temperature difference while the pump runs, see measureWarming() and
+ * learnStartDifference().
+ *
+ * Upload scripts/indirect_heating_adaptive.shelly.js to the same device as the pump script and run
+ * both. The pump script announces its state to the other scripts after every evaluation and takes
+ * commands from them, see its STATUS_EVENT and COMMAND_EVENT, so this script follows the runs of every
+ * loop and sends what it learned back with the action "learned". The pump script uses the configured
+ * differences again when this script is stopped and the pump script restarts.
+ *
+ * What a loop learned is stored in KVS, as it depends on the heating source it is only restored for a
+ * loop of the same name, see KVS_STATE_KEY. The learning state is available at
+ * http://<device-ip>/script/<script-id>/status, and action=reload re-reads the configuration.
+ */
+
+// #include "lib/log.js"
+// #include "lib/kvs.js"
+// #include "lib/http.js"
+
+/**
+ * The key of the configuration of this script in the Shelly Key-Value Store, e.g.
+ *   Key: "indirect_heating_adaptive_config",
+ *   Value: { "minRise": 1.5, "loops": ["solar"] }
+ *
+ * It is read at startup and with the HTTP action "reload". A value that fails validation is
+ * rejected as a whole and the previous configuration stays active.
+ */
+const KVS_CONFIG_KEY = "indirect_heating_adaptive_config";
+
+// The events of the pump script, they have to match its STATUS_EVENT and COMMAND_EVENT.
+const STATUS_EVENT = "indirect_heating_status";
+const COMMAND_EVENT = "indirect_heating_command";
+
+// The KVS key holding what the loop of switch 0 learned, the loops of the other switches add
+// "_<switch ID>". Each value is { name, hysteresis, stopDifference, rates }, see newLoop().
+const KVS_STATE_KEY = "indirect_heating_adaptive";
+
+// The rules of the pump script that decide by the temperatures alone, see its adjustLoop(). The tank
+// warming is only measured while one of them keeps the pump running.
+const AUTOMATIC_RULES = ["limit", "schedule", "backup", "difference"];
+
+// The field of the pump script's status with the tank reading for each of its stopReference values.
+const TANK_READINGS = { tank: "hotWaterTemperature", top: "tankTopTemperature", bottom: "tankBottomTemperature" };
+
+// The width, in °C, of the ranges of the temperature difference the tank's warming rate is learned for,
+// and their number, the last one takes all larger differences.
+const BIN_WIDTH = 2;
+const BINS = 15;
+
+// How long, in seconds, the tank's warming is measured for one sample, and how long a sample that
+// the pump stopping cuts short has to be to count.
+const SAMPLE_TIME = 300;
+const MIN_SAMPLE_TIME = 120;
+
+// How much a sample moves the learned warming rate of its range, from 0 to 1 (1 replaces it).
+const WEIGHT = 0.3;
+
+// The step, in °C, the learned start and stop differences move by, also the least they differ.
+const STEP = 0.5;
+
+const DEFAULT_CONFIG = {
+  // The names of the loops of the pump script to learn for, all of them if empty. The pump script
+  // goes back to the configured differences of the others.
+  loops: [],
+  // The tank warming, in °C per hour of pumping, below which running the pump is not worth it, the
+  // stop difference moves to where the tank warms this fast.
+  minRise: 1,
+  // A run, in seconds, that ends for a low temperature difference sooner than this raises the start
+  // difference, a longer one lowers it.
+  minRunTime: 900,
+  // The ranges, in °C, the learned start and stop differences stay within. The configured
+  // waterPumpHysteresis and waterPumpStopDifference are where the learning starts.
+  hysteresisMin: 3,
+  hysteresisMax: 20,
+  stopDifferenceMin: 1,
+  stopDifferenceMax: 15,
+  // The most verbose messages printed to the console: "error", "warn", "info" or "debug".
+  logLevel: "info",
+};
+
+// The valid values of the numeric settings, as in the pump script.
+const CONFIG_SCHEMA = {
+  minRise: { min: 0, max: 50 },
+  minRunTime: { min: 0, max: 86400 },
+  hysteresisMin: { min: 0.5, max: 50 },
+  hysteresisMax: { min: 0.5, max: 50 },
+  stopDifferenceMin: { min: 0, max: 50 },
+  stopDifferenceMax: { min: 0, max: 50 },
+};
+
+// The active configuration, the defaults merged with the one in KVS.
+let CONFIG = Object.assign({}, DEFAULT_CONFIG);
+
+// The last error, reported by the HTTP endpoint.
+let scriptStatus = { lastError: "" };
+
+// The learning state of the loops of the pump script by switch ID, see newLoop().
+let loops = {};
+
+// Whether the pump script has several loops, for the messages.
+let severalLoops = false;
+
+/**
+ * @param {string} name The name of the loop.
+ * @returns {object} The learning state of a loop:
+ *   name            The name of the loop in the pump script.
+ *   loaded          Whether what it learned before was restored from KVS, until then it learns nothing.
+ *   hysteresis      The learned start difference, in °C, null until something is learned.
+ *   stopDifference  The learned stop difference, in °C, null until something is learned.
+ *   rates           The learned warming rate of the tank, in °C per hour of pumping, for each range of
+ *                   the temperature difference, null until measured.
+ *   sample          The sample in progress, see measureWarming().
+ *   running         Whether the pump ran at the last status, and runningSince the uptime it was seen
+ *                   starting, null while it is off or its start was not seen.
+ */
+function newLoop(name) {
+  let rates = [];
+  for (let i = 0; i < BINS; i++) {
+    rates.push(null);
+  }
+  return { name: name, loaded: false, hysteresis: null, stopDifference: null, rates: rates, sample: null, running: false, runningSince: null };
+}
+
+/**
+ * @param {object} loop The learning state of the loop.
+ * @returns {string} The prefix for the messages about the loop, empty with a single loop.
+ */
+function loopPrefix(loop) {
+  return severalLoops ? loop.name + ": " : "";
+}
+
+/**
+ * @param {number} switchID The switch of the loop.
+ * @returns {string} The KVS key of what the loop learned, see KVS_STATE_KEY.
+ */
+function stateKey(switchID) {
+  return switchID === 0 ? KVS_STATE_KEY : KVS_STATE_KEY + "_" + switchID;
+}
+
+/**
+ * @description Stores what a loop learned in KVS.
+ * @param {number} switchID The switch of the loop.
+ */
+function saveLoop(switchID) {
+  let loop = loops[switchID];
+  saveState(stateKey(switchID), "learned pump thresholds", { name: loop.name, hysteresis: loop.hysteresis, stopDifference: loop.stopDifference, rates: loop.rates });
+}
+
+/**
+ * @description Restores what a loop learned from KVS, if it was learned for a loop of the same name.
+ * @param {number} switchID The switch of the loop.
+ */
+function loadLoop(switchID) {
+  let loop = loops[switchID];
+  loadState(stateKey(switchID), "learned pump thresholds", function (saved) {
+    if (saved.name !== loop.name || typeof saved.hysteresis !== "number" || typeof saved.stopDifference !== "number" ||
+        !Array.isArray(saved.rates) || saved.rates.length !== BINS) {
+      return;
+    }
+    loop.hysteresis = saved.hysteresis;
+    loop.stopDifference = saved.stopDifference;
+    loop.rates = saved.rates;
+    debugLog(loopPrefix(loop) + "Restored the learned start and stop differences " + saved.hysteresis + "/" + saved.stopDifference + "°C from KVS.");
+  }, function () {
+    loop.loaded = true;
+  });
+}
+
+/**
+ * @param {object} loop The learning state of the loop.
+ * @param {object} config The configured waterPumpHysteresis and waterPumpStopDifference of the loop.
+ * @returns {{hysteresis: number, stopDifference: number}} The learned start and stop differences
+ * within their ranges, the configured ones until they are learned. The start difference stays at
+ * least STEP above the stop difference.
+ */
+function learnedThresholds(loop, config) {
+  let stop = loop.stopDifference === null ? config.waterPumpStopDifference : loop.stopDifference;
+  stop = Math.max(CONFIG.stopDifferenceMin, Math.min(stop, CONFIG.stopDifferenceMax, CONFIG.hysteresisMax - STEP));
+  let start = loop.hysteresis === null ? config.waterPumpHysteresis : loop.hysteresis;
+  start = Math.min(CONFIG.hysteresisMax, Math.max(start, CONFIG.hysteresisMin, stop + STEP));
+  return { hysteresis: start, stopDifference: stop };
+}
+
+/**
+ * @description Stores new start and stop differences of a loop, kept within their ranges, and
+ * logs them if they changed.
+ * @param {object} loop The learning state of the loop.
+ * @param {object} config The configured differences of the loop.
+ * @param {number} hysteresis The new start difference, in °C.
+ * @param {number} stopDifference The new stop difference, in °C.
+ * @param {string} reason Why they changed, for the log.
+ * @returns {boolean} Whether they changed.
+ */
+function updateLearnedThresholds(loop, config, hysteresis, stopDifference, reason) {
+  let before = learnedThresholds(loop, config);
+  loop.hysteresis = hysteresis;
+  loop.stopDifference = stopDifference;
+  let learned = learnedThresholds(loop, config);
+  loop.hysteresis = learned.hysteresis;
+  loop.stopDifference = learned.stopDifference;
+  if (learned.hysteresis === before.hysteresis && learned.stopDifference === before.stopDifference) {
+    return false;
+  }
+  logEvent("info", "adaptive", loopPrefix(loop) + "Learned a start difference of " + learned.hysteresis + "°C and a stop difference of " +
+    learned.stopDifference + "°C, " + reason + ".", { loop: loop.name, hysteresis: learned.hysteresis, stopDifference: learned.stopDifference });
+  return true;
+}
+
+/**
+ * @description Measures how fast the tank warms while the automatic rules of the pump script run
+ * the pump of a loop. A sample lasts SAMPLE_TIME, or ends early when the pump stops for a low
+ * temperature difference, and updates the warming rate learned for its average temperature difference
+ * between the heating source and the tank. A sample within BIN_WIDTH of the stop difference then moves
+ * it up a step if the tank warms slower than minRise at that difference, and down a step otherwise, so
+ * it settles where pumping stops being worth it.
+ * @param {object} loop The learning state of the loop.
+ * @param {number} tankTemperature The tank reading the stop rule compares against, in °C.
+ * @param {number} sourceTemperature The heating source reading, in °C.
+ * @param {object} config The configured differences of the loop.
+ * @param {boolean} stopping Whether the pump stops for a low temperature difference.
+ * @returns {boolean} Whether the learned differences changed.
+ */
+function measureWarming(loop, tankTemperature, sourceTemperature, config, stopping) {
+  let now = uptime();
+  let sample = loop.sample;
+  let difference = sourceTemperature - tankTemperature;
+  if (sample === null) {
+    loop.sample = stopping ? null : { startedAt: now, tank: tankTemperature, difference: difference };
+    return false;
+  }
+  let elapsed = now - sample.startedAt;
+  if (elapsed < (stopping ? MIN_SAMPLE_TIME : SAMPLE_TIME)) {
+    loop.sample = stopping ? null : sample;
+    return false;
+  }
+  loop.sample = stopping ? null : { startedAt: now, tank: tankTemperature, difference: difference };
+
+  let average = (sample.difference + difference) / 2;
+  let bin = Math.max(0, Math.min(BINS - 1, Math.floor(average / BIN_WIDTH)));
+  let rise = (tankTemperature - sample.tank) / elapsed * 3600;
+  let rates = loop.rates;
+  rates[bin] = Math.round((rates[bin] === null ? rise : rates[bin] + WEIGHT * (rise - rates[bin])) * 100) / 100;
+  debugLog(loopPrefix(loop) + "The tank warmed " + Math.round(rise * 100) / 100 + "°C/h at a temperature difference of " +
+    Math.round(average * 10) / 10 + "°C, " + rates[bin] + "°C/h learned for " + bin * BIN_WIDTH + "-" + (bin + 1) * BIN_WIDTH + "°C.");
+
+  let learned = learnedThresholds(loop, config);
+  // Only the warming close to the stop difference tells whether it is right.
+  if (average >= learned.stopDifference + BIN_WIDTH) {
+    return false;
+  }
+  let worth = rates[bin] >= CONFIG.minRise;
+  return updateLearnedThresholds(loop, config, learned.hysteresis, learned.stopDifference + (worth ? -STEP : STEP),
+    "the tank warms " + rates[bin] + "°C/h close to the stop difference");
+}
+
+/**
+ * @description Learns the start difference of a loop from a run that ends for a low temperature
+ * difference: a run shorter than minRunTime moves it up a step, as the pump started before the
+ * heating source could keep up, a longer one moves it down.
+ * @param {object} loop The learning state of the loop.
+ * @param {number} runTime How long, in seconds, the pump ran.
+ * @param {object} config The configured differences of the loop.
+ */
+function learnStartDifference(loop, runTime, config) {
+  let learned = learnedThresholds(loop, config);
+  let short = runTime < CONFIG.minRunTime;
+  updateLearnedThresholds(loop, config, learned.hysteresis + (short ? STEP : -STEP), learned.stopDifference,
+    "the pump ran " + runTime + " s");
+}
+
+/**
+ * @description Follows a loop of the pump script: measures the tank warming while its automatic
+ * rules run the pump, learns from a run that ends for a low temperature difference, and sends the
+ * learned differences to the pump script when it does not use them yet. A loop that is not learned
+ * for gets its configured differences back.
+ * @param {object} status The status of the pump script.
+ * @param {object} loopStatus The status of the loop.
+ */
+function followLoop(status, loopStatus) {
+  let loop = loops[loopStatus.switchID];
+  if (loop === undefined || loop.name !== loopStatus.name) {
+    loop = newLoop(loopStatus.name);
+    loops[loopStatus.switchID] = loop;
+    loadLoop(loopStatus.switchID);
+  }
+  if (!loop.loaded) {
+    return;
+  }
+  let running = loopStatus.pumpRunning;
+  let wasRunning = loop.running;
+  loop.running = running;
+  if (running && !wasRunning) {
+    loop.runningSince = uptime();
+  }
+  let runningSince = loop.runningSince;
+  if (!running) {
+    loop.runningSince = null;
+  }
+
+  if (CONFIG.loops.length > 0 && CONFIG.loops.indexOf(loop.name) === -1) {
+    loop.sample = null;
+    if (loopStatus.learned !== null) {
+      sendCommand({ action: "learned", loop: loop.name });
+    }
+    return;
+  }
+
+  // The differences configured for the loop, the pump script announces them with its state.
+  let config = { waterPumpHysteresis: loopStatus.waterPumpHysteresis, waterPumpStopDifference: loopStatus.waterPumpStopDifference };
+  let tankTemperature = status[TANK_READINGS[status.stopReference]];
+  let sourceTemperature = loopStatus.heatingSourceTemperature;
+  // The pump stopped because the temperature difference got too low, which ends a run.
+  let stopping = wasRunning && !running && loopStatus.rule === "difference";
+  let changed = false;
+  if (stopping && runningSince !== null) {
+    learnStartDifference(loop, uptime() - runningSince, config);
+    changed = true;
+  }
+  if (wasRunning && AUTOMATIC_RULES.indexOf(loopStatus.rule) !== -1 && typeof tankTemperature === "number" && typeof sourceTemperature === "number") {
+    changed = measureWarming(loop, tankTemperature, sourceTemperature, config, stopping) || changed;
+  } else {
+    loop.sample = null;
+  }
+  if (changed) {
+    saveLoop(loopStatus.switchID);
+  }
+
+  let learned = learnedThresholds(loop, config);
+  if (loopStatus.learned === null || loopStatus.learned.hysteresis !== learned.hysteresis || loopStatus.learned.stopDifference !== learned.stopDifference) {
+    sendCommand({ action: "learned", loop: loop.name, hysteresis: learned.hysteresis, stopDifference: learned.stopDifference });
+  }
+}
+
+/**
+ * @description Sends a command to the pump script, see its COMMAND_EVENT.
+ * @param {object} command The action and its parameters.
+ */
+function sendCommand(command) {
+  command.source = "from the adaptive learning";
+  Shelly.emitEvent(COMMAND_EVENT, command);
+}
+
+/**
+ * @description Follows every loop in the status the pump script announced.
+ * @param {object} event The event from Shelly.addEventHandler().
+ */
+function handleStatusEvent(event) {
+  if (!event.info || event.info.event !== STATUS_EVENT || typeof event.info.data !== "object" || event.info.data === null) {
+    return;
+  }
+  let status = event.info.data;
+  severalLoops = status.loops.length > 1;
+  status.loops.forEach(function (loopStatus) {
+    followLoop(status, loopStatus);
+  });
+}
+
+/**
+ * @description Checks a configuration from KVS.
+ * @param {object} loadedConfig The parsed value.
+ * @returns {string[]} The problems, empty if it is valid.
+ */
+function validateConfig(loadedConfig) {
+  if (typeof loadedConfig !== "object" || loadedConfig === null || Array.isArray(loadedConfig)) {
+    return ["The configuration must be a JSON object."];
+  }
+  let errors = [];
+  Object.keys(loadedConfig).forEach(function (key) {
+    let value = loadedConfig[key];
+    let rule = CONFIG_SCHEMA[key];
+    if (rule) {
+      if (typeof value !== "number" || value < rule.min || value > rule.max) {
+        errors.push(key + " must be a number from " + rule.min + " to " + rule.max + ".");
+      }
+    } else if (key === "loops") {
+      if (!Array.isArray(value) || value.some(function (name) { return typeof name !== "string"; })) {
+        errors.push("loops must be a list of loop names.");
+      }
+    } else if (key === "logLevel") {
+      if (LOG_LEVELS.indexOf(value) === -1) {
+        errors.push("logLevel must be one of " + LOG_LEVELS.join(", ") + ".");
+      }
+    } else {
+      errors.push(key + ": unknown setting.");
+    }
+  });
+  if (errors.length > 0) {
+    return errors;
+  }
+  let merged = Object.assign({}, DEFAULT_CONFIG, loadedConfig);
+  if (merged.hysteresisMin > merged.hysteresisMax) {
+    errors.push("hysteresisMin (" + merged.hysteresisMin + ") must not be higher than hysteresisMax (" + merged.hysteresisMax + ").");
+  }
+  if (merged.stopDifferenceMin > merged.stopDifferenceMax) {
+    errors.push("stopDifferenceMin (" + merged.stopDifferenceMin + ") must not be higher than stopDifferenceMax (" + merged.stopDifferenceMax + ").");
+  }
+  if (merged.stopDifferenceMin + STEP > merged.hysteresisMax) {
+    errors.push("stopDifferenceMin (" + merged.stopDifferenceMin + ") must be at least " + STEP + "°C lower than hysteresisMax (" + merged.hysteresisMax + ").");
+  }
+  return errors;
+}
+
+/**
+ * @description Reads the configuration from KVS, validates it and applies it. An invalid
+ * configuration is reported and the active one stays in place.
+ * @param {function} [callback] Called once the configuration was processed.
+ */
+function loadConfig(callback) {
+  // The defaults apply if the key is missing, null keeps the active configuration.
+  let loadedConfig = {};
+  loadState(KVS_CONFIG_KEY, "configuration", function (saved) {
+    loadedConfig = null;
+    let errors = validateConfig(saved);
+    if (errors.length > 0) {
+      throw errors.join(" ");
+    }
+    loadedConfig = saved;
+  }, function () {
+    if (loadedConfig !== null) {
+      CONFIG = Object.assign({}, DEFAULT_CONFIG, loadedConfig);
+    }
+    if (callback) {
+      callback();
+    }
+  });
+}
+
+/**
+ * @returns {object} What the loops learned by loop name, within the active ranges, and the last error.
+ */
+function getStatus() {
+  let learned = {};
+  Object.keys(loops).forEach(function (switchID) {
+    let loop = loops[switchID];
+    // The configured differences only matter until something is learned.
+    let thresholds = loop.hysteresis === null ? { hysteresis: null, stopDifference: null } : learnedThresholds(loop, {});
+    learned[loop.name] = { hysteresis: thresholds.hysteresis, stopDifference: thresholds.stopDifference, rates: loop.rates };
+  });
+  return { loops: learned, lastError: scriptStatus.lastError };
+}
+
+/**
+ * @description Answers requests to the HTTP endpoint "status" with the learning state, see
+ * getStatus(), after re-reading the configuration with action=reload.
+ * @param {object} request The incoming request, only its query is used.
+ * @param {object} response The response to fill in and send.
+ */
+function handleHttpRequest(request, response) {
+  let params = parseQuery(request.query);
+  let send = function () {
+    response.code = 200;
+    response.headers = [["Content-Type", "application/json"]];
+    response.body = JSON.stringify(getStatus());
+    response.send();
+  };
+  if (params.action === "reload") {
+    loadConfig(send);
+  } else if (params.action !== undefined) {
+    response.code = 400;
+    response.body = JSON.stringify({ error: "Unknown action '" + params.action + "', use reload." });
+    response.send();
+  } else {
+    send();
+  }
+}
+
+/**
+ * @description Initializes the script on startup: loads the configuration from KVS and then follows
+ * the status the pump script announces. What a loop learned is restored from KVS when it first appears.
+ */
+function init() {
+  loadConfig(function () {
+    HTTPServer.registerEndpoint("status", handleHttpRequest);
+    Shelly.addEventHandler(handleStatusEvent);
+  });
+}
+
+init(); // Start the initialization process.
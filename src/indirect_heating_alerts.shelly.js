@@ -0,0 +1,186 @@
+/**
+ * @file Sends the alerts of indirect_heating_tank_pump.shelly.js as HTTP POST notifications, e.g. to an
+ * ntfy topic or a webhook receiver, with repeats while an alert stays active and a limit per hour.
+ *
+ * Upload scripts/indirect_heating_alerts.shelly.js to the same device as the pump script and run both.
+ * The pump script decides when an alert is raised and when it recovers, reports the active ones in its
+ * status and announces every change with its ALERT_EVENT, so this script only sends them: once when an
+ * alert is raised, every repeatInterval while it stays active, and once when it recovers. A repeat sends
+ * the message the alert was raised with. Alerts raised while this script was not running are not sent.
+ */
+
+// #include "lib/log.js"
+// #include "lib/kvs.js"
+
+/**
+ * The key of the configuration of this script in the Shelly Key-Value Store, e.g.
+ *   Key: "indirect_heating_alerts_config",
+ *   Value: { "url": "https://ntfy.sh/my-tank", "format": "text" }
+ *
+ * It is read once at startup, restart the script after changing it.
+ */
+const KVS_CONFIG_KEY = "indirect_heating_alerts_config";
+
+// The event of the pump script, it has to match its ALERT_EVENT.
+const ALERT_EVENT = "indirect_heating_alert";
+
+// The interval, in seconds, the active alerts are checked for a repeat.
+const REPEAT_CHECK_INTERVAL = 60;
+
+const DEFAULT_CONFIG = {
+  // The URL alerts are posted to, e.g. "https://ntfy.sh/my-tank" ("" sends nothing), and the body:
+  // "json" for { device, alert, state, message, time } or "text" for the message only.
+  url: "",
+  format: "json",
+  // The interval, in seconds, to repeat an alert that is still active (0 sends it only once).
+  repeatInterval: 43200,
+  // The most notifications sent within an hour, further ones are dropped (0 for no limit).
+  maxPerHour: 10,
+  // The most verbose messages printed to the console: "error", "warn", "info" or "debug".
+  logLevel: "info",
+};
+
+// The valid values of the numeric settings.
+const CONFIG_SCHEMA = {
+  repeatInterval: { min: 0, max: 604800 },
+  maxPerHour: { min: 0, max: 100 },
+};
+
+// The active configuration, the defaults merged with the one in KVS.
+let CONFIG = Object.assign({}, DEFAULT_CONFIG);
+
+// The last error, printed depending on logLevel, see reportError().
+let scriptStatus = { lastError: "" };
+
+// The active alerts by name, with the message they were raised with and the uptime they were last
+// sent, and the uptimes of the notifications sent within the last hour, for maxPerHour.
+let alerts = { active: {}, sent: [] };
+
+/**
+ * @description Checks the configuration from KVS.
+ * @param {object} loadedConfig The parsed value.
+ * @returns {string[]} The problems, empty if it is valid.
+ */
+function validateConfig(loadedConfig) {
+  if (typeof loadedConfig !== "object" || loadedConfig === null || Array.isArray(loadedConfig)) {
+    return ["The configuration must be a JSON object."];
+  }
+  let errors = [];
+  Object.keys(loadedConfig).forEach(function (key) {
+    let value = loadedConfig[key];
+    let rule = CONFIG_SCHEMA[key];
+    if (rule) {
+      if (typeof value !== "number" || value < rule.min || value > rule.max || Math.floor(value) !== value) {
+        errors.push(key + " must be a whole number from " + rule.min + " to " + rule.max + ".");
+      }
+    } else if (key === "url") {
+      if (typeof value !== "string" || (value !== "" && value.indexOf("http://") !== 0 && value.indexOf("https://") !== 0)) {
+        errors.push("url must start with http:// or https://.");
+      }
+    } else if (key === "format") {
+      if (value !== "json" && value !== "text") {
+        errors.push("format must be json or text.");
+      }
+    } else if (key === "logLevel") {
+      if (LOG_LEVELS.indexOf(value) === -1) {
+        errors.push("logLevel must be one of " + LOG_LEVELS.join(", ") + ".");
+      }
+    } else {
+      errors.push(key + ": unknown setting.");
+    }
+  });
+  return errors;
+}
+
+/**
+ * @description Posts a notification to the configured URL, unless maxPerHour is reached.
+ * @param {string} name The alert, e.g. "sensor" or "pump:boiler".
+ * @param {string} state "raised", "repeated" or "recovered".
+ * @param {string} message What happened.
+ */
+function sendAlert(name, state, message) {
+  let now = uptime();
+  alerts.sent = alerts.sent.filter(function (sentAt) { return now - sentAt < 3600; });
+  if (CONFIG.maxPerHour > 0 && alerts.sent.length >= CONFIG.maxPerHour) {
+    logEvent("warn", "alert", "Alert not sent, the limit of " + CONFIG.maxPerHour + " per hour is reached: " + message);
+    return;
+  }
+  alerts.sent.push(now);
+
+  let device = Shelly.getComponentConfig("sys").device.name;
+  let params = { url: CONFIG.url, timeout: 10 };
+  if (CONFIG.format === "text") {
+    params.body = (device ? device + ": " : "") + message;
+    params.content_type = "text/plain";
+  } else {
+    params.body = JSON.stringify({ device: device, alert: name, state: state, message: message, time: unixtime() });
+    params.content_type = "application/json";
+  }
+  queueCall("HTTP.POST", params, function (result, error_code, error_message) {
+    if (error_code !== 0 || result.code >= 300) {
+      reportError("Error sending the " + name + " alert: " + (error_code !== 0 ? error_message : "HTTP " + result.code), "alert");
+    }
+  });
+}
+
+/**
+ * @description Sends an alert the pump script raised or cleared.
+ * @param {object} event The event from Shelly.addEventHandler(), its data is { name, state, message }.
+ */
+function handleAlertEvent(event) {
+  if (!event.info || event.info.event !== ALERT_EVENT || typeof event.info.data !== "object" || event.info.data === null) {
+    return;
+  }
+  let alert = event.info.data;
+  if (alert.state === "raised") {
+    alerts.active[alert.name] = { message: alert.message, sentAt: uptime() };
+  } else {
+    delete alerts.active[alert.name];
+  }
+  sendAlert(alert.name, alert.state, alert.message);
+}
+
+/**
+ * @description Repeats the alerts that are still active after repeatInterval.
+ */
+function repeatAlerts() {
+  let now = uptime();
+  Object.keys(alerts.active).forEach(function (name) {
+    let alert = alerts.active[name];
+    if (now - alert.sentAt >= CONFIG.repeatInterval) {
+      alert.sentAt = now;
+      sendAlert(name, "repeated", alert.message);
+    }
+  });
+}
+
+/**
+ * @description Starts following the alerts of the pump script, if a URL is configured.
+ */
+function run() {
+  if (CONFIG.url === "") {
+    logEvent("warn", "config", "No url in " + KVS_CONFIG_KEY + ", no alerts are sent.");
+    return;
+  }
+  Shelly.addEventHandler(handleAlertEvent);
+  if (CONFIG.repeatInterval > 0) {
+    Timer.set(REPEAT_CHECK_INTERVAL * 1000, true, repeatAlerts);
+  }
+  debugLog("Sending the alerts to " + CONFIG.url + ".");
+}
+
+/**
+ * @description Initializes the script on startup: loads the configuration from KVS and hands over
+ * to run(). An invalid configuration is reported and nothing is sent.
+ */
+function init() {
+  loadState(KVS_CONFIG_KEY, "configuration", function (saved) {
+    let errors = validateConfig(saved);
+    if (errors.length > 0) {
+      throw errors.join(" ");
+    }
+    CONFIG = Object.assign({}, DEFAULT_CONFIG, saved);
+  }, run);
+}
+
+init(); // Start the initialization process.
@@ -0,0 +1,210 @@
+/**
+ * @file Exercises the pumps of indirect_heating_tank_pump.shelly.js briefly after days without
+ * running, so they do not seize up, e.g. over a summer without heating.
+ *
+ * Upload scripts/indirect_heating_exercise.shelly.js to the same device as the pump script and run
+ * both. The pump script announces its state after every evaluation and pump transition and takes
+ * commands from the other scripts, see its STATUS_EVENT and COMMAND_EVENT. This script notes when the
+ * pump of each loop last ran, and when one is due it forces the pump on for duration with the action
+ * "on". Like a pump forced by hand, it stops at the first scan of the pump script after duration, and
+ * not before the pump script's minPumpOnTime.
+ *
+ * A run is only due while the pump script's rules keep the pump off for the temperature difference
+ * alone, so a pump held off at the maximum temperature, by the schedule, a fault or a mode forced
+ * by hand is not exercised. The times of the last runs are stored in KVS, see KVS_STATE_KEY. Until a
+ * pump is seen running, its days count from the first time this script saw it.
+ */
+
+// #include "lib/log.js"
+// #include "lib/kvs.js"
+
+/**
+ * The key of the configuration of this script in the Shelly Key-Value Store, e.g.
+ *   Key: "indirect_heating_exercise_config",
+ *   Value: { "intervalDays": 3, "loops": ["boiler"] }
+ *
+ * It is read once at startup, restart the script after changing it.
+ */
+const KVS_CONFIG_KEY = "indirect_heating_exercise_config";
+
+// The events of the pump script, they have to match its STATUS_EVENT and COMMAND_EVENT.
+const STATUS_EVENT = "indirect_heating_status";
+const COMMAND_EVENT = "indirect_heating_command";
+
+// The KVS key holding the unixtime the pump of each loop last ran, by loop name.
+const KVS_STATE_KEY = "indirect_heating_exercise";
+
+// The interval, in seconds, the loops are checked for a due run.
+const CHECK_INTERVAL = 60;
+
+const DEFAULT_CONFIG = {
+  // The number of days without running after which a pump is exercised, for how many seconds,
+  // and the local hour (0-23) from which a due run starts.
+  intervalDays: 7,
+  duration: 30,
+  startHour: 11,
+  // The names of the loops of the pump script to exercise, all of them if empty.
+  loops: [],
+  // The most verbose messages printed to the console: "error", "warn", "info" or "debug".
+  logLevel: "info",
+};
+
+// The valid values of the numeric settings, as they were in the pump script.
+const CONFIG_SCHEMA = {
+  intervalDays: { min: 1, max: 365, integer: true },
+  duration: { min: 5, max: 3600 },
+  startHour: { min: 0, max: 23, integer: true },
+};
+
+// The active configuration, the defaults merged with the one in KVS.
+let CONFIG = Object.assign({}, DEFAULT_CONFIG);
+
+// The last error, printed depending on logLevel, see reportError().
+let scriptStatus = { lastError: "" };
+
+// The unixtime the pump of each loop last ran, by loop name, see KVS_STATE_KEY.
+let lastRuns = {};
+
+// The last status the pump script announced, null until the first one arrived.
+let lastStatus = null;
+
+/**
+ * @description Checks the configuration from KVS.
+ * @param {object} loadedConfig The parsed value.
+ * @returns {string[]} The problems, empty if it is valid.
+ */
+function validateConfig(loadedConfig) {
+  if (typeof loadedConfig !== "object" || loadedConfig === null || Array.isArray(loadedConfig)) {
+    return ["The configuration must be a JSON object."];
+  }
+  let errors = [];
+  Object.keys(loadedConfig).forEach(function (key) {
+    let value = loadedConfig[key];
+    let rule = CONFIG_SCHEMA[key];
+    if (rule) {
+      if (typeof value !== "number" || value < rule.min || value > rule.max || (rule.integer && Math.floor(value) !== value)) {
+        errors.push(key + " must be a" + (rule.integer ? " whole" : "") + " number from " + rule.min + " to " + rule.max + ".");
+      }
+    } else if (key === "loops") {
+      if (!Array.isArray(value) || value.some(function (name) { return typeof name !== "string"; })) {
+        errors.push("loops must be a list of loop names.");
+      }
+    } else if (key === "logLevel") {
+      if (LOG_LEVELS.indexOf(value) === -1) {
+        errors.push("logLevel must be one of " + LOG_LEVELS.join(", ") + ".");
+      }
+    } else {
+      errors.push(key + ": unknown setting.");
+    }
+  });
+  return errors;
+}
+
+/**
+ * @description Stores the times of the last runs in KVS.
+ */
+function saveLastRuns() {
+  saveState(KVS_STATE_KEY, "last runs", lastRuns);
+}
+
+/**
+ * @description Notes the pumps that are running at a status the pump script announced.
+ * @param {object} event The event from Shelly.addEventHandler().
+ */
+function handleStatusEvent(event) {
+  if (!event.info || event.info.event !== STATUS_EVENT || typeof event.info.data !== "object" || event.info.data === null) {
+    return;
+  }
+  let now = unixtime();
+  let previous = lastStatus;
+  lastStatus = event.info.data;
+  if (now === null) {
+    return;
+  }
+  let changed = false;
+  lastStatus.loops.forEach(function (loop) {
+    let before = previous === null ? [] : previous.loops.filter(function (other) { return other.name === loop.name; });
+    // Stored once the pump stops, or at once for a pump that is running when this script starts.
+    if (loop.pumpRunning) {
+      lastRuns[loop.name] = now;
+      changed = changed || before.length === 0;
+    } else if (before.length > 0 && before[0].pumpRunning) {
+      changed = true;
+    }
+  });
+  if (changed) {
+    saveLastRuns();
+  }
+}
+
+/**
+ * @description Forces the pump of the first loop that is due for an exercise run on for duration. A
+ * run is due when the pump has not run for intervalDays, the local hour is startHour or later and the
+ * pump script keeps the pump off for the temperature difference, below the maximum temperature.
+ * One loop at a time, as the pump script forces a single loop at a time.
+ */
+function exerciseDuePump() {
+  let now = unixtime();
+  let time = localTime();
+  if (lastStatus === null || now === null || time === null || lastStatus.mode === "on" || lastStatus.mode === "off") {
+    return;
+  }
+  let due = lastStatus.loops.filter(function (loop) {
+    if (CONFIG.loops.length > 0 && CONFIG.loops.indexOf(loop.name) === -1) {
+      return false;
+    }
+    if (lastRuns[loop.name] === undefined) {
+      lastRuns[loop.name] = now;
+      saveLastRuns();
+      return false;
+    }
+    return now - lastRuns[loop.name] >= CONFIG.intervalDays * 86400 && time.hour >= CONFIG.startHour && !loop.pumpRunning &&
+      loop.rule === "difference" && lastStatus.hotWaterTemperature !== null && lastStatus.hotWaterTemperature < loop.maxWaterTemp;
+  });
+  if (due.length === 0) {
+    return;
+  }
+  let loop = due[0];
+  let several = lastStatus.loops.length > 1;
+  logEvent("info", "exercise", "Exercising the pump" + (several ? " " + loop.name : "") + " for " + CONFIG.duration + " s after " + CONFIG.intervalDays + " days without running.", { loop: loop.name });
+  // Counts as a run even if the pump script does not start the pump, so it is not forced on again at every check.
+  lastRuns[loop.name] = now;
+  saveLastRuns();
+  // A single loop is forced without its name, like a pump forced by hand.
+  Shelly.emitEvent(COMMAND_EVENT, {
+    action: "on", minutes: CONFIG.duration / 60, loop: several ? loop.name : null, source: "for an exercise run",
+  });
+}
+
+/**
+ * @description Starts following the pumps of the pump script.
+ */
+function run() {
+  Shelly.addEventHandler(handleStatusEvent);
+  Timer.set(CHECK_INTERVAL * 1000, true, exerciseDuePump);
+}
+
+/**
+ * @description Initializes the script on startup: loads the configuration and the times of the last
+ * runs from KVS and hands over to run(). An invalid configuration is reported and the defaults apply.
+ */
+function init() {
+  runInSequence([function (callback) {
+    loadState(KVS_CONFIG_KEY, "configuration", function (saved) {
+      let errors = validateConfig(saved);
+      if (errors.length > 0) {
+        throw errors.join(" ");
+      }
+      CONFIG = Object.assign({}, DEFAULT_CONFIG, saved);
+    }, callback);
+  }, function (callback) {
+    loadState(KVS_STATE_KEY, "last runs", function (saved) {
+      if (typeof saved !== "object" || saved === null || Array.isArray(saved)) {
+        throw "expected an object";
+      }
+      lastRuns = saved;
+    }, callback);
+  }], run);
+}
+
+init(); // Start the initialization process.
@@ -0,0 +1,240 @@
+/**
+ * @file Heats the tank of indirect_heating_tank_pump.shelly.js every few days as thermal disinfection
+ * against legionella, and records whether the tank held the disinfection temperature long enough.
+ *
+ * Upload scripts/indirect_heating_legionella.shelly.js to the same device as the pump script and run
+ * both. The pump script announces its state after every evaluation and takes commands from the other
+ * scripts, see its STATUS_EVENT and COMMAND_EVENT. While a cycle runs, this script asks the pump script
+ * with the action "heat" to heat the tank slightly above temperature, which should be higher than its
+ * maxWaterTemp, and asks it again if the pump script restarted meanwhile. The pump script stops heating
+ * that high on its own after maxDuration, also if this script stops.
+ *
+ * The day and the result of the last cycle are stored in KVS, see KVS_STATE_KEY, and are available with
+ * the state of a running cycle at http://<device-ip>/script/<script-id>/status. A failed cycle is
+ * reported as an error.
+ */
+
+// #include "lib/log.js"
+// #include "lib/kvs.js"
+// #include "lib/http.js"
+
+/**
+ * The key of the configuration of this script in the Shelly Key-Value Store, e.g.
+ *   Key: "indirect_heating_legionella_config",
+ *   Value: { "temperature": 65, "intervalDays": 14 }
+ *
+ * It is read once at startup, restart the script after changing it.
+ */
+const KVS_CONFIG_KEY = "indirect_heating_legionella_config";
+
+// The events of the pump script, they have to match its STATUS_EVENT and COMMAND_EVENT.
+const STATUS_EVENT = "indirect_heating_status";
+const COMMAND_EVENT = "indirect_heating_command";
+
+// The KVS key holding the day and the result of the last cycle, so the schedule survives restarts.
+// The pump script stored them under the same key before the disinfection moved into this script.
+const KVS_STATE_KEY = "indirect_heating_legionella";
+
+// How far, in °C, the tank is heated above the temperature and may drop below it without restarting the hold time.
+const TOLERANCE = 1;
+
+const DEFAULT_CONFIG = {
+  // The disinfection temperature, in °C, and how long, in seconds, the tank has to hold it.
+  temperature: 70,
+  holdTime: 1800,
+  // The number of days between cycles and the local hour (0-23) from which a due cycle starts.
+  intervalDays: 7,
+  startHour: 13,
+  // The time, in seconds, a cycle may take before it is recorded as failed.
+  maxDuration: 21600,
+  // The most verbose messages printed to the console: "error", "warn", "info" or "debug".
+  logLevel: "info",
+};
+
+// The valid values of the numeric settings, as they were in the pump script.
+const CONFIG_SCHEMA = {
+  temperature: { min: 55, max: 95 },
+  holdTime: { min: 60, max: 86400 },
+  intervalDays: { min: 1, max: 90, integer: true },
+  startHour: { min: 0, max: 23, integer: true },
+  maxDuration: { min: 600, max: 86400 },
+};
+
+// The active configuration, the defaults merged with the one in KVS.
+let CONFIG = Object.assign({}, DEFAULT_CONFIG);
+
+// The last error, reported by the HTTP endpoint.
+let scriptStatus = { lastError: "" };
+
+// The disinfection schedule: the local day the last cycle started, its result ("success" or
+// "failed") and, while a cycle runs, the uptimes it started and reached the temperature.
+let legionella = { lastDay: null, lastResult: null, active: false, startedAt: null, heldSince: null };
+
+/**
+ * @description Checks the configuration from KVS.
+ * @param {object} loadedConfig The parsed value.
+ * @returns {string[]} The problems, empty if it is valid.
+ */
+function validateConfig(loadedConfig) {
+  if (typeof loadedConfig !== "object" || loadedConfig === null || Array.isArray(loadedConfig)) {
+    return ["The configuration must be a JSON object."];
+  }
+  let errors = [];
+  Object.keys(loadedConfig).forEach(function (key) {
+    let value = loadedConfig[key];
+    let rule = CONFIG_SCHEMA[key];
+    if (rule) {
+      if (typeof value !== "number" || value < rule.min || value > rule.max || (rule.integer && Math.floor(value) !== value)) {
+        errors.push(key + " must be a" + (rule.integer ? " whole" : "") + " number from " + rule.min + " to " + rule.max + ".");
+      }
+    } else if (key === "logLevel") {
+      if (LOG_LEVELS.indexOf(value) === -1) {
+        errors.push("logLevel must be one of " + LOG_LEVELS.join(", ") + ".");
+      }
+    } else {
+      errors.push(key + ": unknown setting.");
+    }
+  });
+  let merged = Object.assign({}, DEFAULT_CONFIG, loadedConfig);
+  if (errors.length === 0 && merged.holdTime >= merged.maxDuration) {
+    errors.push("holdTime (" + merged.holdTime + ") must be shorter than maxDuration (" + merged.maxDuration + ").");
+  }
+  return errors;
+}
+
+/**
+ * @description Asks the pump script to heat the tank for the rest of the running cycle, or to stop
+ * heating above its limits once no cycle runs.
+ */
+function sendHeatCommand() {
+  let command = { action: "heat", source: "for thermal disinfection" };
+  if (legionella.active) {
+    command.temperature = CONFIG.temperature + TOLERANCE;
+    command.minutes = Math.ceil((CONFIG.maxDuration - (uptime() - legionella.startedAt)) / 60);
+  }
+  Shelly.emitEvent(COMMAND_EVENT, command);
+}
+
+/**
+ * @description Ends the running cycle and records its result.
+ * @param {boolean} success Whether the tank held the temperature for holdTime.
+ * @param {string} message What happened, printed and reported on failure.
+ */
+function finishCycle(success, message) {
+  legionella.active = false;
+  legionella.startedAt = null;
+  legionella.heldSince = null;
+  legionella.lastResult = success ? "success" : "failed";
+  if (success) {
+    logEvent("info", "legionella", message);
+  } else {
+    reportError(message, "legionella");
+  }
+  saveState(KVS_STATE_KEY, "disinfection state", { lastDay: legionella.lastDay, lastResult: legionella.lastResult });
+  sendHeatCommand();
+}
+
+/**
+ * @description Starts a cycle when one is due and tracks the running one at every status the pump
+ * script announces. A cycle is due intervalDays after the day the last one started, from startHour
+ * local time on. It succeeds once the tank has held the temperature for holdTime and fails when that
+ * does not happen within maxDuration.
+ * @param {object} event The event from Shelly.addEventHandler().
+ */
+function handleStatusEvent(event) {
+  if (!event.info || event.info.event !== STATUS_EVENT || typeof event.info.data !== "object" || event.info.data === null) {
+    return;
+  }
+  let status = event.info.data;
+  let hotWaterTemperature = status.hotWaterTemperature;
+  if (hotWaterTemperature === null) {
+    return;
+  }
+
+  let now = uptime();
+  if (!legionella.active) {
+    let time = localTime();
+    if (time === null || time.hour < CONFIG.startHour ||
+        (legionella.lastDay !== null && time.day - legionella.lastDay < CONFIG.intervalDays)) {
+      return;
+    }
+    legionella.active = true;
+    legionella.startedAt = now;
+    legionella.heldSince = null;
+    legionella.lastDay = time.day;
+    logEvent("info", "legionella", "Starting thermal disinfection, heating the tank to " + CONFIG.temperature + "°C.");
+  }
+
+  if (hotWaterTemperature >= CONFIG.temperature) {
+    if (legionella.heldSince === null) {
+      legionella.heldSince = now;
+      debugLog("Disinfection temperature reached, holding it for " + CONFIG.holdTime + " s.");
+    }
+  } else if (hotWaterTemperature < CONFIG.temperature - TOLERANCE) {
+    legionella.heldSince = null;
+  }
+
+  if (legionella.heldSince !== null && now - legionella.heldSince >= CONFIG.holdTime) {
+    finishCycle(true, "Thermal disinfection completed, the tank held " + CONFIG.temperature + "°C for " + CONFIG.holdTime + " s.");
+  } else if (now - legionella.startedAt >= CONFIG.maxDuration) {
+    finishCycle(false, "Thermal disinfection failed, the tank did not hold " + CONFIG.temperature + "°C within " + CONFIG.maxDuration + " s (now " + hotWaterTemperature + "°C).");
+  } else if (status.heatTemperature !== CONFIG.temperature + TOLERANCE) {
+    // Just started, or the pump script restarted meanwhile.
+    sendHeatCommand();
+  }
+}
+
+/**
+ * @description Answers requests to the HTTP endpoint "status" with the disinfection state and the last error.
+ * @param {object} request The incoming request, there are no actions.
+ * @param {object} response The response to fill in and send.
+ */
+function handleHttpRequest(request, response) {
+  let params = parseQuery(request.query);
+  if (params.action !== undefined) {
+    response.code = 400;
+    response.body = JSON.stringify({ error: "Unknown action '" + params.action + "', there are none." });
+  } else {
+    response.code = 200;
+    response.headers = [["Content-Type", "application/json"]];
+    response.body = JSON.stringify({
+      active: legionella.active,
+      holding: legionella.heldSince !== null,
+      lastDay: legionella.lastDay,
+      lastResult: legionella.lastResult,
+      lastError: scriptStatus.lastError,
+    });
+  }
+  response.send();
+}
+
+/**
+ * @description Starts following the tank temperature of the pump script.
+ */
+function run() {
+  Shelly.addEventHandler(handleStatusEvent);
+  HTTPServer.registerEndpoint("status", handleHttpRequest);
+}
+
+/**
+ * @description Initializes the script on startup: loads the configuration and the last cycle from
+ * KVS and hands over to run(). An invalid configuration is reported and the defaults apply.
+ */
+function init() {
+  runInSequence([function (callback) {
+    loadState(KVS_CONFIG_KEY, "configuration", function (saved) {
+      let errors = validateConfig(saved);
+      if (errors.length > 0) {
+        throw errors.join(" ");
+      }
+      CONFIG = Object.assign({}, DEFAULT_CONFIG, saved);
+    }, callback);
+  }, function (callback) {
+    loadState(KVS_STATE_KEY, "disinfection state", function (saved) {
+      legionella.lastDay = saved.lastDay;
+      legionella.lastResult = saved.lastResult;
+    }, callback);
+  }], run);
+}
+
+init(); // Start the initialization process.
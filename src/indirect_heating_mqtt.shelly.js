@@ -0,0 +1,259 @@
+/**
+ * @file Publishes the state of indirect_heating_tank_pump.shelly.js over MQTT, announces it to
+ * Home Assistant with MQTT discovery and passes the mode and configuration commands it receives
+ * on to the pump script.
+ *
+ * Upload scripts/indirect_heating_mqtt.shelly.js to the same device as the pump script, with MQTT
+ * enabled in the device settings, and run both. The pump script announces its state to the other
+ * scripts after every evaluation and takes commands from them, see its STATUS_EVENT and COMMAND_EVENT,
+ * so this script only translates between those events and these topics below the base topic:
+ *   state       The live state as retained JSON, see STATE_FIELDS.
+ *   mode/set    "auto", "on", "off" or "boost", or JSON like { "mode": "on", "minutes": 30 }
+ *               or { "mode": "holiday", "until": "2024-08-31" }, with "loop" to force only the
+ *               pump of that loop. A plain "on" or "off" forces the pump for an hour.
+ *   config/set  A JSON object merged into the configuration of the pump script in KVS, null
+ *               removes a setting. The pump script validates it and reports a rejection as lastError.
+ * Availability follows the device's own "<topic prefix>/online" topic.
+ */
+
+// #include "lib/log.js"
+// #include "lib/kvs.js"
+
+/**
+ * The key of the configuration of this script in the Shelly Key-Value Store, e.g.
+ *   Key: "indirect_heating_mqtt_config",
+ *   Value: { "topic": "home/tank", "discoveryPrefix": "" }
+ *
+ * It is read once at startup, restart the script after changing it.
+ */
+const KVS_CONFIG_KEY = "indirect_heating_mqtt_config";
+
+// The events of the pump script, they have to match its STATUS_EVENT and COMMAND_EVENT.
+const STATUS_EVENT = "indirect_heating_status";
+const COMMAND_EVENT = "indirect_heating_command";
+
+// The default base topic below the device's topic prefix, see the topic setting.
+const TOPIC_SUFFIX = "indirect_heating";
+
+// The fields of the pump script's state published as the state, the settings it announces for
+// the other scripts are left out.
+const STATE_FIELDS = [
+  "hotWaterTemperature", "heatingSourceTemperature", "tankTopTemperature", "tankBottomTemperature",
+  "pumpRunning", "mode", "modeRemaining", "failSafeActive", "pumpFault", "frostProtection",
+  "lastDecision", "lastError", "loops",
+];
+
+// The modes offered by the Home Assistant select. Holiday needs an end date, so it is left out.
+const SELECT_MODES = ["auto", "on", "off", "boost"];
+
+const DEFAULT_CONFIG = {
+  // The MQTT base topic, "" for "<device topic prefix>/indirect_heating".
+  topic: "",
+  // The Home Assistant discovery prefix, "" disables discovery.
+  discoveryPrefix: "homeassistant",
+  // The most verbose messages printed to the console: "error", "warn", "info" or "debug".
+  logLevel: "warn",
+};
+
+// The active configuration, the defaults merged with the one in KVS.
+let CONFIG = Object.assign({}, DEFAULT_CONFIG);
+
+// The last error, printed depending on logLevel, see reportError().
+let scriptStatus = { lastError: "" };
+
+// The MQTT base topic, set once the configuration was loaded.
+let baseTopic = null;
+
+// The last status the pump script announced, null until the first one arrived.
+let lastStatus = null;
+
+// The loops and probes the entities were announced for, see publishDiscovery().
+let announced = null;
+
+/**
+ * @description Checks the configuration from KVS and applies it.
+ * @param {object} loadedConfig The parsed value.
+ * @throws {string} The problems, if it is invalid. The defaults stay active then.
+ */
+function applyConfig(loadedConfig) {
+  if (typeof loadedConfig !== "object" || loadedConfig === null || Array.isArray(loadedConfig)) {
+    throw "the configuration must be a JSON object.";
+  }
+  let errors = [];
+  Object.keys(loadedConfig).forEach(function (key) {
+    let value = loadedConfig[key];
+    if (DEFAULT_CONFIG[key] === undefined) {
+      errors.push(key + ": unknown setting.");
+    } else if (typeof value !== "string") {
+      errors.push(key + " must be a string.");
+    } else if (key === "logLevel" && LOG_LEVELS.indexOf(value) === -1) {
+      errors.push("logLevel must be one of " + LOG_LEVELS.join(", ") + ".");
+    } else if (value.indexOf("+") !== -1 || value.indexOf("#") !== -1) {
+      errors.push(key + " must not contain the wildcards + or #.");
+    }
+  });
+  if (errors.length > 0) {
+    throw errors.join(" ");
+  }
+  CONFIG = Object.assign({}, DEFAULT_CONFIG, loadedConfig);
+}
+
+/**
+ * @description Publishes the state as retained JSON, once the pump script announced it and
+ * while MQTT is connected.
+ */
+function publishState() {
+  if (lastStatus === null || !MQTT.isConnected()) {
+    return;
+  }
+  let state = {};
+  STATE_FIELDS.forEach(function (field) {
+    state[field] = lastStatus[field];
+  });
+  MQTT.publish(baseTopic + "/state", JSON.stringify(state), 0, true);
+}
+
+/**
+ * @description Announces the entities to Home Assistant with retained discovery messages.
+ * The probes at the top and bottom of the tank are only announced if they are configured,
+ * the pump and heating source of each loop only if there are several loops.
+ */
+function publishDiscovery() {
+  if (lastStatus === null || CONFIG.discoveryPrefix === "" || !MQTT.isConnected()) {
+    return;
+  }
+  let info = Shelly.getDeviceInfo();
+  let prefix = Shelly.getComponentConfig("mqtt").topic_prefix;
+  let device = { identifiers: [info.id + "_" + TOPIC_SUFFIX], name: "Indirect heating tank pump", manufacturer: "Shelly", model: info.model };
+  let temperature = { device_class: "temperature", unit_of_measurement: "°C", state_class: "measurement" };
+
+  let entities = [
+    ["sensor", "tank_temperature", Object.assign({ name: "Tank temperature", value_template: "{{ value_json.hotWaterTemperature }}" }, temperature)],
+    ["sensor", "source_temperature", Object.assign({ name: "Heating source temperature", value_template: "{{ value_json.heatingSourceTemperature }}" }, temperature)],
+    ["binary_sensor", "pump", { name: "Pump", device_class: "running", value_template: "{{ 'ON' if value_json.pumpRunning else 'OFF' }}" }],
+    ["binary_sensor", "fault", { name: "Fault", device_class: "problem", value_template: "{{ 'ON' if value_json.failSafeActive or value_json.pumpFault else 'OFF' }}" }],
+    ["select", "mode", { name: "Mode", options: SELECT_MODES, command_topic: baseTopic + "/mode/set", value_template: "{{ value_json.mode }}" }],
+  ];
+  if (lastStatus.tankTopTemperatureID !== null) {
+    entities.push(["sensor", "tank_top_temperature", Object.assign({ name: "Tank top temperature", value_template: "{{ value_json.tankTopTemperature }}" }, temperature)]);
+  }
+  if (lastStatus.tankBottomTemperatureID !== null) {
+    entities.push(["sensor", "tank_bottom_temperature", Object.assign({ name: "Tank bottom temperature", value_template: "{{ value_json.tankBottomTemperature }}" }, temperature)]);
+  }
+  if (lastStatus.loops.length > 1) {
+    lastStatus.loops.forEach(function (loop, i) {
+      let field = "value_json.loops[" + i + "]";
+      entities.push(["binary_sensor", "pump_" + loop.switchID, { name: "Pump " + loop.name, device_class: "running", value_template: "{{ 'ON' if " + field + ".pumpRunning else 'OFF' }}" }]);
+      entities.push(["sensor", "source_temperature_" + loop.switchID, Object.assign({ name: "Heating source temperature " + loop.name, value_template: "{{ " + field + ".heatingSourceTemperature }}" }, temperature)]);
+    });
+  }
+
+  entities.forEach(function (entity) {
+    let payload = Object.assign({
+      unique_id: info.id + "_" + TOPIC_SUFFIX + "_" + entity[1],
+      state_topic: baseTopic + "/state",
+      availability_topic: prefix + "/online",
+      payload_available: "true",
+      payload_not_available: "false",
+      device: device,
+    }, entity[2]);
+    MQTT.publish(CONFIG.discoveryPrefix + "/" + entity[0] + "/" + info.id + "/" + entity[1] + "/config", JSON.stringify(payload), 0, true);
+  });
+}
+
+/**
+ * @description Publishes the state the pump script announced, and announces the entities again
+ * when its loops or probes changed.
+ * @param {object} event The event from Shelly.addEventHandler().
+ */
+function handleStatusEvent(event) {
+  if (!event.info || event.info.event !== STATUS_EVENT || typeof event.info.data !== "object" || event.info.data === null) {
+    return;
+  }
+  lastStatus = event.info.data;
+  let layout = JSON.stringify([
+    lastStatus.loops.map(function (loop) { return [loop.name, loop.switchID]; }),
+    lastStatus.tankTopTemperatureID !== null,
+    lastStatus.tankBottomTemperatureID !== null,
+  ]);
+  if (layout !== announced) {
+    announced = layout;
+    publishDiscovery();
+  }
+  publishState();
+}
+
+/**
+ * @description Sends a command to the pump script, see its COMMAND_EVENT.
+ * @param {object} command The action and its parameters.
+ */
+function sendCommand(command) {
+  command.source = "over MQTT";
+  Shelly.emitEvent(COMMAND_EVENT, command);
+}
+
+/**
+ * @description Handles a message on the mode command topic, see the top of this file.
+ * @param {string} topic The topic.
+ * @param {string} message The payload.
+ */
+function handleModeMessage(topic, message) {
+  if (message.charAt(0) !== "{") {
+    sendCommand({ action: message });
+    return;
+  }
+  let command = null;
+  try {
+    command = JSON.parse(message);
+  } catch (e) {
+    reportError("MQTT mode command is not valid JSON: " + e, "mqtt");
+    return;
+  }
+  sendCommand({ action: command.mode, minutes: command.minutes, until: command.until, loop: command.loop });
+}
+
+/**
+ * @description Handles a message on the config command topic, see the top of this file.
+ * @param {string} topic The topic.
+ * @param {string} message The payload.
+ */
+function handleConfigMessage(topic, message) {
+  let settings = null;
+  try {
+    settings = JSON.parse(message);
+  } catch (e) {
+    reportError("MQTT config command is not valid JSON: " + e, "mqtt");
+    return;
+  }
+  if (typeof settings !== "object" || settings === null || Array.isArray(settings)) {
+    reportError("MQTT config command must be a JSON object.", "mqtt");
+    return;
+  }
+  sendCommand({ action: "config", settings: settings });
+}
+
+/**
+ * @description Subscribes to the command topics and starts passing on the state. The entities and
+ * the state are published again whenever MQTT reconnects.
+ */
+function run() {
+  baseTopic = CONFIG.topic !== "" ? CONFIG.topic : Shelly.getComponentConfig("mqtt").topic_prefix + "/" + TOPIC_SUFFIX;
+  MQTT.subscribe(baseTopic + "/mode/set", handleModeMessage);
+  MQTT.subscribe(baseTopic + "/config/set", handleConfigMessage);
+  MQTT.setConnectHandler(function () {
+    publishDiscovery();
+    publishState();
+  });
+  Shelly.addEventHandler(handleStatusEvent);
+  debugLog("Bridging the pump script to " + baseTopic + ".");
+}
+
+/**
+ * @description Initializes the script on startup: loads the configuration from KVS and hands over
+ * to run(). The state is published once the pump script announces it, at the latest on its next scan.
+ */
+function init() {
+  loadState(KVS_CONFIG_KEY, "configuration", applyConfig, run);
+}
+
+init(); // Start the initialization process.
@@ -0,0 +1,305 @@
+/**
+ * @file Counts the pump runtime, the starts, the time the tank is above maxWaterTemp and, on a
+ * Plus 1PM or Plus 2PM, the pump's energy for indirect_heating_tank_pump.shelly.js, per day, per week
+ * and in total, e.g. to spot a failing pump or a dirty heat exchanger.
+ *
+ * Upload scripts/indirect_heating_stats.shelly.js to the same device as the pump script and run both.
+ * The pump script announces its state after every evaluation and pump transition, see its STATUS_EVENT,
+ * so this script sees every start and accounts the time between the announcements. The first one is
+ * compared with the pump switches as they were when this script started, so a start meanwhile counts.
+ *
+ * The statistics are stored in KVS every saveInterval to survive restarts and power cuts, see
+ * saveStatistics(), and are available at http://<device-ip>/script/<script-id>/status.
+ */
+
+// #include "lib/log.js"
+// #include "lib/kvs.js"
+// #include "lib/http.js"
+
+/**
+ * The key of the configuration of this script in the Shelly Key-Value Store, e.g.
+ *   Key: "indirect_heating_stats_config",
+ *   Value: { "saveInterval": 3600 }
+ *
+ * It is read once at startup, restart the script after changing it.
+ */
+const KVS_CONFIG_KEY = "indirect_heating_stats_config";
+
+// The event of the pump script, it has to match its STATUS_EVENT.
+const STATUS_EVENT = "indirect_heating_status";
+
+// The KVS key holding the statistics, see saveStatistics().
+const KVS_STATS_KEY = "indirect_heating_stats";
+
+// The statistics records: totals, the current and previous local day, and the current and previous week.
+const STATISTICS_RECORDS = ["total", "today", "yesterday", "thisWeek", "lastWeek"];
+
+// The interval, in seconds, the statistics are updated at between the announcements of the pump script.
+const UPDATE_INTERVAL = 60;
+
+const DEFAULT_CONFIG = {
+  // The interval, in seconds, to store the statistics in KVS, at most this much is lost on a power cut (0 disables saving).
+  saveInterval: 900,
+  // The most verbose messages printed to the console: "error", "warn", "info" or "debug".
+  logLevel: "info",
+};
+
+// The active configuration, the defaults merged with the one in KVS.
+let CONFIG = Object.assign({}, DEFAULT_CONFIG);
+
+// The last error, reported by the HTTP endpoint.
+let scriptStatus = { lastError: "" };
+
+// The statistics, one record per name in STATISTICS_RECORDS once loadStatistics() ran, see
+// newStatisticsRecord(). The uptimes of the last update and the last save are not saved.
+let statistics = { updatedAt: null, savedAt: 0 };
+
+// The last status the pump script announced, null until the first one arrived.
+let lastStatus = null;
+
+// The output of each switch, by ID, when the script started, see handleStatusEvent().
+let initialOutputs = {};
+
+// The energy counter of each pump switch at the last update, by switch ID.
+let energyReadings = {};
+
+/**
+ * @description Checks the configuration from KVS.
+ * @param {object} loadedConfig The parsed value.
+ * @returns {string[]} The problems, empty if it is valid.
+ */
+function validateConfig(loadedConfig) {
+  if (typeof loadedConfig !== "object" || loadedConfig === null || Array.isArray(loadedConfig)) {
+    return ["The configuration must be a JSON object."];
+  }
+  let errors = [];
+  Object.keys(loadedConfig).forEach(function (key) {
+    let value = loadedConfig[key];
+    if (key === "saveInterval") {
+      if (typeof value !== "number" || value < 0 || value > 86400) {
+        errors.push("saveInterval must be a number from 0 to 86400.");
+      }
+    } else if (key === "logLevel") {
+      if (LOG_LEVELS.indexOf(value) === -1) {
+        errors.push("logLevel must be one of " + LOG_LEVELS.join(", ") + ".");
+      }
+    } else {
+      errors.push(key + ": unknown setting.");
+    }
+  });
+  return errors;
+}
+
+/**
+ * @param {number|null} start The local day the record starts, null while the clock is not synchronised.
+ * @returns {object} Empty counters: the pump runtime and the time the tank was above maxWaterTemp
+ * in seconds, the number of pump starts, and the pump energy in Wh.
+ */
+function newStatisticsRecord(start) {
+  return { start: start, runtime: 0, starts: 0, aboveMax: 0, energy: 0 };
+}
+
+/**
+ * @description Adds to a counter of the total, daily and weekly statistics.
+ * @param {string} counter The counter, see newStatisticsRecord().
+ * @param {number} amount The amount to add.
+ */
+function addStatistic(counter, amount) {
+  ["total", "today", "thisWeek"].forEach(function (name) {
+    statistics[name][counter] += amount;
+  });
+}
+
+/**
+ * @description Starts new daily and weekly records when the local day or week changed,
+ * keeping the previous one if it directly precedes the new one. Weeks start on Monday.
+ * @param {object|null} time The local time, see localTime().
+ */
+function rollStatistics(time) {
+  if (time === null) {
+    return;
+  }
+  let monday = time.day - (time.weekday + 6) % 7;
+  [["today", "yesterday", time.day, 1], ["thisWeek", "lastWeek", monday, 7]].forEach(function (period) {
+    let current = statistics[period[0]];
+    if (current.start === null) {
+      // Counted before the clock was synchronised.
+      current.start = period[2];
+    } else if (current.start !== period[2]) {
+      statistics[period[1]] = current.start === period[2] - period[3] ? current : newStatisticsRecord(period[2] - period[3]);
+      statistics[period[0]] = newStatisticsRecord(period[2]);
+    }
+  });
+  if (statistics.total.start === null) {
+    statistics.total.start = time.day;
+  }
+}
+
+/**
+ * @description Accounts the time since the last update to the runtime of the pumps that ran and to
+ * the time above maxWaterTemp, as the pump script last announced them, and adds the energy the pump
+ * switches measured since then. With several loops the runtime, starts and energy of their pumps add up.
+ */
+function updateStatistics() {
+  let now = uptime();
+  if (statistics.updatedAt !== null && lastStatus !== null) {
+    let elapsed = now - statistics.updatedAt;
+    lastStatus.loops.forEach(function (loop) {
+      if (loop.pumpRunning) {
+        addStatistic("runtime", elapsed);
+      }
+    });
+    if (lastStatus.hotWaterTemperature !== null && lastStatus.hotWaterTemperature > lastStatus.maxWaterTemp) {
+      addStatistic("aboveMax", elapsed);
+    }
+  }
+  statistics.updatedAt = now;
+
+  if (lastStatus !== null) {
+    lastStatus.loops.forEach(function (loop) {
+      let status = Shelly.getComponentStatus("switch", loop.switchID);
+      if (status !== null && status.aenergy && typeof status.aenergy.total === "number") {
+        let reading = energyReadings[loop.switchID];
+        if (reading !== undefined) {
+          let consumed = status.aenergy.total - reading;
+          // The counter starts from zero again when it is reset.
+          addStatistic("energy", consumed >= 0 ? consumed : status.aenergy.total);
+        }
+        energyReadings[loop.switchID] = status.aenergy.total;
+      }
+    });
+  }
+  rollStatistics(localTime());
+}
+
+/**
+ * @description Stores the statistics in KVS. Each record is stored as a list of
+ * [start, runtime, starts, aboveMax, energy] in the order of STATISTICS_RECORDS,
+ * which keeps the value short.
+ */
+function saveStatistics() {
+  statistics.savedAt = uptime();
+  saveState(KVS_STATS_KEY, "statistics", STATISTICS_RECORDS.map(function (name) {
+    let record = statistics[name];
+    return [record.start, record.runtime, record.starts, record.aboveMax, Math.round(record.energy * 10) / 10];
+  }));
+}
+
+/**
+ * @description Restores the statistics from KVS, see saveStatistics().
+ * @param {function} callback Called once the statistics were processed.
+ */
+function loadStatistics(callback) {
+  STATISTICS_RECORDS.forEach(function (name) {
+    statistics[name] = newStatisticsRecord(null);
+  });
+  loadState(KVS_STATS_KEY, "statistics", function (saved) {
+    if (!Array.isArray(saved) || saved.length !== STATISTICS_RECORDS.length) {
+      throw "expected " + STATISTICS_RECORDS.length + " records";
+    }
+    STATISTICS_RECORDS.forEach(function (name, i) {
+      let record = saved[i];
+      statistics[name] = { start: record[0], runtime: record[1], starts: record[2], aboveMax: record[3], energy: record[4] };
+    });
+  }, callback);
+}
+
+/**
+ * @description Updates the statistics, and stores them when saveInterval has passed.
+ */
+function onUpdateTimer() {
+  updateStatistics();
+  if (CONFIG.saveInterval > 0 && uptime() - statistics.savedAt >= CONFIG.saveInterval) {
+    saveStatistics();
+  }
+}
+
+/**
+ * @description Accounts the time up to a status the pump script announced to the previous one, and
+ * counts the pumps that started since then, or since this script started for the first status.
+ * @param {object} event The event from Shelly.addEventHandler().
+ */
+function handleStatusEvent(event) {
+  if (!event.info || event.info.event !== STATUS_EVENT || typeof event.info.data !== "object" || event.info.data === null) {
+    return;
+  }
+  updateStatistics();
+  let previous = lastStatus;
+  lastStatus = event.info.data;
+  lastStatus.loops.forEach(function (loop) {
+    let wasRunning = initialOutputs[loop.switchID];
+    if (previous !== null) {
+      let before = previous.loops.filter(function (other) { return other.switchID === loop.switchID; });
+      wasRunning = before.length > 0 ? before[0].pumpRunning : undefined;
+    }
+    if (loop.pumpRunning && wasRunning === false) {
+      addStatistic("starts", 1);
+    }
+  });
+}
+
+/**
+ * @returns {object} The statistics records by name, as reported by the HTTP endpoint.
+ */
+function getStatistics() {
+  let result = {};
+  STATISTICS_RECORDS.forEach(function (name) {
+    result[name] = Object.assign({}, statistics[name], { energy: Math.round(statistics[name].energy * 10) / 10 });
+  });
+  return result;
+}
+
+/**
+ * @description Answers requests to the HTTP endpoint "status" with the statistics and the last error.
+ * @param {object} request The incoming request, there are no actions.
+ * @param {object} response The response to fill in and send.
+ */
+function handleHttpRequest(request, response) {
+  let params = parseQuery(request.query);
+  if (params.action !== undefined) {
+    response.code = 400;
+    response.body = JSON.stringify({ error: "Unknown action '" + params.action + "', there are none." });
+  } else {
+    updateStatistics();
+    response.code = 200;
+    response.headers = [["Content-Type", "application/json"]];
+    response.body = JSON.stringify({ statistics: getStatistics(), lastError: scriptStatus.lastError });
+  }
+  response.send();
+}
+
+/**
+ * @description Starts counting, the statistics are first stored saveInterval from now.
+ */
+function run() {
+  updateStatistics();
+  statistics.savedAt = uptime();
+  Shelly.addEventHandler(handleStatusEvent);
+  Timer.set(UPDATE_INTERVAL * 1000, true, onUpdateTimer);
+  HTTPServer.registerEndpoint("status", handleHttpRequest);
+}
+
+/**
+ * @description Initializes the script on startup: notes the switch outputs, loads the configuration and
+ * the statistics from KVS and hands over to run(). An invalid configuration is reported and the defaults apply.
+ */
+function init() {
+  // The loops of the pump script may use the switches 0 to 3.
+  for (let id = 0; id < 4; id++) {
+    let status = Shelly.getComponentStatus("switch", id);
+    if (status !== null) {
+      initialOutputs[id] = status.output;
+    }
+  }
+  runInSequence([function (callback) {
+    loadState(KVS_CONFIG_KEY, "configuration", function (saved) {
+      let errors = validateConfig(saved);
+      if (errors.length > 0) {
+        throw errors.join(" ");
+      }
+      CONFIG = Object.assign({}, DEFAULT_CONFIG, saved);
+    }, callback);
+  }, loadStatistics], run);
+}
+
+init(); // Start the initialization process.
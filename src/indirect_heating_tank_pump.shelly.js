@@ -0,0 +1,2581 @@
+/**
+ * @file Script for operating an electric pump for an indirect-heating tank
+ * depending on the temperature difference of a heating water and water in the tank.
+ * 
+ * This script uses two digital thermomoters DS18B20 connected to Shelly Plus Add-on
+ * and one Shelly Plus 1PM for operating the pump.
+ * More at https://shelly-api-docs.shelly.cloud/gen2/Addons/ShellySensorAddon
+ *
+ * Upload scripts/indirect_heating_tank_pump.shelly.js to the device, it is built from this
+ * file and the shared code in src/lib/ by tools/bundle.js. The optional features run as
+ * scripts of their own next to this one, see STATUS_EVENT.
+ *
+ * The live state is available at http://<device-ip>/script/<script-id>/status and the
+ * operating mode can be changed from there, e.g. /status?action=on&minutes=30, see
+ * setMode() for the modes. Every mode returns to automatic control on its own.
+ *
+ * The state is also announced to the other scripts on the device, which may send commands
+ * back, see STATUS_EVENT, ALERT_EVENT and COMMAND_EVENT. That is how indirect_heating_mqtt.shelly.js publishes
+ * it over MQTT for Home Assistant, and how indirect_heating_adaptive.shelly.js learns the start
+ * and stop differences from how fast the tank warms.
+ *
+ * indirect_heating_legionella.shelly.js heats the tank above maxWaterTemp every few days as thermal
+ * disinfection against legionella, with the action "heat" of COMMAND_EVENT.
+ *
+ * indirect_heating_stats.shelly.js counts the pump runtime, starts, time above maxWaterTemp and, on a
+ * Plus 1PM, the pump's energy per day, per week and in total from the announced state.
+ *
+ * Each role may use several thermometers (the Add-on takes up to five), combined as the
+ * minimum, maximum or average, or as a primary sensor with backups. Tanks with probes at the
+ * top and bottom can stop on one and start on the other, see stopReference and startReference.
+ *
+ * Every switch command is verified and retried. A switch that keeps failing or reports an error,
+ * and a pump that draws too little or too much power, put the pump into a fault state, see setPumpFault().
+ *
+ * Alerts about sensor faults, pump faults, an overheated tank and a pump that does not stop are
+ * reported in the status and announced to the other scripts, see raiseAlert().
+ * indirect_heating_alerts.shelly.js sends them as HTTP POST notifications, e.g. to an ntfy topic.
+ *
+ * A schedule in local time can block the pump, e.g. at night, allow it only in some windows,
+ * and raise or lower its limits, e.g. while electricity is cheap, see the schedule setting.
+ *
+ * The rules are evaluated as soon as a thermometer or the pump switch reports a change, see
+ * handleStatusChange(), and on a slower scan as a watchdog in case a notification is missed.
+ *
+ * Optionally the pump runs as frost protection when a reading gets close to freezing, see adjustLoop()
+ * for how this ranks against the other rules. indirect_heating_exercise.shelly.js exercises the pumps
+ * briefly after days without running so they do not seize up.
+ *
+ * Several pumps can heat the same tank, e.g. from a solar collector and from a boiler on a Plus 2PM,
+ * each as a loop with its own switch, heating source and limits, see the loops setting. A loop can be
+ * the backup of another one and then only runs while that one cannot heat.
+ *
+ * Messages are printed depending on logLevel, and the recent pump decisions, errors and other events
+ * are kept with their time and values even when they are not printed, see logEvent(). They can be read
+ * with the HTTP action "log", and an excerpt is stored in KVS whenever an alert is raised, see saveLog().
+ */
+
+/**
+ * The key used to store and retrieve custom configuration from the Shelly Key-Value Store.
+ * You can set your own values in the device web-interface: 
+ *   Key: "indirect_heating_config",
+ *   Value: { "scanInterval": 3, "maxWaterTemp": 30, "debuggingOn": true }"
+ *
+ * A configuration longer than a KVS value (253 bytes), e.g. with two loops and a schedule,
+ * continues under the same key followed by "_1", "_2" and so on, up to MAX_CONFIG_PARTS values:
+ *   Key: "indirect_heating_config_1",
+ *   Value: { "loops": [{ "name": "boiler", "switchID": 1, "heatingSourceTemperatureID": 102 }] }
+ * The values are read until the first missing key and merged: lists, such as loops and schedule,
+ * are joined in the order of the keys, any other setting replaces the one of an earlier key.
+ * Configuration overrides, see overrideConfig(), and tools/deploy.js config push split a
+ * configuration over the keys this way.
+ *
+ * The value is re-read every configReloadInterval seconds, or immediately with the
+ * HTTP action "reload", so changes apply without restarting the script. A value that
+ * fails validation is rejected as a whole and the previous configuration stays active.
+ * 
+ * See https://shelly-api-docs.shelly.cloud/gen2/ComponentsAndServices/KVS
+ */
+const KVS_CONFIG_KEY = "indirect_heating_config";
+
+// The largest number of KVS values the configuration is spread over, see KVS_CONFIG_KEY.
+const MAX_CONFIG_PARTS = 5;
+
+/**
+ * The name of the HTTP endpoint registered by the script. It answers GET requests with
+ * the live status as JSON and accepts these actions in the query string:
+ *   action=on&minutes=N          Force the pump on for N minutes (it still stops at maxWaterTemp).
+ *   action=off&minutes=N         Force the pump off for N minutes.
+ *                                Add &loop=NAME to force only the pump of that loop.
+ *   action=holiday&until=DATE    Limit the tank to holidayMaxWaterTemp until the local date, e.g. 2024-08-31.
+ *   action=boost                 Heat the tank once to boostTempIncrease above maxWaterTemp.
+ *   action=auto                  Cancel any mode and resume automatic control.
+ *   action=reload                Re-read the configuration from KVS.
+ *   action=reset                 Clear a pump fault, see setPumpFault().
+ *   action=log                   Answer with the recent log entries instead of the status, see logEvent().
+ *
+ * See https://shelly-api-docs.shelly.cloud/gen2/Scripts/ShellyScriptLanguageFeatures#httpserverregisterendpoint
+ */
+const HTTP_ENDPOINT = "status";
+
+/**
+ * The event the live state, see getState(), is announced to the other scripts on the device with,
+ * with Shelly.emitEvent() after every evaluation and pump transition. Their event handlers receive
+ * it as event.info.data when event.info.event is STATUS_EVENT. The device also sends every event
+ * out on its RPC and MQTT notification channels, so the state leaves out the configuration and
+ * whatever else the HTTP endpoint reports that the other scripts do not need.
+ */
+const STATUS_EVENT = "indirect_heating_status";
+
+// The event every raised and recovered alert is announced with, see raiseAlert(). Its data is
+// { name, state, message } with the state "raised" or "recovered".
+const ALERT_EVENT = "indirect_heating_alert";
+
+/**
+ * The event the other scripts on the device send commands with, see handleCommand(). Its data is
+ * an object with the action and its parameters, and optionally the source for the log, e.g.
+ *   { "action": "on", "minutes": 30, "loop": "solar", "source": "over MQTT" }
+ *   action=auto|on|off|holiday|boost   Switch the operating mode like the HTTP actions, with the
+ *                                      parameters minutes, until and loop. On and off without minutes
+ *                                      last DEFAULT_FORCE_MINUTES.
+ *   action=config                      Merge settings into the configuration, see overrideConfig().
+ *   action=learned                     Use the start and stop differences hysteresis and stopDifference
+ *                                      for the loop, leave them out to use the configured ones again.
+ *   action=heat                        Heat the tank to temperature, above maxWaterTemp if need be, for
+ *                                      at most minutes, leave the temperature out to end it sooner.
+ */
+const COMMAND_EVENT = "indirect_heating_command";
+
+// How long, in minutes, the pump is forced on or off by a button or a command without a duration.
+const DEFAULT_FORCE_MINUTES = 60;
+
+// The KVS key holding the operating mode, so it survives a reboot.
+const KVS_MODE_KEY = "indirect_heating_mode";
+
+// The KVS key holding the last pump transition and the recent starts, so the anti-short-cycling
+// limits keep counting across restarts. The times are stored as unixtime, see savePumpState().
+const KVS_PUMP_KEY = "indirect_heating_pump";
+
+/**
+ * What the button events of modeInputID do. The input has to be in button mode.
+ *   single_push  Start a boost, or cancel any other mode and resume automatic control.
+ *   double_push  Force the pump on for DEFAULT_FORCE_MINUTES.
+ *   long_push    Force the pump off for DEFAULT_FORCE_MINUTES.
+ */
+const BUTTON_MODES = { single_push: "boost", double_push: "on", long_push: "off" };
+
+// The operating modes, see setMode().
+const MODES = ["auto", "on", "off", "holiday", "boost"];
+
+// The KVS key an excerpt of the log is stored under when an alert is raised, see saveLog().
+const KVS_LOG_KEY = "indirect_heating_log";
+
+// The number of KVS values the excerpt of the log is spread over, under KVS_LOG_KEY and then
+// the same key followed by "_1", "_2" and so on.
+const LOG_KVS_VALUES = 3;
+
+// The number of DS18B20 thermometers the Plus Add-on can connect.
+const ADDON_MAX_SENSORS = 5;
+
+// The alerts and what they report, see raiseAlert().
+//   sensor   A sensor fault drove the pump into its fail-safe state.
+//   pump     The pump is in a fault state, see setPumpFault().
+//   tank     The tank got alertTankMargin hotter than the script ever heats it, see highestTankTarget().
+//   runtime  The pump has been running for alertMaxRunTime without a break.
+//   frost    A reading dropped below frostProtectionTemp.
+const ALERTS = ["sensor", "pump", "tank", "runtime", "frost"];
+
+// How far, in °C, the tank has to cool below the alert threshold before the alert recovers.
+const ALERT_TEMP_HYSTERESIS = 2;
+
+// How far, in °C, every reading has to rise above frostProtectionTemp to end the frost protection.
+const FROST_HYSTERESIS = 2;
+
+// The number of consecutive scans with the pump power out of range that make a pump fault.
+const POWER_FAULT_SCANS = 3;
+
+// The weekday names used in the schedule, indexed like the weekday of localTime().
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// The settings a schedule window may change while it is active.
+const SCHEDULE_OVERRIDES = ["maxWaterTemp", "waterPumpHysteresis", "waterPumpStopDifference"];
+
+// The largest number of windows in the schedule.
+const MAX_SCHEDULE_WINDOWS = 10;
+
+// The name of the only loop when the loops setting is empty.
+const DEFAULT_LOOP_NAME = "pump";
+
+// The largest number of loops. Every loop may need a retry timer next to the scan timer, and a
+// script may run at most five timers.
+const MAX_LOOPS = 2;
+
+// The settings a loop may set for itself, the others apply to all loops.
+const LOOP_SETTINGS = [
+  "heatingSourceTemperatureID", "heatingSourceAggregation", "maxWaterTemp", "waterPumpHysteresis",
+  "waterPumpStopDifference", "minPumpOnTime", "minPumpOffTime", "maxPumpStartsPerHour", "sensorFaultPumpState",
+  "pumpMinPower", "pumpMaxPower", "pumpPowerDelay",
+];
+
+// Settings of earlier versions that moved into the optional scripts, by the script that took them over.
+// A stored configuration may still have them, they are ignored with a warning instead of rejecting it.
+const MOVED_SETTINGS = {
+  "indirect_heating_mqtt.shelly.js": ["mqttEnabled", "mqttTopic", "mqttDiscoveryPrefix"],
+  "indirect_heating_alerts.shelly.js": ["alertUrl", "alertFormat", "alertRepeatInterval", "alertMaxPerHour"],
+  "indirect_heating_stats.shelly.js": ["statsSaveInterval"],
+  "indirect_heating_adaptive.shelly.js": ["adaptiveEnabled", "adaptiveMinRise", "adaptiveMinRunTime", "adaptiveHysteresisMin",
+    "adaptiveHysteresisMax", "adaptiveStopDifferenceMin", "adaptiveStopDifferenceMax"],
+  "indirect_heating_exercise.shelly.js": ["exerciseIntervalDays", "exerciseDuration", "exerciseStartHour"],
+  "indirect_heating_legionella.shelly.js": ["legionellaEnabled", "legionellaTemp", "legionellaHoldTime", "legionellaIntervalDays",
+    "legionellaStartHour", "legionellaMaxDuration"],
+};
+
+const DEFAULT_CONFIG = {
+  // The interval, in seconds, of the watchdog scan that checks the temperatures and adjusts the pump state.
+  // In between, the rules are evaluated whenever a thermometer or the switch reports a change.
+  scanInterval: 60,
+  // How much, in °C, a reading has to change since it was last accepted to evaluate the rules at once
+  // (0 leaves temperature changes to the scans).
+  eventTempDelta: 0.5,
+  // The ID of the thermometer for the water in the storage tank, or a list of IDs, e.g. [100, 102].
+  hotWaterTemperatureID: 100,
+  // How a list of tank thermometers is combined: "min", "max", "avg", or "primary" to use the
+  // first one in the list that reads a plausible value, so the others serve as backups.
+  hotWaterAggregation: "primary",
+  // The ID of the thermometer for the heating source (e.g., boiler, solar), or a list of IDs.
+  heatingSourceTemperatureID: 101,
+  // How a list of heating source thermometers is combined, see hotWaterAggregation.
+  heatingSourceAggregation: "primary",
+  // The IDs of optional probes at the top and the bottom of the tank (null if not fitted).
+  tankTopTemperatureID: null,
+  tankBottomTemperatureID: null,
+  // The tank reading the stop and start rules compare against: "tank" for hotWaterTemperatureID,
+  // "top" or "bottom", e.g. stop on the top probe and start on the bottom one.
+  stopReference: "tank",
+  startReference: "tank",
+  // The water pump must not run if the temp is reached.
+  maxWaterTemp: 65,
+  // The water pump is waiting for this temperature difference.
+  waterPumpHysteresis: 7,
+  // Stop the pump when it's not efficient anymore.
+  waterPumpStopDifference: 5,
+  // Readings outside of this range, in °C, are treated as sensor faults.
+  sensorMinTemp: -20,
+  sensorMaxTemp: 110,
+  // The largest plausible temperature change, in °C, since the last accepted reading. A larger change
+  // is only accepted once a scan has seen it and a later reading confirms it.
+  sensorMaxJump: 15,
+  // A reading that does not change at all for this many seconds is considered frozen (0 disables the check).
+  // It is off by default, as an idle heating source may read the same for hours, e.g. a cold boiler.
+  sensorFrozenTime: 0,
+  // The number of consecutive scans with a failed read after which the pump is driven to its fail-safe state.
+  sensorFaultThreshold: 3,
+  // The pump state while a sensor is faulty: "off", or "on" to keep circulating as overheat protection.
+  sensorFaultPumpState: "off",
+  // The minimum time, in seconds, the pump keeps running once started.
+  minPumpOnTime: 120,
+  // The minimum time, in seconds, the pump stays off once stopped.
+  minPumpOffTime: 120,
+  // The maximum number of pump starts within the last hour (0 disables the limit).
+  maxPumpStartsPerHour: 6,
+  // A switch change made outside of the script, e.g. in the web UI, forces that state for this many
+  // minutes (0 lets the automatic rules take over again on the next scan).
+  manualSwitchMinutes: 60,
+  // The ID of an Input in button mode that switches the operating mode, see BUTTON_MODES (null for none).
+  modeInputID: null,
+  // The tank limit, in °C, while in holiday mode, if it is lower than maxWaterTemp.
+  holidayMaxWaterTemp: 45,
+  // How far, in °C, a boost heats the tank above maxWaterTemp, and how long, in seconds, it may take.
+  boostTempIncrease: 10,
+  boostMaxDuration: 14400,
+  // Time windows in local time that allow or block the pump, or change its limits, e.g.
+  //   [{ "days": ["sat", "sun"], "from": "22:00", "to": "07:00", "pump": "block" },
+  //    { "from": "13:00", "to": "15:00", "maxWaterTemp": 75 }]
+  // A window has from and to, optionally days (every day if omitted), pump ("allow" or "block")
+  // and the settings in SCHEDULE_OVERRIDES. A window whose to is earlier than its from runs past
+  // midnight and belongs to the day it starts on. See updateSchedule().
+  schedule: [],
+  // How often a switch command that fails or does not change the output is retried, and the delay, in
+  // seconds, before the first retry. The delay doubles with every retry.
+  switchRetries: 3,
+  switchRetryDelay: 5,
+  // The power, in W, a running pump draws at least and at most (0 disables the check), e.g. to detect a
+  // dry-running or a seized pump. Power is only checked once the pump has run for pumpPowerDelay seconds.
+  pumpMinPower: 0,
+  pumpMaxPower: 0,
+  pumpPowerDelay: 30,
+  // How far, in °C, the tank may get hotter than the script ever heats it before an alert is raised.
+  alertTankMargin: 5,
+  // How long, in seconds, the pump may run without a break before an alert is raised (0 disables it).
+  alertMaxRunTime: 21600,
+  // The temperature, in °C, below which any reading is a frost risk (null disables frost protection), and
+  // whether the pump then runs to circulate the warmer water. A frost risk is also raised as an alert.
+  frostProtectionTemp: null,
+  frostProtectionPump: true,
+  // The pumps heating the tank, empty for a single pump on switch 0 that uses the settings above, e.g.
+  //   [{ "name": "solar", "switchID": 0, "heatingSourceTemperatureID": 101, "maxWaterTemp": 80 },
+  //    { "name": "boiler", "switchID": 1, "heatingSourceTemperatureID": 102, "backupFor": "solar" }]
+  // A loop has a name, the switchID of its pump, optionally backupFor, the name of an earlier loop it
+  // only runs for while that one cannot heat, and the settings in LOOP_SETTINGS. See checkLoops().
+  // Loops and schedule windows soon make the configuration too long for one KVS value, see KVS_CONFIG_KEY.
+  loops: [],
+  // The interval, in seconds, to re-read the configuration from KVS (0 disables the periodic reload).
+  configReloadInterval: 300,
+  // The most verbose messages printed to the console: "error", "warn", "info" or "debug".
+  logLevel: "info",
+  // How many recent log entries, all but debug messages, are kept for the HTTP action "log" and
+  // stored in KVS when an alert is raised (0 disables the log buffer). At most 30, as they are
+  // kept in the device's small memory.
+  logBufferSize: 20,
+  // Set to true to print all messages, the same as logLevel "debug".
+  debuggingOn: false,
+};
+
+/**
+ * Validation rules for each configuration field. Every field has a type, numbers may
+ * have a range and must be whole when integer is set, strings may list allowed values.
+ * A field with list set also takes a list of such values, one with nullable takes null.
+ * The schedule is checked by checkSchedule(), the loops by checkLoops(), relations between
+ * fields by checkRelations().
+ */
+const CONFIG_SCHEMA = {
+  scanInterval: { type: "number", min: 1, max: 3600 },
+  eventTempDelta: { type: "number", min: 0, max: 10 },
+  hotWaterTemperatureID: { type: "number", min: 100, max: 199, integer: true, list: true },
+  hotWaterAggregation: { type: "string", values: ["primary", "min", "max", "avg"] },
+  heatingSourceTemperatureID: { type: "number", min: 100, max: 199, integer: true, list: true },
+  heatingSourceAggregation: { type: "string", values: ["primary", "min", "max", "avg"] },
+  tankTopTemperatureID: { type: "number", min: 100, max: 199, integer: true, nullable: true },
+  tankBottomTemperatureID: { type: "number", min: 100, max: 199, integer: true, nullable: true },
+  stopReference: { type: "string", values: ["tank", "top", "bottom"] },
+  startReference: { type: "string", values: ["tank", "top", "bottom"] },
+  maxWaterTemp: { type: "number", min: 20, max: 95 },
+  waterPumpHysteresis: { type: "number", min: 0.5, max: 50 },
+  waterPumpStopDifference: { type: "number", min: 0, max: 50 },
+  sensorMinTemp: { type: "number", min: -55, max: 125 },
+  sensorMaxTemp: { type: "number", min: -55, max: 125 },
+  sensorMaxJump: { type: "number", min: 1, max: 100 },
+  sensorFrozenTime: { type: "number", min: 0, max: 604800 },
+  sensorFaultThreshold: { type: "number", min: 1, max: 100, integer: true },
+  sensorFaultPumpState: { type: "string", values: ["off", "on"] },
+  minPumpOnTime: { type: "number", min: 0, max: 86400 },
+  minPumpOffTime: { type: "number", min: 0, max: 86400 },
+  maxPumpStartsPerHour: { type: "number", min: 0, max: 60, integer: true },
+  manualSwitchMinutes: { type: "number", min: 0, max: 1440 },
+  modeInputID: { type: "number", min: 0, max: 199, integer: true, nullable: true },
+  holidayMaxWaterTemp: { type: "number", min: 20, max: 95 },
+  boostTempIncrease: { type: "number", min: 1, max: 30 },
+  boostMaxDuration: { type: "number", min: 600, max: 86400 },
+  schedule: { type: "schedule" },
+  switchRetries: { type: "number", min: 0, max: 10, integer: true },
+  switchRetryDelay: { type: "number", min: 1, max: 600 },
+  pumpMinPower: { type: "number", min: 0, max: 4000 },
+  pumpMaxPower: { type: "number", min: 0, max: 4000 },
+  pumpPowerDelay: { type: "number", min: 0, max: 3600 },
+  alertTankMargin: { type: "number", min: 1, max: 50 },
+  alertMaxRunTime: { type: "number", min: 0, max: 604800 },
+  frostProtectionTemp: { type: "number", min: -20, max: 20, nullable: true },
+  frostProtectionPump: { type: "boolean" },
+  loops: { type: "loops" },
+  configReloadInterval: { type: "number", min: 0, max: 86400 },
+  logLevel: { type: "string", values: ["error", "warn", "info", "debug"] },
+  logBufferSize: { type: "number", min: 0, max: 30, integer: true },
+  debuggingOn: { type: "boolean" },
+};
+
+// This will hold the active configuration, merged from defaults and KVS.
+let CONFIG = {};
+
+// The handle of the recurring scan timer, so it can be rescheduled.
+let scanTimer = null;
+
+// Uptime of the last configuration load, used for the periodic reload.
+let configLoadedAt = 0;
+
+// The value a DS18B20 reports when the Add-on cannot read it.
+const SENSOR_ERROR_VALUE = -127;
+
+// Plausibility tracking for each thermometer, keyed by its Temperature component ID.
+let sensorStates = {};
+
+// The pump loops of the active configuration with their state, see newLoop() and buildLoops().
+let loops = [];
+
+// The operating mode, see setMode(), with the unixtime a timed mode ends or the local day
+// a holiday ends (null otherwise), the name of the only loop a pump forced on or off
+// applies to (null for all), and the holiday or boost { mode, until, untilDay } a pump
+// switched by hand returns to (null for none). It is stored in KVS on every change.
+let operatingMode = { mode: "auto", until: null, untilDay: null, loop: null, resume: null };
+
+// The indexes of the schedule windows active at the last evaluation, whether they block the pump
+// and the settings they change.
+let scheduleState = { windows: [], blocked: false, overrides: {} };
+
+// The active alerts by name, with the message each was raised with, see raiseAlert().
+let alerts = {};
+
+// What the script last measured and decided, reported by the HTTP endpoint.
+let scriptStatus = {
+  hotWaterTemperature: null, heatingSourceTemperature: null, tankTopTemperature: null, tankBottomTemperature: null,
+  lastDecision: "", lastError: "", configErrors: [],
+};
+
+// The temperature, in °C, another script asked to heat the tank to and the uptime it asked until (both
+// null while none is asked for), and the highest one asked for since the script started, see setHeatRequest().
+let heatRequest = { temperature: null, until: null, highest: null };
+
+// Whether a reading is below frostProtectionTemp, until all readings are FROST_HYSTERESIS above it,
+// and the lowest reading at the last evaluation.
+let frost = { active: false, coldest: null };
+
+// #include "lib/log.js"
+
+/**
+ * @description Remembers the decision made for a loop in this cycle for the HTTP status endpoint and logs it.
+ * A decision that switched the pump is logged at the info level with the readings it was based on,
+ * the others only for debugging.
+ * @param {object} loop The loop.
+ * @param {string} rule The rule that decided, see newLoop().
+ * @param {string} decision The decision and its reason.
+ */
+function reportDecision(loop, rule, decision) {
+  loop.rule = rule;
+  loop.lastDecision = decision;
+  scriptStatus.lastDecision = loops.length === 1 ? decision : loops.map(function (other) {
+    return other.name + ": " + other.lastDecision;
+  }).join("; ");
+  logEvent(loop.switched ? "info" : "debug", "decision", "Decision: " + loopPrefix(loop) + decision,
+    { loop: loop.name, tank: scriptStatus.hotWaterTemperature, source: loop.sourceTemperature });
+  loop.switched = false;
+}
+
+// #include "lib/kvs.js"
+
+// #include "lib/time.js"
+
+// #include "lib/http.js"
+
+/**
+ * @description Creates the state of a pump loop, see buildLoops() for its settings.
+ * @param {string} name The name of the loop.
+ * @param {number} switchID The ID of the Switch component of its pump.
+ * @returns {object} The loop with its name, switchID, backupFor and settings, and its state:
+ *   pumpState          The last known switch output, the uptime of its last transition and the uptimes
+ *                      of recent starts, and the number of Switch.Set calls that have not answered yet.
+ *   switchCommand      The switch command being carried out: the requested output, the number of attempts
+ *                      so far and the handle of the timer of the next retry (null while none is scheduled).
+ *   pumpFault          Why the pump is in a fault state, or an empty string. The pump is held off until the fault is reset.
+ *   powerFaults        The number of consecutive scans with the pump power out of range.
+ *   failSafeActive     Whether the pump is held in its fail-safe state because of a sensor fault.
+ *   startingUp         Whether the loop has yet to read valid temperatures since the script started. Until
+ *                      then the pump keeps the state it was found in, see adjustLoop().
+ *   canHeat            Whether the heating source was hot enough to heat the tank at the last evaluation.
+ *   sourceTemperature  The heating source temperature at the last evaluation with valid readings.
+ *   rule               The rule of adjustLoop() that made the last decision: "fault", "sensor", "frost",
+ *                      "forced", "limit" (the maximum temperature), "schedule", "backup" or
+ *                      "difference", or "manual" once the pump was switched by hand (null until then).
+ *   lastDecision       The decision of the last evaluation.
+ *   learned            The start and stop differences another script learned for the loop, as
+ *                      { hysteresis, stopDifference }, or null to use the configured ones, see COMMAND_EVENT.
+ */
+function newLoop(name, switchID) {
+  return {
+    name: name, switchID: switchID, backupFor: null, settings: {},
+    pumpState: { on: null, changedAt: null, starts: [], pending: 0 },
+    switchCommand: { on: null, attempts: 0, timer: null },
+    pumpFault: "", powerFaults: 0, failSafeActive: false, startingUp: true, canHeat: false,
+    sourceTemperature: null, rule: null, lastDecision: "", switched: false, learned: null,
+  };
+}
+
+/**
+ * @description Sets up the loops of the active configuration. A loop keeps its state as long as
+ * its switch stays in use, even if it is renamed. The pump of a switch that is no longer used by
+ * any loop is stopped, as nothing would stop it otherwise.
+ * @param {object} config The active configuration.
+ */
+function buildLoops(config) {
+  let definitions = config.loops.length > 0 ? config.loops : [{ name: DEFAULT_LOOP_NAME, switchID: 0 }];
+  let previous = loops;
+  loops = definitions.map(function (definition) {
+    let loop = previous.filter(function (old) { return old.switchID === definition.switchID; })[0];
+    if (loop === undefined) {
+      loop = newLoop(definition.name, definition.switchID);
+    }
+    loop.name = definition.name;
+    loop.backupFor = definition.backupFor === undefined ? null : definition.backupFor;
+    loop.settings = {};
+    LOOP_SETTINGS.forEach(function (key) {
+      if (definition[key] !== undefined) {
+        loop.settings[key] = definition[key];
+      }
+    });
+    return loop;
+  });
+  previous.forEach(function (old) {
+    if (loops.indexOf(old) === -1 && waterPumpRunning(old)) {
+      logEvent("info", "loops", "Switch " + old.switchID + " is not used by any loop anymore, stopping its pump.");
+      stopWaterPump(old);
+    }
+  });
+}
+
+/**
+ * @param {object} config The configuration of the tank.
+ * @param {object} loop The loop.
+ * @returns {object} The configuration with the settings the loop sets itself.
+ */
+function loopConfig(config, loop) {
+  return Object.keys(loop.settings).length > 0 ? Object.assign({}, config, loop.settings) : config;
+}
+
+/**
+ * @param {object} loop The loop.
+ * @returns {string} The prefix for the messages about the loop, empty with a single loop.
+ */
+function loopPrefix(loop) {
+  return loops.length > 1 ? loop.name + ": " : "";
+}
+
+/**
+ * @param {object} loop The loop.
+ * @returns {boolean} Whether the pump switch of the loop is enabled, false if the switch is missing.
+ */
+function waterPumpRunning(loop) {
+  let status = Shelly.getComponentStatus('Switch', loop.switchID);
+  return status !== null && status.output === true;
+}
+
+/**
+ * @description Records a switch transition for the anti-short-cycling limits.
+ * Calls that do not change the known output are ignored, so it is safe to call it
+ * both from the Switch.Set callback and when a change is observed in the status.
+ * @param {object} loop The loop of the switch.
+ * @param {boolean} on The new switch output.
+ */
+function recordPumpTransition(loop, on) {
+  let pumpState = loop.pumpState;
+  if (pumpState.on === on) {
+    return;
+  }
+  if (pumpState.on === null) {
+    // The first known state, the time of the last transition is unknown.
+    pumpState.on = on;
+    return;
+  }
+  let now = uptime();
+  pumpState.on = on;
+  pumpState.changedAt = now;
+  if (on) {
+    // Only the last hour counts, whatever started the pump and whether maxPumpStartsPerHour is set.
+    pumpState.starts = pumpState.starts.filter(function (startedAt) { return now - startedAt < 3600; });
+    pumpState.starts.push(now);
+  }
+  savePumpState(loop);
+  publishState();
+}
+
+/**
+ * @param {object} loop The loop.
+ * @returns {string} The KVS key of the loop's pump state, KVS_PUMP_KEY for switch 0, so a
+ * single loop keeps its state when more loops are added.
+ */
+function pumpStateKey(loop) {
+  return loop.switchID === 0 ? KVS_PUMP_KEY : KVS_PUMP_KEY + "_" + loop.switchID;
+}
+
+/**
+ * @description Stores the last pump transition and the starts of the last hour in KVS. Uptimes
+ * do not survive a reboot, so they are converted to unixtime, which needs a synchronised clock.
+ * Up to 60 starts do not fit into a KVS value, so only their number and the first and last
+ * one are stored, see loadPumpState().
+ * @param {object} loop The loop of the pump.
+ */
+function savePumpState(loop) {
+  let now = unixtime();
+  if (now === null) {
+    return;
+  }
+  let offset = now - uptime();
+  let pumpState = loop.pumpState;
+  let starts = pumpState.starts.filter(function (startedAt) { return uptime() - startedAt < 3600; });
+  saveState(pumpStateKey(loop), "pump state", {
+    on: pumpState.on,
+    changedAt: pumpState.changedAt === null ? null : pumpState.changedAt + offset,
+    starts: starts.length,
+    firstStart: starts.length > 0 ? starts[0] + offset : null,
+    lastStart: starts.length > 0 ? starts[starts.length - 1] + offset : null,
+  });
+}
+
+/**
+ * @param {object} saved The stored pump state, see savePumpState().
+ * @returns {number[]} The unixtimes of the stored starts. The ones between the first and the
+ * last start are spread evenly, their exact times are not stored.
+ */
+function storedStarts(saved) {
+  if (Array.isArray(saved.starts)) {
+    // Stored before the starts were compacted.
+    return saved.starts;
+  }
+  let starts = [];
+  if (typeof saved.starts !== "number" || typeof saved.firstStart !== "number" || typeof saved.lastStart !== "number") {
+    return starts;
+  }
+  for (let i = 0; i < saved.starts; i++) {
+    starts.push(i === saved.starts - 1 ? saved.lastStart : Math.round(saved.firstStart + (saved.lastStart - saved.firstStart) * i / (saved.starts - 1)));
+  }
+  return starts;
+}
+
+/**
+ * @description Restores the anti-short-cycling state of every loop from KVS, see savePumpState().
+ * The time of the last transition is only kept if the switch is still in the stored state,
+ * otherwise it changed at an unknown time while the script was not running.
+ * @param {function} callback Called once the state was processed.
+ */
+function loadPumpState(callback) {
+  runInSequence(loops.map(function (loop) {
+    return function (done) {
+      loadState(pumpStateKey(loop), "pump state", function (saved) {
+        let now = unixtime();
+        if (now === null) {
+          return;
+        }
+        let offset = now - uptime();
+        let on = waterPumpRunning(loop);
+        let pumpState = loop.pumpState;
+        pumpState.on = on;
+        pumpState.changedAt = saved.on === on && typeof saved.changedAt === "number" ? saved.changedAt - offset : null;
+        pumpState.starts = storedStarts(saved)
+          .filter(function (startedAt) { return now - startedAt < 3600; })
+          .map(function (startedAt) { return startedAt - offset; });
+        debugLog(loopPrefix(loop) + "Restored the pump state from KVS, the pump is " + (on ? "running" : "off") +
+          (pumpState.changedAt === null ? "" : " since " + (now - saved.changedAt) + " s") + " with " + pumpState.starts.length + " starts in the last hour.");
+      }, done);
+    };
+  }), callback);
+}
+
+/**
+ * @description Picks up switch changes made outside of this script, e.g. in the web UI.
+ * @param {object} loop The loop of the switch.
+ */
+function trackPumpState(loop) {
+  let on = waterPumpRunning(loop);
+  let pumpState = loop.pumpState;
+  if (pumpState.pending > 0) {
+    // The change may be the script's own, it is recorded once Switch.Set answers.
+    return;
+  }
+  if (pumpState.on === null) {
+    // First scan, the time of the last transition is unknown.
+    pumpState.on = on;
+  } else if (pumpState.on !== on) {
+    debugLog(loopPrefix(loop) + "Pump was switched " + (on ? "on" : "off") + " outside of the script.");
+    loop.rule = "manual";
+    recordPumpTransition(loop, on);
+    // Keep the state someone chose by hand instead of reverting it on this scan. With several
+    // loops only the switched one is forced. A holiday or boost is resumed afterwards.
+    if (CONFIG.manualSwitchMinutes > 0 && unixtime() !== null && loop.pumpFault === "") {
+      let only = loops.length > 1 ? loop.name : null;
+      let resume = operatingMode.resume;
+      if (operatingMode.mode === "holiday" || operatingMode.mode === "boost") {
+        resume = { mode: operatingMode.mode, until: operatingMode.until, untilDay: operatingMode.untilDay };
+      }
+      enterMode(on ? "on" : "off", unixtime() + Math.round(CONFIG.manualSwitchMinutes * 60), null, only,
+        (only === null ? "Pump" : "Pump " + only) + " forced " + (on ? "on" : "off") + " for " + CONFIG.manualSwitchMinutes + " minutes after it was switched by hand" +
+        (resume === null ? "." : ", " + resume.mode + " mode resumes afterwards."), resume);
+    }
+  }
+}
+
+/**
+ * @description Checks the anti-short-cycling limits before the pump is switched.
+ * @param {object} loop The loop of the pump.
+ * @param {boolean} on The requested switch output.
+ * @param {object} config The configuration of the loop.
+ * @returns {string} Why the transition is not allowed yet, or an empty string if it is.
+ */
+function pumpSwitchBlocked(loop, on, config) {
+  let now = uptime();
+  let pumpState = loop.pumpState;
+  let elapsed = pumpState.changedAt === null ? null : now - pumpState.changedAt;
+
+  if (!on && elapsed !== null && elapsed < config.minPumpOnTime) {
+    return "minimum run time not reached (" + elapsed + "/" + config.minPumpOnTime + " s)";
+  }
+  if (on && elapsed !== null && elapsed < config.minPumpOffTime) {
+    return "minimum off time not reached (" + elapsed + "/" + config.minPumpOffTime + " s)";
+  }
+  if (on && config.maxPumpStartsPerHour > 0) {
+    pumpState.starts = pumpState.starts.filter(function (startedAt) { return now - startedAt < 3600; });
+    if (pumpState.starts.length >= config.maxPumpStartsPerHour) {
+      return "limit of " + config.maxPumpStartsPerHour + " starts per hour reached";
+    }
+  }
+  return "";
+}
+
+/**
+ * @description Starts the water pump of a loop if it is not already running.
+ * It calls the Shelly RPC to turn the switch on, see switchPump().
+ * @param {object} loop The loop.
+ */
+function startWaterPump(loop) {
+  switchPump(loop, true);
+}
+
+/**
+ * @description Stops the water pump of a loop if it is running.
+ * It calls the Shelly RPC to turn the switch off, see switchPump().
+ * @param {object} loop The loop.
+ */
+function stopWaterPump(loop) {
+  switchPump(loop, false);
+}
+
+/**
+ * @description Requests a switch output. A request for the output that is already being
+ * switched to, or waiting for a retry, is ignored, one for the other output replaces it.
+ * @param {object} loop The loop of the switch.
+ * @param {boolean} on The requested switch output.
+ */
+function switchPump(loop, on) {
+  if (loop.switchCommand.on === on && (loop.switchCommand.timer !== null || loop.pumpState.pending > 0)) {
+    return;
+  }
+  if (loop.switchCommand.timer !== null) {
+    Timer.clear(loop.switchCommand.timer);
+  }
+  loop.switchCommand = { on: on, attempts: 0, timer: null };
+  loop.switched = true;
+  sendSwitchCommand(loop);
+}
+
+/**
+ * @description Calls Switch.Set for the current switch command of a loop and verifies that the
+ * output followed. A failed attempt is retried up to switchRetries times, first after switchRetryDelay
+ * seconds and twice as long for every further retry. Then the pump is in a fault state.
+ * @param {object} loop The loop of the switch.
+ */
+function sendSwitchCommand(loop) {
+  let on = loop.switchCommand.on;
+  let action = on ? "starting" : "stopping";
+  loop.switchCommand.attempts++;
+  loop.pumpState.pending++;
+  queueCall(
+    "Switch.Set",
+    { id: loop.switchID, on: on },
+    function (result, error_code, error_message) {
+      loop.pumpState.pending--;
+      // A newer command for the other output may have replaced this one and changed the output.
+      let current = loop.switchCommand.on === on;
+      let error = "";
+      if (error_code !== 0) {
+        error = error_message;
+      } else if (current && waterPumpRunning(loop) !== on) {
+        error = "the output is still " + (on ? "off" : "on");
+      }
+
+      if (error === "") {
+        recordPumpTransition(loop, on);
+        if (current) {
+          loop.switchCommand = { on: null, attempts: 0, timer: null };
+        }
+        debugLog(loopPrefix(loop) + "Water pump was " + (on ? "started" : "stopped") + " successfully.");
+        return;
+      }
+      reportError(loopPrefix(loop) + "Error " + action + " pump: " + error);
+      if (!current) {
+        return;
+      }
+      if (loop.switchCommand.attempts <= CONFIG.switchRetries) {
+        let delay = CONFIG.switchRetryDelay * Math.pow(2, loop.switchCommand.attempts - 1);
+        debugLog("Retrying in " + delay + " s.");
+        loop.switchCommand.timer = Timer.set(delay * 1000, false, function () {
+          loop.switchCommand.timer = null;
+          sendSwitchCommand(loop);
+        });
+      } else {
+        let attempts = loop.switchCommand.attempts;
+        loop.switchCommand = { on: null, attempts: 0, timer: null };
+        setPumpFault(loop, action + " failed " + attempts + " times: " + error);
+      }
+    }
+  );
+}
+
+/**
+ * @description Puts the pump of a loop into a fault state: the automatic rules, the operating modes
+ * and the sensor fail-safe are suspended and the pump is held off until the fault is reset
+ * with the HTTP action "reset" or the script restarts. The fault is raised as an alert.
+ * @param {object} loop The loop of the pump.
+ * @param {string} reason What went wrong.
+ */
+function setPumpFault(loop, reason) {
+  if (loop.pumpFault !== "") {
+    return;
+  }
+  loop.pumpFault = reason;
+  logEvent("error", "pump_fault", loopPrefix(loop) + "Pump fault, " + reason + ". The pump is held off until the fault is reset.", { loop: loop.name });
+  raiseAlert(alertName("pump", loop), loopPrefix(loop) + "Pump fault, " + reason + ".");
+}
+
+/**
+ * @description Clears the pump faults of all loops, so the automatic rules take over again.
+ * @param {string} source How the request came in, for the log, e.g. "over HTTP".
+ */
+function resetPumpFault(source) {
+  loops.forEach(function (loop) {
+    if (loop.pumpFault === "") {
+      return;
+    }
+    loop.pumpFault = "";
+    loop.powerFaults = 0;
+    logEvent("info", "pump_fault", loopPrefix(loop) + "Pump fault reset " + source + ", resuming automatic control.", { loop: loop.name });
+    clearAlert(alertName("pump", loop), loopPrefix(loop) + "The pump fault was reset.");
+  });
+}
+
+/**
+ * @description Turns errors the switch of a loop reports, e.g. overpower or overtemp on a Plus 1PM,
+ * into a pump fault. The device has switched the output off on its own in that case. A switch
+ * that is missing, e.g. on an add-on that was removed, is a pump fault as well.
+ * @param {object} loop The loop of the switch.
+ */
+function checkSwitchErrors(loop) {
+  let status = Shelly.getComponentStatus('Switch', loop.switchID);
+  if (status === null) {
+    setPumpFault(loop, "there is no switch " + loop.switchID + " on this device");
+  } else if (status.errors && status.errors.length > 0) {
+    setPumpFault(loop, "the switch reports " + status.errors.join(", "));
+  }
+}
+
+/**
+ * @description Checks the power a running pump draws against pumpMinPower and pumpMaxPower
+ * once it has run for pumpPowerDelay. A reading out of range on POWER_FAULT_SCANS consecutive
+ * scans is a pump fault. Switches without power metering are not checked.
+ * @param {object} loop The loop of the pump.
+ */
+function checkPumpPower(loop) {
+  let config = loopConfig(CONFIG, loop);
+  let status = Shelly.getComponentStatus('Switch', loop.switchID);
+  let settling = loop.pumpState.changedAt !== null && uptime() - loop.pumpState.changedAt < config.pumpPowerDelay;
+  if (status === null || !status.output || typeof status.apower !== "number" || settling || loop.pumpFault !== "") {
+    loop.powerFaults = 0;
+    return;
+  }
+  let problem = "";
+  if (config.pumpMinPower > 0 && status.apower < config.pumpMinPower) {
+    problem = "the pump draws only " + status.apower + " W, it may run dry or be disconnected";
+  } else if (config.pumpMaxPower > 0 && status.apower > config.pumpMaxPower) {
+    problem = "the pump draws " + status.apower + " W, it may be blocked or seized";
+  }
+  if (problem === "") {
+    loop.powerFaults = 0;
+    return;
+  }
+  loop.powerFaults++;
+  reportError(loopPrefix(loop) + "Power check failed, " + problem + " (" + loop.powerFaults + "/" + POWER_FAULT_SCANS + ")", "power", { loop: loop.name, power: status.apower });
+  if (loop.powerFaults >= POWER_FAULT_SCANS) {
+    setPumpFault(loop, problem);
+  }
+}
+
+/**
+ * @param {string} name The alert, see ALERTS.
+ * @param {object} loop The loop it is about.
+ * @returns {string} The name the alert is raised under, with several loops followed by the
+ * name of the loop, e.g. "pump:boiler".
+ */
+function alertName(name, loop) {
+  return loops.length > 1 ? name + ":" + loop.name : name;
+}
+
+/**
+ * @returns {string[]} The names of the active alerts in the order of ALERTS.
+ */
+function activeAlerts() {
+  return Object.keys(alerts).sort(function (a, b) {
+    return ALERTS.indexOf(a.split(":")[0]) - ALERTS.indexOf(b.split(":")[0]);
+  });
+}
+
+/**
+ * @param {object} entry A log entry, see logEvent().
+ * @param {number} room The most bytes it may take in KVS.
+ * @returns {Array} The entry as saveLog() stores it: [time, level, event], for errors and alerts
+ * followed by the message and the values, which are left out or cut short if they do not fit.
+ */
+function logExcerptEntry(entry, room) {
+  let item = [entry.time, entry.level, entry.event];
+  if (entry.level !== "error" && entry.event !== "alert") {
+    return item;
+  }
+  item.push(entry.message);
+  if (entry.values !== undefined) {
+    item.push(entry.values);
+    if (kvsValueSize(item) > room) {
+      item.pop();
+    }
+  }
+  let message = entry.message;
+  let excess = kvsValueSize(item) - room;
+  while (excess > 0 && message.length > 0) {
+    message = message.slice(0, Math.max(0, message.length - excess - 3));
+    item[3] = message + "...";
+    excess = kvsValueSize(item) - room;
+  }
+  return item;
+}
+
+/**
+ * @description Stores an excerpt of the log in KVS, so what led up to a fault can be read later,
+ * even after a restart, with KVS.Get or tools/deploy.js config get --key indirect_heating_log.
+ * A KVS value is too small for the whole log, so the entries are spread over LOG_KVS_VALUES values,
+ * newest first, as many as fit. The first value is { savedAt, reason, parts, entries }, where parts
+ * is the number of values written this time, the others only hold a list of entries. Each entry is
+ * stored as [time, level, event], errors and alerts also with their message and values, see
+ * logExcerptEntry().
+ * @param {string} reason Why the entries are stored, e.g. the alert that was raised.
+ */
+function saveLog(reason) {
+  if (logBuffer.length === 0) {
+    return;
+  }
+  let values = [{ savedAt: unixtime(), reason: reason, parts: LOG_KVS_VALUES, entries: [] }];
+  let entries = values[0].entries;
+  let size = kvsValueSize(values[0]);
+  for (let i = logBuffer.length - 1; i >= 0; i--) {
+    // An entry has to fit into a value of its own, the brackets of the list aside.
+    let item = logExcerptEntry(logBuffer[i], KVS_MAX_VALUE_SIZE - 2);
+    // The entry and the comma before it.
+    let itemSize = kvsValueSize(item) + (entries.length > 0 ? 1 : 0);
+    if (size + itemSize > KVS_MAX_VALUE_SIZE) {
+      if (values.length === LOG_KVS_VALUES) {
+        break;
+      }
+      entries = [];
+      values.push(entries);
+      size = 2;
+      itemSize = kvsValueSize(item);
+    }
+    entries.push(item);
+    size += itemSize;
+  }
+  values[0].parts = values.length;
+  values.forEach(function (value, i) {
+    saveState(i === 0 ? KVS_LOG_KEY : KVS_LOG_KEY + "_" + i, "log", value);
+  });
+}
+
+/**
+ * @description Raises an alert. It stays active, and is reported by the status, until clearAlert()
+ * ends it. Both are announced with ALERT_EVENT, for indirect_heating_alerts.shelly.js to send them.
+ * The log entries that led up to it are stored in KVS, see saveLog().
+ * @param {string} name The alert, see alertName().
+ * @param {string} message What happened.
+ */
+function raiseAlert(name, message) {
+  if (alerts[name] !== undefined) {
+    return;
+  }
+  logEvent("warn", "alert", "Alert " + name + ": " + message, { name: name });
+  alerts[name] = message;
+  saveLog(name);
+  Shelly.emitEvent(ALERT_EVENT, { name: name, state: "raised", message: message });
+}
+
+/**
+ * @description Ends an active alert and announces the recovery.
+ * @param {string} name The alert, see alertName().
+ * @param {string} message What changed.
+ */
+function clearAlert(name, message) {
+  if (alerts[name] === undefined) {
+    return;
+  }
+  delete alerts[name];
+  logEvent("info", "alert", "Alert " + name + " recovered: " + message, { name: name });
+  Shelly.emitEvent(ALERT_EVENT, { name: name, state: "recovered", message: message });
+}
+
+/**
+ * @param {object} config The active configuration.
+ * @returns {number} The highest temperature, in °C, the script heats the tank to: maxWaterTemp,
+ * also of the loops and in the schedule windows, plus boostTempIncrease, or the highest temperature
+ * another script asked for with the action "heat", as the tank stays that hot for a while.
+ */
+function highestTankTarget(config) {
+  let target = config.maxWaterTemp;
+  // Loops and schedule windows may both set their own limit.
+  config.loops.concat(config.schedule).forEach(function (settings) {
+    if (settings.maxWaterTemp !== undefined) {
+      target = Math.max(target, settings.maxWaterTemp);
+    }
+  });
+  target += config.boostTempIncrease;
+  if (heatRequest.highest !== null) {
+    target = Math.max(target, heatRequest.highest);
+  }
+  return target;
+}
+
+/**
+ * @description Checks the conditions of the tank and runtime alerts.
+ */
+function updateAlerts() {
+  let tank = [scriptStatus.hotWaterTemperature, scriptStatus.tankTopTemperature, scriptStatus.tankBottomTemperature]
+    .filter(function (value) { return value !== null; });
+  if (tank.length > 0) {
+    let limit = highestTankTarget(CONFIG);
+    let hottest = tank.reduce(function (a, b) { return Math.max(a, b); });
+    if (hottest >= limit + CONFIG.alertTankMargin) {
+      raiseAlert("tank", "The tank is at " + hottest + "°C, " + CONFIG.alertTankMargin + "°C or more above the highest target of " + limit + "°C.");
+    } else if (hottest < limit + CONFIG.alertTankMargin - ALERT_TEMP_HYSTERESIS) {
+      clearAlert("tank", "The tank cooled down to " + hottest + "°C.");
+    }
+  }
+
+  loops.forEach(function (loop) {
+    // The time of the last start is unknown until the pump was seen switching, and a start is
+    // only recorded once Switch.Set answered.
+    let running = waterPumpRunning(loop) && loop.pumpState.on === true;
+    let runTime = running && loop.pumpState.changedAt !== null ? uptime() - loop.pumpState.changedAt : 0;
+    if (CONFIG.alertMaxRunTime > 0 && runTime >= CONFIG.alertMaxRunTime) {
+      raiseAlert(alertName("runtime", loop), loopPrefix(loop) + "The pump has been running for " + Math.round(runTime / 60) + " minutes without a break.");
+    } else if (!running) {
+      clearAlert(alertName("runtime", loop), loopPrefix(loop) + "The pump stopped.");
+    }
+  });
+}
+
+/**
+ * @description Reads one thermometer and checks the value for plausibility.
+ * A reading is rejected when the sensor is missing or reports an error, when it is
+ * outside of the configured range, when it jumps by more than sensorMaxJump since the
+ * last accepted value (unless a later reading confirms the level a scan saw), or when it
+ * has not changed at all for sensorFrozenTime seconds. Only the scans count and log the
+ * failures and remember a new level, so evaluations between them, e.g. on status changes,
+ * cannot drive a sensor into its fault state faster than sensorFaultThreshold scans.
+ * @param {number} id The Temperature component ID.
+ * @param {object} config The active configuration.
+ * @param {boolean} scan Whether the reading is taken by a scan.
+ * @returns {number|null} The temperature in °C, or null if the reading was rejected.
+ */
+function readTemperature(id, config, scan) {
+  let state = sensorStates[id];
+  if (!state) {
+    state = { value: null, changedAt: null, pending: null, failures: 0, lastFault: "" };
+    sensorStates[id] = state;
+  }
+
+  let fault = "";
+  let status = null;
+  try {
+    status = Shelly.getComponentStatus('Temperature', id);
+  } catch (err) {
+    fault = "read error: " + err;
+  }
+
+  let tC = status ? status.tC : null;
+  if (fault === "") {
+    if (status === null) {
+      fault = "sensor not found";
+    } else if (status.errors && status.errors.length > 0) {
+      fault = "sensor reports " + status.errors.join(", ");
+    } else if (typeof tC !== "number" || tC === SENSOR_ERROR_VALUE) {
+      fault = "no valid reading (" + tC + ")";
+    } else if (tC < config.sensorMinTemp || tC > config.sensorMaxTemp) {
+      fault = "reading " + tC + "°C is out of range";
+    } else if (state.value !== null && Math.abs(tC - state.value) > config.sensorMaxJump &&
+               (state.pending === null || Math.abs(tC - state.pending) > config.sensorMaxJump)) {
+      // Remember the new level, a second reading close to it confirms a genuine change.
+      if (scan) {
+        state.pending = tC;
+      }
+      fault = "implausible jump from " + state.value + "°C to " + tC + "°C";
+    } else if (config.sensorFrozenTime > 0 && tC === state.value && uptime() - state.changedAt >= config.sensorFrozenTime) {
+      fault = "reading frozen at " + tC + "°C";
+    }
+  }
+
+  if (fault !== "" && !scan) {
+    return null;
+  }
+  if (fault !== "") {
+    state.failures++;
+    state.lastFault = fault;
+    let message = "Temperature sensor " + id + ": " + fault + " (" + state.failures + " consecutive failures)";
+    // Only the first failure is logged as an error, a sensor that stays faulty would fill the log buffer.
+    if (state.failures === 1) {
+      reportError(message, "sensor", { sensor: id, value: tC });
+    } else {
+      scriptStatus.lastError = message;
+      debugLog(message);
+    }
+    return null;
+  }
+
+  if (tC !== state.value) {
+    state.value = tC;
+    state.changedAt = uptime();
+  }
+  state.pending = null;
+  if (!scan) {
+    return tC;
+  }
+  if (state.failures >= config.sensorFaultThreshold) {
+    logEvent("info", "sensor", "Temperature sensor " + id + " recovered after " + state.failures + " failed reads, reading " + tC + "°C.", { sensor: id });
+  }
+  state.failures = 0;
+  return tC;
+}
+
+/**
+ * @param {number|number[]} value A sensor ID setting.
+ * @returns {number[]} The sensor IDs as a list.
+ */
+function sensorIDs(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * @description Combines the plausible readings of the thermometers of one role.
+ * @param {Array} values The readings in the configured order, null for rejected ones.
+ * @param {string} aggregation "primary", "min", "max" or "avg", see hotWaterAggregation.
+ * @returns {number|null} The combined temperature, or null if no reading was plausible.
+ */
+function aggregateTemperatures(values, aggregation) {
+  let valid = values.filter(function (value) { return value !== null; });
+  if (valid.length === 0) {
+    return null;
+  }
+  if (aggregation === "min") {
+    return valid.reduce(function (a, b) { return Math.min(a, b); });
+  }
+  if (aggregation === "max") {
+    return valid.reduce(function (a, b) { return Math.max(a, b); });
+  }
+  if (aggregation === "avg") {
+    // Round to the 0.1 °C resolution of the readings.
+    return Math.round(valid.reduce(function (a, b) { return a + b; }) / valid.length * 10) / 10;
+  }
+  return valid[0];
+}
+
+/**
+ * @description Lists the temperature roles of the active configuration: the tank and the
+ * heating source, and the top and bottom probes if they are fitted. A role is required when
+ * the rules depend on it, the others are only reported.
+ * @param {object} config The active configuration.
+ * @returns {object[]} The roles as { name, ids, aggregation, required }.
+ */
+function sensorRoles(config) {
+  let roles = [
+    { name: "tank", ids: sensorIDs(config.hotWaterTemperatureID), aggregation: config.hotWaterAggregation, required: true },
+    { name: "source", ids: sensorIDs(config.heatingSourceTemperatureID), aggregation: config.heatingSourceAggregation, required: true },
+  ];
+  [["top", config.tankTopTemperatureID], ["bottom", config.tankBottomTemperatureID]].forEach(function (probe) {
+    if (probe[1] !== null) {
+      let required = config.stopReference === probe[0] || config.startReference === probe[0];
+      roles.push({ name: probe[0], ids: [probe[1]], aggregation: "primary", required: required });
+    }
+  });
+  return roles;
+}
+
+/**
+ * @description Reads every thermometer of a loop once and combines the readings per role.
+ * A role stays usable as long as one of its thermometers reads plausibly.
+ * @param {object} config The configuration of the loop.
+ * @param {object} readings The readings by sensor ID taken in this evaluation, shared between
+ * the loops so every thermometer is read, and its failures counted, only once.
+ * @param {boolean} scan Whether the evaluation is a scan, see readTemperature().
+ * @returns {object} The temperature of each role by name, null if it could not be read,
+ * and the required roles that could not be read as failed.
+ */
+function readSensorRoles(config, readings, scan) {
+  let roles = sensorRoles(config);
+  let result = { temperatures: {}, failed: [] };
+
+  roles.forEach(function (role) {
+    let values = role.ids.map(function (id) {
+      // A sensor may serve several roles, e.g. as a tank sensor and as the top probe.
+      if (readings[id] === undefined) {
+        readings[id] = readTemperature(id, config, scan);
+      }
+      return readings[id];
+    });
+    let temperature = aggregateTemperatures(values, role.aggregation);
+    result.temperatures[role.name] = temperature;
+    if (temperature === null && role.required) {
+      result.failed.push(role);
+    }
+  });
+  return result;
+}
+
+/**
+ * @description Handles a scan in which a required role of a loop could not be read by any of its
+ * thermometers. The pump keeps its current state until all thermometers of the role have
+ * failed sensorFaultThreshold times in a row, then it is driven to the configured fail-safe state.
+ * @param {object} loop The loop.
+ * @param {object} config The configuration of the loop.
+ * @param {object[]} failedRoles The roles without a plausible reading, see readSensorRoles().
+ */
+function handleSensorFault(loop, config, failedRoles) {
+  let faulty = [];
+  failedRoles.forEach(function (role) {
+    let pending = role.ids.filter(function (id) {
+      return sensorStates[id].failures < config.sensorFaultThreshold;
+    });
+    if (pending.length === 0) {
+      role.ids.forEach(function (id) {
+        faulty.push(id + " (" + sensorStates[id].lastFault + ")");
+      });
+    }
+  });
+
+  if (faulty.length === 0) {
+    reportDecision(loop, "sensor", "keep pump " + (waterPumpRunning(loop) ? "running" : "off") + ", " + (loop.startingUp ? "waiting for valid sensor readings after the start" : "sensor read failed"));
+    return;
+  }
+
+  if (!loop.failSafeActive) {
+    loop.failSafeActive = true;
+    logEvent("warn", "fail_safe", loopPrefix(loop) + "Sensor fault on " + faulty.join(", ") + ", switching pump " + config.sensorFaultPumpState + " as fail-safe.", { loop: loop.name, sensors: faulty });
+    raiseAlert(alertName("sensor", loop), loopPrefix(loop) + "Sensor fault on " + faulty.join(", ") + ", the pump is held " + config.sensorFaultPumpState + ".");
+  }
+
+  if (config.sensorFaultPumpState === "on") {
+    if (!waterPumpRunning(loop)) {
+      startWaterPump(loop);
+    }
+  } else if (waterPumpRunning(loop)) {
+    stopWaterPump(loop);
+  }
+  reportDecision(loop, "sensor", "pump " + config.sensorFaultPumpState + " as fail-safe, sensor fault on " + faulty.join(", "));
+}
+
+/**
+ * @description Finds the schedule windows active at the current local time. A window that
+ * runs past midnight belongs to the day it starts on, so after midnight its days are
+ * compared with the day before.
+ * @param {object[]} schedule The schedule windows, see the schedule setting.
+ * @returns {number[]|null} The indexes of the active windows, or null while the clock is not synchronised.
+ */
+function activeScheduleWindows(schedule) {
+  let time = localTime();
+  if (time === null) {
+    return null;
+  }
+  let now = time.hour * 60 + time.minute;
+  let active = [];
+  schedule.forEach(function (window, i) {
+    let from = parseClockTime(window.from);
+    let to = parseClockTime(window.to);
+    let weekday = time.weekday;
+    let inside = false;
+    if (from < to) {
+      inside = now >= from && now < to;
+    } else if (now >= from) {
+      inside = true;
+    } else if (now < to) {
+      inside = true;
+      weekday = (weekday + 6) % 7;
+    }
+    if (inside && (window.days === undefined || window.days.indexOf(WEEKDAYS[weekday]) !== -1)) {
+      active.push(i);
+    }
+  });
+  return active;
+}
+
+/**
+ * @description Applies the schedule at the current local time. The pump is blocked while a
+ * window with pump "block" is active, and, if any window has pump "allow", outside of those.
+ * For each setting in SCHEDULE_OVERRIDES the first active window that sets it wins. Without a
+ * synchronised clock no window is active, so the pump is never blocked by an unknown time.
+ * A pump forced on or off and the sensor fail-safe do not follow the schedule.
+ * @param {object} config The active configuration.
+ * @returns {object} The configuration with the settings the active windows change.
+ */
+function updateSchedule(config) {
+  let windows = activeScheduleWindows(config.schedule);
+  let blocked = false;
+  if (windows === null) {
+    windows = [];
+  } else {
+    let hasAllowWindows = config.schedule.some(function (window) { return window.pump === "allow"; });
+    let allowed = windows.some(function (i) { return config.schedule[i].pump === "allow"; });
+    blocked = windows.some(function (i) { return config.schedule[i].pump === "block"; }) || (hasAllowWindows && !allowed);
+  }
+
+  if (JSON.stringify(windows) !== JSON.stringify(scheduleState.windows) || blocked !== scheduleState.blocked) {
+    debugLog("Schedule windows active: " + (windows.length > 0 ? windows.join(", ") : "none") + ", the pump is " + (blocked ? "blocked" : "allowed") + ".");
+  }
+  let overrides = {};
+  windows.forEach(function (i) {
+    SCHEDULE_OVERRIDES.forEach(function (key) {
+      if (config.schedule[i][key] !== undefined && overrides[key] === undefined) {
+        overrides[key] = config.schedule[i][key];
+      }
+    });
+  });
+  scheduleState = { windows: windows, blocked: blocked, overrides: overrides };
+  return Object.assign({}, config, overrides);
+}
+
+/**
+ * @description Switches to an operating mode and stores it in KVS.
+ * @param {string} mode The mode, see setMode().
+ * @param {number|null} until The unixtime a timed mode ends.
+ * @param {number|null} untilDay The local day a holiday ends.
+ * @param {string|null} loop The name of the only loop a pump forced on or off applies to, null for all.
+ * @param {string} message What happened, printed.
+ * @param {object} [resume] The holiday or boost mode to return to once a pump forced by hand
+ * is released, see trackPumpState().
+ */
+function enterMode(mode, until, untilDay, loop, message, resume) {
+  operatingMode = { mode: mode, until: until, untilDay: untilDay, loop: loop, resume: resume || null };
+  logEvent("info", "mode", message, { mode: mode, loop: loop });
+  saveState(KVS_MODE_KEY, "operating mode", operatingMode);
+}
+
+/**
+ * @param {object} [mode=operatingMode] The mode, e.g. the one to resume after a pump forced by hand.
+ * @returns {number|null} The seconds until the mode ends, or null in automatic mode and while the
+ * clock is not synchronised.
+ */
+function modeRemaining(mode) {
+  mode = mode || operatingMode;
+  if (mode.until !== null) {
+    let now = unixtime();
+    return now === null ? null : Math.max(0, mode.until - now);
+  }
+  if (mode.untilDay !== null) {
+    let time = localTime();
+    return time === null ? null : Math.max(0, (mode.untilDay - time.day) * 86400 - time.hour * 3600 - time.minute * 60);
+  }
+  return null;
+}
+
+/**
+ * @description Returns to automatic control when the operating mode expired or a boost
+ * reached its target. A pump forced by hand during a holiday or boost returns to that mode
+ * instead, unless it ended meanwhile. The limits of holiday and boost mode are applied by activeLimits().
+ * @param {number} stopTemperature The tank temperature the stop rules compare against, see stopReference.
+ * @param {object} config The active configuration, with the settings of the active schedule windows.
+ */
+function updateMode(stopTemperature, config) {
+  let mode = operatingMode.mode;
+  if (mode === "auto") {
+    return;
+  }
+
+  let boostTemp = config.maxWaterTemp + config.boostTempIncrease;
+  let ended = "";
+  if (modeRemaining() === 0) {
+    if (mode === "holiday") {
+      ended = "Holiday mode ended";
+    } else if (mode === "boost") {
+      ended = "Boost did not reach " + boostTemp + "°C within " + config.boostMaxDuration + " s";
+    } else if (operatingMode.resume !== null && modeRemaining(operatingMode.resume) !== 0) {
+      let resume = operatingMode.resume;
+      enterMode(resume.mode, resume.until, resume.untilDay, null, "Forced pump state expired, resuming " + resume.mode + " mode.");
+      return;
+    } else {
+      ended = "Forced pump state expired";
+    }
+  } else if (mode === "boost" && stopTemperature >= boostTemp) {
+    ended = "Boost completed at " + stopTemperature + "°C";
+  }
+  if (ended !== "") {
+    enterMode("auto", null, null, null, ended + ", resuming automatic control.");
+  }
+}
+
+/**
+ * @description Applies what updateSchedule() and updateMode() found at the current evaluation
+ * to the limits of a loop: the settings of the active schedule windows, the holiday or boost
+ * limit, also while a pump switched by hand interrupts it, and the temperature another script
+ * asked to heat the tank to, see setHeatRequest().
+ * @param {object} config The configuration of the loop.
+ * @returns {object} The configuration for the pump rules.
+ */
+function activeLimits(config) {
+  let active = Object.assign({}, config, scheduleState.overrides);
+  let mode = operatingMode.resume !== null ? operatingMode.resume.mode : operatingMode.mode;
+  if (mode === "holiday") {
+    active.maxWaterTemp = Math.min(active.maxWaterTemp, config.holidayMaxWaterTemp);
+  } else if (mode === "boost") {
+    active.maxWaterTemp += config.boostTempIncrease;
+  }
+  if (heatRequest.until !== null && uptime() >= heatRequest.until) {
+    logEvent("info", "heat", "Heating the tank to " + heatRequest.temperature + "°C ended after the time asked for.");
+    heatRequest.temperature = null;
+    heatRequest.until = null;
+  }
+  if (heatRequest.temperature !== null) {
+    // A boost may already aim higher.
+    active.maxWaterTemp = Math.max(active.maxWaterTemp, heatRequest.temperature);
+  }
+  return active;
+}
+
+/**
+ * @description Watches the readings for a frost risk: it starts when any reading is below
+ * frostProtectionTemp and ends once all of them are FROST_HYSTERESIS above it. With
+ * frostProtectionPump the pumps of all loops run meanwhile, see adjustLoop(), so the
+ * water keeps moving through the pipes. The frost risk is raised as an alert.
+ * @param {number[]} temperatures The readings of all roles of the loops with valid readings.
+ * @param {object} config The active configuration.
+ */
+function updateFrostProtection(temperatures, config) {
+  let coldest = temperatures.reduce(function (a, b) { return Math.min(a, b); });
+  frost.coldest = coldest;
+
+  if (config.frostProtectionTemp !== null && !frost.active && coldest < config.frostProtectionTemp) {
+    frost.active = true;
+    raiseAlert("frost", "Frost risk, a reading dropped to " + coldest + "°C" + (config.frostProtectionPump ? ", running the pump." : "."));
+  } else if (frost.active && (config.frostProtectionTemp === null || coldest >= config.frostProtectionTemp + FROST_HYSTERESIS)) {
+    frost.active = false;
+    clearAlert("frost", "No frost risk anymore, the coldest reading is " + coldest + "°C.");
+  }
+}
+
+/**
+ * @description Applies a pump state forced on or off, bypassing the automatic rules and
+ * the anti-short-cycling limits. A forced-on pump still stops at maxWaterTemp.
+ * @param {object} loop The loop.
+ * @param {number} stopTemperature The tank temperature the stop rules compare against, see stopReference.
+ * @param {object} config The configuration for the pump rules.
+ */
+function applyForcedMode(loop, stopTemperature, config) {
+  let running = waterPumpRunning(loop);
+  let remaining = modeRemaining();
+
+  if (operatingMode.mode === "off") {
+    if (running) {
+      stopWaterPump(loop);
+    }
+    reportDecision(loop, "forced", "pump forced off for another " + remaining + " s");
+  } else if (stopTemperature >= config.maxWaterTemp) {
+    if (running) {
+      stopWaterPump(loop);
+    }
+    reportDecision(loop, "forced", "pump forced on, but held off at maximum temperature");
+  } else {
+    if (!running) {
+      startWaterPump(loop);
+    }
+    reportDecision(loop, "forced", "pump forced on for another " + remaining + " s");
+  }
+}
+
+/**
+ * @param {object} loop The loop.
+ * @param {object} config The configuration of the loop.
+ * @returns {object} The configuration with the start and stop differences learned for the loop, if any.
+ */
+function learnedLimits(loop, config) {
+  if (loop.learned === null) {
+    return config;
+  }
+  return Object.assign({}, config, { waterPumpHysteresis: loop.learned.hysteresis, waterPumpStopDifference: loop.learned.stopDifference });
+}
+
+/**
+ * @description Replaces the start and stop differences of a loop with learned ones, see COMMAND_EVENT.
+ * They follow the rules of waterPumpHysteresis and waterPumpStopDifference in CONFIG_SCHEMA.
+ * @param {object} command The command with the loop name, and hysteresis and stopDifference, in °C,
+ * both left out to use the configured differences again.
+ * @returns {string} Why the command was rejected, or an empty string on success.
+ */
+function setLearnedThresholds(command) {
+  let loop = loops.filter(function (candidate) { return candidate.name === command.loop; })[0];
+  if (loop === undefined) {
+    return "Unknown loop '" + command.loop + "'.";
+  }
+  if (command.hysteresis === undefined && command.stopDifference === undefined) {
+    loop.learned = null;
+    return "";
+  }
+  let error = checkSetting("hysteresis", CONFIG_SCHEMA.waterPumpHysteresis, command.hysteresis);
+  if (error === "") {
+    error = checkSetting("stopDifference", CONFIG_SCHEMA.waterPumpStopDifference, command.stopDifference);
+  }
+  if (error === "" && command.stopDifference >= command.hysteresis) {
+    error = "stopDifference must be lower than hysteresis.";
+  }
+  if (error !== "") {
+    return error;
+  }
+  loop.learned = { hysteresis: command.hysteresis, stopDifference: command.stopDifference };
+  debugLog(loopPrefix(loop) + "Using the learned start and stop differences " + command.hysteresis + "/" + command.stopDifference + "°C.");
+  return "";
+}
+
+/**
+ * @description Raises the maximum temperature of every loop to the temperature another script asks
+ * for, see COMMAND_EVENT, e.g. for a thermal disinfection. It ends after the given minutes, so the
+ * tank does not stay hot if that script stops, or with a command without a temperature.
+ * @param {object} command The command with the temperature, in °C, below sensorMaxTemp, and the minutes.
+ * @param {string} source How the request came in, for the log.
+ * @returns {string} Why the command was rejected, or an empty string on success.
+ */
+function setHeatRequest(command, source) {
+  if (command.temperature === undefined || command.temperature === null) {
+    if (heatRequest.temperature !== null) {
+      logEvent("info", "heat", "Heating the tank to " + heatRequest.temperature + "°C ended " + source + ".");
+    }
+    heatRequest.temperature = null;
+    heatRequest.until = null;
+  } else {
+    let error = checkSetting("temperature", { type: "number", min: 0, max: CONFIG.sensorMaxTemp - 1 }, command.temperature);
+    if (error === "") {
+      error = checkSetting("minutes", { type: "number", min: 1, max: 1440 }, command.minutes);
+    }
+    if (error !== "") {
+      return error;
+    }
+    heatRequest.temperature = command.temperature;
+    heatRequest.until = uptime() + Math.round(command.minutes * 60);
+    heatRequest.highest = Math.max(heatRequest.highest === null ? command.temperature : heatRequest.highest, command.temperature);
+    logEvent("info", "heat", "Heating the tank to " + command.temperature + "°C for at most " + command.minutes + " minutes " + source + ".");
+  }
+  checkAndAdjust(CONFIG);
+  publishState();
+  return "";
+}
+
+/**
+ * @description Core logic function that is executed periodically by the timer.
+ * It fetches the latest temperatures from the sensors, evaluates the heating logic
+ * based on the CONFIG settings, and calls startWaterPump() or stopWaterPump()
+ * for every loop, see adjustLoop(). The thermometers are read and combined per role by
+ * readSensorRoles(), each one once even if several loops use it. The schedule, the operating
+ * mode and the frost risk concern the whole tank and are evaluated
+ * once, with the readings of the first loop that has valid ones.
+ * @param {object} config The active configuration.
+ * @param {boolean} [scan=false] Whether this is a scan, which alone counts sensor failures.
+ */
+function checkAndAdjust(config, scan) {
+  try {
+    let readings = {};
+    let results = loops.map(function (loop) {
+      checkSwitchErrors(loop);
+      trackPumpState(loop);
+      // A pump in a fault state is held off whatever its thermometers read.
+      return loop.pumpFault !== "" ? null : readSensorRoles(loopConfig(config, loop), readings, scan === true);
+    });
+    let valid = results.filter(function (sensors) { return sensors !== null && sensors.failed.length === 0; });
+
+    if (valid.length > 0) {
+      let temperatures = valid[0].temperatures;
+      scriptStatus.hotWaterTemperature = temperatures.tank;
+      scriptStatus.tankTopTemperature = temperatures.top === undefined ? null : temperatures.top;
+      scriptStatus.tankBottomTemperature = temperatures.bottom === undefined ? null : temperatures.bottom;
+      // The schedule and the operating mode adjust the limits for the rules, see activeLimits().
+      updateMode(temperatures[config.stopReference], updateSchedule(config));
+      updateFrostProtection(valid.reduce(function (all, sensors) {
+        return all.concat(Object.keys(sensors.temperatures).map(function (role) { return sensors.temperatures[role]; }));
+      }, []), config);
+    }
+
+    loops.forEach(function (loop, i) {
+      adjustLoop(loop, loopConfig(config, loop), results[i]);
+    });
+    scriptStatus.heatingSourceTemperature = loops[0].sourceTemperature;
+  } catch (err) {
+    reportError("Error: " + err);
+  }
+}
+
+/**
+ * @description Decides the pump state of one loop. The first of these that applies decides:
+ *   1. A pump fault holds the pump off, see setPumpFault().
+ *   2. A sensor fault drives the pump to its fail-safe state, see handleSensorFault().
+ *   3. Frost protection runs the pump, see updateFrostProtection().
+ *   4. A pump forced on or off, see applyForcedMode().
+ *   5. The tank at its maximum temperature stops the pump.
+ *   6. The schedule blocks the pump.
+ *   7. A backup loop gives way while the loop it backs up can heat, see the loops setting.
+ *   8. The temperature difference starts and stops the pump.
+ * The anti-short-cycling limits are checked by pumpSwitchBlocked().
+ * @param {object} loop The loop.
+ * @param {object} config The configuration of the loop.
+ * @param {object|null} sensors The readings of the loop, see readSensorRoles(), null in a fault state.
+ */
+function adjustLoop(loop, config, sensors) {
+  loop.canHeat = false;
+  if (loop.pumpFault !== "") {
+    if (waterPumpRunning(loop)) {
+      stopWaterPump(loop);
+    }
+    reportDecision(loop, "fault", "keep pump off, pump fault: " + loop.pumpFault);
+    return;
+  }
+  if (sensors.failed.length > 0) {
+    handleSensorFault(loop, config, sensors.failed);
+    return;
+  }
+  let hotWaterTemperature = sensors.temperatures.tank;
+  let heatingSourceTemperature = sensors.temperatures.source;
+  // The tank readings the stop and start rules compare against.
+  let stopTemperature = sensors.temperatures[config.stopReference];
+  let startTemperature = sensors.temperatures[config.startReference];
+
+  if (loop.failSafeActive) {
+    loop.failSafeActive = false;
+    logEvent("info", "fail_safe", loopPrefix(loop) + "All sensors read plausible values again, resuming automatic control.", { loop: loop.name });
+    clearAlert(alertName("sensor", loop), loopPrefix(loop) + "All sensors read plausible values again.");
+  }
+  if (loop.startingUp) {
+    // The pump was left as it was found, from here on the rules decide.
+    loop.startingUp = false;
+    logEvent("info", "startup", loopPrefix(loop) + "Startup: found the pump " + (waterPumpRunning(loop) ? "running" : "off") + ", the rules take over with valid readings.", { loop: loop.name });
+  }
+
+  loop.sourceTemperature = heatingSourceTemperature;
+  debugLog(loopPrefix(loop) + "Storage Tank Temp: " + hotWaterTemperature + "°C, Heating Source Temp: " + heatingSourceTemperature + "°C" +
+    (config.stopReference !== "tank" || config.startReference !== "tank" ? ", Stop/Start Reference: " + stopTemperature + "/" + startTemperature + "°C" : ""));
+
+  let activeConfig = activeLimits(learnedLimits(loop, config));
+
+  if (frost.active && config.frostProtectionPump) {
+    if (!waterPumpRunning(loop)) {
+      startWaterPump(loop);
+    }
+    reportDecision(loop, "frost", "pump on as frost protection, the coldest reading is " + frost.coldest + "°C");
+    return;
+  }
+  if ((operatingMode.mode === "on" || operatingMode.mode === "off") && (operatingMode.loop === null || operatingMode.loop === loop.name)) {
+    applyForcedMode(loop, stopTemperature, activeConfig);
+    return;
+  }
+
+  let running = waterPumpRunning(loop);
+  let decision = "keep pump " + (running ? "running" : "off");
+  let rule = "difference";
+  let blocked = "";
+  // Whether the source could heat the tank, so the loops backing this one up give way.
+  if (running) {
+    loop.canHeat = stopTemperature < activeConfig.maxWaterTemp && heatingSourceTemperature > stopTemperature + activeConfig.waterPumpStopDifference;
+  } else {
+    loop.canHeat = startTemperature < activeConfig.maxWaterTemp && heatingSourceTemperature >= startTemperature + activeConfig.waterPumpHysteresis;
+  }
+  loop.canHeat = loop.canHeat && !scheduleState.blocked;
+  let preferred = loops.filter(function (other) { return other.name === loop.backupFor; })[0];
+  let givingWay = preferred !== undefined && preferred.canHeat;
+
+  // Stop Condition 1: Maximum temperature reached. This one ignores the anti-short-cycling limits.
+  if (stopTemperature >= activeConfig.maxWaterTemp && running) {
+    debugLog(loopPrefix(loop) + "Storage tank at maximum temperature (" + stopTemperature + "°C), stopping pump...");
+    stopWaterPump(loop);
+    decision = "stop pump, maximum temperature reached";
+    rule = "limit";
+  // Stop Condition 2: The schedule blocks the pump.
+  } else if (scheduleState.blocked && running) {
+    rule = "schedule";
+    blocked = pumpSwitchBlocked(loop, false, config);
+    if (blocked !== "") {
+      decision = "keep pump running despite the schedule, " + blocked;
+    } else {
+      debugLog(loopPrefix(loop) + "The schedule blocks the pump, stopping pump...");
+      stopWaterPump(loop);
+      decision = "stop pump, blocked by the schedule";
+    }
+  // Stop Condition 3: The loop this one backs up can heat the tank.
+  } else if (givingWay && running) {
+    rule = "backup";
+    blocked = pumpSwitchBlocked(loop, false, config);
+    if (blocked !== "") {
+      decision = "keep pump running despite " + preferred.name + " heating, " + blocked;
+    } else {
+      debugLog(loopPrefix(loop) + "Loop " + preferred.name + " can heat the tank, stopping pump...");
+      stopWaterPump(loop);
+      decision = "stop pump, " + preferred.name + " can heat";
+    }
+  // Stop Condition 4: Inefficient temperature difference.
+  } else if (heatingSourceTemperature <= (stopTemperature + activeConfig.waterPumpStopDifference) && running) {
+    blocked = pumpSwitchBlocked(loop, false, config);
+    if (blocked !== "") {
+      decision = "keep pump running despite low temperature difference, " + blocked;
+    } else {
+      debugLog(loopPrefix(loop) + "Temperature difference is too low, stopping pump for efficiency...");
+      stopWaterPump(loop);
+      decision = "stop pump, temperature difference too low";
+    }
+  } else if (scheduleState.blocked) {
+    decision = "keep pump off, blocked by the schedule";
+    rule = "schedule";
+  } else if (givingWay) {
+    decision = "keep pump off, " + preferred.name + " can heat";
+    rule = "backup";
+  // Start Condition: Max water temp is not reached yet and heating source is sufficiently hotter than the tank
+  } else if (startTemperature < activeConfig.maxWaterTemp && heatingSourceTemperature >= (startTemperature + activeConfig.waterPumpHysteresis) && !running) {
+    blocked = pumpSwitchBlocked(loop, true, config);
+    if (blocked !== "") {
+      decision = "keep pump off despite hot heating source, " + blocked;
+    } else {
+      debugLog(loopPrefix(loop) + "Heating source is hot enough, starting pump...");
+      startWaterPump(loop);
+      decision = "start pump, heating source is hot enough";
+    }
+  }
+  reportDecision(loop, rule, decision);
+}
+
+/**
+ * @description Switches the operating mode and applies it at once. The modes are:
+ *   auto     The automatic rules.
+ *   on, off  The pump is forced on or off for params.minutes, see applyForcedMode().
+ *   holiday  The automatic rules, with the limit lowered to holidayMaxWaterTemp until the
+ *            local date params.until (YYYY-MM-DD) begins.
+ *   boost    The automatic rules, with the limit raised by boostTempIncrease until the tank
+ *            has reached it once, for at most boostMaxDuration.
+ * All modes but auto end at a wall-clock time, so they need a synchronised clock.
+ * @param {string} mode The mode.
+ * @param {object} params The minutes for on and off and optionally the name of the only loop
+ * to force, the until date for holiday.
+ * @param {string} source How the request came in, for the log, e.g. "over HTTP".
+ * @returns {string} Why the request was rejected, or an empty string on success.
+ */
+function setMode(mode, params, source) {
+  let now = unixtime();
+  let time = localTime();
+
+  if (MODES.indexOf(mode) === -1) {
+    return "Unknown mode '" + mode + "', use " + MODES.join(", ") + ".";
+  } else if (mode === "auto") {
+    if (operatingMode.mode !== "auto") {
+      enterMode("auto", null, null, null, "Operating mode " + operatingMode.mode + " cancelled " + source + ", resuming automatic control.");
+    }
+  } else if (now === null || time === null) {
+    return "The device clock is not synchronised yet.";
+  } else if (mode === "on" || mode === "off") {
+    if (!(params.minutes > 0)) {
+      return "Parameter 'minutes' must be a positive number.";
+    }
+    let names = loops.map(function (loop) { return loop.name; });
+    let loop = params.loop === undefined || params.loop === null ? null : params.loop;
+    if (loop !== null && names.indexOf(loop) === -1) {
+      return "Unknown loop '" + loop + "', use " + names.join(", ") + ".";
+    }
+    enterMode(mode, now + Math.round(params.minutes * 60), null, loop, (loop === null ? "Pump" : "Pump " + loop) + " forced " + mode + " for " + params.minutes + " minutes " + source + ".");
+  } else if (mode === "holiday") {
+    let day = dayNumber(params.until);
+    if (day === null) {
+      return "Parameter 'until' must be a date like 2024-08-31.";
+    }
+    if (day <= time.day) {
+      return "Parameter 'until' must be a future date.";
+    }
+    enterMode("holiday", null, day, null, "Holiday mode until " + params.until + " set " + source + ".");
+  } else {
+    enterMode("boost", now + CONFIG.boostMaxDuration, null, null, "Boost to " + (CONFIG.maxWaterTemp + CONFIG.boostTempIncrease) + "°C started " + source + ".");
+  }
+  checkAndAdjust(CONFIG);
+  publishState();
+  return "";
+}
+
+/**
+ * @description Switches the operating mode on button events of modeInputID, see BUTTON_MODES.
+ * @param {object} event The event from Shelly.addEventHandler().
+ */
+function handleInputEvent(event) {
+  if (CONFIG.modeInputID === null || event.component !== "input:" + CONFIG.modeInputID || !event.info) {
+    return;
+  }
+  let mode = BUTTON_MODES[event.info.event];
+  if (mode === undefined) {
+    return;
+  }
+  if (mode === "boost" && operatingMode.mode !== "auto") {
+    mode = "auto";
+  }
+  let error = setMode(mode, { minutes: DEFAULT_FORCE_MINUTES }, "with the button");
+  if (error !== "") {
+    reportError("Button press ignored: " + error, "mode");
+  }
+}
+
+/**
+ * @description Evaluates the rules between the scans when a status notification shows a
+ * relevant change: a reading of a configured thermometer that moved by eventTempDelta or more
+ * since it was last accepted, or a pump switch output other than the known one, e.g. after it
+ * was toggled in the web UI. Readings that move by more than sensorMaxJump are left to the
+ * scans, and so are the read errors, see readTemperature().
+ * @param {object} event The notification from Shelly.addStatusHandler().
+ */
+function handleStatusChange(event) {
+  if (!event.delta) {
+    return;
+  }
+  let reason = "";
+  let loop = loops.filter(function (candidate) { return event.component === "switch:" + candidate.switchID; })[0];
+  if (loop !== undefined) {
+    let pumpState = loop.pumpState;
+    if (Array.isArray(event.delta.errors) && event.delta.errors.length > 0) {
+      reason = "switch " + loop.switchID + " reports " + event.delta.errors.join(", ");
+    // While Switch.Set is pending the change is the script's own.
+    } else if (typeof event.delta.output === "boolean" && event.delta.output !== pumpState.on && pumpState.pending === 0) {
+      reason = "pump " + (loops.length > 1 ? loop.name + " " : "") + "switched " + (event.delta.output ? "on" : "off");
+    }
+  } else if (event.component.indexOf("temperature:") === 0 && CONFIG.eventTempDelta > 0 && typeof event.delta.tC === "number") {
+    let state = sensorStates[event.id];
+    let configured = loops.some(function (candidate) {
+      return sensorRoles(loopConfig(CONFIG, candidate)).some(function (role) { return role.ids.indexOf(event.id) !== -1; });
+    });
+    if (configured && state && state.value !== null) {
+      // The readings have a resolution of 0.1 °C, round away the floating point error of the difference.
+      let change = Math.round(Math.abs(event.delta.tC - state.value) * 100) / 100;
+      if (change >= CONFIG.eventTempDelta && change <= CONFIG.sensorMaxJump) {
+        reason = "sensor " + event.id + " changed from " + state.value + "°C to " + event.delta.tC + "°C";
+      }
+    }
+  }
+  if (reason === "") {
+    return;
+  }
+  debugLog("Status change, " + reason + ", evaluating the rules.");
+  checkAndAdjust(CONFIG);
+  publishState();
+}
+
+/**
+ * @returns {object} The live state announced to the other scripts, see STATUS_EVENT: the readings,
+ * the state of the pumps and the few settings the optional scripts need. With several loops the pump
+ * fields tell whether any pump runs or is held, the state of each pump is listed in loops, with the
+ * limits configured for it.
+ */
+function getState() {
+  let faults = loops.filter(function (loop) { return loop.pumpFault !== ""; });
+  return {
+    hotWaterTemperature: scriptStatus.hotWaterTemperature,
+    heatingSourceTemperature: scriptStatus.heatingSourceTemperature,
+    tankTopTemperature: scriptStatus.tankTopTemperature,
+    tankBottomTemperature: scriptStatus.tankBottomTemperature,
+    pumpRunning: loops.some(waterPumpRunning),
+    mode: operatingMode.mode,
+    modeRemaining: modeRemaining(),
+    failSafeActive: loops.some(function (loop) { return loop.failSafeActive; }),
+    pumpFault: faults.map(function (loop) { return loopPrefix(loop) + loop.pumpFault; }).join("; "),
+    frostProtection: frost.active,
+    lastDecision: scriptStatus.lastDecision,
+    lastError: scriptStatus.lastError,
+    heatTemperature: heatRequest.temperature,
+    maxWaterTemp: CONFIG.maxWaterTemp,
+    stopReference: CONFIG.stopReference,
+    tankTopTemperatureID: CONFIG.tankTopTemperatureID,
+    tankBottomTemperatureID: CONFIG.tankBottomTemperatureID,
+    loops: loops.map(function (loop) {
+      let config = loopConfig(CONFIG, loop);
+      return {
+        name: loop.name,
+        switchID: loop.switchID,
+        pumpRunning: waterPumpRunning(loop),
+        heatingSourceTemperature: loop.sourceTemperature,
+        failSafeActive: loop.failSafeActive,
+        pumpFault: loop.pumpFault,
+        rule: loop.rule,
+        lastDecision: loop.lastDecision,
+        learned: loop.learned,
+        maxWaterTemp: config.maxWaterTemp,
+        waterPumpHysteresis: config.waterPumpHysteresis,
+        waterPumpStopDifference: config.waterPumpStopDifference,
+      };
+    }),
+  };
+}
+
+/**
+ * @returns {object} The live state reported by the HTTP endpoint, see getState(), with the
+ * operating mode in detail, the schedule, the active alerts and the whole configuration.
+ */
+function getStatus() {
+  return Object.assign(getState(), {
+    modeLoop: operatingMode.loop,
+    resumeMode: operatingMode.resume === null ? null : operatingMode.resume.mode,
+    schedule: { windows: scheduleState.windows, blocked: scheduleState.blocked },
+    alerts: activeAlerts(),
+    config: CONFIG,
+    configErrors: scriptStatus.configErrors,
+  });
+}
+
+/**
+ * @description Sends the status, or an error, as the JSON response of the HTTP endpoint.
+ * @param {object} response The response to fill in and send.
+ * @param {string} error The error message, or an empty string on success.
+ */
+function sendHttpResponse(response, error) {
+  response.code = error === "" ? 200 : 400;
+  response.headers = [["Content-Type", "application/json"]];
+  response.body = JSON.stringify(error === "" ? getStatus() : { error: error });
+  response.send();
+}
+
+/**
+ * @description Handles requests to the script's HTTP endpoint.
+ * Without an action it only reports the status, see HTTP_ENDPOINT for the actions.
+ * @param {object} request The incoming request, only its query is used.
+ * @param {object} response The response to fill in and send.
+ */
+function handleHttpRequest(request, response) {
+  let params = parseQuery(request.query);
+  let error = "";
+
+  if (MODES.indexOf(params.action) !== -1) {
+    error = setMode(params.action, { minutes: Number(params.minutes), until: params.until, loop: params.loop }, "over HTTP");
+  } else if (params.action === "reset") {
+    resetPumpFault("over HTTP");
+    checkAndAdjust(CONFIG);
+    publishState();
+  } else if (params.action === "reload") {
+    // The response is sent once KVS has answered.
+    loadConfig(function () {
+      sendHttpResponse(response, "");
+    });
+    return;
+  } else if (params.action === "log") {
+    response.code = 200;
+    response.headers = [["Content-Type", "application/json"]];
+    response.body = JSON.stringify({ logLevel: CONFIG.debuggingOn ? "debug" : CONFIG.logLevel, entries: logBuffer });
+    response.send();
+    return;
+  } else if (params.action !== undefined) {
+    error = "Unknown action '" + params.action + "', use " + MODES.join(", ") + ", reset, reload or log.";
+  }
+
+  sendHttpResponse(response, error);
+}
+
+/**
+ * @description Announces the live state to the other scripts on the device, see STATUS_EVENT.
+ */
+function publishState() {
+  Shelly.emitEvent(STATUS_EVENT, getState());
+}
+
+/**
+ * @description Carries out a command another script sent, see COMMAND_EVENT. A rejected command
+ * is reported as the last error.
+ * @param {object} event The event from Shelly.addEventHandler().
+ */
+function handleCommand(event) {
+  if (!event.info || event.info.event !== COMMAND_EVENT || typeof event.info.data !== "object" || event.info.data === null) {
+    return;
+  }
+  let command = event.info.data;
+  let source = typeof command.source === "string" ? command.source : "from script " + event.id;
+  let error = "";
+  if (MODES.indexOf(command.action) !== -1) {
+    error = setMode(command.action, {
+      minutes: command.minutes === undefined ? DEFAULT_FORCE_MINUTES : command.minutes, until: command.until, loop: command.loop,
+    }, source);
+  } else if (command.action === "config") {
+    if (typeof command.settings !== "object" || command.settings === null || Array.isArray(command.settings)) {
+      error = "The settings must be an object.";
+    } else {
+      overrideConfig(command.settings, source);
+    }
+  } else if (command.action === "learned") {
+    error = setLearnedThresholds(command);
+  } else if (command.action === "heat") {
+    error = setHeatRequest(command, source);
+  } else {
+    error = "Unknown action '" + command.action + "', use " + MODES.join(", ") + ", config, learned or heat.";
+  }
+  if (error !== "") {
+    reportError("Command " + source + " rejected: " + error, "command");
+    publishState();
+  }
+}
+
+/**
+ * @param {number} i The index of a part of the configuration.
+ * @returns {string} The KVS key of the part, see KVS_CONFIG_KEY.
+ */
+function configPartKey(i) {
+  return i === 0 ? KVS_CONFIG_KEY : KVS_CONFIG_KEY + "_" + i;
+}
+
+/**
+ * @description Reads the parts of the configuration from KVS, one after another until the first
+ * missing key, and merges them, see KVS_CONFIG_KEY. An unreadable part is left out and reported.
+ * @param {function} callback Called with the merged settings, the number of parts read and the
+ *   problems of the unreadable parts.
+ */
+function readConfigParts(callback) {
+  let merged = {};
+  let errors = [];
+  let next = function (i) {
+    if (i === MAX_CONFIG_PARTS) {
+      callback(merged, i, errors);
+      return;
+    }
+    queueCall(
+      "KVS.Get",
+      { key: configPartKey(i) },
+      function (result, error_code, error_message) {
+        // A missing key is reported as an error, it just means there are no more parts.
+        if (error_code !== 0 || result.value === null) {
+          callback(merged, i, errors);
+          return;
+        }
+        let part;
+        try {
+          part = JSON.parse(result.value);
+        } catch (e) {
+          errors.push("The value of " + configPartKey(i) + " is not valid JSON: " + e);
+          next(i + 1);
+          return;
+        }
+        if (typeof part !== "object" || part === null || Array.isArray(part)) {
+          if (i === 0) {
+            // Reported by validateConfig(), like a configuration in a single value.
+            merged = part;
+          } else {
+            errors.push("The value of " + configPartKey(i) + " must be a JSON object.");
+          }
+        } else if (typeof merged === "object" && merged !== null && !Array.isArray(merged)) {
+          Object.keys(part).forEach(function (key) {
+            merged[key] = Array.isArray(merged[key]) && Array.isArray(part[key]) ? merged[key].concat(part[key]) : part[key];
+          });
+        }
+        next(i + 1);
+      }
+    );
+  };
+  next(0);
+}
+
+/**
+ * @description Splits a configuration into parts that each fit into a KVS value, see KVS_CONFIG_KEY.
+ * The settings are packed in their order, and a list that does not fit into the current part is
+ * continued in the next one.
+ * @param {object} config The configuration.
+ * @returns {object[]} The parts, at least one.
+ * @throws {string} If a setting or a list entry alone does not fit, or if there are more than MAX_CONFIG_PARTS parts.
+ */
+function packConfig(config) {
+  let parts = [{}];
+  Object.keys(config).forEach(function (key) {
+    let list = Array.isArray(config[key]) && config[key].length > 0;
+    (list ? config[key] : [config[key]]).forEach(function (value, i) {
+      let part = parts[parts.length - 1];
+      let before = part[key];
+      part[key] = list ? (before || []).concat([value]) : value;
+      if (kvsValueSize(part) <= KVS_MAX_VALUE_SIZE) {
+        return;
+      }
+      if (before === undefined) {
+        delete part[key];
+      } else {
+        part[key] = before;
+      }
+      part = {};
+      part[key] = list ? [value] : value;
+      if (kvsValueSize(part) > KVS_MAX_VALUE_SIZE) {
+        throw (list ? key + "[" + i + "]" : key) + " does not fit into a KVS value of " + KVS_MAX_VALUE_SIZE + " bytes.";
+      }
+      parts.push(part);
+    });
+  });
+  if (parts.length > MAX_CONFIG_PARTS) {
+    throw "The configuration does not fit into " + MAX_CONFIG_PARTS + " KVS values.";
+  }
+  return parts;
+}
+
+/**
+ * @description Merges settings into the configuration stored in KVS and applies the result.
+ * A setting with the value null is removed, so its default applies again. The result is
+ * validated like a configuration loaded from KVS and rejected as a whole if it is invalid,
+ * an unreadable stored part is replaced. The result is stored split over as many KVS values
+ * as it needs, see packConfig(), and the parts it no longer needs are deleted.
+ * @param {object} overrides The settings to change.
+ * @param {string} source How the request came in, for the log, e.g. "over MQTT".
+ */
+function overrideConfig(overrides, source) {
+  readConfigParts(function (stored, count) {
+    if (typeof stored !== "object" || stored === null || Array.isArray(stored)) {
+      stored = {};
+    }
+    Object.keys(overrides).forEach(function (key) {
+      if (overrides[key] === null) {
+        delete stored[key];
+      } else {
+        stored[key] = overrides[key];
+      }
+    });
+
+    let errors = validateConfig(stored);
+    let parts = [];
+    if (errors.length === 0) {
+      try {
+        parts = packConfig(stored);
+      } catch (e) {
+        errors = [e];
+      }
+    }
+    if (errors.length > 0) {
+      logEvent("warn", "config", ["Configuration override " + source + " rejected:"].concat(errors).join("\n  "));
+      scriptStatus.lastError = "Invalid configuration override: " + errors.join(" ");
+      publishState();
+      return;
+    }
+
+    let failed = "";
+    let store = function (method, params) {
+      return function (callback) {
+        if (failed !== "") {
+          callback();
+          return;
+        }
+        queueCall(method, params, function (result, error_code, error_message) {
+          // Deleting a part that is missing already is fine.
+          if (error_code !== 0 && method === "KVS.Set") {
+            failed = error_message;
+          }
+          callback();
+        });
+      };
+    };
+    let steps = parts.map(function (part, i) {
+      return store("KVS.Set", { key: configPartKey(i), value: JSON.stringify(part) });
+    });
+    for (let i = parts.length; i < count; i++) {
+      steps.push(store("KVS.Delete", { key: configPartKey(i) }));
+    }
+    runInSequence(steps, function () {
+      if (failed !== "") {
+        reportError("Error saving the configuration override: " + failed, "config");
+        return;
+      }
+      logEvent("info", "config", "Configuration override " + source + " saved: " + JSON.stringify(overrides));
+      loadConfig();
+    });
+  });
+}
+
+/**
+ * @param {string} key The name of a setting.
+ * @returns {string|null} The optional script the setting moved to, see MOVED_SETTINGS, or null.
+ */
+function movedTo(key) {
+  let scripts = Object.keys(MOVED_SETTINGS).filter(function (script) {
+    return MOVED_SETTINGS[script].indexOf(key) !== -1;
+  });
+  return scripts.length > 0 ? scripts[0] : null;
+}
+
+/**
+ * @description Checks one configuration value against its rule in CONFIG_SCHEMA.
+ * @param {string} key The name of the setting.
+ * @param {object} rule The rule of the setting.
+ * @param {*} value The value to check.
+ * @returns {string} The problem, or an empty string if the value is valid.
+ */
+function checkSetting(key, rule, value) {
+  if (rule.type === "schedule") {
+    return checkSchedule(key, value);
+  }
+  if (rule.type === "loops") {
+    return checkLoops(key, value);
+  }
+  if (value === null && rule.nullable) {
+    return "";
+  }
+  if (Array.isArray(value) && rule.list) {
+    if (value.length === 0 || value.length > ADDON_MAX_SENSORS) {
+      return key + ": expected 1 to " + ADDON_MAX_SENSORS + " values, got " + value.length + ".";
+    }
+    let itemRule = Object.assign({}, rule, { list: false });
+    for (let i = 0; i < value.length; i++) {
+      let error = checkSetting(key, itemRule, value[i]);
+      if (error !== "") {
+        return error;
+      }
+      if (value.indexOf(value[i]) !== i) {
+        return key + ": " + value[i] + " is listed twice.";
+      }
+    }
+    return "";
+  }
+  if (typeof value !== rule.type) {
+    return key + ": expected a " + rule.type + (rule.list ? " or a list of them" : "") + ", got " + JSON.stringify(value) + ".";
+  }
+  if (rule.type === "number" && (!isFinite(value) || value < rule.min || value > rule.max)) {
+    return key + ": " + value + " is outside of the range " + rule.min + " to " + rule.max + ".";
+  }
+  if (rule.integer && Math.floor(value) !== value) {
+    return key + ": " + value + " must be a whole number.";
+  }
+  if (rule.values && rule.values.indexOf(value) === -1) {
+    return key + ": " + JSON.stringify(value) + " is not one of " + rule.values.join(", ") + ".";
+  }
+  return "";
+}
+
+/**
+ * @description Checks the windows of the schedule setting. The settings a window changes
+ * follow their own rules in CONFIG_SCHEMA.
+ * @param {string} key The name of the setting.
+ * @param {*} schedule The value to check.
+ * @returns {string} The first problem, or an empty string if the schedule is valid.
+ */
+function checkSchedule(key, schedule) {
+  if (!Array.isArray(schedule)) {
+    return key + ": expected a list of time windows, got " + JSON.stringify(schedule) + ".";
+  }
+  if (schedule.length > MAX_SCHEDULE_WINDOWS) {
+    return key + ": expected at most " + MAX_SCHEDULE_WINDOWS + " windows, got " + schedule.length + ".";
+  }
+  for (let i = 0; i < schedule.length; i++) {
+    let window = schedule[i];
+    let name = key + "[" + i + "]";
+    if (typeof window !== "object" || window === null || Array.isArray(window)) {
+      return name + ": expected an object, got " + JSON.stringify(window) + ".";
+    }
+    let fields = Object.keys(window);
+    for (let j = 0; j < fields.length; j++) {
+      if (["days", "from", "to", "pump"].indexOf(fields[j]) === -1 && SCHEDULE_OVERRIDES.indexOf(fields[j]) === -1) {
+        return name + "." + fields[j] + ": unknown setting.";
+      }
+    }
+    let from = parseClockTime(window.from);
+    let to = parseClockTime(window.to);
+    if (from === null || to === null) {
+      return name + ": from and to must be times like \"22:00\".";
+    }
+    if (from === to) {
+      return name + ": from and to must differ.";
+    }
+    if (window.days !== undefined && (!Array.isArray(window.days) || window.days.length === 0 ||
+        window.days.some(function (day) { return WEEKDAYS.indexOf(day) === -1; }))) {
+      return name + ".days: expected a list of " + WEEKDAYS.join(", ") + ", got " + JSON.stringify(window.days) + ".";
+    }
+    if (window.pump !== undefined && window.pump !== "allow" && window.pump !== "block") {
+      return name + ".pump: " + JSON.stringify(window.pump) + " is not one of allow, block.";
+    }
+    let overrides = SCHEDULE_OVERRIDES.filter(function (setting) { return window[setting] !== undefined; });
+    if (window.pump === undefined && overrides.length === 0) {
+      return name + ": sets neither pump nor any of " + SCHEDULE_OVERRIDES.join(", ") + ".";
+    }
+    for (let j = 0; j < overrides.length; j++) {
+      let error = checkSetting(name + "." + overrides[j], CONFIG_SCHEMA[overrides[j]], window[overrides[j]]);
+      if (error !== "") {
+        return error;
+      }
+    }
+  }
+  return "";
+}
+
+/**
+ * @description Checks the pump loops of the loops setting. The settings a loop sets for
+ * itself follow their own rules in CONFIG_SCHEMA.
+ * @param {string} key The name of the setting.
+ * @param {*} definitions The value to check.
+ * @returns {string} The first problem, or an empty string if the loops are valid.
+ */
+function checkLoops(key, definitions) {
+  if (!Array.isArray(definitions)) {
+    return key + ": expected a list of pump loops, got " + JSON.stringify(definitions) + ".";
+  }
+  if (definitions.length > MAX_LOOPS) {
+    return key + ": expected at most " + MAX_LOOPS + " loops, got " + definitions.length + ".";
+  }
+  for (let i = 0; i < definitions.length; i++) {
+    let definition = definitions[i];
+    let name = key + "[" + i + "]";
+    if (typeof definition !== "object" || definition === null || Array.isArray(definition)) {
+      return name + ": expected an object, got " + JSON.stringify(definition) + ".";
+    }
+    let fields = Object.keys(definition);
+    for (let j = 0; j < fields.length; j++) {
+      if (["name", "switchID", "backupFor"].indexOf(fields[j]) === -1 && LOOP_SETTINGS.indexOf(fields[j]) === -1 &&
+          movedTo(fields[j]) === null) {
+        return name + "." + fields[j] + ": unknown setting.";
+      }
+    }
+    let earlier = definitions.slice(0, i);
+    if (typeof definition.name !== "string" || definition.name === "") {
+      return name + ".name: expected a name, got " + JSON.stringify(definition.name) + ".";
+    }
+    if (earlier.some(function (other) { return other.name === definition.name; })) {
+      return name + ".name: " + JSON.stringify(definition.name) + " is used by another loop.";
+    }
+    let error = checkSetting(name + ".switchID", { type: "number", min: 0, max: 3, integer: true }, definition.switchID);
+    if (error !== "") {
+      return error;
+    }
+    if (earlier.some(function (other) { return other.switchID === definition.switchID; })) {
+      return name + ".switchID: " + definition.switchID + " is used by another loop.";
+    }
+    if (Shelly.getComponentStatus('Switch', definition.switchID) === null) {
+      return name + ".switchID: there is no switch " + definition.switchID + " on this device.";
+    }
+    if (definition.backupFor !== undefined && !earlier.some(function (other) { return other.name === definition.backupFor; })) {
+      return name + ".backupFor: " + JSON.stringify(definition.backupFor) + " is not the name of an earlier loop.";
+    }
+    let settings = LOOP_SETTINGS.filter(function (setting) { return definition[setting] !== undefined; });
+    for (let j = 0; j < settings.length; j++) {
+      error = checkSetting(name + "." + settings[j], CONFIG_SCHEMA[settings[j]], definition[settings[j]]);
+      if (error !== "") {
+        return error;
+      }
+    }
+  }
+  return "";
+}
+
+/**
+ * @description Checks a configuration loaded from KVS against CONFIG_SCHEMA and checks
+ * the relations between fields in the result of merging it over the defaults, also with
+ * the settings each loop and each schedule window changes.
+ * @param {object} loadedConfig The parsed KVS value.
+ * @returns {string[]} One message per problem, empty if the configuration is valid.
+ */
+function validateConfig(loadedConfig) {
+  if (typeof loadedConfig !== "object" || loadedConfig === null || Array.isArray(loadedConfig)) {
+    return ["The configuration must be a JSON object."];
+  }
+
+  let errors = [];
+  Object.keys(loadedConfig).forEach(function (key) {
+    let rule = CONFIG_SCHEMA[key];
+    let error = rule ? checkSetting(key, rule, loadedConfig[key]) : key + ": unknown setting.";
+    if (error !== "" && movedTo(key) === null) {
+      errors.push(error);
+    }
+  });
+  if (errors.length > 0) {
+    // The relations below assume every field has the right type.
+    return errors;
+  }
+
+  let merged = Object.assign({}, DEFAULT_CONFIG, loadedConfig);
+  errors = checkRelations(merged);
+  if (errors.length > 0) {
+    return errors;
+  }
+  merged.loops.forEach(function (definition, i) {
+    let settings = {};
+    LOOP_SETTINGS.forEach(function (key) {
+      if (definition[key] !== undefined) {
+        settings[key] = definition[key];
+      }
+    });
+    checkRelations(Object.assign({}, merged, settings)).forEach(function (error) {
+      errors.push("loops[" + i + "]: " + error);
+    });
+  });
+  if (errors.length > 0) {
+    return errors;
+  }
+  // The limits a window changes have to fit with the other settings while it is active.
+  merged.schedule.forEach(function (window, i) {
+    let overrides = {};
+    SCHEDULE_OVERRIDES.forEach(function (key) {
+      if (window[key] !== undefined) {
+        overrides[key] = window[key];
+      }
+    });
+    if (Object.keys(overrides).length > 0) {
+      checkRelations(Object.assign({}, merged, overrides)).forEach(function (error) {
+        errors.push("schedule[" + i + "]: " + error);
+      });
+    }
+  });
+  return errors;
+}
+
+/**
+ * @description Checks the relations between fields of a complete configuration.
+ * @param {object} merged The configuration merged over the defaults, with valid fields.
+ * @returns {string[]} One message per problem, empty if the relations hold.
+ */
+function checkRelations(merged) {
+  let errors = [];
+  if (merged.waterPumpStopDifference >= merged.waterPumpHysteresis) {
+    errors.push("waterPumpStopDifference (" + merged.waterPumpStopDifference + ") must be lower than waterPumpHysteresis (" + merged.waterPumpHysteresis + "), otherwise the pump stops right after starting.");
+  }
+  if (merged.sensorMinTemp >= merged.sensorMaxTemp) {
+    errors.push("sensorMinTemp (" + merged.sensorMinTemp + ") must be lower than sensorMaxTemp (" + merged.sensorMaxTemp + ").");
+  }
+  if (merged.maxWaterTemp >= merged.sensorMaxTemp) {
+    errors.push("maxWaterTemp (" + merged.maxWaterTemp + ") must be lower than sensorMaxTemp (" + merged.sensorMaxTemp + ").");
+  }
+  // The tank probes may share sensors with each other, but not with the heating source.
+  let sourceIDs = sensorIDs(merged.heatingSourceTemperatureID);
+  [["hotWaterTemperatureID", sensorIDs(merged.hotWaterTemperatureID)],
+   ["tankTopTemperatureID", merged.tankTopTemperatureID === null ? [] : [merged.tankTopTemperatureID]],
+   ["tankBottomTemperatureID", merged.tankBottomTemperatureID === null ? [] : [merged.tankBottomTemperatureID]]].forEach(function (tank) {
+    let shared = tank[1].filter(function (id) { return sourceIDs.indexOf(id) !== -1; });
+    if (shared.length > 0) {
+      errors.push(tank[0] + " and heatingSourceTemperatureID must be different sensors, both use " + shared.join(", ") + ".");
+    }
+  });
+  if (merged.tankTopTemperatureID !== null && merged.tankTopTemperatureID === merged.tankBottomTemperatureID) {
+    errors.push("tankTopTemperatureID and tankBottomTemperatureID must be different sensors.");
+  }
+  [["top", "tankTopTemperatureID"], ["bottom", "tankBottomTemperatureID"]].forEach(function (probe) {
+    if ((merged.stopReference === probe[0] || merged.startReference === probe[0]) && merged[probe[1]] === null) {
+      errors.push("stopReference and startReference can only use \"" + probe[0] + "\" when " + probe[1] + " is set.");
+    }
+  });
+  if (merged.maxWaterTemp + merged.boostTempIncrease >= merged.sensorMaxTemp) {
+    errors.push("maxWaterTemp + boostTempIncrease (" + (merged.maxWaterTemp + merged.boostTempIncrease) + ") must be lower than sensorMaxTemp (" + merged.sensorMaxTemp + ").");
+  }
+  if (merged.pumpMinPower > 0 && merged.pumpMaxPower > 0 && merged.pumpMinPower >= merged.pumpMaxPower) {
+    errors.push("pumpMinPower (" + merged.pumpMinPower + ") must be lower than pumpMaxPower (" + merged.pumpMaxPower + ").");
+  }
+  return errors;
+}
+
+/**
+ * @description Makes a validated configuration active. If the scan interval changed
+ * while the script is running, the scan timer is rescheduled.
+ * @param {object} loadedConfig The configuration loaded from KVS.
+ */
+function applyConfig(loadedConfig) {
+  let previous = CONFIG;
+
+  // Merge the loaded configuration over the defaults.
+  // This allows users to only override the values they need to.
+  CONFIG = Object.assign({}, DEFAULT_CONFIG, loadedConfig);
+  let moved = Object.keys(loadedConfig).filter(function (key) {
+    return movedTo(key) !== null;
+  });
+  moved.forEach(function (key) {
+    delete CONFIG[key];
+  });
+  // The loops could set the adaptive settings for themselves, buildLoops() leaves them out.
+  CONFIG.loops.forEach(function (definition, i) {
+    Object.keys(definition).forEach(function (key) {
+      if (movedTo(key) !== null) {
+        moved.push("loops[" + i + "]." + key);
+      }
+    });
+  });
+
+  if (JSON.stringify(previous) === JSON.stringify(CONFIG)) {
+    return;
+  }
+  if (moved.length > 0) {
+    logEvent("warn", "config", "Ignoring " + moved.map(function (key) {
+      return key + " (now in " + movedTo(key.split(".").pop()) + ")";
+    }).join(", ") + ", remove them from " + KVS_CONFIG_KEY + ".");
+  }
+  if (Object.keys(loadedConfig).length > 0) {
+    debugLog("Custom configuration loaded from KVS:" + JSON.stringify(loadedConfig));
+  } else {
+    debugLog("No custom configuration found in KVS. Using default settings.");
+  }
+  buildLoops(CONFIG);
+  if (scanTimer !== null && previous.scanInterval !== CONFIG.scanInterval) {
+    debugLog("Scan interval changed to " + CONFIG.scanInterval + " s, rescheduling the timer.");
+    scheduleScan();
+  }
+}
+
+/**
+ * @description Reads the configuration from KVS, validates it and applies it.
+ * An invalid configuration is reported and ignored, the active one stays in place
+ * (the defaults, if nothing valid was loaded yet).
+ * @param {function} [callback] Called once the configuration was processed.
+ */
+function loadConfig(callback) {
+  readConfigParts(function (loadedConfig, count, errors) {
+    configLoadedAt = uptime();
+    if (errors.length === 0) {
+      errors = validateConfig(loadedConfig);
+    }
+
+    scriptStatus.configErrors = errors;
+    if (errors.length > 0) {
+      if (Object.keys(CONFIG).length === 0) {
+        CONFIG = Object.assign({}, DEFAULT_CONFIG);
+        buildLoops(CONFIG);
+      }
+      logEvent("warn", "config", ["Configuration in KVS rejected, keeping the active settings:"].concat(errors).join("\n  "));
+      scriptStatus.lastError = "Invalid configuration: " + errors.join(" ");
+    } else {
+      applyConfig(loadedConfig);
+    }
+
+    if (callback) {
+      callback();
+    }
+  });
+}
+
+/**
+ * @description Restores the operating mode from KVS. A timed mode that ended while the
+ * script was not running ends on the first scan.
+ * @param {function} callback Called once the mode was processed.
+ */
+function loadMode(callback) {
+  loadState(KVS_MODE_KEY, "operating mode", function (saved) {
+    let until = typeof saved.until === "number" ? saved.until : null;
+    let untilDay = typeof saved.untilDay === "number" ? saved.untilDay : null;
+    // Automatic mode needs no restoring, and a mode without an end would never return to it.
+    if (saved.mode === "auto" || MODES.indexOf(saved.mode) === -1 || (until === null && untilDay === null)) {
+      return;
+    }
+    let resume = saved.resume;
+    if (!resume || (resume.mode !== "holiday" && resume.mode !== "boost") || (typeof resume.until !== "number" && typeof resume.untilDay !== "number")) {
+      resume = null;
+    } else {
+      resume = { mode: resume.mode, until: typeof resume.until === "number" ? resume.until : null, untilDay: typeof resume.untilDay === "number" ? resume.untilDay : null };
+    }
+    operatingMode = { mode: saved.mode, until: until, untilDay: untilDay, loop: typeof saved.loop === "string" ? saved.loop : null, resume: resume };
+    logEvent("info", "mode", "Restored the operating mode " + saved.mode + " from KVS.", { mode: saved.mode });
+  }, callback);
+}
+
+/**
+ * @description Runs on every timer tick: checks the pump power, adjusts the pump, checks the alerts,
+ * reloads the configuration when it is due, and announces the state, see publishState().
+ */
+function onScanTimer() {
+  loops.forEach(checkPumpPower);
+  checkAndAdjust(CONFIG, true);
+  updateAlerts();
+  if (CONFIG.configReloadInterval > 0 && uptime() - configLoadedAt >= CONFIG.configReloadInterval) {
+    loadConfig();
+  }
+  publishState();
+}
+
+/**
+ * @description Starts, or restarts, the recurring scan timer with the current scanInterval.
+ */
+function scheduleScan() {
+  if (scanTimer !== null) {
+    Timer.clear(scanTimer);
+  }
+  scanTimer = Timer.set(CONFIG.scanInterval * 1000, true, onScanTimer);
+}
+
+/**
+ * @description This function contains the logic that runs after configuration is loaded.
+ */
+function run() {
+  // Run a check immediately. The pump keeps the state it was found in until the
+  // temperatures are valid, so a restart does not interrupt a running charge.
+  checkAndAdjust(CONFIG, true);
+  // Start the recurring timer.
+  scheduleScan();
+  // Expose the status and the manual controls, also to the other scripts.
+  HTTPServer.registerEndpoint(HTTP_ENDPOINT, handleHttpRequest);
+  Shelly.addEventHandler(handleInputEvent);
+  Shelly.addEventHandler(handleCommand);
+  // React to temperature and switch changes without waiting for the next scan.
+  Shelly.addStatusHandler(handleStatusChange);
+  publishState();
+}
+
+/**
+ * @description Initializes the script on startup.
+ * It loads the configuration, the disinfection schedule, the
+ * operating mode and the anti-short-cycling state from KVS and then hands over
+ * to run(), which runs a single check immediately, leaving the pump as it is
+ * until the temperatures are valid, and then sets up a recurring watchdog timer to
+ * periodically run the checkAndAdjust function based on the scanInterval in CONFIG,
+ * besides the evaluations on status changes.
+ */
+function init() {
+  // Load everything from the Key-Value Store one after another, then proceed with script initialization.
+  runInSequence([loadConfig, loadMode, loadPumpState], run);
+}
+
+init(); // Start the initialization process.
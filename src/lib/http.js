@@ -0,0 +1,37 @@
+/**
+ * @file Helpers for the HTTP endpoints of the scripts.
+ *
+ * See https://shelly-api-docs.shelly.cloud/gen2/Scripts/ShellyScriptLanguageFeatures#httpserverregisterendpoint
+ */
+
+/**
+ * @description Decodes the %-escapes of a part of a query string, e.g. "Floor%20heating".
+ * @param {string} text The encoded text.
+ * @returns {string} The decoded text, or the text as it is if an escape is malformed.
+ */
+function decodeQueryPart(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * @description Parses a URL query string like "action=on&minutes=30&loop=Floor%20heating".
+ * @param {string} query The query string without the leading "?".
+ * @returns {object} The decoded parameters.
+ */
+function parseQuery(query) {
+  let params = {};
+  if (!query) {
+    return params;
+  }
+  query.split("&").forEach(function (pair) {
+    let parts = pair.split("=");
+    if (parts[0] !== "") {
+      params[decodeQueryPart(parts[0])] = parts.length > 1 ? decodeQueryPart(parts[1]) : "";
+    }
+  });
+  return params;
+}
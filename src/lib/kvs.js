@@ -0,0 +1,89 @@
+/**
+ * @file Helpers for keeping script state in the Key-Value Store across restarts.
+ *
+ * Include lib/log.js before this file, errors are reported with reportError().
+ * See https://shelly-api-docs.shelly.cloud/gen2/ComponentsAndServices/KVS
+ */
+
+// #include "lib/rpc.js"
+
+// The longest value, in bytes, the device stores under one KVS key.
+const KVS_MAX_VALUE_SIZE = 253;
+
+/**
+ * @param {*} value A value to store as JSON.
+ * @returns {number} Its size, in bytes, in KVS. Characters outside of ASCII take more than one byte.
+ */
+function kvsValueSize(value) {
+  let text = JSON.stringify(value);
+  let size = text.length;
+  for (let i = 0; i < text.length; i++) {
+    let code = text.charCodeAt(i);
+    if (code >= 0x80) {
+      size += code >= 0x800 ? 2 : 1;
+    }
+  }
+  return size;
+}
+
+/**
+ * @description Stores a piece of the script state in KVS.
+ * @param {string} key The KVS key.
+ * @param {string} what What is stored, for the error message.
+ * @param {object} value The value, stored as JSON.
+ */
+function saveState(key, what, value) {
+  queueCall(
+    "KVS.Set",
+    { key: key, value: JSON.stringify(value) },
+    function (result, error_code, error_message) {
+      if (error_code !== 0) {
+        reportError("Error saving the " + what + ": " + error_message);
+      }
+    }
+  );
+}
+
+/**
+ * @description Restores a piece of the script state from KVS. A missing key is not an error,
+ * the state then keeps its initial value.
+ * @param {string} key The KVS key.
+ * @param {string} what What is restored, for the error message.
+ * @param {function} restore Called with the parsed value, may throw if it is unusable.
+ * @param {function} callback Called once the state was processed.
+ */
+function loadState(key, what, restore, callback) {
+  queueCall(
+    "KVS.Get",
+    { key: key },
+    function (result, error_code, error_message) {
+      if (error_code === 0 && result.value !== null) {
+        try {
+          restore(JSON.parse(result.value));
+        } catch (e) {
+          reportError("Ignoring the unreadable " + what + " in KVS: " + e);
+        }
+      }
+      callback();
+    }
+  );
+}
+
+/**
+ * @description Runs asynchronous steps one after another, e.g. the loaders of the state in KVS
+ * at startup, so no more than one RPC call of them is in flight at a time.
+ * @param {function[]} steps Each is called with a callback to call once it is done.
+ * @param {function} callback Called once the last step is done.
+ */
+function runInSequence(steps, callback) {
+  let next = function (i) {
+    if (i === steps.length) {
+      callback();
+      return;
+    }
+    steps[i](function () {
+      next(i + 1);
+    });
+  };
+  next(0);
+}
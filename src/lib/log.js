@@ -0,0 +1,63 @@
+/**
+ * @file Logging shared by the scripts. A message has a level and is printed to the console if
+ * that level is enabled, and all but debug messages are kept as structured entries in a small
+ * ring buffer, so the script can report what happened recently without verbose printing.
+ *
+ * Expects the including script to define CONFIG with logLevel, logBufferSize and debuggingOn,
+ * and scriptStatus with lastError.
+ */
+
+// #include "lib/time.js"
+
+// The log levels, most severe first. A level enables the levels before it.
+const LOG_LEVELS = ["error", "warn", "info", "debug"];
+
+// The recent log entries, oldest first, at most CONFIG.logBufferSize of them, see logEvent().
+let logBuffer = [];
+
+/**
+ * @description Logs a message. It is printed if its level is enabled by logLevel, or by
+ * debuggingOn for all levels. Unless it is a debug message it is also kept in logBuffer as
+ * { time, uptime, level, event, message, values }, where time is the unixtime, null while
+ * the clock is not synchronised.
+ * @param {string} level One of LOG_LEVELS.
+ * @param {string} event What happened in a word, to filter the entries, e.g. "alert" or "decision".
+ * @param {string} message The message.
+ * @param {object} [values] The values that explain the event, e.g. the temperatures.
+ */
+function logEvent(level, event, message, values) {
+  let enabled = CONFIG.debuggingOn ? "debug" : CONFIG.logLevel;
+  if (LOG_LEVELS.indexOf(level) <= LOG_LEVELS.indexOf(enabled)) {
+    print(message);
+  }
+  if (level === "debug" || !(CONFIG.logBufferSize > 0)) {
+    return;
+  }
+  let entry = { time: unixtime(), uptime: Math.floor(uptime()), level: level, event: event, message: message };
+  if (values !== undefined) {
+    entry.values = values;
+  }
+  logBuffer.push(entry);
+  if (logBuffer.length > CONFIG.logBufferSize) {
+    logBuffer.splice(0, logBuffer.length - CONFIG.logBufferSize);
+  }
+}
+
+/**
+ * @description Logs a debug message, printed only with logLevel "debug".
+ * @param {string} message The message to log.
+ */
+function debugLog(message) {
+  logEvent("debug", "debug", message);
+}
+
+/**
+ * @description Remembers an error for the HTTP status endpoint and logs it.
+ * @param {string} message The error description.
+ * @param {string} [event="error"] What failed, see logEvent().
+ * @param {object} [values] The values that explain the error.
+ */
+function reportError(message, event, values) {
+  scriptStatus.lastError = message;
+  logEvent("error", event || "error", message, values);
+}
@@ -0,0 +1,52 @@
+/**
+ * @file Sends the RPC calls of a script through a queue. The device only lets a script have a
+ * few calls in flight, a call beyond that fails, so a burst of calls, e.g. when an alert stores
+ * the log, notifies and stops the pumps of several loops at once, has to wait for a free slot.
+ *
+ * See https://shelly-api-docs.shelly.cloud/gen2/Scripts/ShellyScriptLanguageFeatures
+ */
+
+// The number of RPC calls a script may have in flight at once.
+const MAX_CALLS_IN_FLIGHT = 5;
+
+// The calls waiting for a free slot, oldest first, see queueCall().
+let callQueue = [];
+
+// The number of calls sent that have not answered yet.
+let callsInFlight = 0;
+
+/**
+ * @description Calls an RPC method like Shelly.call, once fewer than MAX_CALLS_IN_FLIGHT calls
+ * are in flight. The calls are sent in the order they were queued.
+ * @param {string} method The method, e.g. "KVS.Set".
+ * @param {object} params The parameters.
+ * @param {function} [callback] Called with the result, the error code and the error message.
+ */
+function queueCall(method, params, callback) {
+  callQueue.push({ method: method, params: params, callback: callback });
+  sendQueuedCalls();
+}
+
+/**
+ * @description Sends the queued calls while there are free slots.
+ */
+function sendQueuedCalls() {
+  while (callsInFlight < MAX_CALLS_IN_FLIGHT && callQueue.length > 0) {
+    sendCall(callQueue.shift());
+  }
+}
+
+/**
+ * @description Sends a queued call and frees its slot once it answers.
+ * @param {object} call The { method, params, callback } from queueCall().
+ */
+function sendCall(call) {
+  callsInFlight++;
+  Shelly.call(call.method, call.params, function (result, error_code, error_message) {
+    callsInFlight--;
+    if (call.callback) {
+      call.callback(result, error_code, error_message);
+    }
+    sendQueuedCalls();
+  });
+}
@@ -0,0 +1,90 @@
+/**
+ * @file Uptime, wall-clock time and local date and time of day, read from the system status.
+ */
+
+/**
+ * @returns {number} Seconds since the device booted, used to time sensor readings.
+ */
+function uptime() {
+  return Shelly.getComponentStatus('sys').uptime;
+}
+
+/**
+ * @returns {number|null} The UTC wall-clock time in seconds, used for times that have to
+ * survive a reboot, or null while the clock is not synchronised.
+ */
+function unixtime() {
+  let time = Shelly.getComponentStatus('sys').unixtime;
+  return typeof time === "number" ? time : null;
+}
+
+/**
+ * @description Derives the local wall-clock time from the device clock. The system status
+ * only has the UTC unixtime and the local "HH:MM", the difference gives the time zone offset.
+ * @returns {object|null} The local { day, weekday, hour, minute }, where day counts days since
+ * 1970-01-01 and weekday is 0 for Sunday, or null while the clock is not synchronised.
+ */
+function localTime() {
+  let sys = Shelly.getComponentStatus('sys');
+  if (typeof sys.unixtime !== "number" || typeof sys.time !== "string" || sys.time.indexOf(":") === -1) {
+    return null;
+  }
+  let parts = sys.time.split(":");
+  let hour = Number(parts[0]);
+  let minute = Number(parts[1]);
+  let offset = hour * 60 + minute - Math.floor(sys.unixtime / 60) % 1440;
+  if (offset > 840) {
+    offset -= 1440;
+  } else if (offset < -720) {
+    offset += 1440;
+  }
+  let day = Math.floor((sys.unixtime + offset * 60) / 86400);
+  return { day: day, weekday: (day + 4) % 7, hour: hour, minute: minute };
+}
+
+/**
+ * @description Converts a date like "2024-08-31" to a day number as used by localTime().
+ * @param {string} date The date as YYYY-MM-DD.
+ * @returns {number|null} The days since 1970-01-01, or null if it is not a valid date.
+ */
+function dayNumber(date) {
+  let parts = typeof date === "string" ? date.split("-") : [];
+  if (parts.length !== 3) {
+    return null;
+  }
+  let year = Number(parts[0]);
+  let month = Number(parts[1]);
+  let day = Number(parts[2]);
+  if (!(year >= 1970 && month >= 1 && month <= 12 && day >= 1) || Math.floor(year + month + day) !== year + month + day) {
+    return null;
+  }
+  let leapYear = year % 4 === 0 && (year % 100 !== 0 || year % 400 === 0);
+  if (day > (month === 2 ? (leapYear ? 29 : 28) : 30 + (month + Math.floor(month / 8)) % 2)) {
+    return null;
+  }
+  // Count from March, so the leap day is the last day of the year.
+  if (month <= 2) {
+    year -= 1;
+    month += 12;
+  }
+  let daysBeforeYear = 365 * year + Math.floor(year / 4) - Math.floor(year / 100) + Math.floor(year / 400);
+  return daysBeforeYear + Math.floor((153 * (month - 3) + 2) / 5) + day - 719469;
+}
+
+/**
+ * @description Parses a local time of day like "22:00".
+ * @param {string} text The time as "H:MM" or "HH:MM".
+ * @returns {number|null} The minutes since midnight, or null if the text is not a valid time.
+ */
+function parseClockTime(text) {
+  let parts = typeof text === "string" ? text.split(":") : [];
+  if (parts.length !== 2 || parts[0].length < 1 || parts[0].length > 2 || parts[1].length !== 2) {
+    return null;
+  }
+  let hour = Number(parts[0]);
+  let minute = Number(parts[1]);
+  if (!(hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59) || Math.floor(hour) !== hour || Math.floor(minute) !== minute) {
+    return null;
+  }
+  return hour * 60 + minute;
+}
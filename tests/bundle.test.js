@@ -0,0 +1,205 @@
+/**
+ * @file Test suite for tools/bundle.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { lintSource, stripComments, compact, bundleScript, buildScripts } = require('../tools/bundle');
+const { test, beforeEach, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
+
+let dir = null;
+
+/**
+ * @description Writes the files of a source tree into a fresh temporary directory.
+ * @param {object} files The file contents by path relative to the directory.
+ */
+function writeSources(files) {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bundle-test-'));
+  Object.keys(files).forEach(name => {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), files[name]);
+  });
+}
+
+beforeEach(() => {
+  // Clean up after the previous test.
+  if (dir !== null) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  dir = null;
+});
+
+test('bundleScript should inline every library once, also from other libraries', () => {
+  writeSources({
+    'src/main.shelly.js': '/**\n * @file Main.\n */\n// #include "lib/b.js"\n// #include "lib/a.js"\nb();\n',
+    'src/lib/a.js': '/**\n * @file Library a.\n */\n\nfunction a() {\n  return 1;\n}\n',
+    'src/lib/b.js': '/**\n * @file Library b.\n */\n\n// #include "lib/a.js"\n\nfunction b() {\n  return a();\n}\n',
+  });
+  const result = bundleScript(path.join(dir, 'src/main.shelly.js'));
+
+  assertDeepEquals([], result.problems, 'Should find no problems');
+  assertDeepEquals(['main.shelly.js', 'lib/b.js', 'lib/a.js'], result.files.map(file => path.relative(path.join(dir, 'src'), file)), 'Should list the files');
+  assertEquals([
+    '// Generated from src/main.shelly.js by tools/bundle.js, edit the sources instead.',
+    '/**',
+    ' * @file Main.',
+    ' */',
+    '// Included from lib/b.js.',
+    '// Included from lib/a.js.',
+    'function a() {',
+    '  return 1;',
+    '}',
+    '',
+    'function b() {',
+    '  return a();',
+    '}',
+    'b();',
+    '',
+  ].join('\n'), result.code, 'Should inline the libraries in place without their @file comments');
+});
+
+test('bundleScript should report missing libraries and code that does not parse', () => {
+  writeSources({
+    'src/main.shelly.js': '// #include "lib/missing.js"\n',
+    'src/broken.shelly.js': 'function broken( {\n',
+  });
+
+  let problems = bundleScript(path.join(dir, 'src/main.shelly.js')).problems;
+  assertEquals(1, problems.length, 'Should report the missing library');
+  assertTrue(problems[0].endsWith('main.shelly.js:1: cannot include lib/missing.js, the file does not exist'), 'Should name the include');
+
+  problems = bundleScript(path.join(dir, 'src/broken.shelly.js')).problems;
+  assertEquals(1, problems.length, 'Should report the syntax error');
+  assertTrue(problems[0].startsWith('broken.shelly.js (bundled): '), 'Should name the script');
+});
+
+test('lintSource should report unsupported syntax with its line', () => {
+  const code = [
+    'let add = (a, b) => a + b;',
+    'let text = `sum ${add(1, 2)}`;',
+    'let { x } = point;',
+    'for (const item of items) {}',
+    'function f(a = 1) {}',
+    'call(...args);',
+    'class Pump {}',
+    'let y = point?.x ?? 0;',
+  ].join('\n');
+
+  assertDeepEquals([
+    'test.js:1: arrow functions are not supported, use function',
+    'test.js:2: template literals are not supported, concatenate strings',
+    'test.js:3: destructuring is not supported',
+    'test.js:4: for...of loops are not supported, use a counter or forEach()',
+    'test.js:5: default parameters are not supported',
+    'test.js:6: spread and rest syntax is not supported',
+    'test.js:7: classes are not supported',
+    'test.js:8: optional chaining and ?? are not supported',
+    'test.js:8: optional chaining and ?? are not supported',
+  ], lintSource(code, 'test.js'), 'Should report every problem');
+});
+
+test('lintSource should ignore strings and comments', () => {
+  const code = [
+    '// Arrow functions (=>) are not supported.',
+    '/* for (const item of items) */',
+    'let a = "=> ... `";',
+    "let b = 'class A, \\' ?? ';",
+    'let c = { device_class: "problem" };',
+    'function add(a, b) { return a >= b ? a : b; }',
+  ].join('\n');
+
+  assertDeepEquals([], lintSource(code, 'test.js'), 'Should find no problems');
+});
+
+test('stripComments should keep the code and the strings', () => {
+  const code = [
+    '/**',
+    ' * @description Adds.',
+    ' */',
+    'function add(a, b) {',
+    '  // Comment.',
+    '  return a /* inline */ + b; // Trailing.',
+    '}',
+    '',
+    'let url = "http://example.com/*not a comment*/";',
+  ].join('\n');
+
+  assertEquals('function add(a, b) {\nreturn a   + b;\n}\nlet url = "http://example.com/*not a comment*/";\n', stripComments(code), 'Should strip only comments');
+});
+
+test('compact should leave out the spaces and line breaks the code does not need', () => {
+  const code = [
+    'function add(a, b) {',
+    '  return a + +b - -1; // Comment.',
+    '}',
+    'let text = "a  b" + typeof x;',
+    'let list = [',
+    '  "a",',
+    '];',
+    'let f = function () {}',
+    '(1);',
+  ].join('\n');
+
+  assertEquals('function add(a,b){return a+ +b- -1;}let text="a  b"+typeof x;let list=[\n"a",];let f=function(){}\n(1);\n',
+    compact(code), 'Should keep the words, the strings and the meaning apart');
+});
+
+test('buildScripts should write the compact scripts and check them', () => {
+  writeSources({
+    'src/main.shelly.js': '// #include "lib/a.js"\na();\n',
+    'src/lib/a.js': '/**\n * @file Library a.\n */\n\n// A comment that is left out.\nfunction a() {}\n',
+  });
+  const log = [];
+  const options = { scripts: [path.join(dir, 'src/main.shelly.js')], out: path.join(dir, 'scripts'), maxSize: 65536 };
+
+  assertEquals(0, buildScripts(options, line => log.push(line)), 'Should succeed');
+  const output = path.join(dir, 'scripts/main.shelly.js');
+  assertEquals('// Generated from src/main.shelly.js by tools/bundle.js, edit the sources instead.\nfunction a(){}a();\n',
+    fs.readFileSync(output, 'utf8'), 'Should write the compact bundle');
+  assertTrue(log[0].endsWith(`main.shelly.js: ${fs.statSync(output).size} bytes from 2 file(s).`), 'Should report the size');
+
+  log.length = 0;
+  assertEquals(0, buildScripts(Object.assign({ check: true }, options), line => log.push(line)), 'Should be up to date');
+  assertDeepEquals([], log, 'Should report nothing');
+
+  fs.appendFileSync(path.join(dir, 'src/main.shelly.js'), 'a();\n');
+  assertEquals(1, buildScripts(Object.assign({ check: true }, options), line => log.push(line)), 'Should be out of date');
+  assertTrue(log[0].endsWith('main.shelly.js is out of date, run node tools/bundle.js.'), 'Should explain the problem');
+});
+
+test('buildScripts should reject scripts larger than the device accepts, also when checking', () => {
+  writeSources({ 'src/main.shelly.js': 'let text = "' + 'x'.repeat(200) + '";\n' });
+  const log = [];
+  const options = { scripts: [path.join(dir, 'src/main.shelly.js')], out: path.join(dir, 'scripts'), maxSize: 150 };
+
+  assertEquals(1, buildScripts(options, line => log.push(line)), 'Should fail');
+  assertTrue(/main\.shelly\.js: \d+ bytes, more than the 150 bytes a script may have on the device$/.test(log[0]), 'Should report the size');
+  assertEquals(false, fs.existsSync(path.join(dir, 'scripts')), 'Should write nothing');
+
+  log.length = 0;
+  assertEquals(1, buildScripts(Object.assign({ check: true }, options), line => log.push(line)), 'Should fail the check');
+  assertTrue(log[0].endsWith('bytes a script may have on the device'), 'Should report the size');
+});
+
+test('buildScripts should write nothing if a source has problems', () => {
+  writeSources({
+    'src/good.shelly.js': 'let a = 1;\n',
+    'src/bad.shelly.js': 'let b = () => 1;\n',
+  });
+  const log = [];
+  const scripts = ['good', 'bad'].map(name => path.join(dir, 'src', name + '.shelly.js'));
+
+  assertEquals(1, buildScripts({ scripts, out: path.join(dir, 'scripts'), maxSize: 65536 }, line => log.push(line)), 'Should fail');
+  assertTrue(log[0].endsWith('bad.shelly.js:1: arrow functions are not supported, use function'), 'Should report the problem');
+  assertEquals(false, fs.existsSync(path.join(dir, 'scripts')), 'Should write nothing');
+});
+
+test('the scripts in src/ should bundle without problems', () => {
+  const sources = path.join(__dirname, '../src');
+  fs.readdirSync(sources).filter(name => name.endsWith('.shelly.js')).forEach(name => {
+    assertDeepEquals([], bundleScript(path.join(sources, name)).problems, `${name} should have no problems`);
+  });
+});
+
+run('tools/bundle.js');
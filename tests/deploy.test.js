@@ -0,0 +1,208 @@
+/**
+ * @file Test suite for tools/deploy.js, run against the mock device in lib/mock_device.js
+ */
+
+const { createClient, pushScript, runScript, readConfig, diffConfig, pushConfig, tailLog, parseArgs } = require('../tools/deploy');
+const { createMockDevice } = require('./lib/mock_device');
+const { test, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
+
+/**
+ * @description Wraps an asynchronous test that talks to a fresh mock device, which is
+ * stopped afterwards whether the test passed or not.
+ * @param {function} fn Called with the device and a client for it, returns a promise.
+ * @returns {function} The test function, taking the done callback.
+ */
+function withDevice(fn) {
+  return done => {
+    const device = createMockDevice();
+    let error = null;
+    device.start()
+      .then(host => fn(device, createClient(host)))
+      .catch(e => { error = e; })
+      .then(() => device.stop())
+      .then(() => done(error), done);
+  };
+}
+
+test('pushScript should create, upload in pieces, enable and start a new script', withDevice(async (device, client) => {
+  const code = 'let a = 1;\n'.repeat(30);
+  const log = [];
+
+  const id = await pushScript(client, { name: 'pump', code, chunkSize: 100 }, line => log.push(line));
+
+  const script = device.findScript('pump');
+  assertEquals(script.id, id, 'Should return the script ID');
+  assertEquals(code, script.code, 'Should upload the whole code');
+  assertTrue(script.enable && script.running, 'Should enable and start the script');
+  const puts = device.calls.filter(call => call.method === 'Script.PutCode');
+  assertEquals(4, puts.length, 'Should upload 330 characters in 4 pieces');
+  assertDeepEquals([false, true, true, true], puts.map(call => call.params.append), 'Should append all but the first piece');
+  assertDeepEquals([`Created script ${id} (pump).`, 'Uploaded 330 characters in 4 piece(s).', `Started script ${id}.`], log, 'Should report the steps');
+}));
+
+test('pushScript should replace the code of a running script with the same name', withDevice(async (device, client) => {
+  const id = await pushScript(client, { name: 'pump', code: 'let old = 1;\n' });
+  await client.call('KVS.Set', { key: 'indirect_heating_config', value: '{}' });
+  device.calls.length = 0;
+
+  assertEquals(id, await pushScript(client, { name: 'pump', code: 'let updated = 2;\n', start: false }), 'Should keep the script ID');
+  assertEquals('let updated = 2;\n', device.findScript('pump').code, 'Should replace the code');
+  assertEquals(false, device.findScript('pump').running, 'Should stop the script and not start it again');
+  assertDeepEquals(['Script.List', 'Script.Stop', 'Script.PutCode', 'Script.SetConfig'], device.calls.map(call => call.method), 'Should not create another script');
+  assertEquals('{}', device.kvs.indirect_heating_config, 'Should keep the KVS entries');
+}));
+
+test('pushScript should refuse sources that still include libraries', withDevice(async (device, client) => {
+  let error = null;
+  try {
+    await pushScript(client, { name: 'pump', code: '// #include "lib/log.js"\nrun();\n' });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error !== null && error.message.includes('upload the bundled script from scripts/'), 'Should explain the problem');
+  assertDeepEquals([], device.calls, 'Should not call the device');
+}));
+
+test('runScript should start and stop a script by name and report device errors', withDevice(async (device, client) => {
+  await pushScript(client, { name: 'pump', code: 'let a = 1;\n', start: false });
+
+  assertEquals(false, await runScript(client, 'pump', true), 'Should not have been running');
+  assertEquals(true, device.findScript('pump').running, 'Should start the script');
+  assertEquals(true, await runScript(client, 'pump', false), 'Should have been running');
+  assertEquals(false, device.findScript('pump').running, 'Should stop the script');
+
+  let error = null;
+  try {
+    await runScript(client, 'other', true);
+  } catch (e) {
+    error = e;
+  }
+  assertEquals("There is no script named 'other' on the device.", error && error.message, 'Should report an unknown script');
+
+  device.failCall('Script.Start', { code: -114, message: 'Resource busy' });
+  error = null;
+  try {
+    await runScript(client, 'pump', true);
+  } catch (e) {
+    error = e;
+  }
+  assertEquals('Script.Start: Resource busy (-114)', error && error.message, 'Should pass on the device error');
+}));
+
+test('diffConfig should list added, removed and changed settings in order', () => {
+  assertDeepEquals([
+    '+ boostDuration: 60',
+    '- debuggingOn: true',
+    '~ loops: [] -> [{"name":"solar"}]',
+    '~ maxWaterTemp: 65 -> 60',
+  ], diffConfig(
+    { maxWaterTemp: 65, debuggingOn: true, scanInterval: 30, loops: [] },
+    { maxWaterTemp: 60, scanInterval: 30, loops: [{ name: 'solar' }], boostDuration: 60 },
+  ), 'Should list every difference');
+  assertDeepEquals(['+ scanInterval: 30'], diffConfig(null, { scanInterval: 30 }), 'Should treat a missing configuration as empty');
+  assertDeepEquals([], diffConfig({ a: { b: 1 } }, { a: { b: 1 } }), 'Should find no differences');
+});
+
+test('pushConfig should store the configuration only if it changed', withDevice(async (device, client) => {
+  const log = [];
+  assertEquals(null, await readConfig(client, 'indirect_heating_config'), 'Should not be set yet');
+
+  assertDeepEquals(['+ maxWaterTemp: 60'], await pushConfig(client, 'indirect_heating_config', { maxWaterTemp: 60 }, line => log.push(line)), 'Should store the new setting');
+  assertDeepEquals({ maxWaterTemp: 60 }, JSON.parse(device.kvs.indirect_heating_config), 'Should write the configuration as JSON');
+  assertEquals('Stored 1 change(s) in indirect_heating_config.', log[log.length - 1], 'Should report the change');
+
+  device.calls.length = 0;
+  assertDeepEquals([], await pushConfig(client, 'indirect_heating_config', { maxWaterTemp: 60 }), 'Should find no changes');
+  assertDeepEquals(['KVS.Get', 'KVS.Get'], device.calls.map(call => call.method), 'Should only look for the key and a second part, not write again');
+
+  device.kvs.indirect_heating_config = '{broken';
+  let error = null;
+  try {
+    await readConfig(client, 'indirect_heating_config');
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error !== null && error.message.startsWith('The value of indirect_heating_config on the device is not valid JSON'), 'Should report invalid JSON');
+}));
+
+test('pushConfig should split a configuration too long for one KVS value', withDevice(async (device, client) => {
+  const loops = [
+    { name: 'solar', switchID: 0, heatingSourceTemperatureID: 101, maxWaterTemp: 80 },
+    { name: 'boiler', switchID: 1, heatingSourceTemperatureID: 102, backupFor: 'solar' },
+  ];
+  const schedule = [{ days: ['sat', 'sun'], from: '22:00', to: '07:00', pump: 'block' }];
+  const config = { maxWaterTemp: 60, loops, schedule };
+  const log = [];
+
+  await pushConfig(client, 'indirect_heating_config', config, line => log.push(line));
+  assertTrue(device.kvs.indirect_heating_config_1 !== undefined, 'Should continue under a second key');
+  assertEquals(undefined, device.kvs.indirect_heating_config_2, 'Should use no more keys than needed');
+  assertEquals('Stored 3 change(s) in indirect_heating_config and 1 more key(s).', log[log.length - 1], 'Should report the keys');
+  assertDeepEquals(config, await readConfig(client, 'indirect_heating_config'), 'Should read the parts back as one configuration');
+  assertDeepEquals([], await pushConfig(client, 'indirect_heating_config', config), 'Should find no changes');
+
+  await pushConfig(client, 'indirect_heating_config', { maxWaterTemp: 60 });
+  assertDeepEquals({ maxWaterTemp: 60 }, JSON.parse(device.kvs.indirect_heating_config), 'Should store the shorter configuration');
+  assertEquals(undefined, device.kvs.indirect_heating_config_1, 'Should delete the keys no longer needed');
+
+  let error = null;
+  try {
+    await pushConfig(client, 'indirect_heating_config', { loops: [{ name: 'x'.repeat(250), switchID: 0 }] });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error !== null && error.message === 'loops[0] does not fit into a KVS value of 253 bytes.', 'Should reject an entry too long to store');
+
+  error = null;
+  try {
+    await client.call('KVS.Set', { key: 'long', value: 'x'.repeat(254) });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error !== null && error.message === 'KVS.Set: Value is too long, the limit is 253 bytes! (-103)', 'The mock device should limit the values like the device');
+}));
+
+test('tailLog should print the device log and restore the log address when stopped', withDevice(async (device, client) => {
+  device.sysConfig.debug.udp.addr = '192.168.1.10:9000';
+  const lines = [];
+  let received;
+  const twoLines = new Promise(resolve => { received = resolve; });
+
+  const stop = await tailLog(client, { port: 0 }, line => {
+    lines.push(line);
+    if (lines.length === 2) {
+      received();
+    }
+  });
+  assertTrue(/^127\.0\.0\.1:\d+$/.test(device.sysConfig.debug.udp.addr), 'Should point the log at this computer');
+  await device.log('shelly_ejs: Pump started');
+  await device.log('shelly_ejs: Pump stopped\n');
+  await twoLines;
+  await stop();
+
+  assertDeepEquals(['shelly_ejs: Pump started', 'shelly_ejs: Pump stopped'], lines, 'Should print every line');
+  assertEquals('192.168.1.10:9000', device.sysConfig.debug.udp.addr, 'Should restore the previous address');
+}));
+
+test('parseArgs should read the commands and options', () => {
+  const options = parseArgs(['push', 'scripts/a.shelly.js', '--chunk-size', '512', '--no-start'], { SHELLY_DEVICE: '10.0.0.5' });
+  assertDeepEquals(['push', 'scripts/a.shelly.js'], options.command, 'Should read the command');
+  assertEquals('10.0.0.5', options.device, 'Should take the device from the environment');
+  assertEquals(512, options.chunkSize, 'Should read the chunk size');
+  assertEquals(false, options.start, 'Should not start the script');
+
+  const usageError = (args, env = { SHELLY_DEVICE: '10.0.0.5' }) => {
+    try {
+      parseArgs(args, env);
+    } catch (e) {
+      return e.message;
+    }
+    return null;
+  };
+  assertTrue(usageError(['deploy']).startsWith('Usage: '), 'Should reject unknown commands');
+  assertTrue(usageError(['config', 'show']).startsWith('Usage: '), 'Should reject unknown config commands');
+  assertEquals('config diff needs --config or --config-file.', usageError(['config', 'diff']), 'Should need a local configuration');
+  assertEquals('Pass the device with --device or the SHELLY_DEVICE environment variable.', usageError(['list'], {}), 'Should need a device');
+});
+
+run('tools/deploy.js');
@@ -0,0 +1,176 @@
+/**
+ * @file Test suite for indirect_heating_adaptive.shelly.js
+ *
+ * The script runs unmodified next to indirect_heating_tank_pump.shelly.js in the simulated Shelly
+ * runtime from tools/lib/shelly_simulator.js, on synthetic tank physics, see runTankPhysics().
+ * Run it with `node indirect_heating_adaptive.shelly.test.js` or tests/run_tests.sh.
+ */
+
+const path = require('path');
+const { createSimulator } = require('../tools/lib/shelly_simulator');
+const { test, beforeEach, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
+
+const PUMP_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_tank_pump.shelly.js');
+const ADAPTIVE_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_adaptive.shelly.js');
+const KVS_ADAPTIVE_CONFIG_KEY = 'indirect_heating_adaptive_config';
+const KVS_ADAPTIVE_KEY = 'indirect_heating_adaptive';
+
+// The sensor IDs of the default configuration.
+const TANK = 100;
+const SOURCE = 101;
+
+let sim;
+let script;
+let adaptive;
+
+/**
+ * @description Starts the pump script, and the adaptive script after it, in a fresh simulator with a
+ * tank at 40 °C, a heating source at 42 °C and the pump off.
+ * @param {object} [options]
+ * @param {object} [options.config] The configuration of the adaptive script stored in KVS.
+ * @param {object} [options.kvs] Other KVS entries.
+ * @param {boolean} [options.adaptive=true] Whether to start the adaptive script.
+ */
+function startScripts(options = {}) {
+  sim = createSimulator();
+  sim.setSwitch(0, false);
+  sim.setTemperature(TANK, 40);
+  sim.setTemperature(SOURCE, 42);
+  if (options.config !== undefined) {
+    sim.setKvs(KVS_ADAPTIVE_CONFIG_KEY, options.config);
+  }
+  Object.keys(options.kvs || {}).forEach((key) => sim.setKvs(key, options.kvs[key]));
+  sim.loadScript(PUMP_SCRIPT_PATH);
+  script = sim.script;
+  script.DEFAULT_CONFIG.debuggingOn = true;
+  adaptive = options.adaptive === false ? null : sim.loadScript(ADAPTIVE_SCRIPT_PATH);
+  sim.flush();
+}
+
+/**
+ * @description Lets the given number of scan intervals of the pump script pass.
+ * @param {number} [count=1] The number of scans.
+ */
+function scan(count = 1) {
+  sim.advance(count * script.CONFIG.scanInterval * 1000);
+}
+
+/**
+ * @param {string} [name='pump'] The name of the loop.
+ * @returns {object} What the adaptive script learned for the loop, see its HTTP endpoint.
+ */
+function learnedFor(name = 'pump') {
+  return adaptive.httpRequest('status').json().loops[name];
+}
+
+/**
+ * @param {string} text The text to look for.
+ * @returns {boolean} Whether a script printed a message containing the text.
+ */
+function printed(text) {
+  return sim.prints.some(m => m.includes(text));
+}
+
+/**
+ * @description Runs synthetic tank physics on the running simulator in steps of a minute. The heating
+ * source warms by gain °C per hour. While the pump runs, the tank warms by transfer times the temperature
+ * difference less pipeLoss per hour, and the source cools by cooling times the difference. Hot water use
+ * takes draw °C per hour from the tank. The tank warms 1 °C per hour, the default minRise, at a
+ * difference of 9 °C, and pumping at less than 7 °C cools it.
+ * @param {number} hours How long to run.
+ * @returns {object} The final temperatures and the heat the pump brought into the tank, in °C.
+ */
+function runTankPhysics(hours) {
+  const physics = { tank: 40, source: 42, heat: 0 };
+  const transfer = 0.5, pipeLoss = 3.5, cooling = 2, gain = 6, draw = 0.3;
+  for (let minute = 0; minute < hours * 60; minute++) {
+    const difference = physics.source - physics.tank;
+    if (sim.getStatus('switch', 0).output) {
+      const rise = (transfer * difference - pipeLoss) / 60;
+      physics.tank += rise;
+      physics.heat += rise;
+      physics.source -= cooling * difference / 60;
+    }
+    physics.source += gain / 60;
+    physics.tank -= draw / 60;
+    sim.setTemperature(TANK, Math.round(physics.tank * 100) / 100);
+    sim.setTemperature(SOURCE, Math.round(physics.source * 100) / 100);
+    sim.advance(60 * 1000);
+  }
+  return physics;
+}
+
+beforeEach(() => {
+  sim = null;
+  script = null;
+  adaptive = null;
+});
+
+test('the adaptive script should learn the stop and start differences from the tank warming', () => {
+  startScripts({ adaptive: false });
+  const fixed = runTankPhysics(24);
+  assertEquals(null, script.loops[0].learned, 'The pump script alone should use the configured differences');
+
+  startScripts();
+  const learning = runTankPhysics(24);
+
+  const learned = learnedFor();
+  assertTrue(learned.stopDifference >= 8.5 && learned.stopDifference <= 10.5, `Should stop where the tank warms 1 °C/h, at about 9 °C, learned ${learned.stopDifference} °C`);
+  // Runs from the start to the stop difference last minRunTime from about 13.5 °C, the start
+  // difference moves around that as the runs get shorter and longer.
+  assertTrue(learned.hysteresis >= 11 && learned.hysteresis <= 15, `Should start late enough for runs of minRunTime, learned ${learned.hysteresis} °C`);
+  assertTrue(learned.rates[3] < 1 && learned.rates[5] > 1, `Should learn the warming rates, ${learned.rates}`);
+  assertTrue(fixed.heat < 0 && learning.heat > 5, `Should bring more heat into the tank than the fixed settings, ${learning.heat.toFixed(1)} instead of ${fixed.heat.toFixed(1)} °C`);
+  assertDeepEquals({ hysteresis: learned.hysteresis, stopDifference: learned.stopDifference }, script.loops[0].learned, 'The pump script should use what it learned');
+  assertDeepEquals(Object.assign({ name: 'pump' }, learned), JSON.parse(sim.getKvs(KVS_ADAPTIVE_KEY)), 'Should store what it learned');
+  assertTrue(printed('Learned a start difference of '), 'Should log what it learned');
+});
+
+test('the adaptive script should stay within its ranges and restore what it learned', () => {
+  // Every run is too short, so the start difference keeps rising.
+  const config = { minRunTime: 7200, stopDifferenceMax: 7, hysteresisMax: 10 };
+  startScripts({ config });
+  runTankPhysics(12);
+  assertDeepEquals([10, 7], [learnedFor().hysteresis, learnedFor().stopDifference], 'Should stop at the top of the ranges');
+
+  const stored = JSON.parse(sim.getKvs(KVS_ADAPTIVE_KEY));
+  const rates = stored.rates;
+  startScripts({ config, kvs: { [KVS_ADAPTIVE_KEY]: stored } });
+  scan();
+  assertDeepEquals({ hysteresis: 10, stopDifference: 7, rates }, learnedFor(), 'Should restore what it learned');
+  assertDeepEquals({ hysteresis: 10, stopDifference: 7 }, script.loops[0].learned, 'Should send what it restored');
+
+  // The learned values follow narrower ranges at once.
+  sim.setKvs(KVS_ADAPTIVE_CONFIG_KEY, Object.assign({}, config, { hysteresisMax: 8 }));
+  adaptive.httpRequest('status', 'action=reload');
+  sim.flush();
+  assertDeepEquals({ hysteresis: 8, stopDifference: 7, rates }, learnedFor(), 'Should keep to the ranges');
+  scan();
+  assertDeepEquals({ hysteresis: 8, stopDifference: 7 }, script.loops[0].learned, 'Should send the narrower values');
+
+  // What a loop of another name learned does not apply.
+  startScripts({ config, kvs: { [KVS_ADAPTIVE_KEY]: Object.assign({}, stored, { name: 'solar' }) } });
+  scan();
+  assertEquals(null, learnedFor().hysteresis, 'Should not restore what another loop learned');
+});
+
+test('the adaptive script should check its configuration and leave out the loops it does not learn for', () => {
+  startScripts();
+  scan();
+  assertTrue(script.loops[0].learned !== null, 'Should send the differences within the default ranges');
+
+  sim.setKvs(KVS_ADAPTIVE_CONFIG_KEY, { loops: ['solar'] });
+  adaptive.httpRequest('status', 'action=reload');
+  scan();
+  assertEquals(null, script.loops[0].learned, 'The pump script should use the configured differences again');
+
+  sim.setKvs(KVS_ADAPTIVE_CONFIG_KEY, { hysteresisMax: 8, stopDifferenceMin: 8 });
+  adaptive.httpRequest('status', 'action=reload');
+  sim.flush();
+  assertTrue(printed('stopDifferenceMin (8) must be at least 0.5°C lower than hysteresisMax (8).'), 'Should check the ranges');
+  assertDeepEquals(['solar'], adaptive.script.CONFIG.loops, 'Should keep the active configuration');
+  assertDeepEquals(['minRise must be a number from 0 to 50.', 'colour: unknown setting.'],
+    adaptive.script.validateConfig({ minRise: -1, colour: 'red' }), 'Should check every setting');
+});
+
+run('indirect_heating_adaptive.shelly.js');
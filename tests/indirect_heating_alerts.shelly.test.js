@@ -0,0 +1,170 @@
+/**
+ * @file Test suite for indirect_heating_alerts.shelly.js
+ *
+ * The script runs unmodified next to indirect_heating_tank_pump.shelly.js in the simulated Shelly
+ * runtime from tools/lib/shelly_simulator.js, with a stand-in for the webhook receiver.
+ * Run it with `node indirect_heating_alerts.shelly.test.js` or tests/run_tests.sh.
+ */
+
+const path = require('path');
+const { createSimulator } = require('../tools/lib/shelly_simulator');
+const { test, beforeEach, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
+
+const PUMP_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_tank_pump.shelly.js');
+const ALERTS_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_alerts.shelly.js');
+const KVS_CONFIG_KEY = 'indirect_heating_config';
+const KVS_ALERTS_CONFIG_KEY = 'indirect_heating_alerts_config';
+
+// The URL of the stand-in for a webhook receiver, see startReceiver().
+const ALERT_URL = 'http://receiver.local/tank';
+
+// The sensor IDs of the default configuration, and of the heating source of a second loop.
+const TANK = 100;
+const SOURCE = 101;
+const BOILER = 102;
+
+let sim;
+let script;
+let alerts;
+
+/**
+ * @description Starts the pump script and the alerts script in a fresh simulator with a tank at 40 °C,
+ * a heating source at 60 °C and the pump off.
+ * @param {object} [options]
+ * @param {object} [options.config] The configuration of the pump script stored in KVS.
+ * @param {object|string} [options.alertsConfig={ url: ALERT_URL }] The configuration of the alerts script stored in KVS.
+ * @param {object} [options.sensors] Temperatures of further thermometers by ID.
+ * @param {number} [options.switches=1] The number of switches, 2 for a Plus 2PM.
+ */
+function startScripts(options = {}) {
+  sim = createSimulator();
+  for (let id = 0; id < (options.switches || 1); id++) {
+    sim.setSwitch(id, false);
+  }
+  sim.setTemperature(TANK, 40);
+  sim.setTemperature(SOURCE, 60);
+  Object.keys(options.sensors || {}).forEach((id) => sim.setTemperature(Number(id), options.sensors[id]));
+  if (options.config !== undefined) {
+    sim.setConfig(KVS_CONFIG_KEY, options.config);
+  }
+  sim.setKvs(KVS_ALERTS_CONFIG_KEY, options.alertsConfig !== undefined ? options.alertsConfig : { url: ALERT_URL });
+  sim.loadScript(PUMP_SCRIPT_PATH);
+  script = sim.script;
+  script.DEFAULT_CONFIG.debuggingOn = true;
+  alerts = sim.loadScript(ALERTS_SCRIPT_PATH);
+  sim.flush();
+}
+
+/**
+ * @description Lets the given number of scan intervals of the pump script pass.
+ * @param {number} [count=1] The number of scans.
+ */
+function scan(count = 1) {
+  sim.advance(count * script.CONFIG.scanInterval * 1000);
+}
+
+/**
+ * @description Stands in for the webhook receiver at ALERT_URL on the running simulator.
+ * @param {number} [code=200] The HTTP status code it answers with.
+ * @returns {Array} The notifications it received, JSON bodies parsed.
+ */
+function startReceiver(code = 200) {
+  const received = [];
+  sim.addWebServer(ALERT_URL, (request) => {
+    received.push(request.contentType === 'application/json' ? JSON.parse(request.body) : request.body);
+    return { code };
+  });
+  return received;
+}
+
+/**
+ * @param {string} text The text to look for.
+ * @returns {boolean} Whether a script printed a message containing the text.
+ */
+function printed(text) {
+  return sim.prints.some(m => m.includes(text));
+}
+
+beforeEach(() => {
+  sim = null;
+  script = null;
+  alerts = null;
+});
+
+test('a sensor fault should be alerted once and on recovery', () => {
+  startScripts();
+  const received = startReceiver();
+
+  sim.setTemperature(SOURCE, null);
+  scan(script.CONFIG.sensorFaultThreshold);
+  assertEquals(1, received.length, 'Should post the alert');
+  assertEquals('simulator', received[0].device, 'Should name the device');
+  assertEquals('sensor', received[0].alert, 'Should name the alert');
+  assertEquals('raised', received[0].state, 'Should report the new alert');
+  assertTrue(received[0].message.startsWith(`Sensor fault on ${SOURCE} (sensor reports read)`), 'Should describe the fault');
+  assertDeepEquals(['sensor'], sim.httpRequest('status').json().alerts, 'The pump script should report the active alert');
+
+  scan(5);
+  assertEquals(1, received.length, 'Should not repeat the alert on every scan');
+
+  sim.setTemperature(SOURCE, 60);
+  scan();
+  assertEquals(2, received.length, 'Should post the recovery');
+  assertEquals('recovered', received[1].state, 'Should report the recovery');
+  assertDeepEquals([], sim.httpRequest('status').json().alerts, 'Should clear the alert');
+});
+
+test('a fault of several loops should not have more calls in flight than the device allows', () => {
+  const loops = [{ name: 'east', switchID: 0 }, { name: 'west', switchID: 1, heatingSourceTemperatureID: BOILER }];
+  startScripts({ sensors: { [BOILER]: 60 }, switches: 2, config: { loops } });
+  const received = startReceiver();
+  assertTrue(sim.getStatus('switch', 0).output && sim.getStatus('switch', 1).output, 'Both pumps should run');
+
+  // Each loop stores the log, announces its alert and stops its pump on the same scan.
+  sim.setTemperature(TANK, null);
+  scan(script.CONFIG.sensorFaultThreshold);
+  assertEquals(false, sim.getStatus('switch', 0).output || sim.getStatus('switch', 1).output, 'Both pumps should be stopped as fail-safe');
+  assertDeepEquals(['sensor:east', 'sensor:west'], received.map(alert => alert.alert), 'Should post the alert of each loop');
+  assertEquals(0, script.callQueue.length, 'The pump script should have sent every queued call');
+  assertEquals(0, alerts.script.callQueue.length, 'The alerts script should have sent every queued call');
+});
+
+test('alerts should be rate limited, repeated and sent as text', () => {
+  startScripts({ alertsConfig: { url: ALERT_URL, format: 'text', maxPerHour: 2, repeatInterval: 600 } });
+  const received = startReceiver();
+
+  script.raiseAlert('sensor', 'First');
+  script.clearAlert('sensor', 'Second');
+  script.raiseAlert('pump', 'Third');
+  sim.flush();
+  assertDeepEquals(['simulator: First', 'simulator: Second'], received, 'Should send plain text up to the limit');
+  assertTrue(printed('Alert not sent, the limit of 2 per hour is reached: Third'), 'Should log the dropped alert');
+
+  sim.advance(3600 * 1000);
+  assertDeepEquals(['simulator: First', 'simulator: Second', 'simulator: Third'], received, 'Should repeat the active alert');
+
+  startScripts();
+  startReceiver(500);
+  script.raiseAlert('sensor', 'Lost');
+  sim.flush();
+  assertEquals('Error sending the sensor alert: HTTP 500', alerts.script.scriptStatus.lastError, 'Should report a failing receiver');
+
+  startScripts({ alertsConfig: { url: 'http://unreachable.local/' } });
+  script.raiseAlert('sensor', 'Lost');
+  sim.flush();
+  assertEquals('Error sending the sensor alert: Deadline exceeded', alerts.script.scriptStatus.lastError, 'Should report an unreachable receiver');
+});
+
+test('the alerts script should check its configuration and send nothing without a URL', () => {
+  startScripts({ alertsConfig: { url: 'ntfy.sh/tank', maxPerHour: 1.5 } });
+  startReceiver();
+  assertTrue(printed('url must start with http:// or https://. maxPerHour must be a whole number from 0 to 100.'), 'Should report every problem');
+
+  script.raiseAlert('sensor', 'Lost');
+  sim.flush();
+  assertTrue(printed('No url in indirect_heating_alerts_config, no alerts are sent.'), 'Should say why nothing is sent');
+  assertEquals(0, sim.calls.filter(c => c.method === 'HTTP.POST').length, 'Should not post anything');
+  assertDeepEquals(['The configuration must be a JSON object.'], alerts.script.validateConfig([]), 'Should require an object');
+});
+
+run('indirect_heating_alerts.shelly.js');
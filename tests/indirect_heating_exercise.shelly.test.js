@@ -0,0 +1,186 @@
+/**
+ * @file Test suite for indirect_heating_exercise.shelly.js
+ *
+ * The script runs unmodified next to indirect_heating_tank_pump.shelly.js in the simulated Shelly
+ * runtime from tools/lib/shelly_simulator.js.
+ * Run it with `node indirect_heating_exercise.shelly.test.js` or tests/run_tests.sh.
+ */
+
+const path = require('path');
+const { createSimulator } = require('../tools/lib/shelly_simulator');
+const { test, beforeEach, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
+
+const PUMP_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_tank_pump.shelly.js');
+const EXERCISE_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_exercise.shelly.js');
+const KVS_CONFIG_KEY = 'indirect_heating_config';
+const KVS_EXERCISE_CONFIG_KEY = 'indirect_heating_exercise_config';
+const KVS_STATE_KEY = 'indirect_heating_exercise';
+
+// The simulator's default time, Monday 2024-06-03 12:00 local time, as unixtime.
+const START_TIME = 1717408800;
+
+// The sensor IDs of the default configuration, and of the heating source of a second loop.
+const TANK = 100;
+const SOURCE = 101;
+const BOILER = 102;
+
+let sim;
+let script;
+let exercise;
+
+/**
+ * @description Starts the pump script and the exercise script in a fresh simulator with the pumps
+ * off, a tank at 50 °C and heating sources at 40 °C, too cold to start the pumps.
+ * @param {object} [options]
+ * @param {object} [options.config] The configuration of the pump script stored in KVS.
+ * @param {object} [options.exerciseConfig] The configuration of the exercise script stored in KVS.
+ * @param {object} [options.lastRuns] The stored times of the last runs by loop name.
+ * @param {number} [options.switches=1] The number of switches, 2 for a Plus 2PM.
+ */
+function startScripts(options = {}) {
+  sim = createSimulator();
+  for (let id = 0; id < (options.switches || 1); id++) {
+    sim.setSwitch(id, false);
+  }
+  sim.setTemperature(TANK, 50);
+  sim.setTemperature(SOURCE, 40);
+  sim.setTemperature(BOILER, 40);
+  if (options.config !== undefined) {
+    sim.setConfig(KVS_CONFIG_KEY, options.config);
+  }
+  if (options.exerciseConfig !== undefined) {
+    sim.setKvs(KVS_EXERCISE_CONFIG_KEY, options.exerciseConfig);
+  }
+  if (options.lastRuns !== undefined) {
+    sim.setKvs(KVS_STATE_KEY, options.lastRuns);
+  }
+  sim.loadScript(PUMP_SCRIPT_PATH);
+  script = sim.script;
+  script.DEFAULT_CONFIG.debuggingOn = true;
+  exercise = sim.loadScript(EXERCISE_SCRIPT_PATH);
+  sim.flush();
+}
+
+/**
+ * @param {number} [id=0] The switch ID.
+ * @returns {boolean} Whether the pump switch is on.
+ */
+function pumpOn(id = 0) {
+  return sim.getStatus('switch', id).output;
+}
+
+/**
+ * @param {number} [id=0] The switch ID.
+ * @returns {number} The number of times the pump was switched on.
+ */
+function starts(id = 0) {
+  return sim.calls.filter(call => call.method === 'Switch.Set' && call.params.id === id && call.params.on).length;
+}
+
+/**
+ * @param {string} text The text to look for.
+ * @returns {boolean} Whether a script printed a message containing the text.
+ */
+function printed(text) {
+  return sim.prints.some(m => m.includes(text));
+}
+
+beforeEach(() => {
+  sim = null;
+  script = null;
+  exercise = null;
+});
+
+test('the pump should be exercised after days without running', () => {
+  startScripts({
+    config: { minPumpOnTime: 0 },
+    exerciseConfig: { intervalDays: 2, duration: 30, startHour: 13 },
+    lastRuns: { pump: START_TIME - 3 * 86400 },
+  });
+  assertEquals(false, pumpOn(), 'Pump should wait for the start hour');
+
+  sim.advance(3600 * 1000);
+  sim.flush();
+  assertTrue(pumpOn(), 'Pump should be exercised');
+  assertTrue(printed('Exercising the pump for 30 s after 2 days without running.'), 'Should log the reason');
+  assertTrue(printed('Pump forced on for 0.5 minutes for an exercise run.'), 'The pump script should log the command');
+  assertEquals('forced', script.loops[0].rule, 'The pump should be forced on');
+
+  // The forced state ends with the first scan after the duration.
+  sim.advance(script.CONFIG.scanInterval * 1000);
+  assertEquals(false, pumpOn(), 'Pump should stop after the exercise duration');
+  assertEquals('auto', sim.httpRequest('status').json().mode, 'Should resume automatic control');
+  const lastRun = JSON.parse(sim.getKvs(KVS_STATE_KEY)).pump;
+  assertTrue(lastRun >= START_TIME + 3600, 'Should store the last run');
+
+  sim.advance(86400 * 1000);
+  assertEquals(1, starts(), 'Pump should not be exercised again within the interval');
+
+  // Without a stored run the days count from the start of the script.
+  startScripts({ exerciseConfig: { intervalDays: 2 } });
+  sim.advance(86400 * 1000);
+  assertEquals(START_TIME + 60, JSON.parse(sim.getKvs(KVS_STATE_KEY)).pump, 'Should count from the first check');
+  assertEquals(0, starts(), 'Pump should not be exercised before the interval');
+  sim.advance((86400 + 120) * 1000);
+  assertEquals(1, starts(), 'Pump should be exercised after the interval');
+});
+
+test('a pump should only be exercised while the rules keep it off for the temperature difference', () => {
+  const due = { pump: START_TIME - 8 * 86400 };
+  startScripts({ lastRuns: due });
+  script.setMode('off', { minutes: 30 }, 'from the test');
+  sim.advance(20 * 60 * 1000);
+  assertEquals(0, starts(), 'A pump forced off should not be exercised');
+
+  startScripts({ config: { maxWaterTemp: 50 }, lastRuns: due });
+  sim.advance(20 * 60 * 1000);
+  assertEquals(0, starts(), 'A pump at the maximum temperature should not be exercised');
+
+  startScripts({ config: { schedule: [{ from: '00:00', to: '23:59', pump: 'block' }] }, lastRuns: due });
+  sim.advance(20 * 60 * 1000);
+  assertEquals(0, starts(), 'A pump the schedule blocks should not be exercised');
+  assertDeepEquals(due, JSON.parse(sim.getKvs(KVS_STATE_KEY)), 'Should keep the last run');
+
+  // A running pump counts as a run.
+  startScripts({ lastRuns: due });
+  sim.setTemperature(SOURCE, 60);
+  sim.advance(5 * 60 * 1000);
+  sim.setTemperature(SOURCE, 40);
+  sim.advance(5 * 60 * 1000);
+  assertEquals(false, pumpOn(), 'Pump should have stopped');
+  assertTrue(JSON.parse(sim.getKvs(KVS_STATE_KEY)).pump >= START_TIME, 'Should store the run');
+  assertEquals(1, starts(), 'Pump should not be exercised after it ran');
+});
+
+test('the pumps of several loops should be exercised one at a time', () => {
+  const loops = [{ name: 'solar', switchID: 0 }, { name: 'boiler', switchID: 1, heatingSourceTemperatureID: BOILER, maxWaterTemp: 55 }];
+  const due = { solar: START_TIME - 8 * 86400, boiler: START_TIME - 8 * 86400 };
+  startScripts({ switches: 2, config: { loops, minPumpOnTime: 0 }, lastRuns: due });
+
+  sim.advance(60 * 1000);
+  sim.flush();
+  assertTrue(pumpOn(0) && !pumpOn(1), 'The solar pump should be exercised first');
+  assertTrue(printed('Pump solar forced on for 0.5 minutes for an exercise run.'), 'Should force only the solar pump');
+
+  sim.advance(5 * 60 * 1000);
+  assertEquals(1, starts(0), 'The solar pump should be exercised once');
+  assertEquals(1, starts(1), 'The boiler pump should be exercised afterwards');
+  assertTrue(printed('Exercising the pump boiler for 30 s after 7 days without running.'), 'Should name the loop');
+
+  startScripts({ switches: 2, config: { loops }, exerciseConfig: { loops: ['boiler'] }, lastRuns: due });
+  sim.advance(5 * 60 * 1000);
+  assertEquals(0, starts(0), 'Should only exercise the listed loops');
+  assertEquals(1, starts(1), 'Should exercise the listed loop');
+});
+
+test('the exercise script should ignore an invalid configuration', () => {
+  startScripts({ exerciseConfig: { intervalDays: 0, duration: 'long', pumps: [] }, lastRuns: [1] });
+
+  assertTrue(printed('Ignoring the unreadable configuration in KVS: intervalDays must be a whole number from 1 to 365. ' +
+    'duration must be a number from 5 to 3600. pumps: unknown setting.'), 'Should report every problem');
+  assertTrue(printed('Ignoring the unreadable last runs in KVS: expected an object'), 'Should report the stored value');
+  assertEquals(7, exercise.script.CONFIG.intervalDays, 'Should use the defaults');
+  assertDeepEquals(['loops must be a list of loop names.'], exercise.script.validateConfig({ loops: 'boiler' }), 'Should check the loops');
+});
+
+run('indirect_heating_exercise.shelly.js');
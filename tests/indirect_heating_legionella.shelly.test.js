@@ -0,0 +1,173 @@
+/**
+ * @file Test suite for indirect_heating_legionella.shelly.js
+ *
+ * The script runs unmodified next to indirect_heating_tank_pump.shelly.js in the simulated Shelly
+ * runtime from tools/lib/shelly_simulator.js.
+ * Run it with `node indirect_heating_legionella.shelly.test.js` or tests/run_tests.sh.
+ */
+
+const path = require('path');
+const { createSimulator } = require('../tools/lib/shelly_simulator');
+const { test, beforeEach, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
+
+const PUMP_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_tank_pump.shelly.js');
+const LEGIONELLA_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_legionella.shelly.js');
+const KVS_LEGIONELLA_CONFIG_KEY = 'indirect_heating_legionella_config';
+const KVS_STATE_KEY = 'indirect_heating_legionella';
+
+// The local day number of the simulator's default date, Monday 2024-06-03 12:00 local time.
+const MONDAY = 19877;
+
+// The sensor IDs of the default configuration.
+const TANK = 100;
+const SOURCE = 101;
+
+let sim;
+let script;
+let legionella;
+
+/**
+ * @description Starts the pump script and the disinfection script in a fresh simulator with the pump off.
+ * @param {object} [options]
+ * @param {number} [options.tank=60] The tank temperature.
+ * @param {number} [options.source=80] The heating source temperature.
+ * @param {object} [options.legionellaConfig] The configuration of the disinfection script stored in KVS.
+ * @param {object} [options.state] The stored day and result of the last cycle.
+ */
+function startScripts(options = {}) {
+  sim = createSimulator();
+  sim.setSwitch(0, false);
+  sim.setTemperature(TANK, options.tank !== undefined ? options.tank : 60);
+  sim.setTemperature(SOURCE, options.source !== undefined ? options.source : 80);
+  if (options.legionellaConfig !== undefined) {
+    sim.setKvs(KVS_LEGIONELLA_CONFIG_KEY, options.legionellaConfig);
+  }
+  if (options.state !== undefined) {
+    sim.setKvs(KVS_STATE_KEY, options.state);
+  }
+  sim.loadScript(PUMP_SCRIPT_PATH);
+  script = sim.script;
+  script.DEFAULT_CONFIG.debuggingOn = true;
+  legionella = sim.loadScript(LEGIONELLA_SCRIPT_PATH);
+  sim.flush();
+}
+
+/**
+ * @description Lets the given number of scan intervals of the pump script pass.
+ * @param {number} [count=1] The number of scans.
+ */
+function scan(count = 1) {
+  sim.advance(count * script.CONFIG.scanInterval * 1000);
+}
+
+/**
+ * @returns {boolean} Whether the pump switch is on.
+ */
+function pumpOn() {
+  return sim.getStatus('switch', 0).output;
+}
+
+/**
+ * @returns {object} The disinfection state, see the HTTP endpoint of the disinfection script.
+ */
+function state() {
+  return legionella.httpRequest('status').json();
+}
+
+/**
+ * @param {string} text The text to look for.
+ * @returns {boolean} Whether a script printed a message containing the text.
+ */
+function printed(text) {
+  return sim.prints.some(m => m.includes(text));
+}
+
+beforeEach(() => {
+  sim = null;
+  script = null;
+  legionella = null;
+});
+
+test('a thermal disinfection cycle should run when due', () => {
+  startScripts({ tank: 64, legionellaConfig: { startHour: 12 } });
+  scan();
+  assertTrue(state().active, 'Cycle should start at the start hour');
+  assertTrue(pumpOn(), 'Pump should heat above maxWaterTemp');
+  assertEquals(71, script.getStatus().heatTemperature, 'Should ask the pump script to heat slightly above the temperature');
+
+  sim.setTemperature(TANK, 70);
+  scan();
+  assertTrue(pumpOn(), 'Pump should keep running at the disinfection temperature');
+
+  sim.setTemperature(TANK, 70.5);
+  sim.advance(legionella.script.CONFIG.holdTime * 1000);
+  scan();
+  assertEquals(false, state().active, 'Cycle should be finished');
+  assertEquals('success', state().lastResult, 'Cycle should be recorded as successful');
+  assertEquals(false, pumpOn(), 'Pump should stop at the normal maxWaterTemp');
+  assertEquals(null, script.getStatus().heatTemperature, 'Should end the heating above maxWaterTemp');
+  assertTrue(printed('Thermal disinfection completed'), 'Should report the success');
+  assertDeepEquals({ lastDay: MONDAY, lastResult: 'success' }, JSON.parse(sim.getKvs(KVS_STATE_KEY)), 'Result should be persisted');
+  assertEquals(false, printed('Alert tank'), 'The hot tank should not be alerted');
+
+  // The next cycle is only due after intervalDays.
+  sim.advance(86400 * 1000);
+  sim.setTemperature(TANK, 60);
+  sim.setTemperature(SOURCE, 70);
+  scan();
+  assertEquals(false, state().active, 'No cycle should start the next day');
+});
+
+test('a disinfection cycle that cannot reach the temperature should be flagged', () => {
+  startScripts({ source: 64, legionellaConfig: { startHour: 12 } });
+  scan();
+  assertTrue(state().active, 'Cycle should start');
+
+  sim.advance(legionella.script.CONFIG.maxDuration * 1000);
+  sim.setTemperature(TANK, 60.5);
+  sim.setTemperature(SOURCE, 64.5);
+  scan();
+
+  assertEquals(false, state().active, 'Cycle should be finished');
+  assertEquals('failed', state().lastResult, 'Cycle should be recorded as failed');
+  assertTrue(printed('Thermal disinfection failed'), 'Should report the failure');
+  assertTrue(legionella.script.scriptStatus.lastError.startsWith('Thermal disinfection failed'), 'Should keep the error');
+});
+
+test('a disinfection cycle should wait for the start hour and the interval', () => {
+  startScripts({ legionellaConfig: { startHour: 13 } });
+  scan();
+  assertEquals(false, state().active, 'Cycle should wait for the start hour');
+
+  // The day and the result are stored by the pump script of earlier versions under the same key.
+  startScripts({ tank: 66, state: { lastDay: MONDAY - 1, lastResult: 'failed' } });
+  sim.advance(3600 * 1000);
+  assertDeepEquals({ active: false, holding: false, lastDay: MONDAY - 1, lastResult: 'failed', lastError: '' }, state(), 'Should restore the last cycle');
+  assertEquals(false, pumpOn(), 'Pump should keep to maxWaterTemp');
+});
+
+test('a running cycle should ask a restarted pump script to heat again', () => {
+  startScripts({ tank: 64, legionellaConfig: { startHour: 12 } });
+  scan();
+  assertEquals(71, script.getStatus().heatTemperature, 'Should ask for the temperature');
+
+  // As after a restart of the pump script.
+  script.heatRequest.temperature = null;
+  script.heatRequest.until = null;
+  scan(2);
+  assertEquals(71, script.getStatus().heatTemperature, 'Should ask again');
+  assertTrue(script.heatRequest.until - script.uptime() <= legionella.script.CONFIG.maxDuration, 'Should ask for the rest of the cycle');
+});
+
+test('the disinfection script should check its configuration', () => {
+  startScripts({ legionellaConfig: { temperature: 50, holdTime: 3600, maxDuration: 1800 } });
+  assertTrue(printed('Ignoring the unreadable configuration in KVS: temperature must be a number from 55 to 95.'), 'Should report the range');
+  assertEquals(70, legionella.script.CONFIG.temperature, 'Should use the defaults');
+
+  assertDeepEquals(['holdTime (3600) must be shorter than maxDuration (1800).'],
+    legionella.script.validateConfig({ holdTime: 3600, maxDuration: 1800 }), 'Should check the relation');
+  assertDeepEquals(['intervalDays must be a whole number from 1 to 90.', 'colour: unknown setting.'],
+    legionella.script.validateConfig({ intervalDays: 1.5, colour: 'red' }), 'Should report every problem');
+});
+
+run('indirect_heating_legionella.shelly.js');
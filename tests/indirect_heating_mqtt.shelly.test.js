@@ -0,0 +1,247 @@
+/**
+ * @file Test suite for indirect_heating_mqtt.shelly.js
+ *
+ * The bridge runs unmodified next to indirect_heating_tank_pump.shelly.js in the simulated Shelly
+ * runtime from tools/lib/shelly_simulator.js, with its virtual MQTT broker.
+ * Run it with `node indirect_heating_mqtt.shelly.test.js` or tests/run_tests.sh.
+ */
+
+const path = require('path');
+const { createSimulator } = require('../tools/lib/shelly_simulator');
+const { test, beforeEach, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
+
+const PUMP_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_tank_pump.shelly.js');
+const BRIDGE_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_mqtt.shelly.js');
+const KVS_CONFIG_KEY = 'indirect_heating_config';
+const KVS_BRIDGE_CONFIG_KEY = 'indirect_heating_mqtt_config';
+
+// The default MQTT base topic on the simulated device.
+const MQTT_BASE = 'shellyplus1pm-simulator/indirect_heating';
+
+// The sensor IDs of the default configuration.
+const TANK = 100;
+const SOURCE = 101;
+
+let sim;
+let script;
+
+/**
+ * @description Starts the pump script and the bridge in a fresh simulator with a tank at 40 °C, a
+ * heating source at 48 °C and the pump off, and lets a scan pass, so the bridge received the state.
+ * @param {object} [options]
+ * @param {object} [options.config] The configuration of the pump script stored in KVS.
+ * @param {object|string} [options.bridgeConfig] The configuration of the bridge stored in KVS.
+ * @param {boolean} [options.bridge=true] Whether to start the bridge.
+ */
+function startScripts(options = {}) {
+  sim = createSimulator();
+  sim.setSwitch(0, false);
+  sim.setTemperature(TANK, 40);
+  sim.setTemperature(SOURCE, 48);
+  if (options.config !== undefined) {
+    sim.setConfig(KVS_CONFIG_KEY, options.config);
+  }
+  if (options.bridgeConfig !== undefined) {
+    sim.setKvs(KVS_BRIDGE_CONFIG_KEY, options.bridgeConfig);
+  }
+  sim.loadScript(PUMP_SCRIPT_PATH);
+  script = sim.script;
+  script.DEFAULT_CONFIG.debuggingOn = true;
+  if (options.bridge !== false) {
+    sim.loadScript(BRIDGE_SCRIPT_PATH);
+  }
+  sim.flush();
+  scan();
+}
+
+/**
+ * @description Lets the given number of scan intervals pass.
+ * @param {number} [count=1] The number of scans.
+ */
+function scan(count = 1) {
+  sim.advance(count * script.CONFIG.scanInterval * 1000);
+}
+
+/**
+ * @description Sends a message to the bridge and lets the pump script carry out the command.
+ * @param {string} topic The topic below the base topic, e.g. "mode/set".
+ * @param {string|object} message The payload, objects are sent as JSON.
+ * @param {string} [base=MQTT_BASE] The base topic.
+ * @returns {number} The number of subscriptions it reached.
+ */
+function send(topic, message, base = MQTT_BASE) {
+  const delivered = sim.mqttMessage(base + '/' + topic, message);
+  sim.flush();
+  return delivered;
+}
+
+/**
+ * @returns {object} The last retained state the bridge published.
+ */
+function mqttState() {
+  return JSON.parse(sim.getRetained(MQTT_BASE + '/state'));
+}
+
+/**
+ * @param {string} text The text to look for.
+ * @returns {boolean} Whether a script printed a message containing the text.
+ */
+function printed(text) {
+  return sim.prints.some(m => m.includes(text));
+}
+
+beforeEach(() => {
+  sim = null;
+  script = null;
+});
+
+test('the pump script alone should not use MQTT', () => {
+  startScripts({ bridge: false });
+
+  assertEquals(0, sim.published.length, 'Nothing should be published');
+  assertEquals(0, sim.mqttSubscriptions().length, 'Nothing should be subscribed');
+});
+
+test('the bridge should publish the state and the Home Assistant discovery', () => {
+  startScripts();
+
+  const state = mqttState();
+  assertEquals(40, state.hotWaterTemperature, 'Should publish the tank temperature');
+  assertEquals(48, state.heatingSourceTemperature, 'Should publish the source temperature');
+  assertTrue(state.pumpRunning, 'Should publish the pump state');
+  assertEquals('auto', state.mode, 'Should publish the mode');
+  assertEquals(false, state.failSafeActive, 'Should publish the fault status');
+  assertEquals(undefined, state.config, 'Should not publish the configuration');
+
+  const tank = JSON.parse(sim.getRetained('homeassistant/sensor/shellyplus1pm-simulator/tank_temperature/config'));
+  assertEquals(MQTT_BASE + '/state', tank.state_topic, 'Discovery should point to the state topic');
+  assertEquals('temperature', tank.device_class, 'Should announce a temperature');
+  assertEquals('shellyplus1pm-simulator/online', tank.availability_topic, 'Should use the device availability');
+  const mode = JSON.parse(sim.getRetained('homeassistant/select/shellyplus1pm-simulator/mode/config'));
+  assertEquals(MQTT_BASE + '/mode/set', mode.command_topic, 'The mode should be selectable');
+  assertDeepEquals(['auto', 'on', 'off', 'boost'], mode.options, 'Should offer the modes that need no end date');
+  const fault = JSON.parse(sim.getRetained('homeassistant/binary_sensor/shellyplus1pm-simulator/fault/config'));
+  assertEquals("{{ 'ON' if value_json.failSafeActive or value_json.pumpFault else 'OFF' }}", fault.value_template, 'Should announce sensor and pump faults');
+  assertEquals(undefined, sim.getRetained('homeassistant/sensor/shellyplus1pm-simulator/tank_top_temperature/config'), 'Should not announce a missing probe');
+
+  sim.setTemperature(TANK, 41);
+  scan();
+  assertEquals(41, mqttState().hotWaterTemperature, 'Should publish the state on every scan');
+});
+
+test('the bridge should announce the loops and probes again when they change', () => {
+  startScripts();
+  sim.setSwitch(1, false);
+  sim.setTemperature(102, 45);
+
+  send('config/set', { tankTopTemperatureID: 102, loops: [{ name: 'solar', switchID: 0 }, { name: 'boiler', switchID: 1 }] });
+  scan();
+  assertTrue(sim.getRetained('homeassistant/sensor/shellyplus1pm-simulator/tank_top_temperature/config') !== undefined, 'Should announce the new probe');
+  const pump = JSON.parse(sim.getRetained('homeassistant/binary_sensor/shellyplus1pm-simulator/pump_1/config'));
+  assertEquals('Pump boiler', pump.name, 'Should announce the pump of every loop');
+  assertEquals(2, mqttState().loops.length, 'Should publish the loops');
+});
+
+test('mode commands should force the pump and resume automatic control', () => {
+  startScripts();
+
+  assertEquals(1, send('mode/set', 'off'), 'Should be subscribed to the mode topic');
+  assertEquals(false, sim.getStatus('switch', 0).output, 'Pump should be forced off');
+  assertEquals('off', mqttState().mode, 'Should publish the new mode');
+  assertEquals(60 * 60, mqttState().modeRemaining, 'A plain mode should last an hour');
+  assertTrue(printed('over MQTT'), 'Should log where the command came from');
+
+  send('mode/set', { mode: 'on', minutes: 5 });
+  assertTrue(sim.getStatus('switch', 0).output, 'Pump should be forced on');
+  assertEquals(5 * 60, mqttState().modeRemaining, 'Should use the given minutes');
+
+  send('mode/set', 'party');
+  assertTrue(mqttState().lastError.includes("Unknown action 'party'"), 'Should report an unknown mode');
+
+  send('mode/set', '{"mode": ');
+  assertTrue(printed('MQTT mode command is not valid JSON'), 'Should report a message that is not JSON');
+
+  send('mode/set', 'auto');
+  assertEquals('auto', mqttState().mode, 'Should resume automatic control');
+});
+
+test('config commands should update the configuration in KVS', () => {
+  startScripts({ config: { maxWaterTemp: 60, manualSwitchMinutes: 30 } });
+
+  send('config/set', { maxWaterTemp: 55, waterPumpHysteresis: 10 });
+  assertEquals(55, script.CONFIG.maxWaterTemp, 'Should apply the override');
+  assertEquals(10, script.CONFIG.waterPumpHysteresis, 'Should apply every setting');
+  const stored = JSON.parse(sim.getKvs(KVS_CONFIG_KEY));
+  assertEquals(30, stored.manualSwitchMinutes, 'Should keep the other stored settings');
+  assertEquals(55, stored.maxWaterTemp, 'Should store the override');
+
+  send('config/set', { maxWaterTemp: null });
+  assertEquals(script.DEFAULT_CONFIG.maxWaterTemp, script.CONFIG.maxWaterTemp, 'null should restore the default');
+
+  send('config/set', { waterPumpStopDifference: 12 });
+  assertEquals(script.DEFAULT_CONFIG.waterPumpStopDifference, script.CONFIG.waterPumpStopDifference, 'Should reject an invalid override');
+  assertTrue(printed('Configuration override over MQTT rejected'), 'Should report the rejection');
+  assertTrue(mqttState().lastError.includes('waterPumpStopDifference (12) must be lower'), 'Should publish the reason');
+
+  send('config/set', '[1, 2]');
+  assertTrue(printed('MQTT config command must be a JSON object.'), 'Should reject a message that is not an object');
+});
+
+test('a config command longer than a KVS value should be stored over several keys', () => {
+  startScripts();
+  sim.setSwitch(1, false);
+  sim.setTemperature(102, 40);
+
+  // The examples of the loops and schedule settings.
+  const loops = [
+    { name: 'solar', switchID: 0, heatingSourceTemperatureID: 101, maxWaterTemp: 80 },
+    { name: 'boiler', switchID: 1, heatingSourceTemperatureID: 102, backupFor: 'solar' },
+  ];
+  const schedule = [{ days: ['sat', 'sun'], from: '22:00', to: '07:00', pump: 'block' }];
+  send('config/set', { loops, schedule });
+  assertEquals(false, printed('Error saving the configuration override'), 'Should store the configuration');
+  assertDeepEquals(['solar', 'boiler'], script.loops.map(loop => loop.name), 'Should apply both loops');
+  assertDeepEquals(schedule, script.CONFIG.schedule, 'Should apply the schedule');
+  assertTrue(sim.getKvs(KVS_CONFIG_KEY + '_1') !== undefined, 'Should continue under a second key');
+
+  send('config/set', { maxWaterTemp: 55 });
+  assertDeepEquals(loops, script.CONFIG.loops, 'Should keep the loops of every key');
+  assertEquals(55, script.CONFIG.maxWaterTemp, 'Should apply the override');
+
+  send('config/set', { loops: null, schedule: null });
+  assertEquals(1, script.loops.length, 'Should return to a single loop');
+  assertDeepEquals({ maxWaterTemp: 55 }, JSON.parse(sim.getKvs(KVS_CONFIG_KEY)), 'Should store the rest under the first key');
+  assertEquals(undefined, sim.getKvs(KVS_CONFIG_KEY + '_1'), 'Should delete the keys no longer needed');
+
+  send('config/set', { loops: [Object.assign({}, loops[0], { name: 'x'.repeat(200) })] });
+  assertTrue(printed('loops[0] does not fit into a KVS value of 253 bytes.'), 'Should reject a loop too long to store');
+});
+
+test('the bridge should use its configured topic and republish after reconnecting', () => {
+  startScripts({ bridgeConfig: { topic: 'home/tank', discoveryPrefix: 'ha' } });
+
+  assertDeepEquals(['home/tank/mode/set', 'home/tank/config/set'], sim.mqttSubscriptions(), 'Should subscribe to the configured topic');
+  assertTrue(sim.getRetained('home/tank/state') !== undefined, 'Should publish to the configured topic');
+  assertTrue(sim.getRetained('ha/sensor/shellyplus1pm-simulator/tank_temperature/config') !== undefined, 'Should use the discovery prefix');
+  send('mode/set', 'off', 'home/tank');
+  assertEquals('off', script.operatingMode.mode, 'Should pass on the commands of the configured topic');
+
+  sim.setMqttConnected(false);
+  sim.published = [];
+  scan();
+  assertEquals(0, sim.published.length, 'Should not publish while disconnected');
+
+  sim.setMqttConnected(true);
+  assertTrue(sim.published.some(m => m.topic.startsWith('ha/') && m.retain), 'Should repeat the discovery');
+  assertTrue(sim.published.some(m => m.topic === 'home/tank/state'), 'Should repeat the state');
+});
+
+test('the bridge should ignore an invalid configuration', () => {
+  startScripts({ bridgeConfig: { topic: 'home/#', discoveryPrefix: '' } });
+
+  assertTrue(printed('topic must not contain the wildcards + or #.'), 'Should report the problem');
+  assertTrue(sim.mqttSubscriptions().includes(MQTT_BASE + '/mode/set'), 'Should keep the default topic');
+  assertTrue(sim.getRetained('homeassistant/select/shellyplus1pm-simulator/mode/config') !== undefined, 'Should keep the default discovery prefix');
+});
+
+run('indirect_heating_mqtt.shelly.js');
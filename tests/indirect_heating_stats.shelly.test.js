@@ -0,0 +1,178 @@
+/**
+ * @file Test suite for indirect_heating_stats.shelly.js
+ *
+ * The script runs unmodified next to indirect_heating_tank_pump.shelly.js in the simulated Shelly
+ * runtime from tools/lib/shelly_simulator.js, with a Plus 1PM switch that measures the energy.
+ * Run it with `node indirect_heating_stats.shelly.test.js` or tests/run_tests.sh.
+ */
+
+const path = require('path');
+const { createSimulator } = require('../tools/lib/shelly_simulator');
+const { test, beforeEach, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
+
+const PUMP_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_tank_pump.shelly.js');
+const STATS_SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_stats.shelly.js');
+const KVS_CONFIG_KEY = 'indirect_heating_config';
+const KVS_STATS_CONFIG_KEY = 'indirect_heating_stats_config';
+const KVS_STATS_KEY = 'indirect_heating_stats';
+
+// The local day number of the simulator's default date, Monday 2024-06-03 12:00 local time.
+const MONDAY = 19877;
+
+// The sensor IDs of the default configuration, and of the heating source of a second loop.
+const TANK = 100;
+const SOURCE = 101;
+const BOILER = 102;
+
+let sim;
+let script;
+let stats;
+
+/**
+ * @description Starts the pump script and the statistics script in a fresh simulator with the pump off.
+ * @param {object} [options]
+ * @param {number} [options.tank=40] The tank temperature.
+ * @param {number} [options.source=60] The heating source temperature.
+ * @param {object} [options.config] The configuration of the pump script stored in KVS.
+ * @param {object} [options.statsConfig] The configuration of the statistics script stored in KVS.
+ * @param {object} [options.kvs] Other KVS entries.
+ * @param {number} [options.switches=1] The number of switches, 2 for a Plus 2PM.
+ */
+function startScripts(options = {}) {
+  sim = createSimulator();
+  for (let id = 0; id < (options.switches || 1); id++) {
+    sim.setSwitch(id, false);
+  }
+  sim.setTemperature(TANK, options.tank !== undefined ? options.tank : 40);
+  sim.setTemperature(SOURCE, options.source !== undefined ? options.source : 60);
+  sim.setTemperature(BOILER, 60);
+  if (options.config !== undefined) {
+    sim.setConfig(KVS_CONFIG_KEY, options.config);
+  }
+  if (options.statsConfig !== undefined) {
+    sim.setKvs(KVS_STATS_CONFIG_KEY, options.statsConfig);
+  }
+  Object.keys(options.kvs || {}).forEach((key) => sim.setKvs(key, options.kvs[key]));
+  sim.loadScript(PUMP_SCRIPT_PATH);
+  script = sim.script;
+  script.DEFAULT_CONFIG.debuggingOn = true;
+  stats = sim.loadScript(STATS_SCRIPT_PATH);
+  sim.flush();
+}
+
+/**
+ * @description Lets the given number of scan intervals of the pump script pass.
+ * @param {number} [count=1] The number of scans.
+ */
+function scan(count = 1) {
+  sim.advance(count * script.CONFIG.scanInterval * 1000);
+}
+
+/**
+ * @returns {object} The statistics records by name, see the HTTP endpoint of the statistics script.
+ */
+function statistics() {
+  return stats.httpRequest('status').json().statistics;
+}
+
+/**
+ * @param {string} text The text to look for.
+ * @returns {boolean} Whether a script printed a message containing the text.
+ */
+function printed(text) {
+  return sim.prints.some(m => m.includes(text));
+}
+
+beforeEach(() => {
+  sim = null;
+  script = null;
+  stats = null;
+});
+
+test('statistics should count runtime, starts, energy and time above maxWaterTemp', () => {
+  startScripts({ tank: 60, source: 80 });
+  sim.setSwitch(0, { aenergy: { total: 1000 } });
+  assertTrue(sim.getStatus('switch', 0).output, 'Pump should be started');
+
+  scan(10);
+  sim.setSwitch(0, { aenergy: { total: 1004.5 } });
+  sim.setTemperature(TANK, 66);
+  sim.flush();
+  assertEquals(false, sim.getStatus('switch', 0).output, 'Pump should be stopped at max temp');
+  scan(2);
+
+  const records = statistics();
+  assertEquals(10 * script.CONFIG.scanInterval, records.total.runtime, 'Should count the runtime until the stop');
+  assertEquals(1, records.total.starts, 'Should count the start');
+  assertEquals(4.5, records.total.energy, 'Should count the energy measured by the switch');
+  assertEquals(2 * script.CONFIG.scanInterval, records.total.aboveMax, 'Should count the time above maxWaterTemp');
+  assertEquals(MONDAY, records.today.start, 'Should start the daily record today');
+  assertEquals(MONDAY, records.thisWeek.start, 'Weeks should start on Monday');
+  assertEquals(records.total.runtime, records.today.runtime, 'Should count the runtime for today');
+  assertEquals(records.total.starts, records.thisWeek.starts, 'Should count the starts for the week');
+});
+
+test('statistics should add up the pumps of several loops', () => {
+  const loops = [{ name: 'solar', switchID: 0 }, { name: 'boiler', switchID: 1, heatingSourceTemperatureID: BOILER }];
+  startScripts({ switches: 2, config: { loops } });
+  assertTrue(sim.getStatus('switch', 0).output && sim.getStatus('switch', 1).output, 'Both pumps should run');
+
+  scan(5);
+  script.setMode('off', { minutes: 10, loop: 'boiler' }, 'from the test');
+  scan(5);
+  script.setMode('auto', {}, 'from the test');
+  sim.flush();
+
+  const records = statistics();
+  assertEquals(15 * script.CONFIG.scanInterval, records.total.runtime, 'Should add up the runtime of both pumps');
+  assertEquals(3, records.total.starts, 'Should count the starts of both pumps');
+});
+
+test('statistics should move on to a new day and keep the previous one', () => {
+  // A long scan interval keeps the day short to simulate.
+  startScripts({ config: { scanInterval: 600 } });
+  assertTrue(sim.getStatus('switch', 0).output, 'Pump should be started');
+
+  // 12:00 local time, so the day ends after 12 hours.
+  sim.advance(13 * 3600 * 1000);
+  const records = statistics();
+  assertEquals(MONDAY, records.yesterday.start, 'Yesterday should be Monday');
+  assertEquals(MONDAY + 1, records.today.start, 'Today should be Tuesday');
+  assertEquals(12 * 3600, records.yesterday.runtime, 'Monday should have the runtime until midnight');
+  assertEquals(3600, records.today.runtime, 'Tuesday should have the runtime since midnight');
+  assertEquals(13 * 3600, records.thisWeek.runtime, 'The week should have the whole runtime');
+  assertEquals(0, records.today.starts, 'Starts should be counted on the day they happen');
+});
+
+test('statistics should be stored in KVS periodically and restored on start', () => {
+  startScripts();
+  sim.advance(stats.script.CONFIG.saveInterval * 1000);
+  sim.flush();
+
+  const saved = JSON.parse(sim.getKvs(KVS_STATS_KEY));
+  assertEquals(5, saved.length, 'Should store all records');
+  assertEquals(MONDAY, saved[0][0], 'Should store the start of the totals');
+  assertEquals(stats.script.CONFIG.saveInterval, saved[0][1], 'Should store the runtime up to the save');
+
+  const stored = [[19800, 36000, 120, 600, 1500], [MONDAY, 3600, 4, 0, 50], [MONDAY - 1, 0, 0, 0, 0], [MONDAY, 3600, 4, 0, 50], [MONDAY - 7, 7200, 20, 0, 100]];
+  startScripts({ source: 40, statsConfig: { saveInterval: 3600 }, kvs: { [KVS_STATS_KEY]: stored } });
+  const records = statistics();
+  assertEquals(36000, records.total.runtime, 'Should restore the total runtime');
+  assertEquals(120, records.total.starts, 'Should restore the total starts');
+  assertEquals(50, records.today.energy, 'Should restore the daily energy');
+  assertEquals(7200, records.lastWeek.runtime, 'Should restore the previous week');
+  sim.advance(900 * 1000);
+  assertEquals(JSON.stringify(stored), sim.getKvs(KVS_STATS_KEY), 'Should follow saveInterval');
+});
+
+test('the statistics script should ignore unreadable statistics and an invalid configuration', () => {
+  startScripts({ statsConfig: { saveInterval: -1, colour: 'red' }, kvs: { [KVS_STATS_KEY]: { runtime: 10 } } });
+
+  assertTrue(printed('Ignoring the unreadable configuration in KVS: saveInterval must be a number from 0 to 86400. colour: unknown setting.'), 'Should report the configuration');
+  assertTrue(printed('Ignoring the unreadable statistics in KVS: expected 5 records'), 'Should report the value');
+  assertEquals(0, statistics().total.runtime, 'Should start from zero');
+  assertEquals(900, stats.script.CONFIG.saveInterval, 'Should use the defaults');
+  assertDeepEquals({ error: "Unknown action 'reset', there are none." }, stats.httpRequest('status', 'action=reset').json(), 'Should reject actions');
+});
+
+run('indirect_heating_stats.shelly.js');
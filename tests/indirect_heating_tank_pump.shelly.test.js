@@ -1,399 +1,1486 @@
 /**
  * @file Test suite for indirect_heating_tank_pump.shelly.js
  *
- * To run these tests, you would typically use a JavaScript testing framework
- * in a Node.js environment. For simplicity, this file can be run as-is
- * and will print test results to the console. It includes mocks for the
- * Shelly-specific APIs.
+ * The script runs unmodified in the simulated Shelly runtime from tools/lib/shelly_simulator.js,
+ * with a Plus 1PM switch and the Plus Add-on thermometers as virtual components.
+ * Run it with `node indirect_heating_tank_pump.shelly.test.js` or tests/run_tests.sh.
  */
 
-// --- Mocks for Shelly Environment ---
-
-// This object will hold the mock state and spies.
-const mockState = {
-  switchStatus: { output: false },
-  temperatures: {},
-  kvs: {},
-  shellyCallLog: [],
-  printLog: [],
-  timer: null,
-};
+const path = require('path');
+const { createSimulator } = require('../tools/lib/shelly_simulator');
+const { test, beforeEach, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
 
-// Mock implementation of the global 'Shelly' object.
-const Shelly = {
-  getComponentStatus: function (component, id) {
-    if (component === 'Switch' && id === 0) {
-      return mockState.switchStatus;
-    }
-    if (component === 'Temperature') {
-      if (mockState.temperatures[id]) {
-        return mockState.temperatures[id];
-      }
-      throw new Error('Mock Error: Temperature sensor with id ' + id + ' not found.');
-    }
-    return {};
-  },
-  call: function (method, params, callback) {
-    mockState.shellyCallLog.push({ method, params });
-    if (method === 'KVS.Get' && params.key === KVS_CONFIG_KEY) {
-      const value = mockState.kvs[params.key] || null;
-      // The KVS.Get in init() is async, so we simulate that with a timeout.
-      if (callback) setTimeout(() => callback({ value: value }, 0, null), 0);
-    } else if (method === 'Switch.Set') {
-      mockState.switchStatus.output = params.on;
-      // For synchronous tests, we execute the callback immediately.
-      if (callback) callback({ was_on: !params.on }, 0, null); // This is already synchronous
-    }
-  },
-};
+const SCRIPT_PATH = path.join(__dirname, '../scripts', 'indirect_heating_tank_pump.shelly.js');
+const KVS_CONFIG_KEY = 'indirect_heating_config';
+const KVS_MODE_KEY = 'indirect_heating_mode';
+const KVS_PUMP_KEY = 'indirect_heating_pump';
+const KVS_LOG_KEY = 'indirect_heating_log';
 
-// Mock implementation of the global 'Timer' object.
-const Timer = {
-  set: function (timeout, repeat, callback) {
-    mockState.timer = { timeout, repeat, callback };
-    return 1; // Return a dummy timer ID.
-  },
-  clear: function() {
-    mockState.timer = null;
-  }
-};
+// The local day number of the simulator's default date, Monday 2024-06-03 12:00 local time.
+const MONDAY = 19877;
+// The simulator's default unixtime.
+const START_TIME = 1717408800;
 
-// Mock implementation of the global 'print' function.
-global.print = function (message) {
-  mockState.printLog.push(message);
-  // console.log("PRINT: " + message); // Uncomment for debugging tests
-};
+/**
+ * @param {number} hours The local time on the simulator's default Monday, e.g. 21.5 for 21:30.
+ * @returns {number} The unixtime.
+ */
+function mondayAt(hours) {
+  return START_TIME + Math.round((hours - 12) * 3600);
+}
 
-// --- Test Runner Setup ---
+// The sensor IDs of the default configuration.
+const TANK = 100;
+const SOURCE = 101;
+// Further Add-on thermometers for the multi-sensor tests.
+const TANK_2 = 102;
+const TANK_3 = 103;
 
-let tests = [];
-let currentTestName = '';
+let sim;
+let script;
+let DEFAULT_CONFIG;
 
 /**
- * @description Defines a new test case and adds it to the test suite.
- * @param {string} name The name of the test.
- * @param {function} fn The function that contains the test logic and assertions.
+ * @description Starts the script in a fresh simulator and lets its initialization finish.
+ * Detailed logging is enabled in the defaults, so every decision can be checked.
+ * @param {object} [options]
+ * @param {number|null} [options.tank] The tank temperature, omit for a missing sensor.
+ * @param {number|null} [options.source] The heating source temperature, omit for a missing sensor.
+ * @param {object} [options.sensors] Temperatures of further thermometers by ID.
+ * @param {boolean} [options.pumpRunning=false] The switch output at the start.
+ * @param {number} [options.switches=1] The number of switches, 2 for a Plus 2PM. The others start off.
+ * @param {object|string} [options.config] The configuration stored in KVS.
+ * @param {object} [options.kvs] Other KVS entries.
+ * @param {object} [options.simulator] Options for createSimulator().
  */
-function test(name, fn) {
-  tests.push({ name, fn });
-};
+function startScript(options = {}) {
+  sim = createSimulator(options.simulator);
+  sim.setSwitch(0, options.pumpRunning === true);
+  for (let id = 1; id < (options.switches || 1); id++) {
+    sim.setSwitch(id, false);
+  }
+  if (options.tank !== undefined) {
+    sim.setTemperature(TANK, options.tank);
+  }
+  if (options.source !== undefined) {
+    sim.setTemperature(SOURCE, options.source);
+  }
+  Object.keys(options.sensors || {}).forEach((id) => sim.setTemperature(Number(id), options.sensors[id]));
+  if (options.config !== undefined) {
+    sim.setConfig(KVS_CONFIG_KEY, options.config);
+  }
+  Object.keys(options.kvs || {}).forEach((key) => sim.setKvs(key, options.kvs[key]));
+
+  sim.loadScript(SCRIPT_PATH);
+  script = sim.script;
+  DEFAULT_CONFIG = script.DEFAULT_CONFIG;
+  DEFAULT_CONFIG.debuggingOn = true;
+  sim.flush();
+}
 
-let beforeEachFn = () => {};
 /**
- * @description Defines a function to run before each test.
- * @param {function} fn The setup function.
+ * @description Lets the given number of scan intervals pass.
+ * @param {number} [count=1] The number of scans.
  */
-function beforeEach(fn) {
-  beforeEachFn = fn;
+function scan(count = 1) {
+  sim.advance(count * script.CONFIG.scanInterval * 1000);
 }
 
 /**
- * @description Assertion helper that checks for strict equality.
- * Throws an error if the actual value is not strictly equal to the expected value.
- * @param {*} expected The expected value.
- * @param {*} actual The actual value to check.
- * @param {string} message The message to display if the assertion fails.
+ * @param {number} [id=0] The switch ID.
+ * @returns {boolean} Whether the pump switch is on.
  */
-function assertEquals(expected, actual, message) {
-  if (expected !== actual) {
-    throw new Error(`'${currentTestName}' failed: ${message}. Expected '${expected}', but got '${actual}'.`);
-  }
+function pumpOn(id = 0) {
+  return sim.getStatus('switch', id).output;
 }
 
 /**
- * @description Assertion helper that checks if a value is true.
- * Throws an error if the actual value is not strictly true.
- * @param {boolean} actual The value to check.
- * @param {string} message The message to display if the assertion fails.
+ * @param {string} text The text to look for.
+ * @returns {boolean} Whether the script printed a message containing the text.
  */
-function assertTrue(actual, message) {
-  assertEquals(true, actual, message);
+function printed(text) {
+  return sim.prints.some(m => m.includes(text));
 }
 
 /**
- * @description A simple synchronous test runner.
- * It iterates through all registered tests, executes them, and reports the results.
- * It resets the mock state before each test.
- * Note: This runner does not handle asynchronous tests.
+ * @returns {object} The excerpt of the log saveLog() stored in KVS, with the entries of all its values.
  */
-function runTests() {
-  console.log("Running tests...");
-  const failedTests = [];
-  tests.forEach(t => {
-    currentTestName = t.name;
-    // Reset mock state before each test
-    mockState.switchStatus = { output: false };
-    mockState.temperatures = {};
-    mockState.kvs = {};
-    mockState.shellyCallLog = [];
-    mockState.printLog = [];
-    mockState.timer = null;
-    try {
-      t.fn();
-      console.log(`✅ ${t.name}`);
-    } catch (e) {
-      failedTests.push({ name: t.name, error: e.message });
-      console.error(`❌ ${t.name}`);
-      console.error(e);
-    }
-  });
-
-  if (failedTests.length > 0) {
-    console.error(`\n${failedTests.length} test(s) failed.`);
-    process.exit(1);
-  } else {
-    console.log("\nAll tests passed!");
-    process.exit(0);
+function savedLog() {
+  const saved = JSON.parse(sim.getKvs(KVS_LOG_KEY));
+  for (let i = 1; i < saved.parts; i++) {
+    saved.entries = saved.entries.concat(JSON.parse(sim.getKvs(`${KVS_LOG_KEY}_${i}`)));
   }
+  return saved;
 }
 
-// --- Loading The Script Under Test ---
-
-// To test the script, we need to load its content. In a real test environment (like Jest),
-// you would import it. Here, we'll use Node.js's 'fs' module to read it.
-const fs = require('fs');
-const path = require('path');
-
-// We need to trick the script into thinking it's in the Shelly environment.
-// We can do this by wrapping its content in a function and calling it.
-const scriptContent = fs.readFileSync(path.join(__dirname, '../scripts', 'indirect_heating_tank_pump.shelly.js'), 'utf8');
-
-// This is a bit of a hack to make the script testable. It replaces the final `init()` call
-// with an export so we can call it from our tests.
-const scriptToEvaluate = scriptContent.replace('init(); // Start the initialization process.', 'module.exports = { init, checkAndAdjust, startWaterPump, stopWaterPump, waterPumpRunning, debugLog, DEFAULT_CONFIG, KVS_CONFIG_KEY, getCONFIG: () => CONFIG, setCONFIG: (c) => { CONFIG = c; } };');
-
-// By using 'eval', we execute the script in the current scope where our mocks are defined.
-// Caution: 'eval' can be dangerous if used with untrusted code.
-const { init, checkAndAdjust, startWaterPump, stopWaterPump, waterPumpRunning, debugLog, DEFAULT_CONFIG, KVS_CONFIG_KEY, getCONFIG, setCONFIG } = eval(`(function(Shelly, Timer, module, global) { ${scriptToEvaluate}; return module.exports; })`)(Shelly, Timer, { exports: {} }, global);
-
-// Enable debugging for all tests by default.
-DEFAULT_CONFIG.debuggingOn = true;
-
 // --- Test Cases ---
 
 beforeEach(() => {
-  // This function will run before each test, resetting the state.
-  mockState.switchStatus = { output: false };
-  mockState.temperatures = {};
-  mockState.kvs = {};
-  mockState.shellyCallLog = [];
-  mockState.printLog = [];
-  mockState.timer = null;
+  sim = null;
+  script = null;
 });
 
 test('waterPumpRunning should return correct pump status', () => {
-  mockState.switchStatus.output = true;
-  assertTrue(waterPumpRunning(), 'Should return true when pump is on');
+  startScript();
+
+  sim.setSwitch(0, true);
+  assertTrue(script.waterPumpRunning(script.loops[0]), 'Should return true when pump is on');
 
-  mockState.switchStatus.output = false;
-  assertEquals(false, waterPumpRunning(), 'Should return false when pump is off');
+  sim.setSwitch(0, false);
+  assertEquals(false, script.waterPumpRunning(script.loops[0]), 'Should return false when pump is off');
 });
 
 test('startWaterPump should turn on the switch', () => {
-  mockState.switchStatus.output = false;
-  startWaterPump();
-  assertTrue(mockState.switchStatus.output, 'Switch output should be true');
-  assertEquals(1, mockState.shellyCallLog.length, 'Shelly.call should be invoked once');
-  assertEquals('Switch.Set', mockState.shellyCallLog[0].method, 'Should call Switch.Set');
-  assertTrue(mockState.shellyCallLog[0].params.on, 'Switch should be set to on');
+  startScript();
+  sim.calls = [];
+
+  script.startWaterPump(script.loops[0]);
+
+  assertTrue(pumpOn(), 'Switch output should be true');
+  assertEquals(1, sim.calls.length, 'Shelly.call should be invoked once');
+  assertEquals('Switch.Set', sim.calls[0].method, 'Should call Switch.Set');
+  assertTrue(sim.calls[0].params.on, 'Switch should be set to on');
 });
 
 test('stopWaterPump should turn off the switch', () => {
-  mockState.switchStatus.output = true;
-  stopWaterPump();
-  assertEquals(false, mockState.switchStatus.output, 'Switch output should be false');
-  assertEquals(1, mockState.shellyCallLog.length, 'Shelly.call should be invoked once');
-  assertEquals('Switch.Set', mockState.shellyCallLog[0].method, 'Should call Switch.Set');
-  assertEquals(false, mockState.shellyCallLog[0].params.on, 'Switch should be set to off');
-});
+  startScript();
+  sim.setSwitch(0, true);
+  sim.calls = [];
 
-test('checkAndAdjust should start pump when conditions are met', () => {
-  // Setup: Pump is off, heating source is hot enough.
-  mockState.switchStatus.output = false;
-  mockState.temperatures = {
-    [DEFAULT_CONFIG.hotWaterTemperatureID]: { tC: 40 },
-    [DEFAULT_CONFIG.heatingSourceTemperatureID]: { tC: 48 }, // 48 >= 40 + 7
-  };
+  script.stopWaterPump(script.loops[0]);
 
-  // Manually set the script's internal config for this synchronous test.
-  setCONFIG(DEFAULT_CONFIG);
+  assertEquals(false, pumpOn(), 'Switch output should be false');
+  assertEquals(1, sim.calls.length, 'Shelly.call should be invoked once');
+  assertEquals('Switch.Set', sim.calls[0].method, 'Should call Switch.Set');
+  assertEquals(false, sim.calls[0].params.on, 'Switch should be set to off');
+});
 
-  checkAndAdjust(DEFAULT_CONFIG);
+test('checkAndAdjust should start pump when conditions are met', () => {
+  // Pump is off, heating source is hot enough: 48 >= 40 + 7.
+  startScript({ tank: 40, source: 48 });
 
-  assertTrue(mockState.switchStatus.output, 'Pump should be started');
-  assertTrue(mockState.printLog.some(m => m.includes('Heating source is hot enough')), 'Should print starting message');
+  assertTrue(pumpOn(), 'Pump should be started');
+  assertTrue(printed('Heating source is hot enough'), 'Should print starting message');
 });
 
 test('checkAndAdjust should stop pump when max temp is reached', () => {
-  // Setup: Pump is on, tank temperature is at max.
-  mockState.switchStatus.output = true;
-  mockState.temperatures = {
-    [DEFAULT_CONFIG.hotWaterTemperatureID]: { tC: 65 }, // 65 >= 65
-    [DEFAULT_CONFIG.heatingSourceTemperatureID]: { tC: 80 },
-  };
+  startScript({ tank: 60, source: 80 });
+  assertTrue(pumpOn(), 'Pump should be started');
 
-  // Manually set the script's internal config for this synchronous test.
-  setCONFIG(DEFAULT_CONFIG);
+  // The tank reaches maxWaterTemp: 65 >= 65.
+  sim.setTemperature(TANK, 65);
+  scan();
 
-  checkAndAdjust(DEFAULT_CONFIG);
-
-  assertEquals(false, mockState.switchStatus.output, 'Pump should be stopped');
-  assertTrue(mockState.printLog.some(m => m.includes('maximum temperature')), 'Should print max temp message');
+  assertEquals(false, pumpOn(), 'Pump should be stopped');
+  assertTrue(printed('maximum temperature'), 'Should print max temp message');
 });
 
 test('checkAndAdjust should stop pump for efficiency', () => {
-  // Setup: Pump is on, temperature difference is too low.
-  mockState.switchStatus.output = true;
-  mockState.temperatures = {
-    [DEFAULT_CONFIG.hotWaterTemperatureID]: { tC: 50 },
-    [DEFAULT_CONFIG.heatingSourceTemperatureID]: { tC: 54 }, // 54 < 50 + 5
-  };
-
-  // Manually set the script's internal config for this synchronous test.
-  setCONFIG(DEFAULT_CONFIG);
+  startScript({ tank: 50, source: 60 });
+  assertTrue(pumpOn(), 'Pump should be started');
 
-  checkAndAdjust(DEFAULT_CONFIG);
+  // The temperature difference becomes too low: 54 < 50 + 5.
+  sim.setTemperature(SOURCE, 54);
+  sim.advance(DEFAULT_CONFIG.minPumpOnTime * 1000);
 
-  assertEquals(false, mockState.switchStatus.output, 'Pump should be stopped for efficiency');
-  assertTrue(mockState.printLog.some(m => m.includes('Temperature difference is too low')), 'Should print efficiency message');
+  assertEquals(false, pumpOn(), 'Pump should be stopped for efficiency');
+  assertTrue(printed('Temperature difference is too low'), 'Should print efficiency message');
 });
 
 test('checkAndAdjust should do nothing if conditions are not met', () => {
-  // Setup: Pump is off, heating source is not hot enough.
-  mockState.switchStatus.output = false;
-  mockState.temperatures = {
-    [DEFAULT_CONFIG.hotWaterTemperatureID]: { tC: 40 },
-    [DEFAULT_CONFIG.heatingSourceTemperatureID]: { tC: 45 }, // 45 < 40 + 7
-  };
-
-  // Manually set the script's internal config for this synchronous test.
-  setCONFIG(DEFAULT_CONFIG);
-
-  checkAndAdjust(DEFAULT_CONFIG);
-
-  assertEquals(false, mockState.switchStatus.output, 'Pump should remain off');
-  assertEquals(0, mockState.shellyCallLog.length, 'Shelly.call should not be invoked');
-});
-
-test('init should load default config if KVS is empty', (done) => {
-  // Clear the internal config for this async test so init() can set it.
-  setCONFIG({});
-
-  init();
-
-  // The init function is asynchronous because of Shelly.call.
-  // We need to wait for the callback to execute.
-  setTimeout(() => {
-    try {
-      assertEquals(DEFAULT_CONFIG.maxWaterTemp, getCONFIG().maxWaterTemp, 'Should use default maxWaterTemp');
-      assertTrue(mockState.printLog.some(m => m.includes('No custom configuration found')), 'Should print default settings message');
-      // Check that run() was called
-      assertTrue(mockState.shellyCallLog.some(c => c.method === 'Switch.Set'), 'run() should have been called, stopping the pump');
-      assertTrue(mockState.timer !== null, 'A timer should have been set');
-      done();
-    } catch (e) {
-      done(e);
-    }
-  }, 10);
+  // Pump is off, heating source is not hot enough: 45 < 40 + 7.
+  startScript({ tank: 40, source: 45 });
+  sim.calls = [];
+  scan();
+
+  assertEquals(false, pumpOn(), 'Pump should remain off');
+  assertEquals(0, sim.calls.length, 'Shelly.call should not be invoked');
 });
 
-test('init should load and merge custom config from KVS', (done) => {
-  // Clear the internal config for this async test so init() can set it.
-  setCONFIG({});
+test('init should load default config if KVS is empty', () => {
+  startScript();
 
-  const customConfig = { maxWaterTemp: 80, scanInterval: 60 };
-  mockState.kvs[KVS_CONFIG_KEY] = JSON.stringify(customConfig);
+  assertEquals(DEFAULT_CONFIG.maxWaterTemp, script.CONFIG.maxWaterTemp, 'Should use default maxWaterTemp');
+  assertTrue(printed('No custom configuration found'), 'Should print default settings message');
+  // Check that run() was called
+  assertEquals(false, sim.calls.some(c => c.method === 'Switch.Set'), 'run() should not switch the pump without readings');
+  assertTrue(sim.timers().some(t => t.period === DEFAULT_CONFIG.scanInterval * 1000 && t.repeat), 'A timer should have been set');
+  assertEquals(200, sim.httpRequest('status').code, 'The status endpoint should have been registered');
+});
 
-  init();
+test('init should load and merge custom config from KVS', () => {
+  startScript({ config: { maxWaterTemp: 80, scanInterval: 60 } });
 
-  setTimeout(() => {
-    try {
-      assertEquals(80, getCONFIG().maxWaterTemp, 'Should use custom maxWaterTemp from KVS');
-      assertEquals(60, getCONFIG().scanInterval, 'Should use custom scanInterval from KVS');
-      assertEquals(DEFAULT_CONFIG.waterPumpHysteresis, getCONFIG().waterPumpHysteresis, 'Should retain default for unspecified values');
-      assertTrue(mockState.printLog.some(m => m.includes('Custom configuration loaded')), 'Should print custom config loaded message');
-      done();
-    } catch (e) {
-      done(e);
-    }
-  }, 10);
+  assertEquals(80, script.CONFIG.maxWaterTemp, 'Should use custom maxWaterTemp from KVS');
+  assertEquals(60, script.CONFIG.scanInterval, 'Should use custom scanInterval from KVS');
+  assertEquals(DEFAULT_CONFIG.waterPumpHysteresis, script.CONFIG.waterPumpHysteresis, 'Should retain default for unspecified values');
+  assertTrue(printed('Custom configuration loaded'), 'Should print custom config loaded message');
 });
 
 test('checkAndAdjust should not restart pump after hitting max temp', () => {
   // --- Step 1: Stop the pump because max temperature is reached ---
+  startScript({ tank: 60, source: 80 });
+  sim.setTemperature(TANK, 65); // Exactly at maxWaterTemp
+  scan();
 
-  // Setup: Pump is ON, tank temperature is at max.
-  mockState.switchStatus.output = true;
-  mockState.temperatures = {
-    [DEFAULT_CONFIG.hotWaterTemperatureID]: { tC: 65 }, // Exactly at maxWaterTemp
-    [DEFAULT_CONFIG.heatingSourceTemperatureID]: { tC: 80 }, // Source is very hot
-  };
-  setCONFIG(DEFAULT_CONFIG);
+  assertEquals(false, pumpOn(), 'Step 1: Pump should be stopped at max temp');
+  assertTrue(printed('maximum temperature'), 'Step 1: Should print max temp message');
 
-  // First check: this should stop the pump.
-  checkAndAdjust(DEFAULT_CONFIG);
+  // --- Step 2: Verify the pump does NOT restart on the next cycles ---
 
-  assertEquals(false, mockState.switchStatus.output, 'Step 1: Pump should be stopped at max temp');
-  assertTrue(mockState.printLog.some(m => m.includes('maximum temperature')), 'Step 1: Should print max temp message');
+  // Temperatures still meet the start condition's hysteresis (80 >= 65 + 7),
+  // but the pump should not start due to max temp.
+  scan(10);
+
+  assertEquals(false, pumpOn(), 'Step 2: Pump should remain off');
+});
 
-  // --- Step 2: Verify the pump does NOT restart on the next cycle ---
+test('checkAndAdjust should keep pump state on a single failed sensor read', () => {
+  startScript({ tank: 40, source: 60 });
+  sim.calls = [];
 
-  // The state is now: pump is OFF. Temperatures still meet the start condition's
-  // hysteresis (80 >= 65 + 7), but the pump should not start due to max temp.
-  checkAndAdjust(DEFAULT_CONFIG);
+  sim.setTemperature(TANK, null);
+  scan();
 
-  assertEquals(false, mockState.switchStatus.output, 'Step 2: Pump should remain off');
+  assertTrue(pumpOn(), 'Pump should keep running below the fault threshold');
+  assertEquals(0, sim.calls.length, 'Shelly.call should not be invoked');
 });
 
-// --- Run Tests ---
+test('checkAndAdjust should stop pump after repeated sensor faults', () => {
+  startScript({ tank: 40, source: 60 });
 
-// This part is adapted for Node.js environment to run the tests.
-// A simple async handling for tests with callbacks.
-/**
- * @description A simple test runner that can handle both synchronous and asynchronous tests.
- * Asynchronous tests are expected to take a 'done' callback.
- * It iterates through all registered tests, executes them, and reports the results.
- */
-function runAsyncTests() {
-    let promise = Promise.resolve();
-    const failedTests = [];
-
-    tests.forEach(t => {
-        promise = promise.then(() => new Promise((resolve, reject) => {
-            currentTestName = t.name;
-            beforeEachFn(); // Run the setup function.
-
-            try {
-                // Handle async tests (with a 'done' callback)
-                if (t.fn.length > 0) {
-                    t.fn((err) => {
-                        if (err) return reject(err);
-                        console.log(`✅ ${t.name}`);
-                        resolve();
-                    });
-                } else { // Handle sync tests
-                    t.fn();
-                    console.log(`✅ ${t.name}`);
-                    resolve();
-                }
-            } catch (e) {
-                reject(e);
-            }
-        }));
-    });
+  sim.setTemperature(TANK, -127);
+  scan(DEFAULT_CONFIG.sensorFaultThreshold - 1);
+  assertTrue(pumpOn(), 'Pump should keep running below the fault threshold');
+
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should be stopped as fail-safe');
+  assertTrue(printed('Sensor fault on ' + TANK), 'Should report the faulty sensor');
+});
+
+test('checkAndAdjust should start pump on sensor fault when fail-safe state is on', () => {
+  // The heating source sensor is missing from the start.
+  startScript({ tank: 50, config: { sensorFaultPumpState: 'on' } });
+
+  scan(DEFAULT_CONFIG.sensorFaultThreshold - 1);
+
+  assertTrue(pumpOn(), 'Pump should be started as overheat protection');
+});
+
+test('checkAndAdjust should reject out of range readings', () => {
+  startScript({ tank: 40, source: 150 });
+
+  assertEquals(false, pumpOn(), 'Pump should not start on an implausible reading');
+  assertTrue(printed('out of range'), 'Should log the out of range reading');
+});
+
+test('checkAndAdjust should ignore a single jump but accept a confirmed one', () => {
+  startScript({ tank: 40, source: 42 });
+
+  // The source jumps by more than sensorMaxJump between two scans.
+  sim.setTemperature(SOURCE, 70);
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should not start on an unconfirmed jump');
+  assertTrue(printed('implausible jump'), 'Should log the jump');
+
+  // The next scan confirms the new level.
+  sim.setTemperature(SOURCE, 69);
+  scan();
+  assertTrue(pumpOn(), 'Pump should start once the jump is confirmed');
+});
+
+test('checkAndAdjust should detect a frozen sensor and report its recovery', () => {
+  startScript({ tank: 40, source: 60, config: { sensorFrozenTime: 300 } });
+  assertTrue(pumpOn(), 'Pump should be started');
+
+  // The tank keeps changing, but the source reports the same value for too long.
+  let tank = 40;
+  for (let i = 0; i < 12; i++) {
+    tank += 0.1;
+    sim.setTemperature(TANK, tank);
+    scan();
+  }
+  assertEquals(false, pumpOn(), 'Pump should be stopped because of the frozen sensor');
+  assertTrue(printed('reading frozen'), 'Should log the frozen reading');
+
+  sim.setTemperature(SOURCE, 59.5);
+  scan();
+  assertTrue(printed('Temperature sensor ' + SOURCE + ' recovered'), 'Should report sensor recovery');
+  assertTrue(printed('resuming automatic control'), 'Should report resuming automatic control');
+
+  sim.advance(DEFAULT_CONFIG.minPumpOffTime * 1000);
+  assertTrue(pumpOn(), 'Pump should be restarted by the automatic rules');
+});
+
+test('checkAndAdjust should not take a steady reading for a fault by default', () => {
+  // An idle boiler at basement temperature.
+  startScript({ tank: 40, source: 18 });
+  scan(6 * 60);
+
+  assertEquals(false, script.loops[0].failSafeActive, 'Should not fail-safe');
+  assertEquals(false, printed('reading frozen'), 'Should not report a frozen reading');
+});
+
+test('aggregateTemperatures should combine the plausible readings of a role', () => {
+  startScript();
+
+  const values = [null, 40, 45.5, 41];
+  assertEquals(40, script.aggregateTemperatures(values, 'primary'), 'Should use the first plausible reading');
+  assertEquals(40, script.aggregateTemperatures(values, 'min'), 'Should use the lowest reading');
+  assertEquals(45.5, script.aggregateTemperatures(values, 'max'), 'Should use the highest reading');
+  assertEquals(42.2, script.aggregateTemperatures(values, 'avg'), 'Should average and round to 0.1');
+  assertEquals(null, script.aggregateTemperatures([null, null], 'avg'), 'Should report a role without readings');
+});
+
+test('checkAndAdjust should decide on the average of several tank sensors', () => {
+  const config = { hotWaterTemperatureID: [TANK, TANK_2], hotWaterAggregation: 'avg' };
+  // The average is 42, so the source has to reach 49.
+  startScript({ tank: 40, source: 48, sensors: { [TANK_2]: 44 }, config });
+  assertEquals(false, pumpOn(), 'Pump should not start below the averaged threshold');
+  assertEquals(42, sim.httpRequest('status').json().hotWaterTemperature, 'Should report the average');
+
+  sim.setTemperature(SOURCE, 49);
+  scan();
+  assertTrue(pumpOn(), 'Pump should start at the averaged threshold');
+});
+
+test('checkAndAdjust should fall back to a backup sensor without fail-safe', () => {
+  startScript({ tank: 40, source: 60, sensors: { [TANK_2]: 41 }, config: { hotWaterTemperatureID: [TANK, TANK_2] } });
+  assertTrue(pumpOn(), 'Pump should be started');
+
+  sim.setTemperature(TANK, null);
+  scan(DEFAULT_CONFIG.sensorFaultThreshold + 1);
+  assertTrue(pumpOn(), 'Pump should keep running on the backup sensor');
+  assertEquals(false, printed('Sensor fault on'), 'Should not enter the fail-safe state');
+  assertEquals(41, sim.httpRequest('status').json().hotWaterTemperature, 'Should report the backup reading');
+
+  // Without a plausible tank reading the fail-safe applies once the backup has failed as often.
+  sim.setTemperature(TANK_2, null);
+  scan(DEFAULT_CONFIG.sensorFaultThreshold - 1);
+  assertTrue(pumpOn(), 'Pump should keep running until the backup reaches the fault threshold');
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should be stopped as fail-safe');
+  assertTrue(printed('Sensor fault on ' + TANK + ' (sensor reports read), ' + TANK_2), 'Should report all sensors of the role');
+});
+
+test('checkAndAdjust should stop on the top probe and start on the bottom probe', () => {
+  const config = { tankTopTemperatureID: TANK_2, tankBottomTemperatureID: TANK_3, stopReference: 'top', startReference: 'bottom' };
+  // The bottom probe is cold enough to start, although the main tank sensor is not: 48 >= 40 + 7.
+  startScript({ tank: 45, source: 48, sensors: { [TANK_2]: 60, [TANK_3]: 40 }, config });
+  assertTrue(pumpOn(), 'Pump should start on the bottom probe');
+  const status = sim.httpRequest('status').json();
+  assertEquals(60, status.tankTopTemperature, 'Should report the top probe');
+  assertEquals(40, status.tankBottomTemperature, 'Should report the bottom probe');
+
+  // The top probe reaches maxWaterTemp while the rest of the tank is cooler.
+  sim.setTemperature(SOURCE, 60);
+  sim.setTemperature(TANK_2, 65);
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should stop on the top probe');
+  assertTrue(printed('Storage tank at maximum temperature (65°C)'), 'Should report the top reading');
+});
+
+test('checkAndAdjust should not fail-safe on a probe the rules do not use', () => {
+  startScript({ tank: 40, source: 60, sensors: { [TANK_2]: 60 }, config: { tankTopTemperatureID: TANK_2 } });
+
+  sim.setTemperature(TANK_2, null);
+  scan(DEFAULT_CONFIG.sensorFaultThreshold + 1);
+
+  assertTrue(pumpOn(), 'Pump should keep running');
+  assertEquals(null, sim.httpRequest('status').json().tankTopTemperature, 'Should report the missing reading');
+});
+
+test('checkAndAdjust should keep pump running until the minimum run time is reached', () => {
+  startScript({ tank: 50, source: 60 });
+
+  // 54 < 50 + 5, but the pump has only just started.
+  sim.setTemperature(SOURCE, 54);
+  sim.advance((DEFAULT_CONFIG.minPumpOnTime - DEFAULT_CONFIG.scanInterval) * 1000);
+  assertTrue(pumpOn(), 'Pump should keep running before the minimum run time');
+  assertTrue(printed('Decision: keep pump running despite low temperature difference, minimum run time not reached'), 'Should log the held decision');
+
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should stop once the minimum run time is reached');
+});
+
+test('checkAndAdjust should stop pump at max temp regardless of the minimum run time', () => {
+  startScript({ tank: 60, source: 80 });
+
+  sim.setTemperature(TANK, 65);
+  scan();
+
+  assertEquals(false, pumpOn(), 'Pump should be stopped immediately');
+});
+
+test('checkAndAdjust should keep pump off until the minimum off time is reached', () => {
+  startScript({ tank: 64, source: 80 });
+  sim.setTemperature(TANK, 65);
+  sim.flush();
+  assertEquals(false, pumpOn(), 'Pump should be stopped at max temp');
+
+  sim.setTemperature(TANK, 60);
+  sim.advance((DEFAULT_CONFIG.minPumpOffTime - DEFAULT_CONFIG.scanInterval) * 1000);
+  assertEquals(false, pumpOn(), 'Pump should stay off before the minimum off time');
+  assertTrue(printed('minimum off time not reached'), 'Should log the blocked start');
+
+  scan();
+  assertTrue(pumpOn(), 'Pump should start once the minimum off time is reached');
+});
+
+test('checkAndAdjust should limit the number of starts per hour', () => {
+  startScript({ tank: 40, source: 48, config: { minPumpOnTime: 0, minPumpOffTime: 0, maxPumpStartsPerHour: 2 } });
+  assertTrue(pumpOn(), 'Pump should start (1)');
+
+  sim.setTemperature(SOURCE, 44);
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should stop (1)');
+  sim.setTemperature(SOURCE, 48);
+  scan();
+  assertTrue(pumpOn(), 'Pump should start (2)');
+  sim.setTemperature(SOURCE, 44);
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should stop (2)');
+
+  sim.setTemperature(SOURCE, 48);
+  scan();
+  assertEquals(false, pumpOn(), 'Third start within an hour should be blocked');
+  assertTrue(printed('limit of 2 starts per hour reached'), 'Should log the start limit');
+
+  sim.advance(3600 * 1000);
+  assertTrue(pumpOn(), 'Pump should start again after an hour');
+});
+
+test('only the starts of the last hour should be kept, also without a start limit', () => {
+  startScript({ tank: 40, source: 48, config: { minPumpOnTime: 0, minPumpOffTime: 0, maxPumpStartsPerHour: 0 } });
+
+  // Forced starts every two minutes for 80 minutes.
+  for (let i = 0; i < 40; i++) {
+    sim.httpRequest('status', 'action=on&minutes=1');
+    sim.advance(60 * 1000);
+    sim.httpRequest('status', 'action=off&minutes=1');
+    sim.advance(60 * 1000);
+  }
+
+  const starts = script.loops[0].pumpState.starts;
+  assertEquals(30, starts.length, 'Should keep the starts of the last hour');
+  assertTrue(starts.every(startedAt => script.uptime() - startedAt < 3600), 'Should drop the older starts');
+});
+
+test('checkAndAdjust should treat a manual switch change as a transition', () => {
+  startScript({ tank: 40, source: 45 });
+
+  // The pump is switched on in the web UI, then the difference becomes too low.
+  sim.setSwitch(0, true);
+  sim.setTemperature(SOURCE, 44);
+  scan();
+
+  assertTrue(pumpOn(), 'Pump should keep running for the minimum run time');
+  assertTrue(printed('switched on outside of the script'), 'Should log the manual change');
+});
+
+test('status endpoint should report temperatures, pump state and config', () => {
+  startScript({ tank: 40, source: 48 });
+
+  const response = sim.httpRequest('status');
+  const body = response.json();
+
+  assertEquals(200, response.code, 'Should respond with 200');
+  assertEquals(40, body.hotWaterTemperature, 'Should report the tank temperature');
+  assertEquals(48, body.heatingSourceTemperature, 'Should report the source temperature');
+  assertTrue(body.pumpRunning, 'Should report the pump state');
+  assertEquals('auto', body.mode, 'Should report automatic mode');
+  assertEquals('start pump, heating source is hot enough', body.lastDecision, 'Should report the last decision');
+  assertEquals(DEFAULT_CONFIG.maxWaterTemp, body.config.maxWaterTemp, 'Should report the active config');
+});
+
+test('status endpoint should report the last error', () => {
+  startScript({ source: 48 });
+
+  const body = sim.httpRequest('status').json();
+
+  assertTrue(body.lastError.includes('Temperature sensor ' + TANK), 'Should report the sensor error');
+});
+
+test('status endpoint should force the pump on for the given time', () => {
+  startScript({ tank: 40, source: 42 });
+
+  const response = sim.httpRequest('status', 'action=on&minutes=10');
+  assertEquals(200, response.code, 'Should respond with 200');
+  assertEquals('on', response.json().mode, 'Should report the forced mode');
+  assertEquals(600, response.json().modeRemaining, 'Should report the remaining time');
+  assertTrue(pumpOn(), 'Pump should be forced on despite the low difference');
+
+  sim.advance(599 * 1000);
+  assertTrue(pumpOn(), 'Pump should stay forced on');
+
+  sim.advance(1000);
+  assertEquals(false, pumpOn(), 'Automatic rules should stop the pump after expiry');
+  assertTrue(printed('Forced pump state expired'), 'Should report the expiry');
+});
+
+test('status endpoint should not force the pump on above max temp', () => {
+  startScript({ tank: 65, source: 80 });
+
+  sim.httpRequest('status', 'action=on&minutes=10');
+
+  assertEquals(false, pumpOn(), 'Pump should be held off at max temp');
+});
+
+test('status endpoint should force the pump off and resume automatic mode', () => {
+  startScript({ tank: 40, source: 45 });
+
+  sim.httpRequest('status', 'action=off&minutes=30');
+  sim.setTemperature(SOURCE, 48);
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should be forced off');
+
+  const response = sim.httpRequest('status', 'action=auto');
+  assertEquals('auto', response.json().mode, 'Should report automatic mode');
+  assertTrue(pumpOn(), 'Automatic rules should start the pump');
+});
+
+test('status endpoint should reject invalid actions', () => {
+  startScript({ tank: 40, source: 45 });
+  sim.calls = [];
+
+  let response = sim.httpRequest('status', 'action=boil');
+  assertEquals(400, response.code, 'Should reject an unknown action');
+  assertTrue(response.json().error.includes('Unknown action'), 'Should explain the error');
+
+  response = sim.httpRequest('status', 'action=on&minutes=abc');
+  assertEquals(400, response.code, 'Should reject an invalid duration');
+  assertEquals(0, sim.calls.length, 'Pump should not be switched');
+});
+
+test('status endpoint should decode the query', () => {
+  startScript({ tank: 40, source: 48, config: { loops: [{ name: 'Floor heating', switchID: 0 }] } });
+
+  const status = sim.httpRequest('status', 'action=off&minutes=10&loop=Floor%20heating').json();
+  sim.flush();
+  assertEquals('Floor heating', status.modeLoop, 'Should decode the loop name');
+  assertEquals(false, pumpOn(), 'Pump should be forced off');
+
+  const response = sim.httpRequest('status', 'action=on&minutes=10&loop=Floor%2heating');
+  assertEquals("Unknown loop 'Floor%2heating', use Floor heating.", response.json().error, 'Should keep a malformed escape as it is');
+  assertDeepEquals({ 'a b': 'c&d', e: '' }, script.parseQuery('a%20b=c%26d&e'), 'Should decode names and values');
+});
+
+test('validateConfig should accept a valid partial config', () => {
+  startScript();
+
+  assertEquals(0, script.validateConfig({ maxWaterTemp: 70, scanInterval: 10 }).length, 'Should not report errors');
+});
+
+test('validateConfig should report type, range and unknown field errors', () => {
+  startScript();
+
+  const errors = script.validateConfig({ maxWaterTemp: '65', scanInterval: 0, sensorFaultThreshold: 2.5, sensorFaultPumpState: 'auto', maxWaterTem: 60 });
+
+  assertEquals(5, errors.length, 'Should report one error per field');
+  assertTrue(errors.some(m => m === 'maxWaterTemp: expected a number, got "65".'), 'Should report the wrong type');
+  assertTrue(errors.some(m => m.startsWith('scanInterval: 0 is outside of the range')), 'Should report the range');
+  assertTrue(errors.some(m => m.startsWith('sensorFaultThreshold: 2.5 must be a whole number')), 'Should report the fraction');
+  assertTrue(errors.some(m => m.startsWith('sensorFaultPumpState: "auto" is not one of off, on')), 'Should report the allowed values');
+  assertTrue(errors.some(m => m === 'maxWaterTem: unknown setting.'), 'Should report the typo');
+});
+
+test('validateConfig should check lists of sensor IDs', () => {
+  startScript();
+
+  assertEquals(0, script.validateConfig({ hotWaterTemperatureID: [TANK, TANK_2], tankTopTemperatureID: TANK_2, tankBottomTemperatureID: null }).length, 'Should accept lists and null probes');
+
+  const errors = script.validateConfig({
+    hotWaterTemperatureID: [TANK, TANK],
+    heatingSourceTemperatureID: [],
+    tankTopTemperatureID: [TANK_2],
+    hotWaterAggregation: 'median',
+  });
+  assertEquals(4, errors.length, 'Should report one error per field');
+  assertTrue(errors.some(m => m === `hotWaterTemperatureID: ${TANK} is listed twice.`), 'Should report the duplicate');
+  assertTrue(errors.some(m => m.startsWith('heatingSourceTemperatureID: expected 1 to 5 values')), 'Should report the empty list');
+  assertTrue(errors.some(m => m.startsWith('tankTopTemperatureID: expected a number, got [')), 'Should not accept a list for a probe');
+  assertTrue(errors.some(m => m.startsWith('hotWaterAggregation: "median" is not one of')), 'Should report the aggregation');
+});
+
+test('validateConfig should report invalid relations between fields', () => {
+  startScript();
+
+  let errors = script.validateConfig({ waterPumpStopDifference: 8 });
+  assertEquals(1, errors.length, 'Should report the relation');
+  assertTrue(errors[0].startsWith('waterPumpStopDifference (8) must be lower than waterPumpHysteresis (7)'), 'Should explain the relation');
+
+  errors = script.validateConfig({ heatingSourceTemperatureID: TANK });
+  assertTrue(errors[0].includes('must be different sensors'), 'Should reject the same sensor for both roles');
+
+  errors = script.validateConfig({ hotWaterTemperatureID: [TANK, TANK_2], tankBottomTemperatureID: SOURCE });
+  assertEquals(1, errors.length, 'Should only report the probe shared with the source');
+  assertTrue(errors[0].startsWith('tankBottomTemperatureID and heatingSourceTemperatureID must be different sensors'), 'Should name the probe');
+
+  errors = script.validateConfig({ maxWaterTemp: 90, boostTempIncrease: 20 });
+  assertTrue(errors[0].startsWith('maxWaterTemp + boostTempIncrease (110) must be lower than sensorMaxTemp'), 'Should keep the boost below the sensor range');
+
+  errors = script.validateConfig({ startReference: 'bottom' });
+  assertTrue(errors[0].includes('when tankBottomTemperatureID is set'), 'Should require the referenced probe');
+
+  errors = script.validateConfig([1, 2]);
+  assertEquals('The configuration must be a JSON object.', errors[0], 'Should reject a non-object');
+});
+
+test('init should ignore the settings that moved to the optional scripts', () => {
+  startScript({ config: { mqttEnabled: true, alertUrl: 'ntfy.sh/tank', maxWaterTemp: 55, loops: [{ name: 'solar', switchID: 0, adaptiveEnabled: true, exerciseDuration: 60 }] } });
+
+  assertEquals(55, script.CONFIG.maxWaterTemp, 'Should apply the other settings');
+  assertEquals(undefined, script.CONFIG.mqttEnabled, 'Should drop the moved settings');
+  assertDeepEquals([], script.scriptStatus.configErrors, 'Should not reject the configuration');
+  assertTrue(printed('Ignoring mqttEnabled (now in indirect_heating_mqtt.shelly.js), alertUrl (now in indirect_heating_alerts.shelly.js), loops[0].adaptiveEnabled (now in indirect_heating_adaptive.shelly.js), loops[0].exerciseDuration (now in indirect_heating_exercise.shelly.js)'), 'Should tell where they went');
+});
+
+test('init should reject an invalid config from KVS and use defaults', () => {
+  startScript({ config: { maxWaterTemp: '80' } });
+
+  assertEquals(DEFAULT_CONFIG.maxWaterTemp, script.CONFIG.maxWaterTemp, 'Should use the default maxWaterTemp');
+  assertTrue(printed('Configuration in KVS rejected'), 'Should report the rejection');
+  assertTrue(printed('maxWaterTemp: expected a number, got "80"'), 'Should report the field error');
+  assertTrue(sim.timers().length > 0, 'The script should still start');
+});
+
+test('init should report a config that is not valid JSON', () => {
+  startScript({ config: '{ maxWaterTemp: 80 }' });
+
+  assertEquals(DEFAULT_CONFIG.maxWaterTemp, script.CONFIG.maxWaterTemp, 'Should use the default maxWaterTemp');
+  assertTrue(printed('is not valid JSON'), 'Should report the parse error');
+});
+
+test('init should merge a config continued under further keys', () => {
+  const night = { from: '22:00', to: '07:00', pump: 'block' };
+  const noon = { from: '13:00', to: '15:00', maxWaterTemp: 75 };
+  startScript({
+    config: { maxWaterTemp: 60, schedule: [night] },
+    kvs: { [KVS_CONFIG_KEY + '_1']: { schedule: [noon], maxWaterTemp: 65 }, [KVS_CONFIG_KEY + '_3']: { maxWaterTemp: 50 } },
+  });
+
+  assertDeepEquals([night, noon], script.CONFIG.schedule, 'Should join the lists in the order of the keys');
+  assertEquals(65, script.CONFIG.maxWaterTemp, 'A later key should replace a setting, the keys after a missing one are not read');
+
+  sim.setKvs(KVS_CONFIG_KEY + '_1', [noon]);
+  sim.httpRequest('status', 'action=reload');
+  sim.flush();
+  assertTrue(printed('The value of indirect_heating_config_1 must be a JSON object.'), 'Should report an unreadable key');
+  assertEquals(65, script.CONFIG.maxWaterTemp, 'Should keep the active settings');
+});
+
+test('status endpoint should reload the config and reschedule the timer', () => {
+  startScript();
+  sim.setKvs(KVS_CONFIG_KEY, { scanInterval: 10, maxWaterTemp: 70 });
+
+  const response = sim.httpRequest('status', 'action=reload');
+  assertEquals(false, response.sent, 'Response should wait for KVS');
+  sim.flush();
+
+  assertTrue(response.sent, 'Response should be sent after the reload');
+  assertEquals(70, response.json().config.maxWaterTemp, 'Response should contain the new config');
+  assertEquals(70, script.CONFIG.maxWaterTemp, 'New config should be active');
+  assertTrue(sim.timers().some(t => t.period === 10000), 'Timer should be rescheduled with the new interval');
+  assertEquals(false, sim.timers().some(t => t.period === DEFAULT_CONFIG.scanInterval * 1000), 'Old timer should be cleared');
+});
+
+test('timer should periodically reload the config and keep it on errors', () => {
+  startScript({ config: { maxWaterTemp: 70 } });
+  assertEquals(70, script.CONFIG.maxWaterTemp, 'Initial config should be active');
+
+  sim.setKvs(KVS_CONFIG_KEY, { maxWaterTemp: 70, waterPumpStopDifference: 9 });
+  sim.advance(DEFAULT_CONFIG.configReloadInterval * 1000);
+  sim.flush();
 
-    promise.then(() => {
-        console.log("\nAll tests passed!");
-    }).catch((error) => {
-        console.error(`❌ '${currentTestName}' failed`);
-        console.error(error);
-        process.exit(1);
+  assertEquals(70, script.CONFIG.maxWaterTemp, 'Previous config should stay active');
+  assertEquals(DEFAULT_CONFIG.waterPumpStopDifference, script.CONFIG.waterPumpStopDifference, 'Invalid value should not be applied');
+  assertTrue(printed('must be lower than waterPumpHysteresis'), 'Should report the relation error');
+});
+
+test('localTime should derive the local time and weekday from the device clock', () => {
+  // Monday 10:00 UTC is 12:00 in UTC+2.
+  startScript();
+  let time = script.localTime();
+  assertEquals(12, time.hour, 'Should apply the time zone offset');
+  assertEquals(0, time.minute, 'Should report the minute');
+  assertEquals(1, time.weekday, 'Should report Monday');
+
+  // 23:30 UTC is already Tuesday in UTC+2.
+  startScript({ simulator: { unixtime: 1717408800 + 13.5 * 3600 } });
+  time = script.localTime();
+  assertEquals(1, time.hour, 'Should wrap the hour past midnight');
+  assertEquals(2, time.weekday, 'Should report Tuesday');
+
+  startScript({ simulator: { unixtime: null } });
+  assertEquals(null, script.localTime(), 'Should report an unsynchronised clock');
+});
+
+test('dayNumber should convert dates to local day numbers', () => {
+  startScript();
+
+  assertEquals(0, script.dayNumber('1970-01-01'), 'Should count from 1970');
+  assertEquals(MONDAY, script.dayNumber('2024-06-03'), 'Should match localTime()');
+  assertEquals(19782, script.dayNumber('2024-02-29'), 'Should handle leap days');
+  assertEquals(null, script.dayNumber('2024-13-01'), 'Should reject an invalid month');
+  assertEquals(null, script.dayNumber('2024-02-31'), 'Should reject days after the end of the month');
+  assertEquals(null, script.dayNumber('2023-02-29'), 'Should reject leap days in other years');
+  assertEquals(null, script.dayNumber('2024-04-31'), 'Should reject the 31st of a short month');
+  assertEquals(script.dayNumber('2024-08-01') - 1, script.dayNumber('2024-07-31'), 'Should accept the 31st of a long month');
+  assertEquals(null, script.dayNumber('3 June'), 'Should reject other formats');
+});
+
+test('holiday mode should lower the limit until the date', () => {
+  startScript({ tank: 44, source: 60, config: { scanInterval: 600 } });
+  assertTrue(pumpOn(), 'Pump should be started');
+
+  let response = sim.httpRequest('status', 'action=holiday&until=2024-06-10');
+  assertEquals('holiday', response.json().mode, 'Should report holiday mode');
+  // Seven days from 12:00 on Monday to midnight the next Monday, minus half a day.
+  assertEquals(6.5 * 86400, response.json().modeRemaining, 'Should run until the date begins');
+
+  sim.setTemperature(TANK, 45);
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should stop at holidayMaxWaterTemp');
+
+  sim.advance(6.5 * 86400 * 1000);
+  assertEquals('auto', sim.httpRequest('status').json().mode, 'Should resume automatic mode');
+  assertTrue(printed('Holiday mode ended, resuming automatic control'), 'Should report the end');
+  sim.advance(DEFAULT_CONFIG.minPumpOffTime * 1000);
+  assertTrue(pumpOn(), 'Pump should heat to maxWaterTemp again');
+
+  response = sim.httpRequest('status', 'action=holiday&until=2024-06-10');
+  assertEquals(400, response.code, 'Should reject a date that has begun');
+  response = sim.httpRequest('status', 'action=holiday');
+  assertTrue(response.json().error.includes("'until' must be a date"), 'Should require a date');
+});
+
+test('boost mode should heat above the limit once', () => {
+  startScript({ tank: 64, source: 80 });
+  sim.httpRequest('status', 'action=boost');
+  assertEquals('boost', sim.httpRequest('status').json().mode, 'Should report boost mode');
+
+  sim.setTemperature(TANK, 70);
+  scan();
+  assertTrue(pumpOn(), 'Pump should keep running above maxWaterTemp');
+
+  sim.setTemperature(TANK, 75);
+  scan();
+  assertTrue(printed('Boost completed at 75°C'), 'Should report the completion');
+  assertEquals('auto', sim.httpRequest('status').json().mode, 'Should resume automatic mode');
+  assertEquals(false, pumpOn(), 'Pump should stop at the normal limit');
+});
+
+test('boost mode should end after boostMaxDuration', () => {
+  startScript({ tank: 50, source: 52 });
+  sim.httpRequest('status', 'action=boost');
+
+  sim.advance(DEFAULT_CONFIG.boostMaxDuration * 1000);
+
+  assertTrue(printed('Boost did not reach 75°C'), 'Should report the timeout');
+  assertEquals('auto', sim.httpRequest('status').json().mode, 'Should resume automatic mode');
+});
+
+test('operating mode should be stored in KVS and restored on start', () => {
+  startScript({ tank: 40, source: 48 });
+  sim.httpRequest('status', 'action=off&minutes=10');
+  sim.flush();
+  assertDeepEquals({ mode: 'off', until: START_TIME + 600, untilDay: null, loop: null, resume: null }, JSON.parse(sim.getKvs(KVS_MODE_KEY)), 'Should store the mode');
+
+  startScript({ tank: 40, source: 48, kvs: { [KVS_MODE_KEY]: { mode: 'off', until: START_TIME + 300, untilDay: null } } });
+  assertTrue(printed('Restored the operating mode off'), 'Should restore the mode');
+  assertEquals(false, pumpOn(), 'Pump should stay forced off after the restart');
+  assertEquals(300, sim.httpRequest('status').json().modeRemaining, 'Should keep the end time');
+
+  startScript({ tank: 40, source: 48, kvs: { [KVS_MODE_KEY]: { mode: 'off', until: START_TIME - 60, untilDay: null } } });
+  assertTrue(printed('Forced pump state expired'), 'A mode that ended meanwhile should end at once');
+  assertTrue(pumpOn(), 'Automatic rules should start the pump');
+
+  const resume = { mode: 'boost', until: START_TIME + 1800, untilDay: null };
+  startScript({ tank: 40, source: 48, kvs: { [KVS_MODE_KEY]: { mode: 'off', until: START_TIME + 300, untilDay: null, loop: null, resume } } });
+  assertDeepEquals(resume, script.operatingMode.resume, 'Should restore the mode to resume');
+});
+
+test('button events should switch the operating mode', () => {
+  startScript({ tank: 40, source: 45, config: { modeInputID: 0 } });
+  sim.setInput(0, false);
+
+  sim.emitEvent('input:1', { event: 'single_push' });
+  assertEquals('auto', script.operatingMode.mode, 'Other inputs should be ignored');
+
+  sim.emitEvent('input:0', { event: 'single_push' });
+  assertEquals('boost', script.operatingMode.mode, 'A push should start a boost');
+  sim.emitEvent('input:0', { event: 'single_push' });
+  assertEquals('auto', script.operatingMode.mode, 'Another push should cancel it');
+
+  sim.emitEvent('input:0', { event: 'double_push' });
+  assertTrue(pumpOn(), 'A double push should force the pump on');
+  sim.flush();
+  sim.emitEvent('input:0', { event: 'long_push' });
+  assertEquals(false, pumpOn(), 'A long push should force the pump off');
+  assertEquals(60 * 60, sim.httpRequest('status').json().modeRemaining, 'Should force it for an hour');
+  assertTrue(printed('Pump forced off for 60 minutes with the button'), 'Should log the button');
+});
+
+test('a manual switch change should hold the chosen state', () => {
+  startScript({ tank: 40, source: 45 });
+
+  // Switched on in the web UI although the difference is too low for the automatic rules.
+  sim.setSwitch(0, true);
+  scan(10);
+
+  assertTrue(pumpOn(), 'Pump should keep running');
+  assertEquals('on', script.operatingMode.mode, 'Should force the chosen state');
+  assertTrue(printed('Pump forced on for 60 minutes after it was switched by hand'), 'Should log the manual change');
+
+  startScript({ tank: 40, source: 45, config: { manualSwitchMinutes: 0 } });
+  sim.setSwitch(0, true);
+  // The change is noticed at once, the minimum run time counts from there.
+  sim.advance((DEFAULT_CONFIG.minPumpOnTime + DEFAULT_CONFIG.scanInterval) * 1000);
+  assertEquals(false, pumpOn(), 'Automatic rules should take over without manualSwitchMinutes');
+});
+
+test('a pump switched by hand during a holiday or boost should return to that mode', () => {
+  // The difference is too low for the automatic rules.
+  startScript({ tank: 40, source: 44 });
+  sim.httpRequest('status', 'action=holiday&until=2024-06-10');
+
+  sim.setSwitch(0, true);
+  sim.flush();
+  assertEquals('on', script.operatingMode.mode, 'Should force the chosen state');
+  assertEquals('holiday', sim.httpRequest('status').json().resumeMode, 'Should report the mode to resume');
+  assertTrue(printed('after it was switched by hand, holiday mode resumes afterwards'), 'Should log the mode to resume');
+  assertDeepEquals({ mode: 'holiday', until: null, untilDay: script.dayNumber('2024-06-10') }, JSON.parse(sim.getKvs(KVS_MODE_KEY)).resume, 'Should store the mode to resume');
+
+  // The holiday limit still applies to the forced pump.
+  sim.setTemperature(TANK, 45);
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should stop at holidayMaxWaterTemp');
+  assertTrue(printed('pump forced on, but held off at maximum temperature'), 'Should explain the stop');
+
+  sim.advance(DEFAULT_CONFIG.manualSwitchMinutes * 60 * 1000);
+  assertEquals('holiday', script.operatingMode.mode, 'Should return to holiday mode');
+  assertEquals(6.5 * 86400 - DEFAULT_CONFIG.manualSwitchMinutes * 60 - DEFAULT_CONFIG.scanInterval, sim.httpRequest('status').json().modeRemaining, 'Should keep the end date');
+  assertTrue(printed('Forced pump state expired, resuming holiday mode'), 'Should log the return');
+
+  startScript({ tank: 64, source: 80 });
+  sim.httpRequest('status', 'action=boost');
+  sim.setSwitch(0, false);
+  sim.flush();
+  assertEquals('off', script.operatingMode.mode, 'Should force the pump off');
+  sim.advance(DEFAULT_CONFIG.manualSwitchMinutes * 60 * 1000);
+  assertEquals('boost', script.operatingMode.mode, 'Should return to the boost');
+  assertTrue(pumpOn(), 'Pump should heat above maxWaterTemp again');
+});
+
+test('a temperature change should be evaluated without waiting for the scan', () => {
+  startScript({ tank: 50, source: 52 });
+  assertEquals(false, pumpOn(), 'Pump should be off');
+
+  sim.setTemperature(SOURCE, 52.3);
+  sim.flush();
+  assertEquals(false, printed('Status change'), 'Changes below eventTempDelta should wait for the scan');
+
+  sim.setTemperature(SOURCE, 60);
+  sim.flush();
+  assertTrue(pumpOn(), 'Pump should start at once');
+  assertTrue(printed('Status change, sensor 101 changed from 52°C to 60°C'), 'Should log the reason');
+
+  // An implausible jump is left to the scans, which confirm it on the second reading.
+  sim.prints = [];
+  sim.setTemperature(TANK, 80);
+  sim.flush();
+  assertEquals(false, printed('Status change'), 'A jump should not be evaluated at once');
+  assertEquals(0, script.sensorStates[TANK].failures, 'A jump should not count as a failed read yet');
+
+  // A sensor that is not configured is ignored.
+  sim.setTemperature(TANK_2, 30);
+  sim.flush();
+  assertEquals(false, printed('Status change'), 'Other sensors should be ignored');
+});
+
+test('evaluations between the scans should not count sensor faults', () => {
+  startScript({ tank: 40, source: 60 });
+  assertTrue(pumpOn(), 'Pump should be started');
+
+  // The source fails, and the tank warms in steps that are each evaluated at once.
+  sim.setTemperature(SOURCE, -127);
+  [40.5, 41, 41.5, 42].forEach(tC => {
+    sim.setTemperature(TANK, tC);
+    sim.advance(1000);
+  });
+  assertTrue(printed('Status change, sensor 100 changed from 41.5°C to 42°C'), 'Should evaluate every change');
+  assertEquals(0, script.sensorStates[SOURCE].failures, 'Should not count the failed reads');
+  assertTrue(pumpOn(), 'Pump should keep running until the scans confirm the fault');
+
+  // A jump seen between the scans is not remembered as the new level either.
+  sim.setTemperature(SOURCE, 80);
+  sim.setTemperature(TANK, 42.5);
+  sim.flush();
+  assertEquals(null, script.sensorStates[SOURCE].pending, 'Should leave the jump to the scans');
+
+  sim.setTemperature(SOURCE, -127);
+  scan(DEFAULT_CONFIG.sensorFaultThreshold - 1);
+  assertTrue(pumpOn(), 'Pump should keep running below the fault threshold');
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should be stopped as fail-safe');
+});
+
+test('temperature changes should only be evaluated on the scan with eventTempDelta 0', () => {
+  startScript({ tank: 50, source: 52, config: { eventTempDelta: 0 } });
+
+  sim.setTemperature(SOURCE, 60);
+  sim.flush();
+  assertEquals(false, pumpOn(), 'Pump should wait for the scan');
+
+  scan();
+  assertTrue(pumpOn(), 'The scan should start the pump');
+});
+
+test('a switch change should be evaluated without waiting for the scan', () => {
+  startScript({ tank: 40, source: 60 });
+  assertTrue(pumpOn(), 'Pump should be started');
+  assertEquals(false, printed('Status change'), 'The script\'s own switching should not count as a change');
+
+  sim.setSwitch(0, false);
+  sim.flush();
+  assertEquals('off', script.operatingMode.mode, 'Should force the chosen state at once');
+  assertTrue(printed('Status change, pump switched off'), 'Should log the reason');
+});
+
+test('a restart should keep a running charge going without switching', () => {
+  startScript({ tank: 50, source: 60, pumpRunning: true });
+
+  assertTrue(pumpOn(), 'Pump should keep running');
+  assertEquals(false, sim.calls.some(c => c.method === 'Switch.Set'), 'The relay should not be cycled');
+  assertTrue(printed('Startup: found the pump running'), 'Should report the state it found');
+});
+
+test('a restart should stop a running pump the rules do not want', () => {
+  startScript({ tank: 50, source: 52, pumpRunning: true });
+
+  assertEquals(false, pumpOn(), 'Pump should be stopped, the time of the last start is unknown');
+});
+
+test('a restart should wait for valid readings before deciding', () => {
+  startScript({ source: 60, pumpRunning: true });
+  assertTrue(pumpOn(), 'Pump should keep running without a tank reading');
+  assertEquals('keep pump running, waiting for valid sensor readings after the start', script.scriptStatus.lastDecision, 'Should explain the wait');
+
+  sim.setTemperature(TANK, 50);
+  scan();
+  assertTrue(pumpOn(), 'Pump should keep running once the rules agree');
+  assertEquals(false, sim.calls.some(c => c.method === 'Switch.Set'), 'The relay should not be cycled');
+});
+
+test('a restart should keep counting the anti-short-cycling limits', () => {
+  // The pump stopped 30 s before the restart, after six starts within the hour, every 500 s.
+  const stored = { on: false, changedAt: START_TIME - 30, starts: 6, firstStart: START_TIME - 3000, lastStart: START_TIME - 500 };
+  startScript({ tank: 40, source: 48, kvs: { [KVS_PUMP_KEY]: stored } });
+  assertEquals(false, pumpOn(), 'Pump should wait for the minimum off time');
+  assertTrue(script.scriptStatus.lastDecision.includes('minimum off time not reached (30/120 s)'), 'Should count the off time from before the restart');
+
+  sim.advance(DEFAULT_CONFIG.minPumpOffTime * 1000);
+  assertEquals(false, pumpOn(), 'Pump should wait for the start limit');
+  assertTrue(script.scriptStatus.lastDecision.includes('limit of 6 starts per hour reached'), 'Should count the starts from before the restart');
+
+  // The oldest start leaves the hour.
+  sim.advance(600 * 1000);
+  assertTrue(pumpOn(), 'Pump should start once the limits allow it');
+});
+
+test('a restart should ignore the stored transition if the switch changed meanwhile', () => {
+  // The stored state says running, but the device came back with the relay off. The starts
+  // are stored as a list by earlier versions.
+  startScript({ tank: 40, source: 48, kvs: { [KVS_PUMP_KEY]: { on: true, changedAt: START_TIME - 30, starts: [START_TIME - 30] } } });
+
+  assertTrue(pumpOn(), 'Pump should start at once');
+});
+
+test('pump transitions should be stored in KVS', () => {
+  startScript({ tank: 40, source: 48 });
+  sim.flush();
+
+  assertDeepEquals({ on: true, changedAt: START_TIME, starts: 1, firstStart: START_TIME, lastStart: START_TIME },
+    JSON.parse(sim.getKvs(KVS_PUMP_KEY)), 'Should store the start as unixtime');
+});
+
+test('the stored pump state should fit into a KVS value with the most starts', () => {
+  startScript({ tank: 40, source: 48, config: { minPumpOnTime: 0, minPumpOffTime: 0, maxPumpStartsPerHour: 60 } });
+
+  // A forced start every minute for 90 minutes, every one stored with KVS.Set.
+  for (let i = 0; i < 90; i++) {
+    sim.httpRequest('status', 'action=on&minutes=1');
+    sim.advance(30 * 1000);
+    sim.httpRequest('status', 'action=off&minutes=1');
+    sim.advance(30 * 1000);
+  }
+  assertEquals(false, printed('Error saving the pump state'), 'Every save should succeed');
+  const stored = JSON.parse(sim.getKvs(KVS_PUMP_KEY));
+  assertEquals(60, stored.starts, 'Should store the starts of the last hour');
+  assertEquals(START_TIME + 89 * 60, stored.lastStart, 'Should store the last start');
+
+  startScript({ tank: 40, source: 48, config: { minPumpOnTime: 0, minPumpOffTime: 0, maxPumpStartsPerHour: 60 },
+    kvs: { [KVS_PUMP_KEY]: stored }, simulator: { unixtime: START_TIME + 89 * 60 + 40 } });
+  assertEquals(60, script.loops[0].pumpState.starts.length, 'Should restore the starts');
+});
+
+test('a failed switch command should be retried with a growing delay', () => {
+  startScript({ tank: 40, source: 45 });
+  sim.failCall('Switch.Set', { message: 'Busy', times: 2 });
+
+  sim.setTemperature(SOURCE, 60);
+  sim.flush();
+  assertEquals(false, pumpOn(), 'The first attempt should fail');
+  assertTrue(printed('Error starting pump: Busy'), 'Should log the failure');
+
+  sim.advance(DEFAULT_CONFIG.switchRetryDelay * 1000);
+  assertTrue(printed(`Retrying in ${2 * DEFAULT_CONFIG.switchRetryDelay} s.`), 'Should double the delay');
+  assertEquals(false, pumpOn(), 'The second attempt should fail');
+
+  sim.advance(2 * DEFAULT_CONFIG.switchRetryDelay * 1000);
+  assertTrue(pumpOn(), 'The third attempt should start the pump');
+  assertEquals(3, sim.calls.filter(c => c.method === 'Switch.Set').length, 'Should not send more commands');
+  assertEquals('', script.loops[0].pumpFault, 'Should not be a fault');
+});
+
+test('a switch that does not follow should put the pump into a fault state until reset', () => {
+  startScript({ tank: 40, source: 45 });
+  // The relay answers, but the output stays off.
+  sim.handleCall('Switch.Set', () => ({ was_on: false }));
+
+  sim.setTemperature(SOURCE, 60);
+  sim.advance(15 * DEFAULT_CONFIG.switchRetryDelay * 1000);
+  assertEquals(DEFAULT_CONFIG.switchRetries + 1, sim.calls.filter(c => c.method === 'Switch.Set').length, 'Should retry switchRetries times');
+  assertEquals('starting failed 4 times: the output is still off', script.loops[0].pumpFault, 'Should be a fault');
+  assertDeepEquals(['pump'], sim.httpRequest('status').json().alerts, 'Should raise the alert');
+
+  scan();
+  assertEquals('keep pump off, pump fault: starting failed 4 times: the output is still off', script.scriptStatus.lastDecision, 'Should hold the pump off');
+  assertEquals(DEFAULT_CONFIG.switchRetries + 1, sim.calls.filter(c => c.method === 'Switch.Set').length, 'Should not try again');
+
+  sim.handleCall('Switch.Set', (params) => {
+    const wasOn = pumpOn();
+    sim.setSwitch(0, params.on);
+    return { was_on: wasOn };
+  });
+  const response = sim.httpRequest('status', 'action=reset');
+  sim.flush();
+  assertEquals('', response.json().pumpFault, 'Should reset the fault');
+  assertTrue(pumpOn(), 'The rules should start the pump again');
+  assertDeepEquals([], response.json().alerts, 'Should clear the alert');
+});
+
+test('switch errors and abnormal power should put the pump into a fault state', () => {
+  startScript({ tank: 40, source: 60, config: { pumpMinPower: 20, pumpMaxPower: 100 } });
+  assertTrue(pumpOn(), 'Pump should be started');
+
+  sim.setSwitch(0, { apower: 50 });
+  scan(5);
+  assertEquals('', script.loops[0].pumpFault, 'Normal power should not be a fault');
+
+  sim.setSwitch(0, { apower: 2 });
+  scan(2);
+  assertEquals('', script.loops[0].pumpFault, 'A single low reading should not be a fault yet');
+  assertTrue(script.scriptStatus.lastError.endsWith('(2/3)'), 'Should count the low readings');
+  scan();
+  assertEquals('the pump draws only 2 W, it may run dry or be disconnected', script.loops[0].pumpFault, 'Should be a fault');
+  assertEquals(false, pumpOn(), 'Pump should be stopped');
+
+  startScript({ tank: 40, source: 60 });
+  sim.setSwitch(0, { output: false, errors: ['overpower'] });
+  sim.flush();
+  assertEquals('the switch reports overpower', script.loops[0].pumpFault, 'Should be a fault');
+  assertEquals('auto', script.operatingMode.mode, 'Should not be taken for a manual change');
+
+  startScript();
+  assertTrue(script.validateConfig({ pumpMinPower: 50, pumpMaxPower: 40 })[0].startsWith('pumpMinPower (50) must be lower than pumpMaxPower (40)'), 'Should check the range');
+});
+
+test('alerts should report an overheated tank and a long runtime', () => {
+  startScript({ tank: 40, source: 60, config: { alertMaxRunTime: 3600 } });
+  assertTrue(pumpOn(), 'Pump should be started');
+
+  sim.advance(3600 * 1000);
+  assertDeepEquals(['runtime'], sim.httpRequest('status').json().alerts, 'Should alert the long runtime');
+  assertTrue(printed('Alert runtime: The pump has been running for 60 minutes'), 'Should report the runtime');
+
+  // The highest target is maxWaterTemp + boostTempIncrease, the margin comes on top of it.
+  startScript({ tank: 70, source: 60 });
+  sim.setTemperature(TANK, 80);
+  scan();
+  assertDeepEquals(['tank'], sim.httpRequest('status').json().alerts, 'Should alert the overheated tank');
+  assertTrue(printed('Alert tank: The tank is at 80°C, 5°C or more above the highest target of 75°C.'), 'Should explain the alert');
+
+  sim.setTemperature(TANK, 79);
+  scan();
+  assertDeepEquals(['tank'], sim.httpRequest('status').json().alerts, 'Should not recover within the hysteresis');
+  sim.setTemperature(TANK, 77);
+  scan();
+  assertDeepEquals([], sim.httpRequest('status').json().alerts, 'Should recover once the tank cooled down');
+  assertTrue(printed('Alert tank recovered: The tank cooled down to 77°C.'), 'Should report the recovery');
+});
+
+test('a schedule window should block the pump past midnight on its days', () => {
+  const schedule = [{ days: ['mon'], from: '22:00', to: '06:00', pump: 'block' }];
+  startScript({ tank: 40, source: 60, config: { schedule }, simulator: { unixtime: mondayAt(21.5) } });
+  assertTrue(pumpOn(), 'Pump should run before the window');
+
+  sim.advance((30 * 60 + DEFAULT_CONFIG.scanInterval) * 1000);
+  assertEquals(false, pumpOn(), 'Pump should stop when the window starts');
+  assertTrue(printed('Decision: stop pump, blocked by the schedule'), 'Should log the reason');
+  assertDeepEquals({ windows: [0], blocked: true }, sim.httpRequest('status').json().schedule, 'Should report the window');
+
+  // Tuesday 01:00, the window started on Monday.
+  sim.advance(3 * 3600 * 1000);
+  assertEquals(false, pumpOn(), 'Pump should stay off after midnight');
+  assertEquals('keep pump off, blocked by the schedule', script.scriptStatus.lastDecision, 'Should keep blocking');
+
+  sim.advance(5 * 3600 * 1000);
+  assertTrue(pumpOn(), 'Pump should start when the window ends');
+
+  // Tuesday 22:30 is not in the window's days.
+  sim.advance(16.5 * 3600 * 1000);
+  assertTrue(pumpOn(), 'Pump should keep running on other days');
+});
+
+test('schedule windows with pump allow should block the pump outside of them', () => {
+  const config = { schedule: [{ from: '13:00', to: '15:00', pump: 'allow' }] };
+  startScript({ tank: 40, source: 60, config });
+  assertEquals(false, pumpOn(), 'Pump should wait for the window');
+  assertEquals('keep pump off, blocked by the schedule', script.scriptStatus.lastDecision, 'Should log the reason');
+
+  sim.advance((3600 + DEFAULT_CONFIG.scanInterval) * 1000);
+  assertTrue(pumpOn(), 'Pump should start in the window');
+
+  sim.setTemperature(SOURCE, 61);
+  sim.advance(2 * 3600 * 1000);
+  assertEquals(false, pumpOn(), 'Pump should stop after the window');
+
+  // Without a clock the schedule cannot be followed, the pump is never blocked by it.
+  startScript({ tank: 40, source: 60, config, simulator: { unixtime: null } });
+  assertTrue(pumpOn(), 'Pump should not be blocked without a clock');
+});
+
+test('a schedule window should change the limits while it is active', () => {
+  startScript({ tank: 66, source: 80, config: { schedule: [{ from: '13:00', to: '15:00', maxWaterTemp: 75 }] } });
+  assertEquals(false, pumpOn(), 'Pump should be off above maxWaterTemp');
+
+  sim.advance((3600 + DEFAULT_CONFIG.scanInterval) * 1000);
+  assertTrue(pumpOn(), 'Pump should heat to the window\'s limit');
+
+  sim.setTemperature(TANK, 75);
+  sim.flush();
+  assertEquals(false, pumpOn(), 'Pump should stop at the window\'s limit');
+  assertTrue(printed('Decision: stop pump, maximum temperature reached'), 'Should log the reason');
+});
+
+test('validateConfig should check the schedule windows', () => {
+  startScript();
+
+  assertEquals(0, script.validateConfig({ schedule: [
+    { days: ['sat', 'sun'], from: '22:00', to: '7:00', pump: 'block' },
+    { from: '13:00', to: '15:00', maxWaterTemp: 75, waterPumpHysteresis: 10 },
+  ] }).length, 'Should accept valid windows');
+
+  const errorOf = (window) => script.validateConfig({ schedule: [window] })[0];
+  assertEquals('schedule: expected a list of time windows, got {}.', script.validateConfig({ schedule: {} })[0], 'Should require a list');
+  assertEquals('schedule[0]: from and to must be times like "22:00".', errorOf({ from: '24:00', to: '06:00', pump: 'block' }), 'Should check the times');
+  assertEquals('schedule[0]: from and to must differ.', errorOf({ from: '06:00', to: '6:00', pump: 'block' }), 'Should reject empty windows');
+  assertTrue(errorOf({ days: ['monday'], from: '22:00', to: '06:00', pump: 'block' }).startsWith('schedule[0].days: expected a list of sun, mon'), 'Should check the days');
+  assertEquals('schedule[0].pump: "off" is not one of allow, block.', errorOf({ from: '22:00', to: '06:00', pump: 'off' }), 'Should check the pump');
+  assertEquals('schedule[0].scanInterval: unknown setting.', errorOf({ from: '22:00', to: '06:00', scanInterval: 5 }), 'Should only allow the overrides');
+  assertTrue(errorOf({ from: '22:00', to: '06:00' }).startsWith('schedule[0]: sets neither pump nor'), 'Should reject windows without effect');
+  assertTrue(errorOf({ from: '22:00', to: '06:00', maxWaterTemp: 10 }).startsWith('schedule[0].maxWaterTemp: 10 is outside of the range'), 'Should check the overrides');
+  assertTrue(errorOf({ from: '22:00', to: '06:00', waterPumpHysteresis: 4 }).startsWith('schedule[0]: waterPumpStopDifference (5) must be lower than waterPumpHysteresis (4)'), 'Should check the relations with the overrides');
+});
+
+test('frost protection should run the pump even when it is forced off', () => {
+  const mode = { mode: 'off', until: START_TIME + 3600, untilDay: null };
+  startScript({ tank: 40, source: 10, config: { frostProtectionTemp: 4 }, kvs: { [KVS_MODE_KEY]: mode } });
+  assertEquals(false, pumpOn(), 'Pump should be forced off');
+
+  sim.setTemperature(SOURCE, 3);
+  sim.flush();
+  assertTrue(pumpOn(), 'Pump should run as frost protection');
+  assertEquals('pump on as frost protection, the coldest reading is 3°C', script.scriptStatus.lastDecision, 'Should log the reason');
+  assertEquals(true, sim.httpRequest('status').json().frostProtection, 'Should report the frost protection');
+  assertDeepEquals(['frost'], sim.httpRequest('status').json().alerts, 'Should alert the frost risk');
+
+  sim.setTemperature(SOURCE, 5);
+  sim.flush();
+  assertTrue(pumpOn(), 'Pump should keep running within the hysteresis');
+
+  sim.setTemperature(SOURCE, 6);
+  sim.flush();
+  assertEquals(false, pumpOn(), 'The forced mode should take over again');
+  assertDeepEquals([], sim.httpRequest('status').json().alerts, 'Should end the alert');
+});
+
+test('frost protection without the pump should only raise the alert', () => {
+  startScript({ tank: 3, source: 2, config: { frostProtectionTemp: 4, frostProtectionPump: false } });
+
+  assertEquals(false, pumpOn(), 'Pump should stay off');
+  assertEquals('keep pump off', script.scriptStatus.lastDecision, 'The rules should decide');
+  assertTrue(printed('Alert frost: Frost risk, a reading dropped to 2°C.'), 'Should log the alert');
+  assertDeepEquals(['frost'], sim.httpRequest('status').json().alerts, 'Should report the alert');
+});
+
+// A solar loop on switch 0 with the default heating source, and a boiler loop on switch 1 backing it up.
+const BOILER = 102;
+const SOLAR_AND_BOILER = {
+  minPumpOnTime: 0,
+  minPumpOffTime: 0,
+  loops: [
+    { name: 'solar', switchID: 0, maxWaterTemp: 80 },
+    { name: 'boiler', switchID: 1, heatingSourceTemperatureID: BOILER, backupFor: 'solar' },
+  ],
+};
+
+test('a backup loop should only run while the preferred loop cannot heat', () => {
+  startScript({ tank: 60, source: 68, sensors: { [BOILER]: 75 }, switches: 2, config: SOLAR_AND_BOILER });
+  assertTrue(pumpOn(0), 'Solar pump should run');
+  assertEquals(false, pumpOn(1), 'Boiler pump should give way');
+  assertEquals('solar: start pump, heating source is hot enough; boiler: keep pump off, solar can heat', script.scriptStatus.lastDecision, 'Should report the decision of each loop');
+
+  sim.setTemperature(SOURCE, 64);
+  scan();
+  assertEquals(false, pumpOn(0), 'Solar pump should stop');
+  assertTrue(pumpOn(1), 'Boiler pump should take over');
+
+  // Above the boiler's limit, but below the one of the solar loop.
+  sim.setTemperature(TANK, 66);
+  sim.setTemperature(SOURCE, 78);
+  scan();
+  assertTrue(pumpOn(0), 'Solar pump should heat to its own limit');
+  assertEquals(false, pumpOn(1), 'Boiler pump should stop at its limit');
+  assertTrue(printed('Decision: boiler: stop pump, maximum temperature reached'), 'Should log the loop');
+
+  const status = sim.httpRequest('status').json();
+  assertTrue(status.pumpRunning, 'Should report a running pump');
+  assertDeepEquals([['solar', 0, true, 78], ['boiler', 1, false, 75]],
+    status.loops.map(loop => [loop.name, loop.switchID, loop.pumpRunning, loop.heatingSourceTemperature]), 'Should report each loop');
+  // The changes are evaluated as soon as they are reported, the scans only let time pass.
+  const stoppedAt = START_TIME + DEFAULT_CONFIG.scanInterval;
+  assertDeepEquals({ on: false, changedAt: stoppedAt, starts: 1, firstStart: START_TIME, lastStart: START_TIME },
+    JSON.parse(sim.getKvs(KVS_PUMP_KEY + '_1')), 'Should store the state of each pump');
+});
+
+test('a pump of one loop should be forced on its own', () => {
+  startScript({ tank: 60, source: 68, sensors: { [BOILER]: 75 }, switches: 2, config: SOLAR_AND_BOILER });
+
+  const rejected = sim.httpRequest('status', 'action=off&minutes=10&loop=wood');
+  assertEquals(400, rejected.code, 'Should reject an unknown loop');
+  assertEquals("Unknown loop 'wood', use solar, boiler.", rejected.json().error, 'Should list the loops');
+
+  const status = sim.httpRequest('status', 'action=off&minutes=10&loop=solar').json();
+  sim.flush();
+  assertEquals('solar', status.modeLoop, 'Should report the forced loop');
+  assertEquals(false, pumpOn(0), 'Solar pump should be forced off');
+  assertTrue(pumpOn(1), 'Boiler pump should heat instead');
+  assertTrue(printed('Pump solar forced off for 10 minutes over HTTP'), 'Should log the loop');
+
+  sim.httpRequest('status', 'action=auto');
+  sim.flush();
+  assertTrue(pumpOn(0), 'Solar pump should run again');
+  assertEquals(false, pumpOn(1), 'Boiler pump should give way again');
+
+  // Switched on in the web UI, only that pump is held.
+  sim.setSwitch(1, true);
+  sim.flush();
+  assertEquals('boiler', script.operatingMode.loop, 'Should force only the switched pump');
+  assertTrue(pumpOn(0) && pumpOn(1), 'Both pumps should run');
+});
+
+test('loops on switches the device does not have should be rejected or held off', () => {
+  // A Plus 1PM has a single switch.
+  startScript({ tank: 40, source: 48, sensors: { [BOILER]: 75 }, config: SOLAR_AND_BOILER });
+  let status = sim.httpRequest('status').json();
+  assertDeepEquals(['loops[1].switchID: there is no switch 1 on this device.'], status.configErrors, 'Should reject the loops');
+  assertDeepEquals(['pump'], status.loops.map(loop => loop.name), 'Should keep the default loop');
+  assertTrue(pumpOn(), 'Should still control the pump');
+  scan();
+  assertTrue(sim.timers().some(t => t.period === DEFAULT_CONFIG.scanInterval * 1000 && t.repeat), 'Should still scan');
+
+  // A switch that goes missing while the script runs.
+  startScript({ tank: 40, source: 48, sensors: { [BOILER]: 75 }, switches: 2, config: SOLAR_AND_BOILER });
+  sim.removeComponent('switch', 1);
+  scan();
+  assertEquals('there is no switch 1 on this device', script.loops[1].pumpFault, 'Should hold the loop off');
+  assertTrue(pumpOn(0), 'The other loop should keep heating');
+  status = sim.httpRequest('status').json();
+  assertDeepEquals([true, false], status.loops.map(loop => loop.pumpRunning), 'Should report the missing pump as off');
+});
+
+test('validateConfig should check the loops', () => {
+  startScript({ switches: 2 });
+
+  assertEquals(0, script.validateConfig(SOLAR_AND_BOILER).length, 'Should accept valid loops');
+
+  const errorOf = (loops) => script.validateConfig({ loops })[0];
+  assertEquals('loops: expected a list of pump loops, got {}.', errorOf({}), 'Should require a list');
+  assertEquals('loops: expected at most 2 loops, got 3.', errorOf([{}, {}, {}]), 'Should limit the number of loops');
+  assertEquals('loops[0].name: expected a name, got undefined.', errorOf([{ switchID: 0 }]), 'Should require a name');
+  assertEquals('loops[1].name: "solar" is used by another loop.', errorOf([{ name: 'solar', switchID: 0 }, { name: 'solar', switchID: 1 }]), 'Should require unique names');
+  assertEquals('loops[1].switchID: 0 is used by another loop.', errorOf([{ name: 'solar', switchID: 0 }, { name: 'boiler', switchID: 0 }]), 'Should require unique switches');
+  assertTrue(errorOf([{ name: 'solar', switchID: 4 }]).startsWith('loops[0].switchID: 4 is outside of the range'), 'Should check the switch');
+  assertEquals('loops[0].backupFor: "boiler" is not the name of an earlier loop.', errorOf([{ name: 'solar', switchID: 0, backupFor: 'boiler' }, { name: 'boiler', switchID: 1 }]), 'Should require an earlier loop');
+  assertEquals('loops[0].alertTankMargin: unknown setting.', errorOf([{ name: 'solar', switchID: 0, alertTankMargin: 5 }]), 'Should only allow the loop settings');
+  assertTrue(errorOf([{ name: 'solar', switchID: 0, maxWaterTemp: 10 }]).startsWith('loops[0].maxWaterTemp: 10 is outside of the range'), 'Should check the loop settings');
+  assertEquals('loops[0]: hotWaterTemperatureID and heatingSourceTemperatureID must be different sensors, both use 100.', errorOf([{ name: 'solar', switchID: 0, heatingSourceTemperatureID: TANK }]), 'Should check the relations with the loop settings');
+});
+
+test('logLevel should limit what is printed while the log buffer keeps the events', () => {
+  startScript({ tank: 40, source: 48, config: { debuggingOn: false, logLevel: 'warn' } });
+  assertTrue(pumpOn(), 'Pump should be started');
+  scan(3);
+  assertEquals(false, printed('Decision: '), 'Should not print decisions below the log level');
+
+  let log = sim.httpRequest('status', 'action=log').json();
+  assertEquals('warn', log.logLevel, 'Should report the log level');
+  assertDeepEquals([
+    { time: START_TIME, level: 'info', event: 'startup', message: 'Startup: found the pump off, the rules take over with valid readings.', values: { loop: 'pump' } },
+    { time: START_TIME, level: 'info', event: 'decision', message: 'Decision: start pump, heating source is hot enough', values: { loop: 'pump', tank: 40, source: 48 } },
+  ], log.entries.map(entry => { delete entry.uptime; return entry; }), 'Should keep the events and only the decision that switched the pump');
+
+  sim.setTemperature(SOURCE, null);
+  scan(2);
+  assertTrue(printed(`Temperature sensor ${SOURCE}: sensor reports read`), 'Should print errors');
+  log = sim.httpRequest('status', 'action=log').json();
+  assertDeepEquals(['startup', 'decision', 'sensor'], log.entries.map(entry => entry.event), 'Should keep only the first failure of a sensor');
+  assertDeepEquals({ sensor: SOURCE, value: null }, log.entries[2].values, 'Should name the sensor and its reading');
+
+  sim.setKvs(KVS_CONFIG_KEY, { debuggingOn: false, logLevel: 'warn', logBufferSize: 1 });
+  sim.httpRequest('status', 'action=reload');
+  scan();
+  assertEquals(1, sim.httpRequest('status', 'action=log').json().entries.length, 'Should follow logBufferSize');
+  assertTrue(script.validateConfig({ logLevel: 'verbose' })[0].startsWith('logLevel: '), 'Should check the log level');
+});
+
+test('raising an alert should store the log entries in KVS', () => {
+  startScript({ tank: 40, source: 60 });
+  assertEquals(undefined, sim.getKvs(KVS_LOG_KEY), 'Should not store the log without a fault');
+
+  sim.setTemperature(SOURCE, null);
+  scan(DEFAULT_CONFIG.sensorFaultThreshold);
+
+  const saved = savedLog();
+  assertEquals('sensor', saved.reason, 'Should name the alert');
+  assertEquals(START_TIME + DEFAULT_CONFIG.sensorFaultThreshold * DEFAULT_CONFIG.scanInterval, saved.savedAt, 'Should store the time');
+  assertDeepEquals(['alert', 'fail_safe', 'sensor', 'decision', 'startup'], saved.entries.map(entry => entry[2]), 'Should store what led up to the alert, newest first');
+  assertDeepEquals([START_TIME + DEFAULT_CONFIG.scanInterval, 'error', 'sensor', `Temperature sensor ${SOURCE}: sensor reports read (1 consecutive failures)`,
+    { sensor: SOURCE, value: null }], saved.entries[2], 'Should store the message and values of an error');
+  assertEquals('Alert sensor: Sensor fault on 101', saved.entries[0][3].slice(0, 33), 'Should store the message of an alert');
+  assertEquals(3, saved.entries[4].length, 'Should store the time, level and event of the other entries');
+
+  // A full log is spread over several KVS values, each written with KVS.Set, and a long message is cut short.
+  script.reportError('Error: ' + 'x'.repeat(300), 'error', { loop: 'pump' });
+  for (let i = 0; i < 10; i++) {
+    script.logEvent('info', 'test' + i, 'Test entry ' + i);
+  }
+  script.saveLog('test');
+  sim.flush();
+  assertEquals(3, JSON.parse(sim.getKvs(KVS_LOG_KEY)).parts, 'Should use every value');
+  assertEquals(false, script.scriptStatus.lastError.includes('Error saving the log'), 'Every value should fit into KVS');
+  const entries = savedLog().entries;
+  assertEquals('test9', entries[0][2], 'Should keep the newest entries first');
+  const long = entries.filter(entry => entry[3] !== undefined && entry[3].startsWith('Error: xxx'))[0];
+  assertTrue(long !== undefined && long[3].endsWith('...'), 'Should cut a long message short');
+  assertEquals(11, entries.length, 'Should keep the entries up to the long one, more than fit into one value');
+});
+
+test('other scripts should receive the state and send commands', () => {
+  startScript({ tank: 40, source: 48 });
+  const other = sim.runScript(`
+    let states = [];
+    Shelly.addEventHandler(function (event) {
+      if (event.info.event === "indirect_heating_status") {
+        states.push(event.info.data);
+      }
     });
-}
+    function send(command) {
+      Shelly.emitEvent("indirect_heating_command", command);
+    }
+  `);
+  scan();
+  const state = other.script.states[other.script.states.length - 1];
+  assertEquals(40, state.hotWaterTemperature, 'Should announce the state');
+  assertEquals('difference', state.loops[0].rule, 'Should tell which rule decided');
+  assertEquals(DEFAULT_CONFIG.waterPumpHysteresis, state.loops[0].waterPumpHysteresis, 'Should tell the limits configured for the loop');
+  assertEquals(undefined, state.config, 'Should leave out the configuration');
+  assertTrue(JSON.stringify(state).length < 1000, 'Should keep the state small, it also goes out to the notification channels');
+
+  other.script.send({ action: 'off', source: 'from the test' });
+  sim.flush();
+  assertEquals(false, pumpOn(), 'Should force the pump off');
+  assertEquals(60 * 60, script.getStatus().modeRemaining, 'Should force it for DEFAULT_FORCE_MINUTES');
+  assertTrue(printed('from the test'), 'Should log where the command came from');
+  other.script.send({ action: 'auto' });
+  sim.flush();
+  assertEquals('auto', other.script.states[other.script.states.length - 1].mode, 'Should announce the new mode');
+
+  other.script.send({ action: 'learned', loop: 'pump', hysteresis: 12, stopDifference: 9 });
+  sim.flush();
+  assertDeepEquals({ hysteresis: 12, stopDifference: 9 }, script.loops[0].learned, 'Should use the learned differences');
+  scan(2);
+  assertEquals(false, pumpOn(), 'Should stop at the learned stop difference');
+
+  other.script.send({ action: 'learned', loop: 'pump', hysteresis: 5, stopDifference: 9 });
+  sim.flush();
+  assertEquals('Command from script 2 rejected: stopDifference must be lower than hysteresis.', script.scriptStatus.lastError, 'Should reject invalid differences');
+  other.script.send({ action: 'learned', loop: 'pump' });
+  sim.flush();
+  assertEquals(null, script.loops[0].learned, 'Should use the configured differences again');
 
-// This is a simplified runner. For a real project, consider Jest or Mocha.
-// runTests(); // This is for a purely synchronous world.
+  other.script.send({ action: 'dance' });
+  sim.flush();
+  assertTrue(script.scriptStatus.lastError.includes("Unknown action 'dance'"), 'Should reject an unknown action');
+});
+
+test('the action heat should raise the maximum temperature for a while', () => {
+  startScript({ tank: 64, source: 95, config: { minPumpOffTime: 0 } });
+  const other = sim.runScript(`
+    function send(command) {
+      Shelly.emitEvent("indirect_heating_command", command);
+    }
+  `);
+  sim.setTemperature(TANK, 66);
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should stop at maxWaterTemp');
+
+  other.script.send({ action: 'heat', temperature: 90, minutes: 30, source: 'for the test' });
+  sim.flush();
+  assertTrue(pumpOn(), 'Pump should heat above maxWaterTemp');
+  assertEquals(90, sim.httpRequest('status').json().heatTemperature, 'Should report the temperature asked for');
+  assertTrue(printed('Heating the tank to 90°C for at most 30 minutes for the test.'), 'Should log the command');
+
+  sim.setTemperature(TANK, 78);
+  scan();
+  sim.setTemperature(TANK, 91);
+  scan();
+  assertEquals(false, pumpOn(), 'Pump should stop at the temperature asked for');
+  assertEquals(2, sim.prints.filter(m => m.includes('Decision: stop pump, maximum temperature reached')).length, 'Should stop for the maximum temperature again');
+  assertEquals(false, printed('Alert tank'), 'The temperature asked for should count as a target');
+
+  sim.setTemperature(TANK, 66);
+  sim.advance(30 * 60 * 1000);
+  assertEquals(null, script.getStatus().heatTemperature, 'Should end after the minutes');
+  assertTrue(printed('Heating the tank to 90°C ended after the time asked for.'), 'Should log the end');
+  assertEquals(false, pumpOn(), 'Pump should keep to maxWaterTemp again');
+
+  other.script.send({ action: 'heat', temperature: 71, minutes: 30 });
+  other.script.send({ action: 'heat', source: 'for the test' });
+  sim.flush();
+  assertEquals(null, script.getStatus().heatTemperature, 'Should end without a temperature');
+  assertTrue(printed('Heating the tank to 71°C ended for the test.'), 'Should log the early end');
+
+  other.script.send({ action: 'heat', temperature: 130, minutes: 30 });
+  sim.flush();
+  assertEquals('Command from script 2 rejected: temperature: 130 is outside of the range 0 to 109.', script.scriptStatus.lastError, 'Should stay below sensorMaxTemp');
+  other.script.send({ action: 'heat', temperature: 71 });
+  sim.flush();
+  assertTrue(script.scriptStatus.lastError.includes('minutes: expected a number'), 'Should require the minutes');
+});
+
+// --- Run Tests ---
 
-// Since some tests are async (init), we need a slightly more complex runner.
-console.log("Running tests for indirect_heating_tank_pump.shelly.js...");
-runAsyncTests();
\ No newline at end of file
+run('indirect_heating_tank_pump.shelly.js');
@@ -0,0 +1,284 @@
+/**
+ * @file A local stand-in for a Shelly Gen2 device's HTTP RPC interface, to try and test
+ * tools/deploy.js without a device.
+ *
+ * The mock answers POST requests to /rpc with a JSON-RPC body like the device does, for the
+ * methods tools/deploy.js uses: managing scripts, the Key-Value Store, whose values are limited
+ * to the size the device stores, and the debug log settings. Scripts are stored but not run. Lines passed to log() are sent as UDP datagrams
+ * to the address in the debug.udp.addr setting, like the device sends its log.
+ *
+ * Usage:
+ *   const { createMockDevice } = require('./lib/mock_device');
+ *   const device = createMockDevice();
+ *   const host = await device.start();   // e.g. "127.0.0.1:52314"
+ *   ...
+ *   await device.stop();
+ *
+ * Or from the command line, to point tools/deploy.js at it:
+ *   node tests/lib/mock_device.js [port]
+ *
+ * See https://shelly-api-docs.shelly.cloud/gen2/General/RPCProtocol
+ */
+
+const dgram = require('dgram');
+const http = require('http');
+const { KVS_MAX_VALUE_SIZE, kvsValueSize } = require('../../tools/lib/kvs_config');
+
+// The error codes the device answers with.
+const INVALID_ARGUMENT = -103;
+const NOT_FOUND_ERROR = -105;
+const NO_HANDLER = 404;
+
+/**
+ * @description Creates a new mock device.
+ * @param {object} [options]
+ * @param {string} [options.id='shellyplus1pm-mock'] The device ID.
+ * @param {function} [options.onCall] Called with every RPC call received, as { method, params }.
+ * @returns {object} The mock device, see the methods below.
+ */
+function createMockDevice(options = {}) {
+  const id = options.id || 'shellyplus1pm-mock';
+  const handlers = {};
+  const failures = {};
+  let server = null;
+  let nextScriptId = 1;
+
+  const device = {
+    // Every RPC call received, as { method, params }.
+    calls: [],
+    // The scripts by ID, as { id, name, enable, running, code }.
+    scripts: {},
+    // The Key-Value Store, values as strings.
+    kvs: {},
+    // The system configuration, only the debug settings are used.
+    sysConfig: { device: { name: null }, debug: { level: 2, udp: { addr: null } } },
+  };
+
+  /**
+   * @description Registers the handler of an RPC method. A handler receives the params and
+   * returns the result, or throws an object with code and message to answer with an error.
+   * @param {string} method The method name, e.g. "Script.Create".
+   * @param {function} handler The handler.
+   */
+  device.handleCall = function (method, handler) {
+    handlers[method] = handler;
+  };
+
+  /**
+   * @description Makes the next calls of an RPC method fail without any effect.
+   * @param {string} method The method name.
+   * @param {object} [error]
+   * @param {number} [error.code=-103] The error code.
+   * @param {string} [error.message='Simulated failure'] The error message.
+   * @param {number} [error.times=1] How many calls fail, Infinity for all of them.
+   */
+  device.failCall = function (method, error = {}) {
+    failures[method] = {
+      code: error.code !== undefined ? error.code : INVALID_ARGUMENT,
+      message: error.message || 'Simulated failure',
+      times: error.times !== undefined ? error.times : 1,
+    };
+  };
+
+  /**
+   * @param {string} name The script name.
+   * @returns {object|undefined} The script with that name.
+   */
+  device.findScript = function (name) {
+    return Object.values(device.scripts).find(script => script.name === name);
+  };
+
+  function scriptOf(params) {
+    const script = device.scripts[params.id];
+    if (!script) {
+      throw { code: NOT_FOUND_ERROR, message: `Argument 'id', value ${params.id} not found!` };
+    }
+    return script;
+  }
+
+  device.handleCall('Shelly.GetDeviceInfo', () => ({ id, model: 'SNSW-001P16EU', gen: 2, ver: '1.0.0' }));
+  device.handleCall('Script.List', () => ({
+    scripts: Object.values(device.scripts).map(script => ({ id: script.id, name: script.name, enable: script.enable, running: script.running })),
+  }));
+  device.handleCall('Script.Create', params => {
+    const script = { id: nextScriptId++, name: params.name || '', enable: false, running: false, code: '' };
+    device.scripts[script.id] = script;
+    return { id: script.id };
+  });
+  device.handleCall('Script.PutCode', params => {
+    const script = scriptOf(params);
+    if (typeof params.code !== 'string') {
+      throw { code: INVALID_ARGUMENT, message: "Missing argument 'code'!" };
+    }
+    script.code = params.append ? script.code + params.code : params.code;
+    return { len: script.code.length };
+  });
+  device.handleCall('Script.GetCode', params => {
+    const script = scriptOf(params);
+    const offset = params.offset || 0;
+    const data = script.code.slice(offset, offset + (params.len || 2048));
+    return { data, left: script.code.length - offset - data.length };
+  });
+  device.handleCall('Script.SetConfig', params => {
+    const script = scriptOf(params);
+    Object.assign(script, params.config);
+    return { restart_required: false };
+  });
+  device.handleCall('Script.Start', params => {
+    const script = scriptOf(params);
+    const wasRunning = script.running;
+    script.running = true;
+    return { was_running: wasRunning };
+  });
+  device.handleCall('Script.Stop', params => {
+    const script = scriptOf(params);
+    const wasRunning = script.running;
+    script.running = false;
+    return { was_running: wasRunning };
+  });
+  device.handleCall('KVS.Get', params => {
+    if (!(params.key in device.kvs)) {
+      throw { code: NOT_FOUND_ERROR, message: "Argument 'key' not found!" };
+    }
+    return { etag: 'etag-' + params.key, value: device.kvs[params.key] };
+  });
+  device.handleCall('KVS.Set', params => {
+    if (typeof params.value !== 'string') {
+      throw { code: INVALID_ARGUMENT, message: "Missing argument 'value'!" };
+    }
+    if (kvsValueSize(params.value) > KVS_MAX_VALUE_SIZE) {
+      throw { code: INVALID_ARGUMENT, message: `Value is too long, the limit is ${KVS_MAX_VALUE_SIZE} bytes!` };
+    }
+    device.kvs[params.key] = params.value;
+    return { etag: 'etag-' + params.key, rev: device.calls.length };
+  });
+  device.handleCall('KVS.Delete', params => {
+    if (!(params.key in device.kvs)) {
+      throw { code: NOT_FOUND_ERROR, message: "Argument 'key' not found!" };
+    }
+    delete device.kvs[params.key];
+    return { rev: device.calls.length };
+  });
+  device.handleCall('Sys.GetConfig', () => JSON.parse(JSON.stringify(device.sysConfig)));
+  device.handleCall('Sys.SetConfig', params => {
+    const debug = params.config && params.config.debug;
+    if (debug && debug.udp) {
+      Object.assign(device.sysConfig.debug.udp, debug.udp);
+    }
+    return { restart_required: false };
+  });
+
+  /**
+   * @description Answers one RPC request.
+   * @param {object} request The parsed request, { id, method, params }.
+   * @returns {object} The response, with result or error.
+   */
+  function answer(request) {
+    const response = { id: request.id, src: id };
+    const call = { method: request.method, params: JSON.parse(JSON.stringify(request.params || {})) };
+    device.calls.push(call);
+    if (options.onCall) {
+      options.onCall(call);
+    }
+    const failure = failures[request.method];
+    if (failure && failure.times > 0) {
+      failure.times--;
+      response.error = { code: failure.code, message: failure.message };
+      return response;
+    }
+    const handler = handlers[request.method];
+    if (!handler) {
+      response.error = { code: NO_HANDLER, message: `No handler for ${request.method}` };
+      return response;
+    }
+    try {
+      response.result = handler(request.params || {});
+    } catch (e) {
+      if (e instanceof Error) {
+        throw e;
+      }
+      response.error = e;
+    }
+    return response;
+  }
+
+  /**
+   * @description Sends a line of the device log to debug.udp.addr, if it is set.
+   * @param {string} line The log line.
+   * @returns {Promise} Resolved once the line was sent.
+   */
+  device.log = function (line) {
+    const addr = device.sysConfig.debug.udp.addr;
+    if (!addr) {
+      return Promise.resolve();
+    }
+    const separator = addr.lastIndexOf(':');
+    const socket = dgram.createSocket('udp4');
+    return new Promise(resolve => {
+      socket.send(line + '\n', Number(addr.slice(separator + 1)), addr.slice(0, separator), () => {
+        socket.close();
+        resolve();
+      });
+    });
+  };
+
+  /**
+   * @description Starts answering requests on 127.0.0.1.
+   * @param {number} [port=0] The port, 0 for any free one.
+   * @returns {Promise<string>} The host and port to reach the device at, e.g. "127.0.0.1:52314".
+   */
+  device.start = function (port = 0) {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (req.method !== 'POST' || req.url !== '/rpc') {
+          res.writeHead(404);
+          res.end();
+          return;
+        }
+        let request;
+        try {
+          request = JSON.parse(body);
+        } catch (e) {
+          res.writeHead(400);
+          res.end();
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(answer(request)));
+      });
+    });
+    return new Promise(resolve => {
+      server.listen(port, '127.0.0.1', () => resolve('127.0.0.1:' + server.address().port));
+    });
+  };
+
+  /**
+   * @description Stops answering requests.
+   * @returns {Promise} Resolved once the server is closed.
+   */
+  device.stop = function () {
+    return new Promise(resolve => {
+      if (server === null) {
+        resolve();
+        return;
+      }
+      server.close(() => resolve());
+      server = null;
+    });
+  };
+
+  return device;
+}
+
+if (require.main === module) {
+  const device = createMockDevice({ onCall: call => console.log(`${call.method} ${JSON.stringify(call.params).slice(0, 120)}`) });
+  device.start(Number(process.argv[2]) || 0).then(host => {
+    console.log(`Mock device listening at http://${host}/rpc, stop it with Ctrl+C.`);
+    // Something to see with the tail command.
+    setInterval(() => device.log(`Mock device running for ${Math.round(process.uptime())} s`), 5000);
+  });
+}
+
+module.exports = { createMockDevice };
@@ -0,0 +1,128 @@
+/**
+ * @file A minimal test runner and assertion helpers shared by the test suites in tests/.
+ *
+ * Usage:
+ *   const { test, beforeEach, assertEquals, assertTrue, run } = require('./lib/test_runner');
+ *   test('does something', () => { assertTrue(true, 'It should'); });
+ *   run('my_script.shelly.js');
+ *
+ * Tests run one after another. A test that takes a parameter is asynchronous and
+ * must call it when done, passing an error if it failed.
+ */
+
+// How long an asynchronous test may take before it is reported as failed.
+const ASYNC_TEST_TIMEOUT = 5000;
+
+const tests = [];
+let beforeEachFn = () => {};
+let currentTestName = '';
+
+/**
+ * @description Defines a new test case and adds it to the test suite.
+ * @param {string} name The name of the test.
+ * @param {function} fn The function that contains the test logic and assertions.
+ */
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * @description Defines a function to run before each test.
+ * @param {function} fn The setup function.
+ */
+function beforeEach(fn) {
+  beforeEachFn = fn;
+}
+
+/**
+ * @description Assertion helper that checks for strict equality.
+ * Throws an error if the actual value is not strictly equal to the expected value.
+ * @param {*} expected The expected value.
+ * @param {*} actual The actual value to check.
+ * @param {string} message The message to display if the assertion fails.
+ */
+function assertEquals(expected, actual, message) {
+  if (expected !== actual) {
+    throw new Error(`'${currentTestName}' failed: ${message}. Expected '${expected}', but got '${actual}'.`);
+  }
+}
+
+/**
+ * @description Assertion helper that checks if a value is true.
+ * Throws an error if the actual value is not strictly true.
+ * @param {boolean} actual The value to check.
+ * @param {string} message The message to display if the assertion fails.
+ */
+function assertTrue(actual, message) {
+  assertEquals(true, actual, message);
+}
+
+/**
+ * @description Assertion helper that compares two values by their JSON representation,
+ * which also works for objects created inside the simulated script context.
+ * @param {*} expected The expected value.
+ * @param {*} actual The actual value to check.
+ * @param {string} message The message to display if the assertion fails.
+ */
+function assertDeepEquals(expected, actual, message) {
+  assertEquals(JSON.stringify(expected), JSON.stringify(actual), message);
+}
+
+/**
+ * @description Runs a single test, waiting for the 'done' callback of asynchronous tests.
+ * @param {object} t The test case.
+ * @returns {Promise} Resolved when the test passed, rejected with the failure otherwise.
+ */
+function runTest(t) {
+  return new Promise((resolve, reject) => {
+    currentTestName = t.name;
+    beforeEachFn();
+    if (t.fn.length === 0) {
+      t.fn();
+      resolve();
+      return;
+    }
+    const timeout = setTimeout(() => reject(new Error(`'${t.name}' did not finish within ${ASYNC_TEST_TIMEOUT} ms.`)), ASYNC_TEST_TIMEOUT);
+    t.fn((err) => {
+      clearTimeout(timeout);
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * @description Runs all registered tests in order, reports the results and exits
+ * the process with a non-zero code if any test failed.
+ * @param {string} title What is being tested, printed before the results.
+ */
+function run(title) {
+  console.log(`Running tests for ${title}...`);
+  const failedTests = [];
+  let promise = Promise.resolve();
+
+  tests.forEach(t => {
+    promise = promise
+      .then(() => runTest(t))
+      .then(() => {
+        console.log(`✅ ${t.name}`);
+      }, (error) => {
+        failedTests.push(t.name);
+        console.error(`❌ '${t.name}' failed`);
+        console.error(error);
+      });
+  });
+
+  promise.then(() => {
+    if (failedTests.length > 0) {
+      console.error(`\n${failedTests.length} test(s) failed.`);
+      process.exit(1);
+    }
+    console.log("\nAll tests passed!");
+  });
+}
+
+module.exports = { test, beforeEach, assertEquals, assertTrue, assertDeepEquals, run };
@@ -1,3 +1,11 @@
 #!/bin/bash
 
-node *.js
+# Runs every test suite in this directory, failing if any of them fails.
+cd "$(dirname "$0")" || exit 1
+status=0
+# The suites run the bundled scripts, so they have to match the sources.
+node ../tools/bundle.js --check || status=1
+for suite in *.test.js; do
+  node "$suite" || status=1
+done
+exit $status
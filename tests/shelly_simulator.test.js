@@ -0,0 +1,271 @@
+/**
+ * @file Test suite for the simulated Shelly runtime in tools/lib/shelly_simulator.js
+ */
+
+const { createSimulator } = require('../tools/lib/shelly_simulator');
+const { test, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
+
+test('timers should fire in order as the virtual clock advances', () => {
+  const sim = createSimulator();
+  sim.runScript(`
+    let fired = [];
+    Timer.set(3000, false, function () { fired.push("once"); });
+    Timer.set(1000, true, function (tag) { fired.push(tag); }, "repeat");
+  `);
+
+  sim.advance(999);
+  assertEquals(0, sim.script.fired.length, 'Nothing should fire early');
+
+  sim.advance(2001);
+  // At 3000 ms both are due, the one-shot timer was queued first.
+  assertDeepEquals(['repeat', 'repeat', 'once', 'repeat'], sim.script.fired, 'Timers should fire in order');
+  assertEquals(1, sim.timers().length, 'Only the repeating timer should remain');
+});
+
+test('Timer.clear should stop a timer and the number of timers should be limited', () => {
+  const sim = createSimulator();
+  sim.runScript(`
+    let count = 0;
+    let handle = Timer.set(1000, true, function () { count++; });
+  `);
+  sim.advance(2000);
+  sim.script.Timer.clear(sim.script.handle);
+  sim.advance(5000);
+  assertEquals(2, sim.script.count, 'Cleared timer should not fire again');
+
+  let error = null;
+  try {
+    sim.runScript('for (let i = 0; i < 6; i++) { Timer.set(1000, true, function () {}); }');
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error !== null && error.message.includes('Too many timers'), 'Should enforce the timer limit');
+});
+
+test('Shelly.call should apply the effect at once and call back on the next advance', () => {
+  const sim = createSimulator();
+  sim.setSwitch(0, false);
+  sim.runScript(`
+    let answer = null;
+    Shelly.call("Switch.Set", { id: 0, on: true }, function (result, error_code) {
+      answer = { wasOn: result.was_on, code: error_code };
+    });
+  `);
+
+  assertTrue(sim.getStatus('switch', 0).output, 'Switch should be on at once');
+  assertEquals(null, sim.script.answer, 'Callback should not have fired yet');
+  sim.flush();
+  assertDeepEquals({ wasOn: false, code: 0 }, sim.script.answer, 'Callback should report the previous state');
+  assertDeepEquals([{ method: 'Switch.Set', params: { id: 0, on: true } }], sim.calls, 'Call should be logged');
+});
+
+test('Shelly.call should limit the calls in flight', () => {
+  const sim = createSimulator();
+  sim.runScript(`
+    function save(i) {
+      Shelly.call("KVS.Set", { key: "key" + i, value: "1" });
+    }
+  `);
+  for (let i = 0; i < 5; i++) {
+    sim.script.save(i);
+  }
+  let error = null;
+  try {
+    sim.script.save(5);
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error !== null && error.message.includes('Too many calls in flight'), 'Should enforce the limit');
+
+  sim.flush();
+  sim.script.save(5);
+  assertEquals('1', sim.getKvs('key5'), 'Should accept calls again once the others answered');
+});
+
+test('failCall should make calls fail without effect', () => {
+  const sim = createSimulator();
+  sim.setSwitch(0, false);
+  sim.failCall('Switch.Set', { code: -104, message: 'Timeout', times: 1 });
+  sim.runScript(`
+    let errors = [];
+    function set() {
+      Shelly.call("Switch.Set", { id: 0, on: true }, function (result, error_code, error_message) {
+        errors.push(error_code + " " + error_message);
+      });
+    }
+    set();
+    set();
+  `);
+  sim.flush();
+
+  assertDeepEquals(['-104 Timeout', '0 '], sim.script.errors, 'Only the first call should fail');
+  assertTrue(sim.getStatus('switch', 0).output, 'The second call should switch');
+});
+
+test('KVS should store values and report missing keys', () => {
+  const sim = createSimulator();
+  sim.setKvs('config', { a: 1 });
+  sim.runScript(`
+    let results = [];
+    Shelly.call("KVS.Get", { key: "config" }, function (result, error_code) { results.push(result.value); });
+    Shelly.call("KVS.Get", { key: "missing" }, function (result, error_code) { results.push(error_code); });
+    Shelly.call("KVS.Set", { key: "saved", value: "42" });
+    Shelly.call("KVS.Set", { key: "long", value: JSON.stringify({ text: "x".repeat(250) }) }, function (result, error_code) { results.push(error_code); });
+  `);
+  sim.flush();
+
+  assertDeepEquals(['{"a":1}', -105, -103], sim.script.results, 'Should return the value and the errors');
+  assertEquals('42', sim.getKvs('saved'), 'Should store the value');
+  assertEquals(undefined, sim.getKvs('long'), 'Should reject values longer than the device stores');
+
+  let error = null;
+  try {
+    sim.setKvs('long', { text: 'x'.repeat(250) });
+  } catch (e) {
+    error = e;
+  }
+  assertTrue(error !== null && error.message.startsWith('The value of long is too long'), 'setKvs should apply the same limit');
+
+  const config = { maxWaterTemp: 60, schedule: [{ from: '22:00', to: '07:00', pump: 'block', note: 'x'.repeat(150) }, { from: '13:00', to: '15:00', note: 'y'.repeat(150) }] };
+  sim.setConfig('config', config);
+  assertDeepEquals({ maxWaterTemp: 60, schedule: [config.schedule[0]] }, JSON.parse(sim.getKvs('config')), 'setConfig should fill the first key');
+  assertDeepEquals({ schedule: [config.schedule[1]] }, JSON.parse(sim.getKvs('config_1')), 'setConfig should continue a list under the next key');
+});
+
+test('getComponentStatus should return copies and null for missing components', () => {
+  const sim = createSimulator({ uptime: 50, unixtime: 1717408800, utcOffset: 60 });
+  sim.setTemperature(100, 21.5);
+  sim.setTemperature(101, null);
+  sim.setInput(0, true);
+  sim.runScript(`
+    let tank = Shelly.getComponentStatus("Temperature", 100);
+    tank.tC = 99;
+  `);
+
+  assertEquals(21.5, sim.getStatus('temperature', 100).tC, 'Script should not change the component');
+  assertDeepEquals(['read'], sim.script.Shelly.getComponentStatus('temperature:101').errors, 'Should report the read error');
+  assertTrue(sim.script.Shelly.getComponentStatus('Input', 0).state, 'Should report the input state');
+  assertEquals(null, sim.script.Shelly.getComponentStatus('Temperature', 102), 'Should return null for a missing sensor');
+
+  sim.advance(90 * 1000);
+  const sys = sim.script.Shelly.getComponentStatus('sys');
+  assertEquals(140, sys.uptime, 'Uptime should follow the clock');
+  assertEquals('11:01', sys.time, 'Local time should follow the clock');
+});
+
+test('events and HTTP endpoints should reach the script', () => {
+  const sim = createSimulator();
+  sim.runScript(`
+    let pushes = 0;
+    Shelly.addEventHandler(function (event) {
+      if (event.component === "input:0" && event.info.event === "single_push") {
+        pushes++;
+      }
+    });
+    HTTPServer.registerEndpoint("hello", function (request, response) {
+      response.body = JSON.stringify({ query: request.query, pushes: pushes });
+      response.send();
+    });
+  `);
+
+  sim.emitEvent('input:0', { event: 'single_push' });
+  const response = sim.httpRequest('hello', 'name=pump');
+
+  assertTrue(response.sent, 'Response should be sent');
+  assertEquals(200, response.code, 'Should default to 200');
+  assertDeepEquals({ query: 'name=pump', pushes: 1 }, response.json(), 'Should pass the query and see the event');
+});
+
+test('status changes should be announced to status handlers on the next advance', () => {
+  const sim = createSimulator();
+  sim.setSwitch(0, false);
+  sim.setTemperature(100, 40);
+  sim.runScript(`
+    let changes = [];
+    Shelly.addStatusHandler(function (event) { changes.push(event.component + " " + JSON.stringify(event.delta)); });
+    Shelly.call("Switch.Set", { id: 0, on: true });
+  `);
+  sim.setTemperature(100, 40);
+  sim.setTemperature(100, 41.5);
+  sim.emitStatus('switch:0', { source: 'button' });
+
+  assertEquals(0, sim.script.changes.length, 'Nothing should be announced before the advance');
+  sim.flush();
+  assertDeepEquals([
+    'switch:0 {"id":0,"output":true}',
+    'temperature:100 {"id":100,"tC":41.5,"tF":106.7}',
+    'switch:0 {"id":0,"source":"button"}',
+  ], sim.script.changes, 'Should announce the changed properties only');
+});
+
+test('HTTP.POST should reach a stand-in web server and time out without one', () => {
+  const sim = createSimulator();
+  const requests = [];
+  sim.addWebServer('http://receiver.local/', (request) => {
+    requests.push(request);
+    return { code: 201, body: 'created' };
+  });
+  sim.runScript(`
+    let answers = [];
+    function post(url) {
+      Shelly.call("HTTP.POST", { url: url, body: "{}", content_type: "application/json" }, function (result, error_code, error_message) {
+        answers.push(error_code === 0 ? result.code + " " + result.body : error_code + " " + error_message);
+      });
+    }
+    post("http://receiver.local/hook");
+    post("http://elsewhere.local/hook");
+  `);
+  sim.flush();
+
+  assertDeepEquals([{ method: 'POST', url: 'http://receiver.local/hook', contentType: 'application/json', body: '{}' }], requests, 'Should pass on the request');
+  assertDeepEquals(['201 created', '-104 Deadline exceeded'], sim.script.answers, 'Should answer like the device');
+});
+
+test('MQTT should record publications and deliver messages to matching subscriptions', () => {
+  const sim = createSimulator({ mqttConnected: false });
+  sim.runScript(`
+    let received = [];
+    let connects = 0;
+    MQTT.setConnectHandler(function () { connects++; });
+    MQTT.subscribe("tank/+/set", function (topic, message) { received.push(topic + "=" + message); });
+    MQTT.subscribe("tank/#", function (topic) { received.push("all " + topic); });
+    let offline = MQTT.publish("tank/state", "{}", 0, true);
+  `);
+
+  assertEquals(false, sim.script.offline, 'Publishing should fail while disconnected');
+  sim.setMqttConnected(true);
+  assertEquals(1, sim.script.connects, 'Should call the connect handler');
+  assertTrue(sim.evaluate('MQTT.publish("tank/state", "on", 1, true)'), 'Publishing should succeed once connected');
+  assertDeepEquals([{ topic: 'tank/state', message: 'on', qos: 1, retain: true }], sim.published, 'Should record the message');
+  assertEquals('on', sim.getRetained('tank/state'), 'Should keep the retained message');
+
+  assertEquals(2, sim.mqttMessage('tank/mode/set', 'auto'), 'Both filters should match');
+  assertEquals(0, sim.mqttMessage('boiler/mode/set', 'auto'), 'Other topics should not match');
+  assertDeepEquals(['tank/mode/set=auto', 'all tank/mode/set'], sim.script.received, 'Should deliver the payload');
+});
+
+test('scripts should run side by side and reach each other with events', () => {
+  const sim = createSimulator();
+  sim.runScript(`
+    HTTPServer.registerEndpoint("status", function (request, response) { response.body = "first"; response.send(); });
+    Timer.set(1000, true, function () { Shelly.emitEvent("tick", { n: 1 }); });
+  `);
+  const second = sim.runScript(`
+    let events = [];
+    Shelly.addEventHandler(function (event) { events.push(event); });
+    HTTPServer.registerEndpoint("status", function (request, response) { response.body = "second"; response.send(); });
+    for (let i = 0; i < 5; i++) { Timer.set(60000, false, function () {}); }
+  `);
+
+  assertEquals(2, second.id, 'Should give every script its own ID');
+  assertEquals(6, sim.timers().length, 'Should limit the timers of every script on its own');
+  assertEquals('first', sim.httpRequest('status').body, 'Should reach the endpoint of the first script');
+  assertEquals('second', second.httpRequest('status').body, 'Should reach the endpoint of another script');
+
+  sim.advance(1000);
+  assertDeepEquals([{ component: 'script:1', id: 1, now: 1717408801, info: { component: 'script:1', id: 1, event: 'tick', data: { n: 1 }, ts: 1717408801 } }],
+    second.script.events, 'Should deliver the event to the other script');
+  assertEquals(undefined, sim.evaluate('typeof events === "undefined" ? undefined : events'), 'Should keep the globals of every script apart');
+});
+
+run('tools/lib/shelly_simulator.js');
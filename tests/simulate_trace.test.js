@@ -0,0 +1,174 @@
+/**
+ * @file Test suite for tools/simulate_trace.js
+ */
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTrace, sampleAt, replayTrace, formatDuration, parseArgs } = require('../tools/simulate_trace');
+const { test, assertEquals, assertTrue, assertDeepEquals, run } = require('./lib/test_runner');
+
+/**
+ * @description Builds a trace with a heating source that is hot between two points in time.
+ * @param {number} hotFrom Seconds after the start when the source heats up.
+ * @param {number} hotUntil Seconds after the start when the source cools down.
+ * @returns {object} The parsed trace.
+ */
+function heatingTrace(hotFrom, hotUntil) {
+  const rows = ['time,tank,source'];
+  for (let time = 0; time <= 4 * 3600; time += 300) {
+    const hot = time >= hotFrom && time < hotUntil;
+    rows.push(`${time},${40 + time / 3600},${hot ? 60 + time / 3600 : 35 + time / 7200}`);
+  }
+  return parseTrace(rows.join('\n'));
+}
+
+test('parseTrace should read CSV with seconds and JSON with dates', () => {
+  let trace = parseTrace('time,tank,source\n0,40,45\n60,40.5,46\n');
+  assertEquals(null, trace.start, 'Seconds should not have a start date');
+  assertDeepEquals([{ time: 0, tank: 40, source: 45 }, { time: 60, tank: 40.5, source: 46 }], trace.samples, 'Should parse the samples');
+
+  trace = parseTrace(JSON.stringify([
+    { time: '2024-06-03T06:00:00Z', tank: 40, source: 45 },
+    { time: '2024-06-03T06:05:00Z', tank: 41, source: 60 },
+  ]));
+  assertEquals(1717394400, trace.start, 'Should keep the start date');
+  assertEquals(300, trace.samples[1].time, 'Should convert dates to seconds since the start');
+});
+
+test('parseTrace should reject malformed traces', () => {
+  const errorOf = (text) => {
+    try {
+      parseTrace(text);
+    } catch (e) {
+      return e.message;
+    }
+    return '';
+  };
+
+  assertTrue(errorOf('time,tank\n0,40\n60,41').includes("'source' column"), 'Should require all columns');
+  assertTrue(errorOf('time,tank,source\n0,40,45').includes('at least two samples'), 'Should require two samples');
+  assertTrue(errorOf('time,tank,source\n60,40,45\n0,41,46').includes('must increase'), 'Should require increasing time');
+  assertTrue(errorOf('time,tank,source\n0,40,45\n60,x,46').includes('must be numbers'), 'Should require numbers');
+  assertTrue(errorOf('[{"time": 0, ').startsWith('The trace is not valid JSON'), 'Should report malformed JSON');
+  assertTrue(errorOf('[1, 2]').includes('array of { time, tank, source } objects'), 'Should require objects');
+});
+
+test('sampleAt should interpolate and round like the Add-on', () => {
+  const trace = parseTrace('time,tank,source\n0,40,50\n100,41,60\n');
+
+  assertDeepEquals({ tank: 40.3, source: 53.3 }, sampleAt(trace.samples, 33), 'Should interpolate between samples');
+  assertDeepEquals({ tank: 41, source: 60 }, sampleAt(trace.samples, 500), 'Should hold the last sample');
+});
+
+test('replayTrace should report pump intervals, starts, runtime and energy', () => {
+  const result = replayTrace(heatingTrace(3600, 7200), { ua: 1000 });
+
+  assertEquals(1, result.intervals.length, 'Pump should run once');
+  // The source is interpolated between the 5-minute samples around the edges.
+  assertTrue(result.intervals[0].start > 3300 && result.intervals[0].start <= 3630, 'Pump should start when the source heats up');
+  assertTrue(result.intervals[0].end > 6900 && result.intervals[0].end <= 7230, 'Pump should stop when the source cools down');
+  assertEquals(1, result.starts, 'Should count the start');
+  assertEquals(result.intervals[0].end - result.intervals[0].start, result.runtime, 'Runtime should match the interval');
+  // About an hour at a difference of roughly 20 K with 1000 W/K.
+  assertTrue(result.energy > 15 && result.energy < 25, 'Energy should be estimated from the differences, got ' + result.energy);
+  assertEquals('', result.lastError, 'The script should not report errors');
+});
+
+test('replayTrace should compare configurations', () => {
+  const trace = heatingTrace(3600, 7200);
+
+  const normal = replayTrace(trace);
+  const limited = replayTrace(trace, { config: { maxWaterTemp: 41.5 } });
+
+  assertTrue(limited.runtime < normal.runtime, 'A lower maximum should shorten the runtime');
+  assertTrue(limited.energy < normal.energy, 'A lower maximum should transfer less energy');
+});
+
+test('replayTrace should feed every configured thermometer', () => {
+  const trace = heatingTrace(3600, 7200);
+  const config = { hotWaterTemperatureID: [100, 102], hotWaterAggregation: 'avg', tankTopTemperatureID: 103, stopReference: 'top' };
+
+  const result = replayTrace(trace, { config });
+
+  assertEquals(replayTrace(trace).runtime, result.runtime, 'Sensors with the same readings should not change the result');
+  assertEquals('', result.lastError, 'No sensor should be missing');
+});
+
+test('replayTrace should reject configurations with loops', () => {
+  const trace = heatingTrace(3600, 7200);
+  let error = null;
+  try {
+    replayTrace(trace, { config: { loops: [{ name: 'solar', switchID: 0 }, { name: 'boiler', switchID: 1 }] } });
+  } catch (e) {
+    error = e;
+  }
+
+  assertTrue(error !== null && error.message.startsWith('The configuration has loops'), 'Should explain the problem');
+  assertEquals(0, replayTrace(trace, { config: { loops: [] } }).lastError.length, 'Should accept an empty list');
+});
+
+test('replayTrace should reject configurations the script rejects', () => {
+  let error = null;
+  try {
+    replayTrace(heatingTrace(3600, 7200), { config: { maxWaterTemp: 'hot', colour: 'red' } });
+  } catch (e) {
+    error = e;
+  }
+
+  assertTrue(error !== null && error.message.startsWith('The configuration is not valid:'), 'Should not replay the defaults instead');
+  assertTrue(error.message.includes('colour: unknown setting.'), 'Should give the reasons of the script');
+});
+
+test('parseArgs should reject configurations that are not JSON objects and a bad UA', () => {
+  const errorOf = (args) => {
+    try {
+      parseArgs(args);
+    } catch (e) {
+      return e.message;
+    }
+    return '';
+  };
+
+  assertTrue(errorOf(['trace.csv', '--config', '{"maxWaterTemp": ']).startsWith('--config: not valid JSON'), 'Should report malformed JSON');
+  assertEquals('--config: the configuration must be a JSON object.', errorOf(['trace.csv', '--config', '[1]']), 'Should require an object');
+  assertTrue(errorOf(['trace.csv', '--ua', 'x']).startsWith('--ua must be a positive number'), 'Should require a number');
+  assertDeepEquals([{ maxWaterTemp: 50 }], parseArgs(['trace.csv', '--config', '{"maxWaterTemp": 50}']).configs, 'Should parse a valid configuration');
+});
+
+test('the command line should exit with a message instead of a stack trace', () => {
+  const tool = path.join(__dirname, '../tools/simulate_trace.js');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'simulate_trace-'));
+  const trace = path.join(dir, 'trace.csv');
+  fs.writeFileSync(trace, 'time,tank\n0,40\n60,41\n');
+  const runTool = (args) => childProcess.spawnSync(process.execPath, [tool].concat(args), { encoding: 'utf8', timeout: 60000 });
+
+  try {
+    let result = runTool([trace]);
+    assertEquals(1, result.status, 'A malformed trace should fail');
+    assertEquals("Error: The CSV header must have a 'source' column.\n", result.stderr, 'Should print only the message');
+
+    result = runTool([path.join(dir, 'missing.csv')]);
+    assertEquals(1, result.status, 'A missing trace should fail');
+    assertTrue(result.stderr.startsWith('Error: ENOENT'), 'Should say the file is missing');
+
+    fs.writeFileSync(trace, 'time,tank,source\n0,40,45\n600,41,46\n');
+    result = runTool([trace, '--config', '{"waterPumpStopDifference": 20}']);
+    assertEquals(1, result.status, 'An invalid configuration should fail');
+    assertTrue(result.stderr.includes('waterPumpStopDifference (20) must be lower'), 'Should print why');
+
+    result = runTool([trace, '--config', '{']);
+    assertEquals(2, result.status, 'A bad argument should fail with the usage status');
+    assertEquals(0, runTool([trace, '--json']).status, 'A valid replay should succeed');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('formatDuration should format hours, minutes and seconds', () => {
+  assertEquals('0:00:00', formatDuration(0), 'Should format zero');
+  assertEquals('25:01:05', formatDuration(90065), 'Should not wrap at a day');
+});
+
+run('tools/simulate_trace.js');
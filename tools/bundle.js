@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+/**
+ * @file Builds the deployable scripts in scripts/ from the sources in src/. A Shelly runs a
+ * script as a single file, so the shared code in src/lib/ is inlined where a source includes it:
+ *
+ *   // #include "lib/kvs.js"
+ *
+ * Paths are relative to the directory of the script, and every file is inlined once per
+ * script, so a library may include the libraries it needs itself. The leading @file
+ * comment of a library is left out. The bundled script is compact, see compact(), as the
+ * device limits the size of a script, see DEFAULT_MAX_SIZE.
+ *
+ * Usage:
+ *   node tools/bundle.js [options] [src/<name>.shelly.js ...]
+ *
+ * Options:
+ *   --out <dir>         The directory of the bundled scripts (default scripts/).
+ *   --max-size <bytes>  Reject scripts larger than this (default DEFAULT_MAX_SIZE).
+ *   --check             Only check that the bundled scripts are up to date, exit with 1 if not.
+ *
+ * Without script paths every src/*.shelly.js is bundled. Every source is checked for syntax
+ * the device's script engine, a subset of JavaScript, does not support, see UNSUPPORTED, the
+ * bundled script has to parse and must not be larger than the device accepts. Nothing is
+ * written if a problem is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE_DIR = path.join(__dirname, '../src');
+const OUTPUT_DIR = path.join(__dirname, '../scripts');
+
+// The largest script, in bytes, the device accepts. Check the limit of your device and firmware
+// and pass --max-size if it differs.
+const DEFAULT_MAX_SIZE = 65536;
+
+const INCLUDE = /^\/\/ #include "([^"]+)"\s*$/;
+
+// Syntax the device's script engine does not support, found in the code outside of strings and comments.
+const UNSUPPORTED = [
+  { pattern: /=>/g, message: 'arrow functions are not supported, use function' },
+  { pattern: /\bclass\s+[A-Za-z_$]/g, message: 'classes are not supported' },
+  { pattern: /\b(async|await)\b/g, message: 'async functions are not supported, use callbacks' },
+  { pattern: /\bfunction\s*\*/g, message: 'generators are not supported' },
+  { pattern: /\.\.\./g, message: 'spread and rest syntax is not supported' },
+  { pattern: /\b(let|const|var)\s*[[{]/g, message: 'destructuring is not supported' },
+  { pattern: /\bfor\s*\(\s*(let|const|var)?\s*[A-Za-z_$][\w$]*\s+of\b/g, message: 'for...of loops are not supported, use a counter or forEach()' },
+  { pattern: /\?\.|\?\?/g, message: 'optional chaining and ?? are not supported' },
+  { pattern: /\bfunction\b[^(]*\([^)]*=/g, message: 'default parameters are not supported' },
+  { pattern: /\b(import|export)\b/g, message: 'modules are not supported, use // #include' },
+  { pattern: /\brequire\s*\(/g, message: 'require() is not supported, use // #include' },
+];
+
+/**
+ * @description Splits JavaScript source into code, strings, template literals and comments.
+ * Regular expression literals are not recognized, the scripts do not use them.
+ * @param {string} code The source.
+ * @returns {object[]} The parts as { type, text } in order, type is 'code', 'string',
+ *   'template' or 'comment'.
+ */
+function tokenize(code) {
+  const parts = [];
+  let start = 0;
+  let i = 0;
+  const push = (type, end) => {
+    if (end > start) {
+      parts.push({ type, text: code.slice(start, end) });
+    }
+    start = end;
+  };
+  while (i < code.length) {
+    const c = code[i];
+    if (c === '/' && code[i + 1] === '/') {
+      push('code', i);
+      const end = code.indexOf('\n', i);
+      i = end === -1 ? code.length : end;
+      push('comment', i);
+    } else if (c === '/' && code[i + 1] === '*') {
+      push('code', i);
+      const end = code.indexOf('*/', i + 2);
+      i = end === -1 ? code.length : end + 2;
+      push('comment', i);
+    } else if (c === '"' || c === "'" || c === '`') {
+      push('code', i);
+      i++;
+      while (i < code.length && code[i] !== c && (c === '`' || code[i] !== '\n')) {
+        i += code[i] === '\\' ? 2 : 1;
+      }
+      i = Math.min(i + 1, code.length);
+      push(c === '`' ? 'template' : 'string', i);
+    } else {
+      i++;
+    }
+  }
+  push('code', i);
+  return parts;
+}
+
+/**
+ * @description Checks a source for syntax the device does not support.
+ * @param {string} code The source.
+ * @param {string} file The file name for the messages.
+ * @returns {string[]} One message per problem as "file:line: problem", empty if there is none.
+ */
+function lintSource(code, file) {
+  const problems = [];
+  const lineAt = index => code.slice(0, index).split('\n').length;
+  let offset = 0;
+  // Blank out strings and comments, keeping the positions, so only code is matched.
+  const masked = tokenize(code).map(part => {
+    if (part.type === 'template') {
+      problems.push({ index: offset, message: 'template literals are not supported, concatenate strings' });
+    }
+    offset += part.text.length;
+    return part.type === 'code' ? part.text : part.text.replace(/[^\n]/g, ' ');
+  }).join('');
+  UNSUPPORTED.forEach(rule => {
+    rule.pattern.lastIndex = 0;
+    let match;
+    while ((match = rule.pattern.exec(masked)) !== null) {
+      problems.push({ index: match.index, message: rule.message });
+    }
+  });
+  return problems
+    .sort((a, b) => a.index - b.index)
+    .map(problem => `${file}:${lineAt(problem.index)}: ${problem.message}`);
+}
+
+/**
+ * @description Leaves out comments, blank lines and indentation. Line breaks are kept, so
+ * the automatic semicolon insertion works as before.
+ * @param {string} code The source.
+ * @returns {string} The compact source.
+ */
+function stripComments(code) {
+  return tokenize(code)
+    .map(part => (part.type === 'comment' ? (part.text.startsWith('/*') ? ' ' : '') : part.text))
+    .join('')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '')
+    .join('\n') + '\n';
+}
+
+/**
+ * @description Leaves out comments, blank lines and indentation like stripComments(), and also
+ * the spaces that do not separate two words, and the line breaks after ; { } and , unless the
+ * next line starts with an operator that could continue the statement. Strings are kept.
+ * @param {string} code The source.
+ * @returns {string} The compact source.
+ */
+function compact(code) {
+  const parts = tokenize(stripComments(code));
+  const word = c => c !== undefined && /[\w$"']/.test(c);
+  const text = parts.map((part, index) => {
+    if (part.type !== 'code') {
+      return part.text;
+    }
+    const before = index > 0 ? parts[index - 1].text.slice(-1) : undefined;
+    const after = index < parts.length - 1 ? parts[index + 1].text[0] : undefined;
+    return part.text.replace(/[ \t]+/g, (space, at, all) => {
+      const a = at > 0 ? all[at - 1] : before;
+      const b = at + space.length < all.length ? all[at + space.length] : after;
+      return (word(a) && word(b)) || (a === b && (a === '+' || a === '-')) ? ' ' : '';
+    });
+  }).join('');
+  const lines = text.replace(/\n$/, '').split('\n');
+  return lines.map((line, i) => {
+    const next = lines[i + 1];
+    const joined = next !== undefined && /[;{},]$/.test(line) && !/^[([+\-/`.]/.test(next);
+    return joined ? line : line + '\n';
+  }).join('');
+}
+
+/**
+ * @description Removes the leading @file comment of a library, see the top of this file.
+ * @param {string} code The library source.
+ * @returns {string} The code that is inlined.
+ */
+function withoutFileComment(code) {
+  const match = /^\s*\/\*\*[\s\S]*?\*\/\s*/.exec(code);
+  return match && match[0].includes('@file') ? code.slice(match[0].length) : code;
+}
+
+/**
+ * @description Bundles a script with the libraries it includes.
+ * @param {string} entry The path of the script source.
+ * @param {object} [options]
+ * @param {boolean} [options.compact] Whether to make the bundle compact, see compact().
+ * @returns {{code: string, files: string[], problems: string[]}} The bundled script, the
+ *   files it was built from and the problems found, see lintSource().
+ */
+function bundleScript(entry, options = {}) {
+  const root = path.dirname(entry);
+  const files = [];
+  const problems = [];
+
+  // Returns the code of a file with its includes inlined, or null if there is nothing to inline.
+  const inline = (file, from) => {
+    if (files.includes(file)) {
+      return null;
+    }
+    if (!fs.existsSync(file)) {
+      problems.push(`${from}: cannot include ${path.relative(root, file)}, the file does not exist`);
+      return null;
+    }
+    files.push(file);
+    const name = path.relative(process.cwd(), file);
+    let code = fs.readFileSync(file, 'utf8');
+    problems.push(...lintSource(code, name));
+    if (file !== entry) {
+      code = `// Included from ${path.relative(root, file)}.\n` + withoutFileComment(code);
+    }
+    return code.split('\n').map((line, i) => {
+      const include = INCLUDE.exec(line);
+      if (!include) {
+        return line;
+      }
+      const included = inline(path.join(root, include[1]), `${name}:${i + 1}`);
+      return included === null ? null : included.replace(/\n+$/, '');
+    }).filter(line => line !== null).join('\n');
+  };
+
+  const banner = `// Generated from ${path.relative(path.join(root, '..'), entry)} by tools/bundle.js, edit the sources instead.\n`;
+  let code = banner + inline(entry, entry);
+  if (options.compact) {
+    code = banner + compact(code);
+  }
+  if (problems.length === 0) {
+    try {
+      new vm.Script(code, { filename: path.basename(entry) });
+    } catch (e) {
+      problems.push(`${path.basename(entry)} (bundled): ${e.message}`);
+    }
+  }
+  return { code, files, problems };
+}
+
+/**
+ * @description Parses the command line, see the usage at the top of this file.
+ * @param {string[]} args The arguments after the script name.
+ * @returns {object} The script paths and options.
+ */
+function parseArgs(args) {
+  const options = { scripts: [], out: OUTPUT_DIR, maxSize: DEFAULT_MAX_SIZE, check: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--out') {
+      options.out = args[++i];
+    } else if (arg === '--max-size') {
+      options.maxSize = Number(args[++i]);
+      if (!(options.maxSize > 0)) {
+        throw new Error('--max-size must be a positive number of bytes.');
+      }
+    } else if (arg === '--check') {
+      options.check = true;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument '${arg}'.`);
+    } else {
+      options.scripts.push(arg);
+    }
+  }
+  if (options.scripts.length === 0) {
+    options.scripts = fs.readdirSync(SOURCE_DIR)
+      .filter(name => name.endsWith('.shelly.js'))
+      .map(name => path.join(SOURCE_DIR, name));
+  }
+  return options;
+}
+
+/**
+ * @description Bundles the scripts, see the usage at the top of this file.
+ * @param {object} options The options, see parseArgs().
+ * @param {function} log Called with every line of the report.
+ * @returns {number} The exit code: 0 on success, 1 on problems or outdated scripts.
+ */
+function buildScripts(options, log) {
+  const results = options.scripts.map(entry => ({
+    entry,
+    output: path.join(options.out, path.basename(entry)),
+    result: bundleScript(entry, { compact: true }),
+  }));
+
+  const problems = results.reduce((all, bundle) => {
+    const size = Buffer.byteLength(bundle.result.code);
+    if (size > options.maxSize) {
+      all.push(`${path.relative(process.cwd(), bundle.output)}: ${size} bytes, more than the ${options.maxSize} bytes a script may have on the device`);
+    }
+    return all.concat(bundle.result.problems);
+  }, []);
+  if (problems.length > 0) {
+    problems.forEach(problem => log(problem));
+    log(`${problems.length} problem(s) found, nothing was written.`);
+    return 1;
+  }
+
+  let status = 0;
+  results.forEach(bundle => {
+    if (options.check) {
+      const current = fs.existsSync(bundle.output) ? fs.readFileSync(bundle.output, 'utf8') : null;
+      if (current !== bundle.result.code) {
+        log(`${path.relative(process.cwd(), bundle.output)} is out of date, run node tools/bundle.js.`);
+        status = 1;
+      }
+    } else {
+      fs.mkdirSync(path.dirname(bundle.output), { recursive: true });
+      fs.writeFileSync(bundle.output, bundle.result.code);
+      log(`${path.relative(process.cwd(), bundle.output)}: ${Buffer.byteLength(bundle.result.code)} bytes from ${bundle.result.files.length} file(s).`);
+    }
+  });
+  return status;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  process.exit(buildScripts(options, line => console.log(line)));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { tokenize, lintSource, stripComments, compact, bundleScript, buildScripts };
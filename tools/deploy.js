@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+/**
+ * @file Manages the scripts on a Shelly Gen2 device over its HTTP RPC interface: uploads a
+ * script, compares and stores its configuration in KVS, and shows the device log.
+ *
+ * Usage:
+ *   node tools/deploy.js <command> --device <host[:port]> [options]
+ *
+ * Commands:
+ *   list                    List the scripts on the device.
+ *   push <script.js>        Upload a script, replacing the code of the one with the same name, and start it.
+ *   start <name>            Start a script.
+ *   stop <name>             Stop a script.
+ *   config get              Print the configuration stored in KVS.
+ *   config diff             Compare a local configuration with the one in KVS, exit with 1 if they differ.
+ *   config push             Store a local configuration in KVS.
+ *   tail                    Print the device log, which has the output of the scripts, until Ctrl+C.
+ *
+ * Options:
+ *   --device <host[:port]>  The device, e.g. 192.168.1.50, or the SHELLY_DEVICE environment variable.
+ *   --name <name>           The script name on the device (default: the file name without .shelly.js).
+ *   --chunk-size <chars>    The size of the pieces the code is uploaded in (default 1024).
+ *   --no-start              Upload the script without starting it.
+ *   --key <key>             The KVS key of the configuration (default indirect_heating_config).
+ *   --config <json>         The local configuration for config diff and config push.
+ *   --config-file <path>    The same, read from a file.
+ *   --port <port>           The local UDP port the device sends its log to (default 8910).
+ *
+ * A configuration too long for one KVS value is stored split over the key and the same key
+ * followed by "_1", "_2" and so on, the way the pump script reads it.
+ *
+ * The tail command points the device's UDP debug log at this computer and restores the
+ * previous setting when it ends. Devices with authentication enabled are not supported.
+ * To try the commands without a device, start tests/lib/mock_device.js and pass its address.
+ *
+ * See https://shelly-api-docs.shelly.cloud/gen2/ComponentsAndServices/Script and
+ * https://shelly-api-docs.shelly.cloud/gen2/ComponentsAndServices/KVS
+ */
+
+const dgram = require('dgram');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { configPartKey, mergeConfigParts, packConfig, MAX_CONFIG_PARTS } = require('./lib/kvs_config');
+
+const DEFAULT_CHUNK_SIZE = 1024;
+const DEFAULT_CONFIG_KEY = 'indirect_heating_config';
+const DEFAULT_LOG_PORT = 8910;
+
+// How long, in milliseconds, to wait for the device to answer a call.
+const RPC_TIMEOUT = 10000;
+
+/**
+ * @description Creates a client for the HTTP RPC interface of a device.
+ * @param {string} device The host of the device, optionally with the port, e.g. "192.168.1.50:80".
+ * @returns {{host: string, port: number, call: function}} The client. call(method, params)
+ *   returns a promise of the result, rejected with the device's error message.
+ */
+function createClient(device) {
+  const separator = device.lastIndexOf(':');
+  const host = separator === -1 ? device : device.slice(0, separator);
+  const port = separator === -1 ? 80 : Number(device.slice(separator + 1));
+  let nextId = 1;
+
+  const call = (method, params = {}) => new Promise((resolve, reject) => {
+    const body = JSON.stringify({ id: nextId++, method, params });
+    const request = http.request({
+      host, port, path: '/rpc', method: 'POST', timeout: RPC_TIMEOUT,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) },
+    }, response => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => {
+        let answer;
+        try {
+          answer = JSON.parse(text);
+        } catch (e) {
+          reject(new Error(`${method}: the device answered with HTTP ${response.statusCode} and no JSON.`));
+          return;
+        }
+        if (answer.error) {
+          const error = new Error(`${method}: ${answer.error.message} (${answer.error.code})`);
+          error.code = answer.error.code;
+          reject(error);
+        } else {
+          resolve(answer.result);
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`no answer within ${RPC_TIMEOUT / 1000} s`)));
+    request.on('error', e => reject(new Error(`${method}: cannot reach ${device}, ${e.message}.`)));
+    request.end(body);
+  });
+
+  return { host, port, call };
+}
+
+/**
+ * @param {object} client The client, see createClient().
+ * @param {string} name The script name.
+ * @returns {Promise<object|undefined>} The script as listed by Script.List, undefined if there is none.
+ */
+async function findScript(client, name) {
+  const list = await client.call('Script.List');
+  return list.scripts.find(script => script.name === name);
+}
+
+/**
+ * @description Uploads a script. The code of an existing script with the same name is
+ * replaced, so its ID and its KVS entries stay, otherwise a new script is created. The
+ * script is enabled, so it also starts after a reboot.
+ * @param {object} client The client, see createClient().
+ * @param {object} options
+ * @param {string} options.name The script name on the device.
+ * @param {string} options.code The code.
+ * @param {number} [options.chunkSize] The size of the pieces the code is uploaded in.
+ * @param {boolean} [options.start=true] Whether to start the script.
+ * @param {function} [log] Called with every line of the report.
+ * @returns {Promise<number>} The ID of the script.
+ */
+async function pushScript(client, options, log = () => {}) {
+  if (/^\/\/ #include "/m.test(options.code)) {
+    throw new Error(`${options.name} includes libraries, upload the bundled script from scripts/ instead, see tools/bundle.js.`);
+  }
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const existing = await findScript(client, options.name);
+  let id;
+  if (existing) {
+    id = existing.id;
+    if (existing.running) {
+      await client.call('Script.Stop', { id });
+      log(`Stopped script ${id} (${options.name}).`);
+    }
+  } else {
+    id = (await client.call('Script.Create', { name: options.name })).id;
+    log(`Created script ${id} (${options.name}).`);
+  }
+
+  let chunks = 0;
+  for (let offset = 0; offset < options.code.length || chunks === 0; offset += chunkSize) {
+    await client.call('Script.PutCode', { id, code: options.code.slice(offset, offset + chunkSize), append: offset > 0 });
+    chunks++;
+  }
+  log(`Uploaded ${options.code.length} characters in ${chunks} piece(s).`);
+
+  await client.call('Script.SetConfig', { id, config: { enable: true } });
+  if (options.start !== false) {
+    await client.call('Script.Start', { id });
+    log(`Started script ${id}.`);
+  }
+  return id;
+}
+
+/**
+ * @description Starts or stops a script.
+ * @param {object} client The client, see createClient().
+ * @param {string} name The script name.
+ * @param {boolean} start Whether to start or to stop it.
+ * @returns {Promise<boolean>} Whether it was running before.
+ */
+async function runScript(client, name, start) {
+  const script = await findScript(client, name);
+  if (!script) {
+    throw new Error(`There is no script named '${name}' on the device.`);
+  }
+  const result = await client.call(start ? 'Script.Start' : 'Script.Stop', { id: script.id });
+  return result.was_running;
+}
+
+/**
+ * @description Reads the values of a configuration from KVS, the key and then the keys of its
+ * parts until the first missing one, see tools/lib/kvs_config.js.
+ * @param {object} client The client, see createClient().
+ * @param {string} key The KVS key.
+ * @returns {Promise<object[]>} The parsed values, empty if the key does not exist.
+ */
+async function readConfigParts(client, key) {
+  const parts = [];
+  while (parts.length < MAX_CONFIG_PARTS) {
+    const partKey = configPartKey(key, parts.length);
+    let result;
+    try {
+      result = await client.call('KVS.Get', { key: partKey });
+    } catch (e) {
+      // The device answers a missing key with "not found".
+      if (e.code === -105) {
+        break;
+      }
+      throw e;
+    }
+    try {
+      parts.push(JSON.parse(result.value));
+    } catch (e) {
+      throw new Error(`The value of ${partKey} on the device is not valid JSON: ${e.message}`);
+    }
+  }
+  return parts;
+}
+
+/**
+ * @description Reads a configuration from KVS, merged from the values it is split over.
+ * @param {object} client The client, see createClient().
+ * @param {string} key The KVS key.
+ * @returns {Promise<object|null>} The configuration, null if the key does not exist.
+ */
+async function readConfig(client, key) {
+  const parts = await readConfigParts(client, key);
+  return parts.length === 0 ? null : mergeConfigParts(parts);
+}
+
+/**
+ * @description Compares two configurations setting by setting.
+ * @param {object|null} remote The configuration on the device, null if there is none.
+ * @param {object} local The local configuration.
+ * @returns {string[]} One line per difference, sorted by setting: "+ key: value" for a setting
+ *   only set locally, "- key: value" for one only set on the device and "~ key: old -> new".
+ */
+function diffConfig(remote, local) {
+  remote = remote || {};
+  const keys = Object.keys(Object.assign({}, remote, local)).sort();
+  const lines = [];
+  keys.forEach(key => {
+    const before = JSON.stringify(remote[key]);
+    const after = JSON.stringify(local[key]);
+    if (!(key in remote)) {
+      lines.push(`+ ${key}: ${after}`);
+    } else if (!(key in local)) {
+      lines.push(`- ${key}: ${before}`);
+    } else if (before !== after) {
+      lines.push(`~ ${key}: ${before} -> ${after}`);
+    }
+  });
+  return lines;
+}
+
+/**
+ * @description Stores a configuration in KVS if it differs from the one on the device, split over
+ * the key and the keys of its parts if it is too long for one value, see tools/lib/kvs_config.js.
+ * @param {object} client The client, see createClient().
+ * @param {string} key The KVS key.
+ * @param {object} config The configuration.
+ * @param {function} [log] Called with every line of the report.
+ * @returns {Promise<string[]>} The differences that were stored, see diffConfig().
+ */
+async function pushConfig(client, key, config, log = () => {}) {
+  const stored = await readConfigParts(client, key);
+  const changes = diffConfig(stored.length === 0 ? null : mergeConfigParts(stored), config);
+  if (changes.length === 0) {
+    log(`${key} is up to date.`);
+    return changes;
+  }
+  changes.forEach(line => log(line));
+  const parts = packConfig(config);
+  for (let i = 0; i < parts.length; i++) {
+    await client.call('KVS.Set', { key: configPartKey(key, i), value: JSON.stringify(parts[i]) });
+  }
+  // The parts the shorter configuration no longer needs.
+  for (let i = parts.length; i < stored.length; i++) {
+    await client.call('KVS.Delete', { key: configPartKey(key, i) });
+  }
+  log(`Stored ${changes.length} change(s) in ${key}${parts.length > 1 ? ` and ${parts.length - 1} more key(s)` : ''}.`);
+  return changes;
+}
+
+/**
+ * @param {string} host The device.
+ * @returns {Promise<string>} The address of this computer the device can reach it at.
+ */
+function localAddress(host) {
+  const socket = dgram.createSocket('udp4');
+  return new Promise((resolve, reject) => {
+    // Connecting a UDP socket sends nothing, it only picks the route to the device.
+    socket.connect(DEFAULT_LOG_PORT, host, e => {
+      if (e) {
+        socket.close();
+        reject(e);
+        return;
+      }
+      const address = socket.address().address;
+      socket.close();
+      resolve(address);
+    });
+  });
+}
+
+/**
+ * @description Receives the device log over UDP. The device is pointed at this computer
+ * through its debug.udp.addr setting, which stop() restores.
+ * @param {object} client The client, see createClient().
+ * @param {object} options
+ * @param {number} [options.port] The local UDP port, 0 for any free one.
+ * @param {function} onLine Called with every line of the log.
+ * @returns {Promise<function>} stop(), which returns a promise resolved once the setting was restored.
+ */
+async function tailLog(client, options, onLine) {
+  const config = await client.call('Sys.GetConfig');
+  const previous = config.debug && config.debug.udp ? config.debug.udp.addr : null;
+  const address = await localAddress(client.host);
+
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', message => {
+    message.toString('utf8').split('\n').filter(line => line.trim() !== '').forEach(line => onLine(line));
+  });
+  await new Promise((resolve, reject) => {
+    socket.once('error', reject);
+    socket.bind(options.port !== undefined ? options.port : DEFAULT_LOG_PORT, () => resolve());
+  });
+  const addr = `${address}:${socket.address().port}`;
+  try {
+    await client.call('Sys.SetConfig', { config: { debug: { udp: { addr } } } });
+  } catch (e) {
+    socket.close();
+    throw e;
+  }
+
+  return async () => {
+    socket.close();
+    await client.call('Sys.SetConfig', { config: { debug: { udp: { addr: previous } } } });
+  };
+}
+
+/**
+ * @description Parses the command line, see the usage at the top of this file.
+ * @param {string[]} args The arguments after the script name.
+ * @param {object} env The environment variables.
+ * @returns {object} The command, its arguments and the options.
+ */
+function parseArgs(args, env) {
+  const options = {
+    command: [], device: env.SHELLY_DEVICE, chunkSize: DEFAULT_CHUNK_SIZE, start: true,
+    key: DEFAULT_CONFIG_KEY, config: undefined, port: DEFAULT_LOG_PORT,
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--device') {
+      options.device = args[++i];
+    } else if (arg === '--name') {
+      options.name = args[++i];
+    } else if (arg === '--chunk-size') {
+      options.chunkSize = Number(args[++i]);
+      if (!(options.chunkSize >= 1)) {
+        throw new Error('--chunk-size must be a positive number.');
+      }
+    } else if (arg === '--no-start') {
+      options.start = false;
+    } else if (arg === '--key') {
+      options.key = args[++i];
+    } else if (arg === '--config') {
+      options.config = JSON.parse(args[++i]);
+    } else if (arg === '--config-file') {
+      options.config = JSON.parse(fs.readFileSync(args[++i], 'utf8'));
+    } else if (arg === '--port') {
+      options.port = Number(args[++i]);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument '${arg}'.`);
+    } else {
+      options.command.push(arg);
+    }
+  }
+
+  const usage = 'Usage: node tools/deploy.js <list|push <script.js>|start <name>|stop <name>|config <get|diff|push>|tail> --device <host[:port]>';
+  const [command, argument] = options.command;
+  const arity = { list: 1, push: 2, start: 2, stop: 2, config: 2, tail: 1 };
+  if (!arity[command] || options.command.length !== arity[command]) {
+    throw new Error(usage);
+  }
+  if (command === 'config' && ['get', 'diff', 'push'].indexOf(argument) === -1) {
+    throw new Error(usage);
+  }
+  if (command === 'config' && argument !== 'get' && options.config === undefined) {
+    throw new Error(`config ${argument} needs --config or --config-file.`);
+  }
+  if (!options.device) {
+    throw new Error('Pass the device with --device or the SHELLY_DEVICE environment variable.');
+  }
+  return options;
+}
+
+/**
+ * @description Runs a command, see the usage at the top of this file.
+ * @param {object} options The options, see parseArgs().
+ * @param {function} log Called with every line of the report.
+ * @returns {Promise<number>} The exit code.
+ */
+async function runCommand(options, log) {
+  const client = createClient(options.device);
+  const [command, argument] = options.command;
+
+  if (command === 'list') {
+    const list = await client.call('Script.List');
+    list.scripts.forEach(script => {
+      log(`${script.id}  ${script.name}  ${script.running ? 'running' : 'stopped'}${script.enable ? ', starts on boot' : ''}`);
+    });
+    if (list.scripts.length === 0) {
+      log('There are no scripts on the device.');
+    }
+  } else if (command === 'push') {
+    const name = options.name || path.basename(argument).replace(/\.shelly\.js$|\.js$/, '');
+    await pushScript(client, { name, code: fs.readFileSync(argument, 'utf8'), chunkSize: options.chunkSize, start: options.start }, log);
+  } else if (command === 'start' || command === 'stop') {
+    const wasRunning = await runScript(client, argument, command === 'start');
+    log(`${argument} ${command === 'start' ? (wasRunning ? 'was already running' : 'started') : (wasRunning ? 'stopped' : 'was not running')}.`);
+  } else if (argument === 'get') {
+    const config = await readConfig(client, options.key);
+    log(config === null ? `${options.key} is not set on the device.` : JSON.stringify(config, null, 2));
+  } else if (argument === 'diff') {
+    const changes = diffConfig(await readConfig(client, options.key), options.config);
+    changes.forEach(line => log(line));
+    return changes.length > 0 ? 1 : 0;
+  } else if (argument === 'push') {
+    await pushConfig(client, options.key, options.config, log);
+  } else {
+    const stop = await tailLog(client, { port: options.port }, log);
+    log(`Showing the log of ${options.device}, stop with Ctrl+C.`);
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    await stop();
+  }
+  return 0;
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2), process.env);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+  runCommand(options, line => console.log(line)).then(status => process.exit(status), e => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createClient, pushScript, runScript, readConfig, diffConfig, pushConfig, tailLog, parseArgs, runCommand };
@@ -0,0 +1,92 @@
+/**
+ * @file Splits a configuration over several values of the Shelly Key-Value Store and merges it
+ * back, the way indirect_heating_tank_pump.shelly.js reads it, see KVS_CONFIG_KEY there.
+ *
+ * A value stores at most KVS_MAX_VALUE_SIZE bytes, so a longer configuration continues under the
+ * same key followed by "_1", "_2" and so on. The values are read until the first missing key and
+ * merged: lists are joined in the order of the keys, any other setting replaces the one of an
+ * earlier key.
+ *
+ * Usage:
+ *   const { packConfig, mergeConfigParts, configPartKey } = require('./lib/kvs_config');
+ *   packConfig(config).forEach((part, i) => store(configPartKey(key, i), JSON.stringify(part)));
+ *
+ * See https://shelly-api-docs.shelly.cloud/gen2/ComponentsAndServices/KVS
+ */
+
+// The longest value, in bytes, the device stores under one KVS key.
+const KVS_MAX_VALUE_SIZE = 253;
+
+// The largest number of values a configuration is spread over, MAX_CONFIG_PARTS in the pump script.
+const MAX_CONFIG_PARTS = 5;
+
+/**
+ * @param {string} key The KVS key of the configuration.
+ * @param {number} i The index of a part.
+ * @returns {string} The KVS key of the part.
+ */
+function configPartKey(key, i) {
+  return i === 0 ? key : `${key}_${i}`;
+}
+
+/**
+ * @param {*} value A value to store as JSON.
+ * @returns {number} Its size, in bytes, in KVS.
+ */
+function kvsValueSize(value) {
+  return Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+/**
+ * @description Splits a configuration into parts that each fit into a KVS value. The settings are
+ * packed in their order, and a list that does not fit into the current part is continued in the
+ * next one.
+ * @param {object} config The configuration.
+ * @returns {object[]} The parts, at least one.
+ * @throws {Error} If a setting or a list entry alone does not fit, or if there are more than MAX_CONFIG_PARTS parts.
+ */
+function packConfig(config) {
+  const parts = [{}];
+  Object.keys(config).forEach(key => {
+    const list = Array.isArray(config[key]) && config[key].length > 0;
+    (list ? config[key] : [config[key]]).forEach((value, i) => {
+      let part = parts[parts.length - 1];
+      const before = part[key];
+      part[key] = list ? (before || []).concat([value]) : value;
+      if (kvsValueSize(part) <= KVS_MAX_VALUE_SIZE) {
+        return;
+      }
+      if (before === undefined) {
+        delete part[key];
+      } else {
+        part[key] = before;
+      }
+      part = { [key]: list ? [value] : value };
+      if (kvsValueSize(part) > KVS_MAX_VALUE_SIZE) {
+        throw new Error(`${list ? `${key}[${i}]` : key} does not fit into a KVS value of ${KVS_MAX_VALUE_SIZE} bytes.`);
+      }
+      parts.push(part);
+    });
+  });
+  if (parts.length > MAX_CONFIG_PARTS) {
+    throw new Error(`The configuration does not fit into ${MAX_CONFIG_PARTS} KVS values.`);
+  }
+  return parts;
+}
+
+/**
+ * @description Merges the parts of a configuration read from KVS.
+ * @param {object[]} parts The parsed values, in the order of their keys.
+ * @returns {object} The configuration.
+ */
+function mergeConfigParts(parts) {
+  const merged = {};
+  parts.forEach(part => {
+    Object.keys(part).forEach(key => {
+      merged[key] = Array.isArray(merged[key]) && Array.isArray(part[key]) ? merged[key].concat(part[key]) : part[key];
+    });
+  });
+  return merged;
+}
+
+module.exports = { KVS_MAX_VALUE_SIZE, MAX_CONFIG_PARTS, configPartKey, kvsValueSize, packConfig, mergeConfigParts };
@@ -0,0 +1,816 @@
+/**
+ * @file A simulated Shelly Gen2 scripting runtime for running the scripts in scripts/
+ * under Node.js.
+ *
+ * The simulator provides the globals a Shelly script uses (Shelly, Timer, HTTPServer,
+ * MQTT, print) on top of a set of virtual components: switches, temperature sensors, inputs,
+ * the system status and the Key-Value Store. MQTT messages go to a virtual broker that
+ * records what the script publishes and delivers messages sent by the test, and HTTP.GET
+ * and HTTP.POST reach web servers the test stands in for, see addWebServer(). Time is virtual
+ * as well: nothing happens until the test advances the clock, then timers, RPC callbacks
+ * and status notifications fire in order.
+ *
+ * Like on the device, every change of a component status is announced to the handlers
+ * added with Shelly.addStatusHandler, with the changed properties as the delta. The limits of
+ * the device apply too: a script fails when it sets too many timers or has too many RPC
+ * calls in flight, and KVS.Set rejects values longer than the device stores.
+ *
+ * Several scripts can run side by side, each with its own globals, timers and HTTP endpoints,
+ * sharing the components, the Key-Value Store and the MQTT broker. The events a script emits
+ * with Shelly.emitEvent reach the event handlers of all of them.
+ *
+ * Usage:
+ *   const { createSimulator } = require('./lib/shelly_simulator');
+ *   const sim = createSimulator();
+ *   sim.setTemperature(100, 40);
+ *   sim.loadScript('scripts/my_script.shelly.js');
+ *   sim.advance(30 * 1000);
+ *   sim.script.someFunction(); // Any top-level binding of the script.
+ *
+ * See https://shelly-api-docs.shelly.cloud/gen2/Scripts/ShellyScriptLanguageFeatures
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { KVS_MAX_VALUE_SIZE, configPartKey, kvsValueSize, packConfig } = require('./kvs_config');
+
+// A Shelly script may have at most this many timers at once.
+const MAX_TIMERS = 5;
+
+// A Shelly script may have at most this many RPC calls in flight at once.
+const MAX_CALLS_IN_FLIGHT = 5;
+
+// The error code the device answers with when a component or KVS key does not exist.
+const NOT_FOUND_ERROR = -105;
+
+// The error code the device answers with when an argument is not valid.
+const INVALID_ARGUMENT_ERROR = -103;
+
+/**
+ * @description Formats the local wall-clock time of the simulated device as "HH:MM".
+ * @param {number} unixtime The UTC time in seconds.
+ * @param {number} utcOffset The time zone, in minutes east of UTC.
+ * @returns {string} The local time.
+ */
+function formatLocalTime(unixtime, utcOffset) {
+  const local = new Date((unixtime + utcOffset * 60) * 1000);
+  return String(local.getUTCHours()).padStart(2, '0') + ':' + String(local.getUTCMinutes()).padStart(2, '0');
+}
+
+/**
+ * @description Checks whether an MQTT topic matches a subscription with the + and # wildcards.
+ * @param {string} filter The subscribed topic filter.
+ * @param {string} topic The topic of a message.
+ * @returns {boolean} Whether the subscription receives the message.
+ */
+function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') {
+      return true;
+    }
+    if (i >= topicLevels.length || (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i])) {
+      return false;
+    }
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+/**
+ * @description Creates a new simulated device.
+ * @param {object} [options]
+ * @param {number} [options.uptime=1000] The device uptime, in seconds, at the start.
+ * @param {number} [options.unixtime=1717408800] The UTC wall-clock time at the start,
+ *   or null for a clock that is not synchronised yet. Defaults to Monday 2024-06-03 10:00 UTC.
+ * @param {number} [options.utcOffset=120] The local time zone, in minutes east of UTC.
+ * @param {boolean} [options.mqttConnected=true] Whether the device is connected to the MQTT broker.
+ * @param {boolean} [options.echo=false] Whether to also write script output to the console.
+ * @returns {object} The simulator, see the methods below.
+ */
+function createSimulator(options = {}) {
+  const startUptime = options.uptime !== undefined ? options.uptime : 1000;
+  const startUnixtime = options.unixtime !== undefined ? options.unixtime : 1717408800;
+  const utcOffset = options.utcOffset !== undefined ? options.utcOffset : 120;
+
+  // Virtual milliseconds since the simulator was created.
+  let clock = 0;
+  // Pending timers and RPC callbacks, ordered by due time and then by creation.
+  let queue = [];
+  let sequence = 0;
+  let nextTimerId = 1;
+
+  const timers = {};
+  const components = {};
+  const kvs = {};
+  const callHandlers = {};
+  const failures = {};
+  const eventHandlers = [];
+  const statusHandlers = [];
+  const webServers = [];
+  const mqtt = {
+    connected: options.mqttConnected !== false,
+    subscriptions: [],
+    retained: {},
+  };
+  // The scripts in the order they were loaded, see runScript().
+  const scripts = [];
+
+  const sim = {
+    // Every Shelly.call made by the script, as { method, params }.
+    calls: [],
+    // Every message printed by the script.
+    prints: [],
+    // Every MQTT message published by the script, as { topic, message, qos, retain }.
+    published: [],
+  };
+
+  /**
+   * @description Queues a function to run once the virtual clock reaches the given time.
+   */
+  function schedule(delay, fn, timer) {
+    const entry = { due: clock + Math.max(0, delay), seq: sequence++, fn, timer };
+    queue.push(entry);
+    queue.sort((a, b) => a.due - b.due || a.seq - b.seq);
+    return entry;
+  }
+
+  /**
+   * @description Builds a component key like "switch:0" from the arguments of getComponentStatus.
+   */
+  function componentKey(type, id) {
+    const key = String(type).toLowerCase();
+    return id === undefined || key.indexOf(':') !== -1 ? key : key + ':' + id;
+  }
+
+  /**
+   * @description Queues a status notification for the handlers added with Shelly.addStatusHandler.
+   */
+  function notifyStatus(key, delta) {
+    const id = Number(key.split(':')[1]);
+    const event = { component: key, id, delta: Object.assign({ id }, delta) };
+    // Only the handlers present at the time of the change are notified.
+    const handlers = statusHandlers.slice();
+    schedule(0, () => {
+      handlers.forEach((handler) => handler.fn(JSON.parse(JSON.stringify(event)), handler.userdata));
+    });
+  }
+
+  /**
+   * @description Sets properties of a component, creating it if needed, and announces the
+   * properties that changed.
+   */
+  function updateComponent(key, values) {
+    const id = Number(key.split(':')[1]);
+    const previous = Object.assign({}, components[key]);
+    components[key] = Object.assign(components[key] || { id }, values);
+    const delta = {};
+    Object.keys(values).forEach((name) => {
+      if (JSON.stringify(previous[name]) !== JSON.stringify(values[name])) {
+        delta[name] = values[name];
+      }
+    });
+    if (Object.keys(delta).length > 0) {
+      notifyStatus(key, delta);
+    }
+    return components[key];
+  }
+
+  /**
+   * @description Gets the uptime of the device, in whole seconds.
+   */
+  function uptime() {
+    return startUptime + Math.floor(clock / 1000);
+  }
+
+  /**
+   * @description Gets the system status, computed from the virtual clock.
+   */
+  function sysStatus() {
+    const status = { uptime: uptime(), unixtime: null, time: null };
+    if (startUnixtime !== null) {
+      status.unixtime = startUnixtime + Math.floor(clock / 1000);
+      status.time = formatLocalTime(status.unixtime, utcOffset);
+    }
+    return status;
+  }
+
+  // --- RPC methods ---
+
+  /**
+   * @description Registers the handler of an RPC method called through Shelly.call.
+   * A handler receives the params and returns the result, or throws an object with
+   * code and message to answer with an error. Replaces any existing handler.
+   * @param {string} method The method name, e.g. "HTTP.POST".
+   * @param {function} handler The handler.
+   */
+  sim.handleCall = function (method, handler) {
+    callHandlers[method] = handler;
+  };
+
+  /**
+   * @description Makes the next calls of an RPC method fail without any effect.
+   * @param {string} method The method name.
+   * @param {object} [error]
+   * @param {number} [error.code=-103] The error code.
+   * @param {string} [error.message='Simulated failure'] The error message.
+   * @param {number} [error.times=1] How many calls fail, Infinity for all of them.
+   */
+  sim.failCall = function (method, error = {}) {
+    failures[method] = {
+      code: error.code !== undefined ? error.code : -103,
+      message: error.message || 'Simulated failure',
+      times: error.times !== undefined ? error.times : 1,
+    };
+  };
+
+  function notFound(what) {
+    return { code: NOT_FOUND_ERROR, message: `Argument '${what}' not found!` };
+  }
+
+  sim.handleCall('Switch.Set', (params) => {
+    const key = componentKey('switch', params.id);
+    if (!components[key]) {
+      throw notFound('id');
+    }
+    const wasOn = components[key].output;
+    updateComponent(key, { output: params.on === true });
+    return { was_on: wasOn };
+  });
+  sim.handleCall('Switch.Toggle', (params) => {
+    const key = componentKey('switch', params.id);
+    if (!components[key]) {
+      throw notFound('id');
+    }
+    const wasOn = components[key].output;
+    updateComponent(key, { output: !wasOn });
+    return { was_on: wasOn };
+  });
+  ['Switch', 'Temperature', 'Input'].forEach((type) => {
+    sim.handleCall(type + '.GetStatus', (params) => {
+      const status = sim.getStatus(type, params.id);
+      if (status === null) {
+        throw notFound('id');
+      }
+      return status;
+    });
+  });
+  sim.handleCall('Sys.GetStatus', () => sysStatus());
+  sim.handleCall('KVS.Get', (params) => {
+    if (!(params.key in kvs)) {
+      throw notFound('key');
+    }
+    return { etag: 'etag-' + params.key, value: kvs[params.key] };
+  });
+  sim.handleCall('KVS.Set', (params) => {
+    const value = typeof params.value === 'string' ? params.value : JSON.stringify(params.value);
+    if (kvsValueSize(value) > KVS_MAX_VALUE_SIZE) {
+      throw { code: INVALID_ARGUMENT_ERROR, message: `Value is too long, the limit is ${KVS_MAX_VALUE_SIZE} bytes!` };
+    }
+    kvs[params.key] = params.value;
+    return { etag: 'etag-' + params.key, rev: sequence };
+  });
+  sim.handleCall('KVS.Delete', (params) => {
+    if (!(params.key in kvs)) {
+      throw notFound('key');
+    }
+    delete kvs[params.key];
+    return { rev: sequence };
+  });
+
+  /**
+   * @description Sends an HTTP request of HTTP.GET or HTTP.POST to the web server that stands in
+   * for its URL. Without one the request times out like it does for an unreachable host.
+   */
+  function httpClientRequest(method, params) {
+    if (typeof params.url !== 'string') {
+      throw { code: -103, message: "Missing argument 'url'!" };
+    }
+    const server = webServers.find((candidate) => params.url.startsWith(candidate.url));
+    if (!server) {
+      throw { code: -104, message: 'Deadline exceeded' };
+    }
+    const reply = server.handler({
+      method,
+      url: params.url,
+      contentType: params.content_type || null,
+      body: params.body !== undefined ? params.body : '',
+    }) || {};
+    const code = reply.code !== undefined ? reply.code : 200;
+    return { code, message: code < 400 ? 'OK' : 'Error', headers: {}, body: reply.body !== undefined ? reply.body : '' };
+  }
+  sim.handleCall('HTTP.GET', (params) => httpClientRequest('GET', params));
+  sim.handleCall('HTTP.POST', (params) => httpClientRequest('POST', params));
+
+  /**
+   * @description Runs an RPC method like the device does: the effect is immediate,
+   * the callback fires on the next clock advance. Until then the call is in flight,
+   * and a script with too many calls in flight fails.
+   */
+  function call(runtime, method, params, callback, userdata) {
+    params = params || {};
+    if (runtime.callsInFlight >= MAX_CALLS_IN_FLIGHT) {
+      throw new Error(`Too many calls in flight, a script may have at most ${MAX_CALLS_IN_FLIGHT}: ${method}`);
+    }
+    sim.calls.push({ method, params: JSON.parse(JSON.stringify(params)) });
+
+    let result = null;
+    let errorCode = 0;
+    let errorMessage = '';
+    const failure = failures[method];
+    if (failure && failure.times > 0) {
+      failure.times--;
+      errorCode = failure.code;
+      errorMessage = failure.message;
+    } else if (!callHandlers[method]) {
+      errorCode = -114;
+      errorMessage = `Method ${method} failed: No handler!`;
+    } else {
+      try {
+        result = callHandlers[method](params);
+      } catch (err) {
+        if (err instanceof Error) {
+          throw err;
+        }
+        errorCode = err.code;
+        errorMessage = err.message;
+      }
+    }
+
+    // Results cross into the script context as plain data, like they do on the device.
+    const data = result === null || result === undefined ? result : JSON.parse(JSON.stringify(result));
+    runtime.callsInFlight++;
+    schedule(0, () => {
+      runtime.callsInFlight--;
+      if (typeof callback === 'function') {
+        callback(data, errorCode, errorMessage, userdata);
+      }
+    });
+  }
+
+  // --- Components ---
+
+  /**
+   * @description Gets a copy of a component status, like Shelly.getComponentStatus.
+   * @param {string} type The component type, e.g. "Switch", or a key like "switch:0".
+   * @param {number} [id] The component ID.
+   * @returns {object|null} The status, or null if there is no such component.
+   */
+  sim.getStatus = function (type, id) {
+    const key = componentKey(type, id);
+    if (key === 'sys') {
+      return sysStatus();
+    }
+    return components[key] ? JSON.parse(JSON.stringify(components[key])) : null;
+  };
+
+  /**
+   * @description Adds a switch or changes its status, e.g. { output: true, apower: 40 }.
+   * @param {number} id The switch ID.
+   * @param {object|boolean} status The status properties, or just the output.
+   */
+  sim.setSwitch = function (id, status) {
+    const key = componentKey('switch', id);
+    const values = typeof status === 'boolean' ? { output: status } : status;
+    updateComponent(key, Object.assign(components[key] ? {} : { output: false }, values));
+  };
+
+  /**
+   * @description Adds a temperature sensor or changes its reading.
+   * @param {number} id The Temperature component ID (100-199 for the Plus Add-on).
+   * @param {number|null} tC The temperature in °C, or null for a sensor that cannot be read.
+   */
+  sim.setTemperature = function (id, tC) {
+    const status = { id, tC, tF: tC === null ? null : Math.round((tC * 1.8 + 32) * 10) / 10 };
+    if (tC === null) {
+      status.errors = ['read'];
+    }
+    const key = componentKey('temperature', id);
+    const previous = components[key];
+    components[key] = status;
+    if (!previous || previous.tC !== tC) {
+      notifyStatus(key, tC === null ? { tC, tF: null, errors: status.errors } : { tC, tF: status.tF });
+    }
+  };
+
+  /**
+   * @description Adds an input or changes its state.
+   * @param {number} id The input ID.
+   * @param {boolean} state Whether the input is active.
+   */
+  sim.setInput = function (id, state) {
+    updateComponent(componentKey('input', id), { state });
+  };
+
+  /**
+   * @description Removes a component, e.g. to simulate a disconnected sensor.
+   * @param {string} type The component type.
+   * @param {number} id The component ID.
+   */
+  sim.removeComponent = function (type, id) {
+    delete components[componentKey(type, id)];
+  };
+
+  /**
+   * @description Gets a value from the Key-Value Store.
+   * @param {string} key The key.
+   * @returns {string|undefined} The stored value.
+   */
+  sim.getKvs = function (key) {
+    return kvs[key];
+  };
+
+  /**
+   * @description Stores a value in the Key-Value Store. Objects are stored as JSON.
+   * @param {string} key The key.
+   * @param {*} value The value.
+   * @throws {Error} If the value is longer than the device stores, like KVS.Set.
+   */
+  sim.setKvs = function (key, value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (kvsValueSize(text) > KVS_MAX_VALUE_SIZE) {
+      throw new Error(`The value of ${key} is too long, the limit is ${KVS_MAX_VALUE_SIZE} bytes: ${text}`);
+    }
+    kvs[key] = text;
+  };
+
+  /**
+   * @description Stores a configuration in the Key-Value Store like tools/deploy.js config push,
+   * split over the key and the keys of its parts if it is too long for one value, see
+   * tools/lib/kvs_config.js. A string is stored as it is, e.g. to store invalid JSON.
+   * @param {string} key The KVS key of the configuration.
+   * @param {object|string} config The configuration.
+   */
+  sim.setConfig = function (key, config) {
+    if (typeof config === 'string') {
+      sim.setKvs(key, config);
+      return;
+    }
+    packConfig(config).forEach((part, i) => sim.setKvs(configPartKey(key, i), part));
+  };
+
+  // --- Events and HTTP ---
+
+  /**
+   * @description Emits a component event to the handlers added with Shelly.addEventHandler,
+   * e.g. emitEvent('input:0', { event: 'single_push' }).
+   * @param {string} component The component key.
+   * @param {object} info The event details.
+   */
+  sim.emitEvent = function (component, info) {
+    const id = Number(component.split(':')[1]);
+    const event = { component, id, now: sysStatus().unixtime, info: Object.assign({ component, id }, info) };
+    eventHandlers.forEach((handler) => handler.fn(JSON.parse(JSON.stringify(event)), handler.userdata));
+  };
+
+  /**
+   * @description Emits a status notification to the handlers added with Shelly.addStatusHandler
+   * on the next clock advance, without changing the component. Status changes made through the
+   * simulator are announced on their own, this is for notifications the device sends anyway.
+   * @param {string} component The component key, e.g. "switch:0".
+   * @param {object} delta The changed properties, e.g. { output: true, source: 'button' }.
+   */
+  sim.emitStatus = function (component, delta) {
+    notifyStatus(component, delta);
+  };
+
+  /**
+   * @description Sends a request to an endpoint the first script registered with
+   * HTTPServer.registerEndpoint, see the handles returned by loadScript() for the others.
+   * @param {string} endpoint The endpoint name.
+   * @param {object|string} [request] The query string, or { method, query, body, headers }.
+   * @returns {object} The response as { sent, code, headers, body, json() }. It is filled in
+   *   once the script sends it, which may only happen on a later clock advance.
+   */
+  sim.httpRequest = function (endpoint, request = {}) {
+    return httpRequest(firstScript(), endpoint, request);
+  };
+
+  /**
+   * @description Sends a request to an endpoint of a script, see sim.httpRequest().
+   */
+  function httpRequest(runtime, endpoint, request) {
+    const httpEndpoints = runtime.httpEndpoints;
+    if (!httpEndpoints[endpoint]) {
+      throw new Error(`No HTTP endpoint '${endpoint}' is registered.`);
+    }
+    if (typeof request === 'string') {
+      request = { query: request };
+    }
+    const result = { sent: false, code: null, headers: [], body: '' };
+    result.json = () => JSON.parse(result.body);
+    const response = {
+      code: 200,
+      headers: [],
+      body: '',
+      send: function () {
+        Object.assign(result, { sent: true, code: this.code, headers: this.headers, body: this.body });
+        return true;
+      },
+    };
+    const req = Object.assign({ method: 'GET', query: '', headers: [], body: '' }, request);
+    httpEndpoints[endpoint].fn(req, response, httpEndpoints[endpoint].userdata);
+    return result;
+  }
+
+  /**
+   * @description Stands in for a web server the device can reach with HTTP.GET and HTTP.POST.
+   * The handler receives { method, url, contentType, body } and returns the response as
+   * { code, body }, both optional. Requests to URLs without a server time out.
+   * @param {string} url The URL prefix the server answers, e.g. 'http://receiver.local/'.
+   * @param {function} handler The request handler.
+   */
+  sim.addWebServer = function (url, handler) {
+    webServers.push({ url, handler });
+  };
+
+  // --- MQTT ---
+
+  /**
+   * @description Delivers a message from the broker to the script's matching subscriptions.
+   * @param {string} topic The topic.
+   * @param {string|object} message The payload, objects are sent as JSON.
+   * @returns {number} The number of subscriptions that received the message.
+   */
+  sim.mqttMessage = function (topic, message) {
+    const payload = typeof message === 'string' ? message : JSON.stringify(message);
+    const receivers = mqtt.subscriptions.filter((subscription) => topicMatches(subscription.topic, topic));
+    receivers.forEach((subscription) => subscription.callback(topic, payload, subscription.userdata));
+    return receivers.length;
+  };
+
+  /**
+   * @description Connects the device to the broker or disconnects it, calling the handlers
+   * the scripts set with MQTT.setConnectHandler and MQTT.setDisconnectHandler.
+   * @param {boolean} connected Whether the device is connected.
+   */
+  sim.setMqttConnected = function (connected) {
+    if (mqtt.connected === connected) {
+      return;
+    }
+    mqtt.connected = connected;
+    scripts.forEach((runtime) => {
+      const handler = connected ? runtime.onConnect : runtime.onDisconnect;
+      if (handler) {
+        handler.fn(handler.userdata);
+      }
+    });
+  };
+
+  /**
+   * @returns {string[]} The topics the script is subscribed to.
+   */
+  sim.mqttSubscriptions = function () {
+    return mqtt.subscriptions.map((subscription) => subscription.topic);
+  };
+
+  /**
+   * @description Gets the last retained message the script published to a topic.
+   * @param {string} topic The topic.
+   * @returns {string|undefined} The payload.
+   */
+  sim.getRetained = function (topic) {
+    return mqtt.retained[topic];
+  };
+
+  // --- Time ---
+
+  /**
+   * @description Advances the virtual clock, firing timers and RPC callbacks that become due.
+   * @param {number} ms The number of milliseconds to advance.
+   */
+  sim.advance = function (ms) {
+    const target = clock + ms;
+    while (queue.length > 0 && queue[0].due <= target) {
+      const entry = queue.shift();
+      clock = entry.due;
+      if (entry.timer) {
+        const timer = entry.timer;
+        if (timer.repeat) {
+          timer.entry = schedule(Math.max(1, timer.period), entry.fn, timer);
+        } else {
+          delete timers[timer.id];
+        }
+      }
+      entry.fn();
+    }
+    clock = target;
+  };
+
+  /**
+   * @description Fires everything that is due now, e.g. pending RPC callbacks.
+   */
+  sim.flush = function () {
+    sim.advance(0);
+  };
+
+  /**
+   * @returns {number} The device uptime, in seconds.
+   */
+  sim.uptime = uptime;
+
+  /**
+   * @returns {object[]} The active timers of all scripts as { id, period, repeat, script }, script
+   *   being the ID of the script that set it.
+   */
+  sim.timers = function () {
+    return Object.keys(timers).map((id) => ({ id: timers[id].id, period: timers[id].period, repeat: timers[id].repeat, script: timers[id].script }));
+  };
+
+  // --- The script runtime ---
+
+  /**
+   * @description Creates the globals of a script. Its timers, RPC calls in flight, HTTP endpoints
+   * and MQTT connection handlers are its own, the device and the event handlers are shared.
+   * @param {number} id The script ID.
+   * @returns {object} The script with its globals and state.
+   */
+  function createRuntime(id) {
+    const runtime = { id, context: null, callsInFlight: 0, httpEndpoints: {}, onConnect: null, onDisconnect: null };
+
+    runtime.Shelly = {
+      call: (method, params, callback, userdata) => call(runtime, method, params, callback, userdata),
+      getComponentStatus: (type, id) => sim.getStatus(type, id),
+      getComponentConfig: (type, id) => {
+        const key = componentKey(type, id);
+        if (key === 'sys') {
+          return { device: { name: 'simulator' }, location: { tz: 'Europe/Prague' } };
+        }
+        if (key === 'mqtt') {
+          return { enable: true, server: 'broker.local:1883', client_id: 'shellyplus1pm-simulator', topic_prefix: 'shellyplus1pm-simulator' };
+        }
+        return components[key] ? { id: components[key].id } : null;
+      },
+      getDeviceInfo: () => ({ id: 'shellyplus1pm-simulator', model: 'SNSW-001P16EU', gen: 2, ver: '1.0.0' }),
+      addEventHandler: (fn, userdata) => {
+        eventHandlers.push({ fn, userdata });
+        return eventHandlers.length;
+      },
+      addStatusHandler: (fn, userdata) => {
+        statusHandlers.push({ fn, userdata });
+        return statusHandlers.length;
+      },
+      // The event reaches the handlers of every script, the emitting one included, on the next clock advance.
+      emitEvent: (name, data) => {
+        const component = 'script:' + id;
+        const now = sysStatus().unixtime;
+        const event = JSON.stringify({ component, id, now, info: { component, id, event: name, data, ts: now } });
+        const handlers = eventHandlers.slice();
+        schedule(0, () => {
+          handlers.forEach((handler) => handler.fn(JSON.parse(event), handler.userdata));
+        });
+      },
+    };
+
+    runtime.Timer = {
+      set: (period, repeat, callback, userdata) => {
+        if (Object.keys(timers).filter((key) => timers[key].script === id).length >= MAX_TIMERS) {
+          throw new Error(`Too many timers, a script may have at most ${MAX_TIMERS}.`);
+        }
+        const timer = { id: nextTimerId++, period, repeat: repeat === true, script: id };
+        timer.entry = schedule(period, () => callback(userdata), timer);
+        timers[timer.id] = timer;
+        return timer.id;
+      },
+      clear: (timerId) => {
+        const timer = timers[timerId];
+        if (!timer || timer.script !== id) {
+          return false;
+        }
+        queue = queue.filter((entry) => entry.timer !== timer);
+        delete timers[timerId];
+        return true;
+      },
+    };
+
+    runtime.HTTPServer = {
+      registerEndpoint: (name, fn, userdata) => {
+        runtime.httpEndpoints[name] = { fn, userdata };
+        return '/script/' + id + '/' + name;
+      },
+    };
+
+    runtime.MQTT = {
+      isConnected: () => mqtt.connected,
+      publish: (topic, message, qos, retain) => {
+        if (!mqtt.connected) {
+          return false;
+        }
+        sim.published.push({ topic, message, qos: qos || 0, retain: retain === true });
+        if (retain === true) {
+          mqtt.retained[topic] = message;
+        }
+        return true;
+      },
+      subscribe: (topic, callback, userdata) => {
+        mqtt.subscriptions.push({ topic, callback, userdata });
+      },
+      unsubscribe: (topic) => {
+        const count = mqtt.subscriptions.length;
+        mqtt.subscriptions = mqtt.subscriptions.filter((subscription) => subscription.topic !== topic);
+        return mqtt.subscriptions.length < count;
+      },
+      setConnectHandler: (fn, userdata) => {
+        runtime.onConnect = { fn, userdata };
+      },
+      setDisconnectHandler: (fn, userdata) => {
+        runtime.onDisconnect = { fn, userdata };
+      },
+    };
+
+    return runtime;
+  }
+
+  /**
+   * @returns {object} The first script loaded, the one sim.script and sim.evaluate() refer to.
+   */
+  function firstScript() {
+    if (scripts.length === 0) {
+      throw new Error('No script is loaded.');
+    }
+    return scripts[0];
+  }
+
+  /**
+   * @description Evaluates an expression in the context of a script.
+   */
+  function evaluate(runtime, code) {
+    return vm.runInContext(code, runtime.context);
+  }
+
+  /**
+   * @description Gives access to the top-level bindings of a script. Bindings declared with let or
+   * const are not properties of the context, so they are read and assigned through evaluated code.
+   */
+  function bindings(getRuntime) {
+    return new Proxy({}, {
+      get: (target, name) => (typeof name === 'string' ? evaluate(getRuntime(), name) : undefined),
+      set: (target, name, value) => {
+        const context = getRuntime().context;
+        context.__simulatorValue = value;
+        evaluate(getRuntime(), `${name} = __simulatorValue`);
+        delete context.__simulatorValue;
+        return true;
+      },
+    });
+  }
+
+  /**
+   * @description Loads a script and runs it in the simulated runtime, unmodified, next to the
+   * scripts loaded before. The top-level functions and variables of the first script are
+   * available through sim.script afterwards.
+   * @param {string} file The path of the script, absolute or relative to the working directory.
+   * @returns {object} The script as { id, script, evaluate(), httpRequest() }, see runScript().
+   */
+  sim.loadScript = function (file) {
+    return sim.runScript(fs.readFileSync(path.resolve(file), 'utf8'), path.basename(file));
+  };
+
+  /**
+   * @description Runs script source code in the simulated runtime as a script of its own.
+   * @param {string} source The script source.
+   * @param {string} [filename='script.js'] The name used in stack traces.
+   * @returns {object} The script: its ID, its top-level bindings as script, and evaluate() and
+   *   httpRequest() like those of the simulator, for this script.
+   */
+  sim.runScript = function (source, filename = 'script.js') {
+    const runtime = createRuntime(scripts.length + 1);
+    scripts.push(runtime);
+    runtime.context = vm.createContext({
+      Shelly: runtime.Shelly,
+      Timer: runtime.Timer,
+      HTTPServer: runtime.HTTPServer,
+      MQTT: runtime.MQTT,
+      print: (...args) => {
+        const message = args.join(' ');
+        sim.prints.push(message);
+        if (options.echo) {
+          console.log('PRINT: ' + message);
+        }
+      },
+    });
+    vm.runInContext(source, runtime.context, { filename });
+    return {
+      id: runtime.id,
+      script: bindings(() => runtime),
+      evaluate: (code) => evaluate(runtime, code),
+      httpRequest: (endpoint, request) => httpRequest(runtime, endpoint, request),
+    };
+  };
+
+  /**
+   * @description Evaluates an expression in the context of the first script.
+   * @param {string} code The expression.
+   * @returns {*} Its value.
+   */
+  sim.evaluate = function (code) {
+    return evaluate(firstScript(), code);
+  };
+
+  sim.script = bindings(firstScript);
+
+  return sim;
+}
+
+module.exports = { createSimulator };
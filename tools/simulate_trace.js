@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * @file Replays a recorded time series of tank and heating source temperatures through
+ * indirect_heating_tank_pump.shelly.js in the simulated Shelly runtime, to compare
+ * configurations offline before pushing them to KVS.
+ *
+ * Usage:
+ *   node tools/simulate_trace.js <trace.csv|trace.json> [options]
+ *
+ * Options:
+ *   --config <json>       A configuration as stored in KVS. Repeat it to compare several.
+ *   --config-file <path>  The same, read from a file.
+ *   --ua <W/K>            The heat exchanger's transfer coefficient for the energy estimate (default 500).
+ *   --script <path>       The script to run (default scripts/indirect_heating_tank_pump.shelly.js).
+ *   --json                Print the results as JSON.
+ *   --verbose             Also print the script output.
+ *
+ * A CSV trace has a header with the columns time, tank and source. The time is either
+ * seconds since the start of the trace or a date string, e.g. 2024-06-03T06:00:00+02:00.
+ * A JSON trace is an array of { time, tank, source } objects. Temperatures are in °C and
+ * are interpolated linearly between samples.
+ *
+ * The energy transferred while the pump runs is estimated from the temperature
+ * difference as UA * (source - tank) for every scan interval.
+ *
+ * A trace has a single heating source, so configurations with loops are rejected.
+ * Replay the settings of each loop as a configuration of its own instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createSimulator } = require('./lib/shelly_simulator');
+
+const DEFAULT_SCRIPT = path.join(__dirname, '../scripts', 'indirect_heating_tank_pump.shelly.js');
+const DEFAULT_UA = 500;
+
+/**
+ * @description Parses a trace from CSV or JSON.
+ * @param {string} text The file content.
+ * @returns {{start: number|null, samples: object[]}} The samples as { time, tank, source }
+ *   with time in seconds since the first sample, and the unixtime of the first sample if
+ *   the trace has dates.
+ */
+function parseTrace(text) {
+  let rows;
+  const trimmed = text.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      rows = JSON.parse(trimmed);
+    } catch (e) {
+      throw new Error(`The trace is not valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(rows) || rows.some(row => typeof row !== 'object' || row === null)) {
+      throw new Error('A JSON trace must be an array of { time, tank, source } objects.');
+    }
+  } else {
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '' && !line.startsWith('#'));
+    const header = lines.shift().split(',').map(column => column.trim().toLowerCase());
+    ['time', 'tank', 'source'].forEach(column => {
+      if (header.indexOf(column) === -1) {
+        throw new Error(`The CSV header must have a '${column}' column.`);
+      }
+    });
+    rows = lines.map(line => {
+      const values = line.split(',').map(value => value.trim());
+      const row = {};
+      header.forEach((column, i) => { row[column] = values[i]; });
+      return row;
+    });
+  }
+
+  let start = null;
+  const samples = rows.map((row, i) => {
+    let time = Number(row.time);
+    if (isNaN(time)) {
+      time = Date.parse(row.time) / 1000;
+      if (isNaN(time)) {
+        throw new Error(`Sample ${i + 1}: '${row.time}' is neither seconds nor a date.`);
+      }
+      if (start === null) {
+        start = time;
+      }
+      time -= start;
+    }
+    const sample = { time, tank: Number(row.tank), source: Number(row.source) };
+    if (isNaN(sample.tank) || isNaN(sample.source)) {
+      throw new Error(`Sample ${i + 1}: the tank and source temperatures must be numbers.`);
+    }
+    return sample;
+  });
+
+  if (samples.length < 2) {
+    throw new Error('A trace needs at least two samples.');
+  }
+  for (let i = 1; i < samples.length; i++) {
+    if (samples[i].time <= samples[i - 1].time) {
+      throw new Error(`Sample ${i + 1}: the time must increase.`);
+    }
+  }
+  return { start, samples };
+}
+
+/**
+ * @description Interpolates the temperatures of a trace at a point in time, rounded to
+ * the 0.1 °C resolution the Add-on reports.
+ * @param {object[]} samples The samples.
+ * @param {number} time Seconds since the first sample.
+ * @returns {{tank: number, source: number}} The temperatures.
+ */
+function sampleAt(samples, time) {
+  let i = 1;
+  while (i < samples.length - 1 && samples[i].time < time) {
+    i++;
+  }
+  const a = samples[i - 1];
+  const b = samples[i];
+  const f = Math.min(1, Math.max(0, (time - a.time) / (b.time - a.time)));
+  const round = value => Math.round(value * 10) / 10;
+  return { tank: round(a.tank + (b.tank - a.tank) * f), source: round(a.source + (b.source - a.source) * f) };
+}
+
+/**
+ * @description Replays a trace through the script with one configuration.
+ * @param {object} trace The parsed trace, see parseTrace().
+ * @param {object} [options]
+ * @param {object} [options.config] The configuration stored in KVS.
+ * @param {number} [options.ua] The heat exchanger's transfer coefficient, in W/K.
+ * @param {string} [options.script] The path of the script.
+ * @param {boolean} [options.verbose] Whether to print the script output.
+ * @returns {object} The pump intervals (seconds since the start), the number of starts,
+ *   the runtime in seconds, the estimated energy in kWh and the script's error, if any.
+ * @throws {Error} If the configuration has loops or the script rejects it.
+ */
+function replayTrace(trace, options = {}) {
+  const config = options.config || {};
+  if (Array.isArray(config.loops) && config.loops.length > 0) {
+    throw new Error('The configuration has loops, but a trace has a single heating source. Replay the settings of each loop as a configuration of its own.');
+  }
+  const ua = options.ua !== undefined ? options.ua : DEFAULT_UA;
+  const simulatorOptions = { echo: options.verbose === true };
+  if (trace.start !== null) {
+    simulatorOptions.unixtime = Math.floor(trace.start);
+  }
+  const sim = createSimulator(simulatorOptions);
+  sim.setSwitch(0, false);
+  sim.setConfig('indirect_heating_config', config);
+
+  sim.loadScript(options.script || DEFAULT_SCRIPT);
+  // The script would fall back to the defaults and replay them instead.
+  const errors = sim.script.validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`The configuration is not valid: ${errors.join(' ')}`);
+  }
+  // Every thermometer of a tank role, including the top and bottom probes, reads the tank column.
+  const roles = sim.script.sensorRoles(Object.assign({}, sim.script.DEFAULT_CONFIG, config));
+  const setTemperatures = (time) => {
+    const temperatures = sampleAt(trace.samples, time);
+    roles.forEach(role => {
+      role.ids.forEach(id => sim.setTemperature(id, role.name === 'source' ? temperatures.source : temperatures.tank));
+    });
+    return temperatures;
+  };
+  setTemperatures(0);
+  sim.flush();
+
+  // Scans fire at multiples of scanInterval, so stepping by it observes every transition on time.
+  const step = sim.script.CONFIG.scanInterval;
+  const duration = trace.samples[trace.samples.length - 1].time;
+  const intervals = [];
+  let energy = 0;
+  let time = 0;
+  let running = sim.getStatus('switch', 0).output;
+  if (running) {
+    intervals.push({ start: 0, end: null });
+  }
+
+  while (time < duration) {
+    const dt = Math.min(step, duration - time);
+    const temperatures = sampleAt(trace.samples, time);
+    if (running) {
+      energy += ua * Math.max(0, temperatures.source - temperatures.tank) * dt;
+    }
+    time += dt;
+    setTemperatures(time);
+    sim.advance(dt * 1000);
+
+    const on = sim.getStatus('switch', 0).output;
+    if (on && !running) {
+      intervals.push({ start: time, end: null });
+    } else if (!on && running) {
+      intervals[intervals.length - 1].end = time;
+    }
+    running = on;
+  }
+  if (running) {
+    intervals[intervals.length - 1].end = duration;
+  }
+
+  return {
+    config,
+    intervals,
+    starts: intervals.filter(interval => interval.start > 0).length,
+    runtime: intervals.reduce((sum, interval) => sum + interval.end - interval.start, 0),
+    energy: Math.round(energy / 3.6e6 * 100) / 100,
+    lastError: sim.script.scriptStatus.lastError,
+  };
+}
+
+/**
+ * @description Formats a number of seconds as H:MM:SS.
+ * @param {number} seconds The duration.
+ * @returns {string} The formatted duration.
+ */
+function formatDuration(seconds) {
+  const pad = value => String(value).padStart(2, '0');
+  return Math.floor(seconds / 3600) + ':' + pad(Math.floor(seconds % 3600 / 60)) + ':' + pad(Math.floor(seconds % 60));
+}
+
+/**
+ * @description Formats the result of a replay for the console.
+ * @param {object} result The result of replayTrace().
+ * @param {number} ua The transfer coefficient used.
+ * @returns {string} The report.
+ */
+function formatResult(result, ua) {
+  const lines = [`Configuration: ${JSON.stringify(result.config)}`];
+  lines.push('  Pump intervals:');
+  result.intervals.forEach(interval => {
+    lines.push(`    ${formatDuration(interval.start)} - ${formatDuration(interval.end)}  (${formatDuration(interval.end - interval.start)})`);
+  });
+  if (result.intervals.length === 0) {
+    lines.push('    none');
+  }
+  lines.push(`  Starts: ${result.starts}`);
+  lines.push(`  Runtime: ${formatDuration(result.runtime)}`);
+  lines.push(`  Energy transferred: ${result.energy} kWh (UA ${ua} W/K)`);
+  if (result.lastError) {
+    lines.push(`  Last error: ${result.lastError}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * @description Parses a configuration given on the command line.
+ * @param {string} text The JSON.
+ * @param {string} origin Where it came from, for the error message.
+ * @returns {object} The configuration.
+ * @throws {Error} If it is not a JSON object.
+ */
+function parseConfig(text, origin) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${origin}: not valid JSON, ${e.message}`);
+  }
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new Error(`${origin}: the configuration must be a JSON object.`);
+  }
+  return config;
+}
+
+/**
+ * @description Parses the command line, see the usage at the top of this file.
+ * @param {string[]} args The arguments after the script name.
+ * @returns {object} The trace path, configurations and options.
+ */
+function parseArgs(args) {
+  const options = { configs: [], ua: DEFAULT_UA, json: false, verbose: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--config') {
+      options.configs.push(parseConfig(args[++i], arg));
+    } else if (arg === '--config-file') {
+      const file = args[++i];
+      options.configs.push(parseConfig(fs.readFileSync(file, 'utf8'), file));
+    } else if (arg === '--ua') {
+      options.ua = Number(args[++i]);
+      if (!(options.ua > 0)) {
+        throw new Error(`--ua must be a positive number, got '${args[i]}'.`);
+      }
+    } else if (arg === '--script') {
+      options.script = args[++i];
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--verbose') {
+      options.verbose = true;
+    } else if (arg.startsWith('--') || options.trace) {
+      throw new Error(`Unknown argument '${arg}'.`);
+    } else {
+      options.trace = arg;
+    }
+  }
+  if (!options.trace) {
+    throw new Error('Usage: node tools/simulate_trace.js <trace.csv|trace.json> [--config <json>]... [--ua <W/K>] [--json]');
+  }
+  if (options.configs.length === 0) {
+    options.configs.push({});
+  }
+  return options;
+}
+
+/**
+ * @description Runs the command line, see the usage at the top of this file. Bad arguments
+ * exit with status 2, an unreadable trace or a rejected configuration with status 1.
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(2);
+  }
+
+  let trace;
+  let results;
+  try {
+    trace = parseTrace(fs.readFileSync(options.trace, 'utf8'));
+    results = options.configs.map(config => replayTrace(trace, {
+      config, ua: options.ua, script: options.script, verbose: options.verbose,
+    }));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    console.log(`Replayed ${formatDuration(trace.samples[trace.samples.length - 1].time)} of ${options.trace}\n`);
+    console.log(results.map(result => formatResult(result, options.ua)).join('\n\n'));
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseTrace, sampleAt, replayTrace, formatDuration, parseArgs };